@@ -0,0 +1,138 @@
+// Error codes worth retrying after a pause: org-wide request throttling and
+// record lock contention with other integrations
+const RETRYABLE_ERROR_CODES = ['REQUEST_LIMIT_EXCEEDED', 'UNABLE_TO_LOCK_ROW'];
+
+const DEFAULT_LIMIT_OPTIONS = {
+  // Stop when fewer daily API requests than this remain (absolute count or
+  // percentage of the daily maximum, whichever is larger)
+  reserve: 0,
+  reservePercent: 10,
+  // Below this percentage remaining, space requests out by slowdownFactor
+  slowdownPercent: 25,
+  slowdownFactor: 5,
+  maxRetries: 5,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 30000
+};
+
+class ApiReserveError extends Error {
+  constructor(remaining, reserve) {
+    super(`Stopping: only ${remaining} daily API requests remain, below the configured reserve of ${reserve}`);
+    this.name = 'ApiReserveError';
+    this.errorCode = 'API_RESERVE_REACHED';
+  }
+}
+
+function isRetryable(error) {
+  return Boolean(error) && [error.errorCode, error.name, error.statusCode]
+    .some(code => RETRYABLE_ERROR_CODES.includes(code));
+}
+
+// Tracks the org's daily API usage (from the /limits resource and the
+// Sforce-Limit-Info header jsforce records on every response) and decides
+// how fast this run may call Salesforce.
+class ApiLimitGuard {
+  constructor(conn, options = {}) {
+    this.conn = conn;
+    this.options = { ...DEFAULT_LIMIT_OPTIONS, ...options };
+    this.initial = null;
+    this.current = null;
+    this.retries = 0;
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  // Read DailyApiRequests from the /limits resource
+  async refresh() {
+    const limits = await this.conn.limits();
+    const daily = limits && limits.DailyApiRequests;
+    if (daily) {
+      this.update(daily.Max - daily.Remaining, daily.Max);
+    }
+    return this.current;
+  }
+
+  // Pick up the usage reported in the last response's Sforce-Limit-Info header
+  observe() {
+    const usage = this.conn && this.conn.limitInfo && this.conn.limitInfo.apiUsage;
+    if (usage && typeof usage.used === 'number' && typeof usage.limit === 'number') {
+      this.update(usage.used, usage.limit);
+    }
+  }
+
+  update(used, max) {
+    this.current = { used, max, remaining: Math.max(0, max - used) };
+    if (!this.initial) {
+      this.initial = { ...this.current };
+    }
+  }
+
+  get reserve() {
+    if (!this.current) return this.options.reserve;
+    return Math.max(this.options.reserve, Math.ceil(this.current.max * this.options.reservePercent / 100));
+  }
+
+  belowReserve() {
+    return Boolean(this.current) && this.current.remaining <= this.reserve;
+  }
+
+  // Throws ApiReserveError when the run must stop to leave headroom for
+  // other integrations sharing the org
+  checkReserve() {
+    if (this.belowReserve()) {
+      throw new ApiReserveError(this.current.remaining, this.reserve);
+    }
+  }
+
+  // Multiplier for the base spacing between requests
+  delayFactor() {
+    if (!this.current || this.current.max === 0) return 1;
+    const remainingPercent = this.current.remaining / this.current.max * 100;
+    return remainingPercent < this.options.slowdownPercent ? this.options.slowdownFactor : 1;
+  }
+
+  // Exponential backoff with full jitter
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.options.backoffMaxMs, this.options.backoffBaseMs * 2 ** attempt);
+    return Math.floor(this.random() * ceiling);
+  }
+
+  // Run `request`, retrying retryable Salesforce errors with backoff
+  async call(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request();
+        this.observe();
+        return response;
+      } catch (error) {
+        this.observe();
+        if (!isRetryable(error) || attempt >= this.options.maxRetries) {
+          throw error;
+        }
+        this.retries++;
+        await this.sleep(this.backoffDelay(attempt));
+      }
+    }
+  }
+
+  summary() {
+    if (!this.current) return null;
+    return {
+      startUsed: this.initial.used,
+      endUsed: this.current.used,
+      max: this.current.max,
+      consumed: this.current.used - this.initial.used,
+      remaining: this.current.remaining,
+      reserve: this.reserve,
+      retries: this.retries
+    };
+  }
+}
+
+module.exports = {
+  ApiLimitGuard,
+  ApiReserveError,
+  RETRYABLE_ERROR_CODES,
+  DEFAULT_LIMIT_OPTIONS,
+  isRetryable
+};
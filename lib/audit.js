@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QueryBuilder, queryAll, assertSalesforceId } = require('./query-builder');
+const { getObjectProfile } = require('./objects');
+
+const DEFAULT_AUDIT_FILE = '.verification-audit.jsonl';
+
+// Records per query when reading the values about to be overwritten
+const READ_CHUNK_SIZE = 200;
+
+// Audit log file from the `audit` section of config.json
+function auditFile(config) {
+  return config?.audit?.file || DEFAULT_AUDIT_FILE;
+}
+
+// The audit log writes go to, or null if `audit.enabled` is false
+function auditLogFor(config) {
+  if (config?.audit?.enabled === false) return null;
+  return new AuditLog(auditFile(config));
+}
+
+// The person running a CLI command, as user@host
+function cliActor() {
+  try {
+    return `${os.userInfo().username}@${os.hostname()}`;
+  } catch (error) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+// Values read back from Salesforce come as null when a field is empty
+function sameValue(a, b) {
+  return (a ?? '') === (b ?? '');
+}
+
+// Current values of `fields` on the given records, by record ID. Records
+// that do not exist (or are not visible) are missing from the map.
+async function readFieldValues(conn, object, ids, fields, request = send => send()) {
+  const unique = [...new Set(ids.map(assertSalesforceId))];
+  const selected = [...new Set(fields)].filter(field => field !== 'Id');
+  const records = new Map();
+
+  for (let i = 0; i < unique.length; i += READ_CHUNK_SIZE) {
+    const soql = new QueryBuilder(getObjectProfile(object).name)
+      .select(['Id', ...selected])
+      .whereIn('Id', unique.slice(i, i + READ_CHUNK_SIZE))
+      .toSoql();
+    (await queryAll(conn, soql, { request })).forEach(record => records.set(record.Id, record));
+  }
+  return records;
+}
+
+// Fields written by a set of sObject update payloads
+function updatedFields(updates) {
+  return [...new Set(updates.flatMap(update => Object.keys(update)))].filter(field => field !== 'Id');
+}
+
+// Append-only JSON Lines log of every record update the tools make, with the
+// values it replaced. One line per record write:
+//
+//   { type: 'write', at, runId, actor, source, object, recordId, success,
+//     error, changes: { Field: { before, after } }, undoOf }
+//
+// `undoOf` is set on writes made by undo.js and names the run they undo.
+class AuditLog {
+  constructor(filePath = DEFAULT_AUDIT_FILE) {
+    this.filePath = filePath;
+  }
+
+  // Log the outcome of record updates. Each write is
+  //   { update, before, success, error }
+  // where `update` is the payload sent and `before` the record as read
+  // before sending it.
+  recordWrites(object, writes, { runId, actor, source, undoOf = null }) {
+    if (writes.length === 0) return;
+
+    const at = new Date().toISOString();
+    const lines = writes.map(({ update, before, success, error = null }) => {
+      const changes = Object.fromEntries(Object.keys(update)
+        .filter(field => field !== 'Id')
+        .map(field => [field, { before: before?.[field] ?? null, after: update[field] ?? null }]));
+
+      return JSON.stringify({
+        type: 'write',
+        at,
+        runId,
+        actor,
+        source,
+        object: getObjectProfile(object).name,
+        recordId: update.Id,
+        success: Boolean(success),
+        ...(error ? { error } : {}),
+        changes,
+        ...(undoOf ? { undoOf } : {})
+      });
+    });
+
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    fs.appendFileSync(this.filePath, `${lines.join('\n')}\n`);
+  }
+
+  // Logged writes, oldest first, optionally of one run and/or record
+  entries({ runId, recordId } = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    return lines.flatMap((line, index) => {
+      if (!line.trim()) return [];
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        // A crash can leave the last line half-written; anything else is corruption
+        if (index >= lines.length - 2) return [];
+        throw new Error(`Corrupt audit log ${this.filePath} at line ${index + 1}`);
+      }
+    }).filter(entry => (!runId || entry.runId === runId) && (!recordId || entry.recordId === recordId));
+  }
+
+  // One summary per run, oldest first
+  runs() {
+    const runs = new Map();
+    this.entries().forEach(entry => {
+      if (!runs.has(entry.runId)) {
+        runs.set(entry.runId, {
+          runId: entry.runId,
+          source: entry.source,
+          actor: entry.actor,
+          startedAt: entry.at,
+          finishedAt: entry.at,
+          records: new Set(),
+          failed: 0,
+          undoOf: entry.undoOf || null,
+          undoneBy: []
+        });
+      }
+      const run = runs.get(entry.runId);
+      run.finishedAt = entry.at;
+      if (entry.success) {
+        run.records.add(entry.recordId);
+      } else {
+        run.failed++;
+      }
+      if (entry.undoOf && runs.has(entry.undoOf) && !runs.get(entry.undoOf).undoneBy.includes(entry.runId)) {
+        runs.get(entry.undoOf).undoneBy.push(entry.runId);
+      }
+    });
+    return [...runs.values()].map(run => ({ ...run, records: run.records.size }));
+  }
+}
+
+module.exports = {
+  DEFAULT_AUDIT_FILE,
+  AuditLog,
+  auditFile,
+  auditLogFor,
+  cliActor,
+  readFieldValues,
+  updatedFields,
+  sameValue
+};
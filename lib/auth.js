@@ -0,0 +1,443 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const jsforce = require('jsforce');
+
+// How the CLI and the MCP server sign in to Salesforce, set with
+// `salesforce.flow` in config.json (see authFlow for the default)
+const AUTH_FLOWS = ['jwt', 'client_credentials', 'web_server', 'access_token', 'password'];
+
+const FLOW_LABELS = {
+  jwt: 'JWT bearer flow',
+  client_credentials: 'client credentials flow',
+  web_server: 'saved login',
+  access_token: 'access token from config.json',
+  password: 'username and password'
+};
+
+const DEFAULT_TOKEN_FILE = '.salesforce-tokens';
+const DEFAULT_KEY_FILE = path.join(os.homedir(), '.salesforce-verifier', 'token.key');
+const DEFAULT_REDIRECT_URI = 'http://localhost:3000/callback';
+const DEFAULT_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+const JWT_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+class AuthError extends Error {
+  constructor(errorCode, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.errorCode = errorCode;
+  }
+}
+
+function loginUrl(settings) {
+  return (settings.loginUrl || settings.instanceUrl || 'https://login.salesforce.com').replace(/\/+$/, '');
+}
+
+// `salesforce.flow`, or the flow the other settings imply: a pasted access
+// token, a private key for JWT, a username and password, else the refresh
+// token saved by `npm run login`
+function authFlow(config) {
+  const settings = config.salesforce || {};
+  if (settings.flow) {
+    if (!AUTH_FLOWS.includes(settings.flow)) {
+      throw new AuthError('AUTH_NOT_CONFIGURED', `Unknown salesforce.flow "${settings.flow}" (expected ${AUTH_FLOWS.join(', ')})`);
+    }
+    return settings.flow;
+  }
+  if (settings.accessToken) return 'access_token';
+  if (settings.privateKeyFile) return 'jwt';
+  if (settings.username && settings.password) return 'password';
+  return 'web_server';
+}
+
+function requireSettings(settings, names, flow) {
+  const missing = names.filter(name => !settings[name]);
+  if (missing.length > 0) {
+    throw new AuthError('AUTH_NOT_CONFIGURED', `The ${FLOW_LABELS[flow]} needs salesforce.${missing.join(', salesforce.')} in config.json`);
+  }
+}
+
+// Refresh tokens saved by `npm run login`, encrypted with AES-256-GCM. The
+// key comes from the SALESFORCE_TOKEN_KEY passphrase when it is set, else
+// from a random key file created on first use outside the project folder.
+// Entries are keyed by login URL and client ID (see tokenAccount).
+class TokenStore {
+  constructor(filePath = DEFAULT_TOKEN_FILE, { keyFile = DEFAULT_KEY_FILE, passphrase = process.env.SALESFORCE_TOKEN_KEY } = {}) {
+    this.filePath = filePath;
+    this.keyFile = keyFile;
+    this.passphrase = passphrase || null;
+  }
+
+  static fromConfig(config) {
+    const settings = config.salesforce || {};
+    return new TokenStore(settings.tokenFile || DEFAULT_TOKEN_FILE, { keyFile: settings.tokenKeyFile || DEFAULT_KEY_FILE });
+  }
+
+  key(salt) {
+    if (this.passphrase) {
+      return crypto.scryptSync(this.passphrase, salt, 32);
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600, flag: 'wx' });
+    }
+    const key = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'base64');
+    if (key.length !== 32) {
+      throw new AuthError('TOKEN_FILE_INVALID', `${this.keyFile} does not hold a 256-bit base64 key`);
+    }
+    return key;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.filePath)) return {};
+
+    try {
+      const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key(Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new AuthError(
+        'TOKEN_FILE_INVALID',
+        `Unable to decrypt ${this.filePath} (${error.message}); check SALESFORCE_TOKEN_KEY or the key file, or run "npm run login" again`
+      );
+    }
+  }
+
+  writeAll(entries) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+    const envelope = {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    // Replace the file in one step so a crash never leaves half a token file
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(account) {
+    return this.readAll()[account] || null;
+  }
+
+  set(account, tokens) {
+    const entries = this.readAll();
+    entries[account] = { ...tokens, savedAt: new Date().toISOString() };
+    this.writeAll(entries);
+  }
+
+  delete(account) {
+    const entries = this.readAll();
+    if (!entries[account]) return false;
+    delete entries[account];
+    this.writeAll(entries);
+    return true;
+  }
+}
+
+function tokenAccount(config) {
+  return `${loginUrl(config.salesforce)}|${config.salesforce.clientId}`;
+}
+
+function createConnection(config, options = {}) {
+  const settings = config.salesforce;
+  return new jsforce.Connection({
+    oauth2: {
+      loginUrl: loginUrl(settings),
+      clientId: settings.clientId,
+      clientSecret: settings.clientSecret,
+      redirectUri: settings.redirectUri || DEFAULT_REDIRECT_URI
+    },
+    ...options
+  });
+}
+
+// Salesforce expects login.salesforce.com or test.salesforce.com as the
+// audience, also for orgs with My Domain
+function jwtAudience(settings) {
+  if (settings.audience) return settings.audience;
+  return /test\.salesforce\.com|\.sandbox\.my\.salesforce\.com/.test(loginUrl(settings)) ?
+    'https://test.salesforce.com' :
+    'https://login.salesforce.com';
+}
+
+// JWT bearer flow: an assertion for `username` signed with the connected
+// app's private key. There is no refresh token; every refresh signs a new one.
+async function requestJwtToken(settings) {
+  requireSettings(settings, ['clientId', 'username', 'privateKeyFile'], 'jwt');
+
+  let privateKey;
+  try {
+    privateKey = fs.readFileSync(settings.privateKeyFile, 'utf8');
+  } catch (error) {
+    throw new AuthError('AUTH_NOT_CONFIGURED', `Unable to read the private key ${settings.privateKeyFile}: ${error.message}`);
+  }
+
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256' })}.${encode({
+    iss: settings.clientId,
+    sub: settings.username,
+    aud: jwtAudience(settings),
+    exp: Math.floor(Date.now() / 1000) + 180
+  })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url');
+
+  return new jsforce.OAuth2({ loginUrl: loginUrl(settings) }).requestToken({
+    grant_type: JWT_GRANT,
+    assertion: `${unsigned}.${signature}`
+  });
+}
+
+// Client credentials flow: the connected app's run-as user, through the
+// org's My Domain URL
+async function requestClientCredentialsToken(settings) {
+  requireSettings(settings, ['clientId', 'clientSecret'], 'client_credentials');
+  return new jsforce.OAuth2({
+    loginUrl: loginUrl(settings),
+    clientId: settings.clientId,
+    clientSecret: settings.clientSecret
+  }).requestToken({ grant_type: 'client_credentials' });
+}
+
+// A jsforce refreshFn that runs a token request again; jsforce calls it when
+// a request fails with INVALID_SESSION_ID and then retries the request
+function refreshWith(requestToken) {
+  return (conn, callback) => {
+    requestToken().then(
+      tokens => {
+        conn.instanceUrl = tokens.instance_url || conn.instanceUrl;
+        callback(undefined, tokens.access_token, tokens);
+      },
+      error => callback(error)
+    );
+  };
+}
+
+// A connection signed in with `tokens`. Connections passed in by callers
+// (tests) keep their own refresh handling.
+function sessionConnection(config, conn, tokens, refreshFn) {
+  if (conn) {
+    conn.accessToken = tokens.access_token;
+    conn.instanceUrl = tokens.instance_url || conn.instanceUrl;
+    if (tokens.refresh_token) conn.refreshToken = tokens.refresh_token;
+    return conn;
+  }
+  return createConnection(config, {
+    instanceUrl: tokens.instance_url || config.salesforce.instanceUrl,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    refreshFn
+  });
+}
+
+async function connectWithSavedLogin(config, conn, tokenStore) {
+  const account = tokenAccount(config);
+  const saved = tokenStore.get(account);
+  if (!saved?.refreshToken) {
+    throw new AuthError(
+      'LOGIN_REQUIRED',
+      'No Salesforce login saved: run "npm run login" to sign in with your browser, or set up the JWT bearer, client credentials or username/password flow in config.json'
+    );
+  }
+
+  // Without refreshFn, jsforce refreshes with the saved refresh token
+  conn = sessionConnection(config, conn, {
+    access_token: saved.accessToken,
+    instance_url: saved.instanceUrl,
+    refresh_token: saved.refreshToken
+  });
+  // Keep the newest access token (and a rotated refresh token) for the next run
+  const save = (accessToken, tokens = {}) => tokenStore.set(account, {
+    ...tokenStore.get(account),
+    accessToken,
+    instanceUrl: conn.instanceUrl,
+    refreshToken: tokens.refresh_token || conn.refreshToken
+  });
+  conn.on?.('refresh', save);
+
+  try {
+    if (!saved.accessToken) {
+      const tokens = await conn.oauth2.refreshToken(saved.refreshToken);
+      conn.accessToken = tokens.access_token;
+      conn.instanceUrl = tokens.instance_url || conn.instanceUrl;
+      save(tokens.access_token, tokens);
+    }
+    await conn.identity();
+  } catch (error) {
+    if (error.name === 'invalid_grant') {
+      throw new AuthError('LOGIN_REQUIRED', `The saved Salesforce login is no longer valid (${error.message}); run "npm run login" again`);
+    }
+    throw error;
+  }
+  return conn;
+}
+
+// Build a connection and sign it in with the configured flow. JWT bearer,
+// client credentials and saved logins refresh the session by themselves when
+// Salesforce answers INVALID_SESSION_ID; so does username/password (jsforce
+// logs in again). A pasted access token cannot be refreshed.
+async function getSalesforceConnection(config, { conn, onWarning, tokenStore = TokenStore.fromConfig(config) } = {}) {
+  const settings = config.salesforce;
+  const flow = authFlow(config);
+
+  switch (flow) {
+    case 'jwt':
+    case 'client_credentials': {
+      const requestToken = flow === 'jwt' ?
+        () => requestJwtToken(settings) :
+        () => requestClientCredentialsToken(settings);
+      return sessionConnection(config, conn, await requestToken(), refreshWith(requestToken));
+    }
+
+    case 'web_server':
+      requireSettings(settings, ['clientId'], flow);
+      return connectWithSavedLogin(config, conn, tokenStore);
+
+    case 'access_token': {
+      requireSettings(settings, ['accessToken', 'instanceUrl'], flow);
+      conn = conn || createConnection(config);
+      conn.accessToken = settings.accessToken;
+      conn.instanceUrl = settings.instanceUrl;
+
+      // Test the connection
+      await conn.identity();
+      return conn;
+    }
+
+    default: {
+      requireSettings(settings, ['username', 'password'], flow);
+      if (onWarning) {
+        onWarning('Using username/password authentication. Consider switching to OAuth for better security.');
+      }
+      conn = conn || createConnection(config);
+      await conn.login(settings.username, settings.password);
+      return conn;
+    }
+  }
+}
+
+// Serve `redirectUri` until Salesforce redirects the browser back to it with
+// the authorization code for `state`
+function waitForCallback(redirectUri, state, { onListening, timeoutMs }) {
+  const callback = new URL(redirectUri);
+  const page = message => `<!DOCTYPE html><html><body><h2>${message}</h2><p>You can close this window.</p></body></html>`;
+
+  return new Promise((resolve, reject) => {
+    let timer;
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, redirectUri);
+      if (url.pathname !== callback.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+
+      let outcome;
+      if (url.searchParams.get('state') !== state) {
+        outcome = new AuthError('LOGIN_FAILED', 'The login callback had an unexpected state parameter');
+      } else if (url.searchParams.get('error')) {
+        outcome = new AuthError('LOGIN_FAILED', `Salesforce refused the login: ${url.searchParams.get('error_description') || url.searchParams.get('error')}`);
+      } else if (!url.searchParams.get('code')) {
+        outcome = new AuthError('LOGIN_FAILED', 'The login callback had no authorization code');
+      } else {
+        outcome = url.searchParams.get('code');
+      }
+
+      const failed = outcome instanceof Error;
+      // Close the browser's connection so the server can stop right away
+      res.writeHead(failed ? 400 : 200, { 'Content-Type': 'text/html; charset=utf-8', Connection: 'close' });
+      res.end(page(failed ? 'Salesforce login failed' : 'Salesforce login complete'));
+      finish(failed ? outcome : null, outcome);
+    });
+
+    const finish = (error, code) => {
+      clearTimeout(timer);
+      server.close();
+      if (error) reject(error);
+      else resolve(code);
+    };
+
+    server.once('error', error => finish(new AuthError('LOGIN_FAILED', `Unable to listen on ${redirectUri}: ${error.message}`)));
+    server.listen(Number(callback.port) || 80, callback.hostname.replace(/^\[|\]$/g, ''), () => {
+      timer = setTimeout(() => finish(new AuthError('LOGIN_TIMEOUT', `No login within ${Math.round(timeoutMs / 1000)} seconds`)), timeoutMs);
+      Promise.resolve(onListening()).catch(error => finish(error));
+    });
+  });
+}
+
+// Web server flow for the first login: serve the local callback on
+// `salesforce.redirectUri`, hand the authorization URL to `openUrl` (the
+// CLI prints it) and save the refresh token Salesforce returns
+async function webServerLogin(config, { openUrl, timeoutMs = DEFAULT_LOGIN_TIMEOUT_MS, tokenStore = TokenStore.fromConfig(config) } = {}) {
+  const settings = config.salesforce;
+  requireSettings(settings, ['clientId'], 'web_server');
+  const redirectUri = settings.redirectUri || DEFAULT_REDIRECT_URI;
+  const { protocol, hostname } = new URL(redirectUri);
+  if (protocol !== 'http:' || !['localhost', '127.0.0.1', '[::1]'].includes(hostname)) {
+    throw new AuthError('AUTH_NOT_CONFIGURED', `salesforce.redirectUri must be an http://localhost URL for the login callback, not ${redirectUri}`);
+  }
+
+  const oauth2 = new jsforce.OAuth2({
+    loginUrl: loginUrl(settings),
+    clientId: settings.clientId,
+    clientSecret: settings.clientSecret,
+    redirectUri,
+    useVerifier: true
+  });
+  const state = crypto.randomBytes(16).toString('hex');
+  const code = await waitForCallback(redirectUri, state, {
+    onListening: () => openUrl(oauth2.getAuthorizationUrl({ scope: 'api refresh_token', state })),
+    timeoutMs
+  });
+
+  const tokens = await oauth2.requestToken(code);
+  if (!tokens.refresh_token) {
+    throw new AuthError('LOGIN_FAILED', 'Salesforce returned no refresh token; add the "Perform requests at any time (refresh_token, offline_access)" scope to the connected app');
+  }
+  tokenStore.set(tokenAccount(config), {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    instanceUrl: tokens.instance_url,
+    identityUrl: tokens.id
+  });
+  return tokens;
+}
+
+// Revoke the saved refresh token and remove it from the token file
+async function logout(config, { tokenStore = TokenStore.fromConfig(config) } = {}) {
+  const account = tokenAccount(config);
+  const saved = tokenStore.get(account);
+  if (!saved) return false;
+
+  try {
+    await new jsforce.OAuth2({ loginUrl: loginUrl(config.salesforce) }).revokeToken(saved.refreshToken);
+  } finally {
+    tokenStore.delete(account);
+  }
+  return true;
+}
+
+module.exports = {
+  AUTH_FLOWS,
+  FLOW_LABELS,
+  DEFAULT_TOKEN_FILE,
+  AuthError,
+  TokenStore,
+  authFlow,
+  tokenAccount,
+  createConnection,
+  getSalesforceConnection,
+  webServerLogin,
+  logout
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+// Read and validate config.json. Throws instead of exiting so that callers
+// (CLI, MCP server, tests) can decide how to report the problem.
+// Offline runs pass { requireSalesforce: false }.
+function loadConfig(configPath = DEFAULT_CONFIG_PATH, { requireSalesforce = true } = {}) {
+  let config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read configuration from ${configPath}: ${error.message}`);
+  }
+
+  if (requireSalesforce) {
+    validateConfig(config);
+  }
+  return config;
+}
+
+function validateConfig(config) {
+  if (!config || !config.salesforce || !config.salesforce.instanceUrl || !config.salesforce.clientId) {
+    throw new Error('Missing required Salesforce configuration');
+  }
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  validateConfig
+};
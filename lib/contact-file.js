@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { getObjectProfile } = require('./objects');
+const { DEFAULT_FIELD_MAPPING, FIELD_SPECS, selectFields } = require('./field-mapping');
+
+// Columns appended to the original ones when results are written as CSV
+const RESULT_COLUMNS = ['Verification Status', 'Verification Confidence', 'Verification Issues', 'Verification Notes'];
+
+// Report headers that are not the field label derived from the API name
+// (see fieldLabel), per object
+const SHARED_ALIASES = {
+  'last modified date': 'LastModifiedDate',
+  'created date': 'CreatedDate'
+};
+
+const HEADER_ALIASES = {
+  Contact: {
+    ...SHARED_ALIASES,
+    'account name': 'Account.Name',
+    'contact id': 'Id',
+    'full name': 'Name',
+    'billing country': 'Account.BillingCountry',
+    'mobile': 'MobilePhone'
+  },
+  Lead: {
+    ...SHARED_ALIASES,
+    'lead id': 'Id',
+    'full name': 'Name',
+    'company / account': 'Company',
+    'mobile': 'MobilePhone'
+  },
+  Account: {
+    ...SHARED_ALIASES,
+    'account id': 'Id',
+    'account name': 'Name',
+    'billing street': 'BillingStreet',
+    'billing city': 'BillingCity',
+    'billing state/province': 'BillingState',
+    'billing zip/postal code': 'BillingPostalCode',
+    'billing country': 'BillingCountry'
+  }
+};
+
+// The label Salesforce reports show for a field path:
+// FirstName → "first name", Account.Name → "account name",
+// Last_Verified__c → "last verified"
+function fieldLabel(fieldPath) {
+  return fieldPath
+    .replace(/__c\b/gi, '')
+    .replace(/[._]/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase();
+}
+
+// Headers may be API names, which Data Loader exports upper-case
+// ("ACCOUNT.NAME"), or field labels as in Salesforce report exports. The
+// verification fields are those of `fieldMapping`, which also answer to
+// their usual labels ("Last Verified") whatever their API names.
+function headerLookup(profile, fieldMapping = DEFAULT_FIELD_MAPPING) {
+  const fields = selectFields(profile.name, fieldMapping);
+  return new Map([
+    ...Object.entries(fieldMapping).map(([key, field]) => [FIELD_SPECS[key].label.toLowerCase(), field]),
+    ...fields.map(field => [fieldLabel(field), field]),
+    ...fields.map(field => [field.toLowerCase(), field]),
+    ...Object.entries(HEADER_ALIASES[profile.name])
+  ]);
+}
+
+function formatFor(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.json') return 'json';
+  throw new Error(`Unsupported file type "${extension || filePath}" - use .csv or .json`);
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+function formatCsv(rows) {
+  return rows
+    .map(cells => cells.map(cell => {
+      const value = cell === null || cell === undefined ? '' : String(cell);
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Turn a flat export row ({ 'Account.Name': 'Acme' }) into the nested shape
+// getRecords returns ({ Account: { Name: 'Acme' } })
+function toContact(row, index, object = 'Contact', fieldMapping = DEFAULT_FIELD_MAPPING) {
+  const fieldByHeader = headerLookup(getObjectProfile(object), fieldMapping);
+  const contact = {};
+
+  Object.entries(row).forEach(([header, rawValue]) => {
+    const key = header.trim();
+    const field = fieldByHeader.get(key.toLowerCase()) || key;
+    const value = rawValue === '' || rawValue === undefined ? null : rawValue;
+
+    // Nested JSON exports already have the right shape
+    if (value !== null && typeof value === 'object') {
+      contact[field] = value.attributes ? (({ attributes, ...rest }) => rest)(value) : value;
+      return;
+    }
+
+    const parts = field.split('.');
+    let target = contact;
+    parts.slice(0, -1).forEach(part => {
+      if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  });
+
+  delete contact.attributes;
+
+  if (!contact.Name && (contact.FirstName || contact.LastName)) {
+    contact.Name = [contact.FirstName, contact.LastName].filter(Boolean).join(' ');
+  }
+
+  // Rows without an Id (e.g. data prepared for an import) still need a key
+  if (!contact.Id) {
+    contact.Id = `row-${index + 1}`;
+  }
+
+  return contact;
+}
+
+// Read contacts (or the records of `object`) from a CSV or JSON export. JSON
+// may be an array of records, a query result ({ records }) or CLI output
+// ({ result: { records } }). Returns { format, columns, rows, contacts }
+// where rows keeps the original values for writing back out. `fieldMapping`
+// names the org's verification fields (see lib/field-mapping.js).
+function readContactsFile(filePath, { object = 'Contact', fieldMapping = DEFAULT_FIELD_MAPPING } = {}) {
+  const format = formatFor(filePath);
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  let columns;
+  let rows;
+  if (format === 'csv') {
+    const [header = [], ...lines] = parseCsv(text);
+    columns = header.map(column => column.trim());
+    rows = lines.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+  } else {
+    const data = JSON.parse(text);
+    rows = Array.isArray(data) ? data : data.records || data.result?.records;
+    if (!Array.isArray(rows)) {
+      throw new Error(`${filePath} does not contain an array of records`);
+    }
+    columns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => column !== 'attributes');
+  }
+
+  return { format, columns, rows, contacts: rows.map((row, index) => toContact(row, index, object, fieldMapping)) };
+}
+
+// Write verification results next to the original data. `entries` pairs each
+// original row with its result: [{ row, result }].
+function writeResultsFile(filePath, entries, { columns } = {}) {
+  const format = formatFor(filePath);
+
+  if (format === 'json') {
+    const records = entries.map(({ row, result }) => ({
+      ...row,
+      verification: {
+        status: result.status,
+        confidence: result.confidence,
+        issues: result.issues,
+        recommendations: result.recommendations,
+        fieldUpdates: result.fieldUpdates || {},
+        notes: result.notes
+      }
+    }));
+    fs.writeFileSync(filePath, JSON.stringify(records, null, 2));
+    return;
+  }
+
+  const originalColumns = columns || [...new Set(entries.flatMap(({ row }) => Object.keys(row)))];
+  const flatten = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+  const lines = entries.map(({ row, result }) => [
+    ...originalColumns.map(column => flatten(row[column])),
+    result.status,
+    result.confidence.toFixed(2),
+    result.issues.join('; '),
+    result.notes
+  ]);
+
+  fs.writeFileSync(filePath, formatCsv([[...originalColumns, ...RESULT_COLUMNS], ...lines]));
+}
+
+module.exports = {
+  RESULT_COLUMNS,
+  parseCsv,
+  formatCsv,
+  toContact,
+  readContactsFile,
+  writeResultsFile
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const dns = require('dns').promises;
+
+// Negative answers that are safe to cache; anything else (timeouts, SERVFAIL)
+// is transient and retried on the next lookup
+const CACHEABLE_ERRORS = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+const CACHE_FILE_VERSION = 1;
+
+// Caches MX and A/AAAA lookups per domain, so contacts sharing a company
+// domain cost one DNS round trip. Concurrent lookups for the same domain are
+// coalesced into a single query. Implements the subset of dns.promises used by
+// lib/email.js, so it can be passed as the `resolver`.
+class DnsCache {
+  constructor({
+    resolver = dns,
+    file = null,
+    defaultTtlSeconds = 3600,
+    negativeTtlSeconds = 300,
+    maxTtlSeconds = 86400,
+    now = () => Date.now()
+  } = {}) {
+    this.resolver = resolver;
+    this.now = now;
+    this.file = file;
+    this.defaultTtlMs = defaultTtlSeconds * 1000;
+    this.negativeTtlMs = negativeTtlSeconds * 1000;
+    this.maxTtlMs = maxTtlSeconds * 1000;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.stats = { hits: 0, misses: 0, coalesced: 0 };
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  resolveMx(domain) {
+    // Node does not expose TTLs for MX answers; the default TTL applies
+    return this.lookup('MX', domain, async () => ({ value: await this.resolver.resolveMx(domain) }));
+  }
+
+  resolve4(domain) {
+    return this.lookup('A', domain, () => this.resolveWithTtl('resolve4', domain));
+  }
+
+  resolve6(domain) {
+    return this.lookup('AAAA', domain, () => this.resolveWithTtl('resolve6', domain));
+  }
+
+  // A/AAAA answers carry their TTL; keep the shortest one for the record set
+  async resolveWithTtl(method, domain) {
+    const records = await this.resolver[method](domain, { ttl: true });
+    const ttls = records.map(record => record.ttl).filter(ttl => typeof ttl === 'number');
+    return {
+      value: records.map(record => (typeof record === 'string' ? record : record.address)),
+      ttlMs: ttls.length > 0 ? Math.min(...ttls) * 1000 : undefined
+    };
+  }
+
+  async lookup(type, domain, query) {
+    const key = `${type}:${domain.toLowerCase()}`;
+    const cached = this.entries.get(key);
+
+    if (cached && cached.expires > this.now()) {
+      this.stats.hits++;
+      return unwrap(cached);
+    }
+
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      return this.inflight.get(key);
+    }
+
+    this.stats.misses++;
+    const pending = this.query(key, query).finally(() => this.inflight.delete(key));
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  async query(key, query) {
+    try {
+      const { value, ttlMs } = await query();
+      this.entries.set(key, {
+        value,
+        expires: this.now() + Math.min(ttlMs ?? this.defaultTtlMs, this.maxTtlMs)
+      });
+      return value;
+    } catch (error) {
+      if (CACHEABLE_ERRORS.includes(error.code)) {
+        this.entries.set(key, {
+          error: { code: error.code, message: error.message },
+          expires: this.now() + this.negativeTtlMs
+        });
+      }
+      throw error;
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data.version !== CACHE_FILE_VERSION) return;
+
+      const now = this.now();
+      Object.entries(data.entries || {}).forEach(([key, entry]) => {
+        if (entry.expires > now) {
+          this.entries.set(key, entry);
+        }
+      });
+    } catch (error) {
+      // A corrupt cache file is not worth failing a run over; start empty
+      this.entries.clear();
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+
+    const now = this.now();
+    const entries = {};
+    this.entries.forEach((entry, key) => {
+      if (entry.expires > now) {
+        entries[key] = entry;
+      }
+    });
+
+    fs.writeFileSync(this.file, JSON.stringify({ version: CACHE_FILE_VERSION, entries }, null, 2));
+  }
+}
+
+function unwrap(entry) {
+  if (entry.error) {
+    const error = new Error(entry.error.message);
+    error.code = entry.error.code;
+    return Promise.reject(error);
+  }
+  return Promise.resolve(entry.value);
+}
+
+module.exports = {
+  DnsCache,
+  CACHEABLE_ERRORS
+};
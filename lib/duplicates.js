@@ -0,0 +1,140 @@
+const { analyzePhone } = require('./phone');
+
+// Mailbox providers that ignore dots and "+tag" suffixes in the local part
+const DOT_INSENSITIVE_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+
+  const [localPart, domain] = email.trim().toLowerCase().split('@');
+  if (!localPart || !domain) return null;
+
+  let local = localPart.replace(/\+.*$/, '');
+  if (DOT_INSENSITIVE_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+  }
+  return `${local}@${domain === 'googlemail.com' ? 'gmail.com' : domain}`;
+}
+
+function normalizePhone(phone, country) {
+  if (!phone) return null;
+
+  const analysis = analyzePhone(phone, { defaultCountry: country });
+  if (analysis.valid) return analysis.e164;
+  if (analysis.placeholder) return null;
+
+  // Unparseable numbers still match when their last ten digits agree
+  const digits = phone.replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+// Score how likely two contacts are the same person and say why
+function scorePair(a, b, nameSimilarity) {
+  const nameScore = nameSimilarity(a.name, b.name);
+  const emailMatch = Boolean(a.email && a.email === b.email);
+  const phoneMatch = Boolean(a.phone && a.phone === b.phone);
+
+  const reasons = [];
+  let score = nameScore;
+
+  if (nameScore > 0) {
+    reasons.push(`name ${(nameScore * 100).toFixed(0)}% similar`);
+  }
+  if (emailMatch) {
+    score = Math.max(score, 0.9) + 0.1 * nameScore;
+    reasons.push('same email');
+  }
+  if (phoneMatch) {
+    score += 0.15;
+    reasons.push('same phone');
+  }
+
+  return { score: Math.min(1, score), reasons, emailMatch };
+}
+
+// Group contacts (or leads) into candidate duplicate clusters. Contacts are
+// compared within the same Account, and across Accounts (or without one, as
+// for leads) only when their normalized email addresses match. Returns
+// clusters sorted by score:
+//   [{ id, score, contactIds, pairs: [{ a, b, score, reasons }] }]
+function findDuplicateClusters(contacts, { nameSimilarity, threshold = 0.8 } = {}) {
+  if (typeof nameSimilarity !== 'function') {
+    throw new Error('findDuplicateClusters requires a nameSimilarity function');
+  }
+
+  const entries = contacts.map(contact => ({
+    id: contact.Id,
+    name: contact.Name,
+    accountId: contact.AccountId || null,
+    email: normalizeEmail(contact.Email),
+    phone: normalizePhone(contact.Phone, contact.Account?.BillingCountry ?? contact.Country)
+  }));
+
+  // Only pairs that share an account or an email are worth scoring
+  const buckets = new Map();
+  const addToBucket = (key, entry) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  };
+  entries.forEach(entry => {
+    if (entry.accountId) addToBucket(`account:${entry.accountId}`, entry);
+    if (entry.email) addToBucket(`email:${entry.email}`, entry);
+  });
+
+  const pairs = new Map();
+  buckets.forEach(bucket => {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = [bucket[i], bucket[j]].sort((x, y) => (x.id < y.id ? -1 : 1));
+        const key = `${a.id}|${b.id}`;
+        if (a.id === b.id || pairs.has(key)) continue;
+
+        const sameAccount = a.accountId && a.accountId === b.accountId;
+        const { score, reasons, emailMatch } = scorePair(a, b, nameSimilarity);
+        if (score >= threshold && (sameAccount || emailMatch)) {
+          pairs.set(key, { a: a.id, b: b.id, score, reasons: sameAccount ? reasons : [...reasons, 'different accounts'] });
+        }
+      }
+    }
+  });
+
+  // Union-find over matching pairs to form clusters
+  const parent = new Map();
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  pairs.forEach(({ a, b }) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  });
+
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.a);
+    if (!clusters.has(root)) clusters.set(root, { contactIds: new Set(), pairs: [] });
+    const cluster = clusters.get(root);
+    cluster.contactIds.add(pair.a);
+    cluster.contactIds.add(pair.b);
+    cluster.pairs.push(pair);
+  });
+
+  return [...clusters.values()]
+    .map(cluster => ({
+      contactIds: [...cluster.contactIds].sort(),
+      score: Math.max(...cluster.pairs.map(pair => pair.score)),
+      pairs: cluster.pairs.sort((x, y) => y.score - x.score)
+    }))
+    .sort((x, y) => y.score - x.score)
+    .map((cluster, index) => ({ id: `DUP-${index + 1}`, ...cluster }));
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  findDuplicateClusters
+};
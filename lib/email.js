@@ -0,0 +1,295 @@
+const { domainToASCII } = require('url');
+const { probeMailbox } = require('./smtp-probe');
+
+// Reason codes attached to every email outcome so reports can group them
+const EMAIL_REASONS = {
+  VALIDATION_DISABLED: 'Email validation disabled',
+  INVALID_SYNTAX: 'Invalid email format',
+  DOMAIN_TYPO: 'Email domain looks like a typo',
+  DISPOSABLE_DOMAIN: 'Disposable email domain',
+  FREE_MAIL_DOMAIN: 'Free webmail domain',
+  ROLE_ACCOUNT: 'Role account rather than a personal mailbox',
+  DOMAIN_NOT_FOUND: 'Email domain does not exist',
+  NO_MAIL_SERVER: 'No MX or A/AAAA records found for domain',
+  DNS_ERROR: 'DNS lookup failed',
+  MX_VALID: 'Domain has valid MX records',
+  A_RECORD_VALID: 'Domain has no MX records but accepts mail on its A/AAAA address',
+  MAILBOX_ACCEPTED: 'Mail server accepted the mailbox',
+  MAILBOX_REJECTED: 'Mail server rejected the mailbox',
+  CATCH_ALL: 'Mail server accepts any address (catch-all); mailbox not confirmed',
+  SMTP_UNVERIFIABLE: 'Mail server could not be probed'
+};
+
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+  'mailinator.com', 'maildrop.cc', 'yopmail.com', 'temp-mail.org', 'tempmail.com',
+  'throwawaymail.com', 'trashmail.com', 'getnada.com', 'dispostable.com',
+  'fakeinbox.com', 'mintemail.com', 'mohmal.com', 'emailondeck.com', 'spamgourmet.com'
+];
+
+const FREE_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+  'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me',
+  'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'yandex.com', 'yandex.ru',
+  'mail.ru', 'zoho.com', 'comcast.net', 'qq.com', '163.com'
+];
+
+const ROLE_ACCOUNTS = [
+  'admin', 'administrator', 'billing', 'careers', 'contact', 'enquiries',
+  'help', 'hello', 'hr', 'info', 'inquiries', 'jobs', 'marketing', 'media',
+  'no-reply', 'noreply', 'office', 'orders', 'postmaster', 'press', 'sales',
+  'security', 'service', 'support', 'team', 'webmaster'
+];
+
+// Misspelled top-level domains and the one that was meant
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', comm: 'com', vom: 'com', xom: 'com', cpm: 'com', coom: 'com',
+  nte: 'net', ner: 'net', nett: 'net',
+  ogr: 'org', orgg: 'org', rog: 'org'
+};
+
+const ATEXT = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]";
+const DOT_ATOM = new RegExp(`^${ATEXT}+(?:\\.${ATEXT}+)*$`);
+const QUOTED_STRING = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+// RFC 5322 addr-spec check (dot-atom or quoted-string local part) with the
+// RFC 5321 length limits. Domain literals are rejected since a CRM contact
+// should never have one.
+function checkSyntax(email) {
+  if (typeof email !== 'string' || email.length > 254) {
+    return { valid: false, reason: 'Address is empty or longer than 254 characters' };
+  }
+
+  const at = email.lastIndexOf('@');
+  if (at < 1 || at === email.length - 1) {
+    return { valid: false, reason: 'Address must contain a local part and a domain' };
+  }
+
+  const localPart = email.slice(0, at);
+  const rawDomain = email.slice(at + 1);
+
+  if (localPart.length > 64) {
+    return { valid: false, reason: 'Local part is longer than 64 characters' };
+  }
+  if (!DOT_ATOM.test(localPart) && !QUOTED_STRING.test(localPart)) {
+    return { valid: false, reason: 'Local part contains invalid characters or dots' };
+  }
+  if (rawDomain.startsWith('[')) {
+    return { valid: false, reason: 'Domain literals are not supported' };
+  }
+
+  // Internationalized domains are checked in their punycode form
+  const domain = domainToASCII(rawDomain).toLowerCase();
+  const labels = domain.split('.');
+  if (!domain || labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) {
+    return { valid: false, reason: 'Domain is not a valid host name' };
+  }
+  if (!/^(?:[a-z]{2,}|xn--[a-z0-9-]+)$/.test(labels[labels.length - 1])) {
+    return { valid: false, reason: 'Domain has an invalid top-level domain' };
+  }
+
+  return { valid: true, localPart, domain };
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Suggest the domain that was probably meant, e.g. gmial.com → gmail.com.
+// Real domains are often one letter away from a webmail domain (ge.com,
+// aon.com), so only trust this for a domain that turned out to take no mail.
+function suggestDomain(domain, knownDomains = FREE_MAIL_DOMAINS) {
+  if (knownDomains.includes(domain)) return null;
+
+  let best = null;
+  let bestDistance = Infinity;
+  knownDomains.forEach(candidate => {
+    const distance = editDistance(domain, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  const maxDistance = domain.length > 8 ? 2 : 1;
+  if (best && bestDistance <= maxDistance) {
+    return best;
+  }
+
+  const labels = domain.split('.');
+  const fixedTld = TLD_TYPOS[labels[labels.length - 1]];
+  if (fixedTld) {
+    return [...labels.slice(0, -1), fixedTld].join('.');
+  }
+
+  return null;
+}
+
+// The address that was probably meant, e.g. jane@gmial.com → jane@gmail.com,
+// or null. Needs no DNS, so it cannot tell a typo from a real domain.
+function suggestEmail(email, knownDomains = FREE_MAIL_DOMAINS) {
+  const syntax = checkSyntax(email);
+  if (!syntax.valid) return null;
+
+  const suggestion = suggestDomain(syntax.domain, knownDomains);
+  return suggestion ? `${syntax.localPart}@${suggestion}` : null;
+}
+
+function isMissingRecord(error) {
+  return ['ENODATA', 'ENOTFOUND', 'NXDOMAIN'].includes(error.code);
+}
+
+// Resolve where mail for `domain` would be delivered: MX records first, then
+// the implicit MX of RFC 5321 section 5.1 (the domain's own A/AAAA records).
+async function resolveMailHosts(domain, resolver) {
+  try {
+    const mxRecords = await resolver.resolveMx(domain);
+    if (mxRecords && mxRecords.length > 0) {
+      const hosts = mxRecords
+        .filter(mx => mx.exchange && mx.exchange !== '.')
+        .sort((a, b) => a.priority - b.priority)
+        .map(mx => mx.exchange);
+
+      // A single "." exchange is a null MX (RFC 7505): the domain takes no mail
+      return hosts.length > 0 ? { code: 'MX_VALID', hosts } : { code: 'NO_MAIL_SERVER', hosts: [] };
+    }
+  } catch (error) {
+    if (error.code === 'ENOTFOUND' || error.code === 'NXDOMAIN') {
+      return { code: 'DOMAIN_NOT_FOUND', hosts: [] };
+    }
+    if (!isMissingRecord(error)) {
+      return { code: 'DNS_ERROR', hosts: [], error: error.code || error.message };
+    }
+  }
+
+  for (const method of ['resolve4', 'resolve6']) {
+    try {
+      const addresses = await resolver[method](domain);
+      if (addresses && addresses.length > 0) {
+        return { code: 'A_RECORD_VALID', hosts: [domain] };
+      }
+    } catch (error) {
+      if (!isMissingRecord(error)) {
+        return { code: 'DNS_ERROR', hosts: [], error: error.code || error.message };
+      }
+    }
+  }
+
+  return { code: 'NO_MAIL_SERVER', hosts: [] };
+}
+
+function outcome(code, extra = {}) {
+  const reason = extra.detail ? `${EMAIL_REASONS[code]}: ${extra.detail}` : EMAIL_REASONS[code];
+  const { detail, ...rest } = extra;
+  return { code, reason, ...rest };
+}
+
+// Run every email check and return
+//   { valid, code, reason, warnings: [{ code, reason }], suggestion, domain, mailHosts }
+// `valid` is true/false, or null when the address could not be checked.
+// `code` is the primary outcome; `warnings` are additional non-fatal findings.
+async function verifyEmail(email, {
+  resolver = require('dns').promises,
+  disposableDomains = [],
+  freeMailDomains = [],
+  roleAccounts = [],
+  smtpProbe = false,
+  smtp = {},
+  probe = probeMailbox
+} = {}) {
+  const syntax = checkSyntax(email);
+  if (!syntax.valid) {
+    return { valid: false, warnings: [], ...outcome('INVALID_SYNTAX', { detail: syntax.reason }) };
+  }
+
+  const { localPart, domain } = syntax;
+  const freeMail = [...FREE_MAIL_DOMAINS, ...freeMailDomains];
+  const problems = [];
+  const warnings = [];
+
+  if ([...DISPOSABLE_DOMAINS, ...disposableDomains].includes(domain)) {
+    problems.push(outcome('DISPOSABLE_DOMAIN', { detail: domain }));
+  } else if (freeMail.includes(domain)) {
+    warnings.push(outcome('FREE_MAIL_DOMAIN', { detail: domain }));
+  }
+
+  if ([...ROLE_ACCOUNTS, ...roleAccounts].includes(localPart.toLowerCase().replace(/\+.*$/, ''))) {
+    problems.push(outcome('ROLE_ACCOUNT', { detail: localPart }));
+  }
+
+  const mail = await resolveMailHosts(domain, resolver);
+  const dnsError = mail.code === 'DNS_ERROR' ? outcome('DNS_ERROR', { detail: mail.error }) : null;
+  const noMail = !dnsError && mail.hosts.length === 0;
+
+  // A near-miss of a webmail domain is only a typo if the domain takes no
+  // mail; otherwise it is probably a real company domain
+  const typo = noMail ? suggestDomain(domain, freeMail) : null;
+  if (typo) {
+    problems.unshift(outcome('DOMAIN_TYPO', { detail: `did you mean ${typo}?`, suggestion: `${localPart}@${typo}` }));
+  }
+  if (noMail) {
+    problems.push(outcome(mail.code, { detail: domain }));
+  }
+
+  const result = {
+    domain,
+    mailHosts: mail.hosts,
+    suggestion: typo ? `${localPart}@${typo}` : null,
+    warnings
+  };
+
+  if (problems.length > 0) {
+    return { ...result, valid: false, ...problems[0], warnings: [...problems.slice(1), ...(dnsError ? [dnsError] : []), ...warnings] };
+  }
+
+  // DNS could not tell us either way
+  if (dnsError) {
+    return { ...result, valid: null, ...dnsError };
+  }
+
+  // MX_VALID, or A_RECORD_VALID for a domain without MX records
+  const deliverable = outcome(mail.code);
+  if (!smtpProbe) {
+    return { ...result, valid: true, ...deliverable };
+  }
+
+  const probeResult = await probe(email, mail.hosts, smtp);
+  const probeDetail = probeResult.response ? { detail: probeResult.response } : {};
+  switch (probeResult.status) {
+    case 'accepted':
+      return { ...result, valid: true, ...outcome('MAILBOX_ACCEPTED') };
+    case 'catch-all':
+      return { ...result, valid: true, ...deliverable, warnings: [...warnings, outcome('CATCH_ALL')] };
+    case 'rejected':
+      return { ...result, valid: false, ...outcome('MAILBOX_REJECTED', probeDetail) };
+    default:
+      return { ...result, valid: true, ...deliverable, warnings: [...warnings, outcome('SMTP_UNVERIFIABLE', probeDetail)] };
+  }
+}
+
+module.exports = {
+  EMAIL_REASONS,
+  DISPOSABLE_DOMAINS,
+  FREE_MAIL_DOMAINS,
+  ROLE_ACCOUNTS,
+  checkSyntax,
+  suggestDomain,
+  suggestEmail,
+  resolveMailHosts,
+  verifyEmail
+};
@@ -0,0 +1,146 @@
+const { SUPPORTED_OBJECTS, getObjectProfile } = require('./objects');
+
+// API names of the custom fields results are written to. Orgs whose fields
+// come from a managed package (ns__Last_Verified__c) or use other names set
+// them in the `fieldMapping` section of config.json:
+//
+//   "fieldMapping": {
+//     "lastVerified": "acme__Last_Verified__c",
+//     "Lead": { "notes": "Lead_Verification_Notes__c" }
+//   }
+//
+// Settings under an object name override the shared ones for that object.
+const DEFAULT_FIELD_MAPPING = {
+  lastVerified: 'Last_Verified__c',
+  status: 'Verification_Status__c',
+  notes: 'Verification_Notes__c',
+  sourceUrl: 'Source_URL__c'
+};
+
+// Values the verifier writes to the status field
+const REQUIRED_STATUS_VALUES = ['CONFIRMED', 'NEEDS_REVIEW', 'OUTDATED'];
+// Written when a record could not be verified; without it those updates fail
+const OPTIONAL_STATUS_VALUES = ['ERROR'];
+
+// Field types each mapped field may have. Text fields accept any status value.
+const FIELD_SPECS = {
+  lastVerified: { label: 'Last Verified', types: ['date', 'datetime'], required: true },
+  status: { label: 'Verification Status', types: ['picklist', 'string'], required: true },
+  notes: { label: 'Verification Notes', types: ['textarea', 'string'], required: true },
+  // Not written by the verifier itself, so a missing field is only a warning
+  sourceUrl: { label: 'Source URL', types: ['url', 'string'], required: false }
+};
+
+const API_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+class FieldMappingError extends Error {
+  constructor(object, problems) {
+    super(`Field mapping for ${object} does not match the org:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'FieldMappingError';
+    this.errorCode = 'FIELD_MAPPING_INVALID';
+    this.object = object;
+    this.problems = problems;
+  }
+}
+
+// The mapping that applies to `object`, checked for unknown keys and
+// malformed API names
+function resolveFieldMapping(config = {}, object = 'Contact') {
+  const profile = getObjectProfile(object);
+  const configured = config?.fieldMapping || {};
+
+  Object.entries(configured).forEach(([key, value]) => {
+    if (SUPPORTED_OBJECTS.includes(key)) return;
+    if (!(key in DEFAULT_FIELD_MAPPING)) {
+      throw new Error(`Unknown fieldMapping key "${key}" (expected ${[...Object.keys(DEFAULT_FIELD_MAPPING), ...SUPPORTED_OBJECTS].join(', ')})`);
+    }
+    assertApiName(key, value);
+  });
+  Object.entries(configured[profile.name] || {}).forEach(([key, value]) => {
+    if (!(key in DEFAULT_FIELD_MAPPING)) {
+      throw new Error(`Unknown fieldMapping.${profile.name} key "${key}"`);
+    }
+    assertApiName(`${profile.name}.${key}`, value);
+  });
+
+  const shared = Object.fromEntries(Object.entries(configured).filter(([key]) => key in DEFAULT_FIELD_MAPPING));
+  return { ...DEFAULT_FIELD_MAPPING, ...shared, ...configured[profile.name] };
+}
+
+function assertApiName(key, value) {
+  if (typeof value !== 'string' || !API_NAME_PATTERN.test(value)) {
+    throw new Error(`fieldMapping.${key} must be a field API name (got ${JSON.stringify(value)})`);
+  }
+}
+
+// Fields to query for an object: its standard fields plus the mapped
+// verification fields the selection filters on
+function selectFields(object, mapping = DEFAULT_FIELD_MAPPING) {
+  const profile = getObjectProfile(object);
+  return [...new Set([...profile.select, mapping.lastVerified, mapping.status])];
+}
+
+// Compare the mapping with the object's describe() result. Returns
+// { errors, warnings }; errors mean writes would fail.
+function checkFieldMapping(describeResult, mapping, object = describeResult.name) {
+  const errors = [];
+  const warnings = [];
+  const fields = new Map(describeResult.fields.map(field => [field.name.toLowerCase(), field]));
+
+  Object.entries(FIELD_SPECS).forEach(([key, spec]) => {
+    const apiName = mapping[key];
+    const field = fields.get(apiName.toLowerCase());
+    const report = spec.required ? errors : warnings;
+
+    if (!field) {
+      report.push(`${object}.${apiName} (${spec.label}) does not exist`);
+      return;
+    }
+    if (!spec.types.includes(field.type)) {
+      report.push(`${object}.${apiName} (${spec.label}) is a ${field.type} field; expected ${spec.types.join(' or ')}`);
+      return;
+    }
+    if (field.updateable === false) {
+      report.push(`${object}.${apiName} (${spec.label}) is not editable by this user`);
+    }
+
+    if (key === 'status' && field.type === 'picklist') {
+      const values = (field.picklistValues || []).filter(value => value.active !== false).map(value => value.value);
+      const missing = REQUIRED_STATUS_VALUES.filter(value => !values.includes(value));
+      if (missing.length > 0) {
+        errors.push(`${object}.${apiName} is missing picklist values: ${missing.join(', ')}`);
+      }
+      const missingOptional = OPTIONAL_STATUS_VALUES.filter(value => !values.includes(value));
+      if (missingOptional.length > 0) {
+        warnings.push(`${object}.${apiName} has no ${missingOptional.join(', ')} value; records that fail verification cannot be marked`);
+      }
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// Describe the object and check the mapping against it. Throws a
+// FieldMappingError listing every problem; resolves to the warnings.
+async function validateFieldMapping(conn, object, mapping) {
+  const profile = getObjectProfile(object);
+  const describeResult = await conn.sobject(profile.name).describe();
+  const { errors, warnings } = checkFieldMapping(describeResult, mapping, profile.name);
+
+  if (errors.length > 0) {
+    throw new FieldMappingError(profile.name, errors);
+  }
+  return warnings;
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPING,
+  FIELD_SPECS,
+  REQUIRED_STATUS_VALUES,
+  OPTIONAL_STATUS_VALUES,
+  FieldMappingError,
+  resolveFieldMapping,
+  selectFields,
+  checkFieldMapping,
+  validateFieldMapping
+};
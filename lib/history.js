@@ -0,0 +1,215 @@
+const { QueryBuilder, queryAll, assertSalesforceId } = require('./query-builder');
+const { getObjectProfile } = require('./objects');
+const { formatErrors, MAX_COLLECTION_SIZE } = require('./writeback');
+
+// Every verification written to Salesforce also becomes a child record of
+// this object, so earlier results survive the next run. The verification
+// fields on the record itself keep only the latest result.
+const HISTORY_OBJECT = 'Contact_Verification__c';
+
+// Lookup from a history record to the verified record, by verified object
+const PARENT_FIELDS = {
+  Contact: 'Contact__c',
+  Lead: 'Lead__c',
+  Account: 'Account__c'
+};
+
+// Custom fields of the history object, as created by setup-fields.js
+const HISTORY_FIELDS = {
+  Contact__c: { type: 'Lookup', label: 'Contact', referenceTo: 'Contact', relationshipName: 'Contact_Verifications' },
+  Lead__c: { type: 'Lookup', label: 'Lead', referenceTo: 'Lead', relationshipName: 'Lead_Verifications' },
+  Account__c: { type: 'Lookup', label: 'Account', referenceTo: 'Account', relationshipName: 'Account_Verifications' },
+  Status__c: { type: 'Text', label: 'Status', length: 40 },
+  Previous_Status__c: { type: 'Text', label: 'Previous Status', length: 40 },
+  Confidence__c: { type: 'Percent', label: 'Confidence', precision: 5, scale: 2 },
+  Issues__c: { type: 'LongTextArea', label: 'Issues', length: 32768 },
+  Rule_Versions__c: { type: 'LongTextArea', label: 'Rule Versions', length: 32768 },
+  Run_Id__c: { type: 'Text', label: 'Run ID', length: 64 },
+  Source__c: { type: 'Text', label: 'Source', length: 255 },
+  Source_URL__c: { type: 'Url', label: 'Source URL' },
+  Verified_At__c: { type: 'DateTime', label: 'Verified At' },
+  Notes__c: { type: 'LongTextArea', label: 'Notes', length: 32768 }
+};
+
+const HISTORY_SELECT = ['Id', 'Name', ...Object.keys(HISTORY_FIELDS).filter(name => !Object.values(PARENT_FIELDS).includes(name))];
+
+class HistoryObjectError extends Error {
+  constructor(problems) {
+    super(`Verification history object ${HISTORY_OBJECT} is not usable:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'HistoryObjectError';
+    this.errorCode = 'HISTORY_OBJECT_INVALID';
+    this.problems = problems;
+  }
+}
+
+// History is on unless `history.enabled` is false in config.json
+function historyEnabled(config) {
+  return config?.history?.enabled !== false;
+}
+
+// CustomObject metadata for the history object
+function buildHistoryObjectMetadata() {
+  return {
+    fullName: HISTORY_OBJECT,
+    label: 'Contact Verification',
+    pluralLabel: 'Contact Verifications',
+    description: 'One verification result of a Contact, Lead or Account',
+    nameField: { type: 'AutoNumber', label: 'Verification Number', displayFormat: 'VER-{000000}' },
+    deploymentStatus: 'Deployed',
+    sharingModel: 'ReadWrite'
+  };
+}
+
+// CustomField metadata for one field of the history object
+function buildHistoryFieldMetadata(name) {
+  const { type, label, ...rest } = HISTORY_FIELDS[name];
+  const metadata = { fullName: `${HISTORY_OBJECT}.${name}`, label, type, ...rest };
+
+  if (type === 'Lookup') {
+    metadata.relationshipLabel = 'Verifications';
+    metadata.deleteConstraint = 'SetNull';
+  }
+  if (type === 'LongTextArea') {
+    metadata.visibleLines = 3;
+  }
+  return metadata;
+}
+
+// Related list of history records for the page layout of `object`
+function historyRelatedList(object) {
+  return {
+    fields: ['NAME', 'Verified_At__c', 'Status__c', 'Confidence__c', 'Run_Id__c'],
+    relatedList: `${HISTORY_OBJECT}.${PARENT_FIELDS[getObjectProfile(object).name]}`,
+    sortField: 'Verified_At__c',
+    sortOrder: 'Desc'
+  };
+}
+
+// Check that the history object has every field written for `object`
+async function validateHistoryObject(conn, object) {
+  const profile = getObjectProfile(object);
+  let describeResult;
+  try {
+    describeResult = await conn.sobject(HISTORY_OBJECT).describe();
+  } catch (error) {
+    throw new HistoryObjectError([`${HISTORY_OBJECT} does not exist or is not visible to this user (${error.message})`]);
+  }
+
+  const fields = new Map(describeResult.fields.map(field => [field.name, field]));
+  const problems = [PARENT_FIELDS[profile.name], ...HISTORY_SELECT.filter(name => name in HISTORY_FIELDS)]
+    .filter(name => !fields.has(name) || fields.get(name).createable === false)
+    .map(name => `${HISTORY_OBJECT}.${name} ${fields.has(name) ? 'cannot be set by this user' : 'does not exist'}`);
+
+  if (problems.length > 0) {
+    throw new HistoryObjectError(problems);
+  }
+}
+
+function truncate(value, length) {
+  return typeof value === 'string' && value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// History record for a verification result. `rules` is the rule engine's
+// describe() output; `runId` and `source` say which run and tool wrote it.
+function buildHistoryRecord(result, { runId = null, source = 'verify-contacts', rules = [], verifiedAt = new Date() } = {}) {
+  const object = getObjectProfile(result.object || 'Contact').name;
+  const record = {
+    [PARENT_FIELDS[object]]: assertSalesforceId(result.id),
+    Status__c: result.status,
+    Previous_Status__c: result.previousStatus,
+    Confidence__c: typeof result.confidence === 'number' ? Math.round(result.confidence * 10000) / 100 : null,
+    Issues__c: truncate((result.issues || []).join('\n'), HISTORY_FIELDS.Issues__c.length),
+    Rule_Versions__c: truncate(rules.map(rule => `${rule.id}@${rule.version}`).join(', '), HISTORY_FIELDS.Rule_Versions__c.length),
+    Run_Id__c: runId,
+    Source__c: source,
+    Source_URL__c: result.sourceUrl,
+    Verified_At__c: verifiedAt.toISOString(),
+    Notes__c: truncate(result.notes, HISTORY_FIELDS.Notes__c.length)
+  };
+
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+// Insert history records for results already written to their parent
+// records, up to 200 per request. Resolves to
+//   { apiCalls, outcomes: [{ result, success, error }] }
+async function writeHistoryRecords(conn, results, { request = send => send(), collectionSize = MAX_COLLECTION_SIZE, ...recordOptions } = {}) {
+  const outcomes = [];
+  let apiCalls = 0;
+  const size = Math.min(collectionSize, MAX_COLLECTION_SIZE);
+  const verifiedAt = recordOptions.verifiedAt || new Date();
+
+  for (let i = 0; i < results.length; i += size) {
+    const chunk = results.slice(i, i + size);
+    apiCalls++;
+
+    try {
+      const responses = await request(() => conn.sobject(HISTORY_OBJECT).create(
+        chunk.map(result => buildHistoryRecord(result, { ...recordOptions, verifiedAt })),
+        { allOrNone: false }
+      ));
+      chunk.forEach((result, index) => {
+        const response = [].concat(responses)[index];
+        outcomes.push(response && response.success ?
+          { result, success: true, error: null } :
+          { result, success: false, error: formatErrors(response?.errors) });
+      });
+    } catch (error) {
+      chunk.forEach(result => outcomes.push({ result, success: false, error: error.message }));
+    }
+  }
+
+  return { apiCalls, outcomes };
+}
+
+// History records of one record, oldest first
+async function getVerificationHistory(conn, object, id, { limit = 200, request } = {}) {
+  const profile = getObjectProfile(object);
+  const soql = new QueryBuilder(HISTORY_OBJECT)
+    .select(HISTORY_SELECT)
+    .where(PARENT_FIELDS[profile.name], '=', assertSalesforceId(id))
+    .orderBy('Verified_At__c DESC, Name DESC')
+    .limit(limit)
+    .toSoql();
+
+  return (await queryAll(conn, soql, { limit, request })).reverse();
+}
+
+// One entry per history record with the status it moved from, so a report
+// can show how the status changed over time
+function statusTimeline(history) {
+  let previous = null;
+  return history.map(record => {
+    const from = record.Previous_Status__c || previous;
+    previous = record.Status__c;
+    return {
+      id: record.Id,
+      name: record.Name,
+      verifiedAt: record.Verified_At__c,
+      status: record.Status__c,
+      previousStatus: from,
+      changed: Boolean(from) && from !== record.Status__c,
+      confidence: record.Confidence__c ?? null,
+      issues: record.Issues__c ? record.Issues__c.split('\n') : [],
+      ruleVersions: record.Rule_Versions__c || null,
+      runId: record.Run_Id__c || null,
+      source: record.Source__c || null
+    };
+  });
+}
+
+module.exports = {
+  HISTORY_OBJECT,
+  PARENT_FIELDS,
+  HISTORY_FIELDS,
+  HistoryObjectError,
+  historyEnabled,
+  buildHistoryObjectMetadata,
+  buildHistoryFieldMetadata,
+  historyRelatedList,
+  validateHistoryObject,
+  buildHistoryRecord,
+  writeHistoryRecords,
+  getVerificationHistory,
+  statusTimeline
+};
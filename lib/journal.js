@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_JOURNAL_DIR = '.verification-runs';
+
+// Append-only JSON Lines journal of one verification run. Every verified
+// result and every Salesforce update outcome is written as it happens, so an
+// interrupted run can be resumed with the work it already finished.
+//
+// Entry types:
+//   { type: 'run', runId, startedAt, options }   first line
+//   { type: 'contacts', ids }                    contacts selected for the run
+//   { type: 'result', contactId, result }        verification finished
+//   { type: 'update', contactId, success, error } Salesforce write attempted
+//   { type: 'history', contactId, success, error } history record inserted
+//   { type: 'complete', finishedAt }             run reached the end
+class RunJournal {
+  constructor(filePath, runId) {
+    this.filePath = filePath;
+    this.runId = runId;
+    this.header = null;
+    this.contactIds = null;
+    this.results = new Map();
+    this.updates = new Map();
+    this.histories = new Map();
+    this.completed = false;
+    this.fd = null;
+  }
+
+  static generateRunId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  static create(dir = DEFAULT_JOURNAL_DIR, { options = {} } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const runId = RunJournal.generateRunId();
+    const journal = new RunJournal(path.join(dir, `${runId}.jsonl`), runId);
+    journal.open();
+    journal.append({ type: 'run', runId, startedAt: new Date().toISOString(), options });
+    return journal;
+  }
+
+  // Reopen an existing run's journal and replay its entries
+  static resume(dir = DEFAULT_JOURNAL_DIR, runId) {
+    if (!/^[\w-]+$/.test(runId || '')) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+
+    const filePath = path.join(dir, `${runId}.jsonl`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No journal found for run ${runId} in ${dir}`);
+    }
+
+    const journal = new RunJournal(filePath, runId);
+    journal.replay(fs.readFileSync(filePath, 'utf8'));
+    journal.open();
+    return journal;
+  }
+
+  replay(content) {
+    content.split('\n').forEach((line, index, lines) => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave the last line half-written; anything else is corruption
+        if (index >= lines.length - 2) return;
+        throw new Error(`Corrupt journal ${this.filePath} at line ${index + 1}`);
+      }
+      this.apply(entry);
+    });
+  }
+
+  apply(entry) {
+    switch (entry.type) {
+      case 'run':
+        this.header = entry;
+        break;
+      case 'contacts':
+        this.contactIds = entry.ids;
+        break;
+      case 'result':
+        this.results.set(entry.contactId, entry.result);
+        break;
+      case 'update':
+        this.updates.set(entry.contactId, { success: entry.success, error: entry.error || null });
+        break;
+      case 'history':
+        this.histories.set(entry.contactId, { success: entry.success, error: entry.error || null });
+        break;
+      case 'complete':
+        this.completed = true;
+        break;
+    }
+  }
+
+  open() {
+    this.fd = fs.openSync(this.filePath, 'a');
+  }
+
+  append(entry) {
+    if (this.fd === null) {
+      throw new Error(`Journal ${this.filePath} is closed`);
+    }
+    fs.writeSync(this.fd, `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+    this.apply(entry);
+  }
+
+  recordContacts(contacts) {
+    this.append({ type: 'contacts', ids: contacts.map(contact => contact.Id) });
+  }
+
+  recordResult(result) {
+    this.append({ type: 'result', contactId: result.id, result });
+  }
+
+  recordUpdate(contactId, success, error) {
+    this.append({ type: 'update', contactId, success, ...(error ? { error } : {}) });
+  }
+
+  recordHistory(contactId, success, error) {
+    this.append({ type: 'history', contactId, success, ...(error ? { error } : {}) });
+  }
+
+  recordComplete() {
+    this.append({ type: 'complete', finishedAt: new Date().toISOString() });
+  }
+
+  hasResult(contactId) {
+    return this.results.has(contactId);
+  }
+
+  isUpdated(contactId) {
+    return this.updates.get(contactId)?.success === true;
+  }
+
+  hasHistory(contactId) {
+    return this.histories.get(contactId)?.success === true;
+  }
+
+  // Results verified in this run whose Salesforce update has not succeeded
+  pendingUpdates() {
+    return [...this.results.values()].filter(result => !this.isUpdated(result.id));
+  }
+
+  // Results written to their record whose history record is still missing
+  pendingHistory() {
+    return [...this.results.values()].filter(result => this.isUpdated(result.id) && !this.hasHistory(result.id));
+  }
+
+  // Make sure everything written so far has reached the disk
+  flush() {
+    if (this.fd !== null) {
+      fs.fsyncSync(this.fd);
+    }
+  }
+
+  close() {
+    if (this.fd !== null) {
+      this.flush();
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = {
+  RunJournal,
+  DEFAULT_JOURNAL_DIR
+};
@@ -0,0 +1,247 @@
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+// `mcp.http` in config.json; --host and --port override host and port
+const DEFAULT_HTTP_SETTINGS = {
+  host: '127.0.0.1',
+  // Not 3000, which the browser login's OAuth callback listens on
+  port: 3333,
+  path: '/mcp',
+  // Bearer tokens clients may use, as strings or { "name", "token" }
+  tokens: [],
+  maxSessions: 50,
+  sessionIdleMinutes: 30
+};
+
+// The example token of config.example.json and the README
+const PLACEHOLDER_TOKENS = ['replace-with-a-long-random-secret'];
+
+// Same limit as the SDK's own body parsing
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function httpSettings(config, overrides = {}) {
+  const settings = { ...DEFAULT_HTTP_SETTINGS, ...config?.mcp?.http };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) settings[key] = value;
+  });
+
+  const port = Number(settings.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid MCP HTTP port: ${settings.port}`);
+  }
+
+  const tokens = (settings.tokens || []).map((entry, i) => (
+    typeof entry === 'string' ? { name: `token-${i + 1}`, token: entry } : entry
+  ));
+  if (tokens.length === 0) {
+    throw new Error('The MCP HTTP transport needs at least one bearer token in mcp.http.tokens');
+  }
+  tokens.forEach(({ name, token }) => {
+    if (typeof token !== 'string' || token.length < 16) {
+      throw new Error(`MCP HTTP token ${name || '(unnamed)'} must be a string of at least 16 characters`);
+    }
+    if (PLACEHOLDER_TOKENS.includes(token)) {
+      throw new Error(`MCP HTTP token ${name || '(unnamed)'} is the example from config.example.json - replace it with a random secret, e.g. from "openssl rand -hex 32"`);
+    }
+  });
+
+  return { ...settings, port, tokens };
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Errors outside a session are JSON-RPC errors without a request ID, as the
+// SDK's transport returns them
+function sendRpcError(res, statusCode, message, headers) {
+  sendJson(res, statusCode, { jsonrpc: '2.0', error: { code: -32000, message }, id: null }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body is too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error(`Invalid JSON: ${error.message}`), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serves MCP over Streamable HTTP (responses stream as server-sent events).
+// Each client that initializes gets its own session, with a server from
+// `createSession({ principal })` where principal is the name of the token
+// it authenticated with. Sessions are bound to that token and closed after
+// `sessionIdleMinutes` without requests.
+class McpHttpServer {
+  constructor(createSession, settings, { log = message => console.error(message) } = {}) {
+    this.createSession = createSession;
+    this.settings = settings;
+    this.log = log;
+    this.tokens = settings.tokens.map(({ name, token }) => ({ name, digest: digest(token) }));
+    // sessionId -> { transport, server, principal, lastSeen }
+    this.sessions = new Map();
+    this.startedAt = Date.now();
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.log(`MCP HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          sendRpcError(res, error.statusCode || 500, error.statusCode ? error.message : 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+  }
+
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.settings.port, this.settings.host, resolve);
+    });
+
+    const idleMs = this.settings.sessionIdleMinutes * 60 * 1000;
+    if (idleMs > 0) {
+      this.sweeper = setInterval(() => this.closeIdleSessions(idleMs), Math.min(idleMs, 60 * 1000));
+      this.sweeper.unref();
+    }
+    return this.address();
+  }
+
+  address() {
+    const { address, port } = this.httpServer.address();
+    return { host: address, port, url: `http://${address.includes(':') ? `[${address}]` : address}:${port}${this.settings.path}` };
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    await Promise.all([...this.sessions.keys()].map(sessionId => this.closeSession(sessionId)));
+    this.httpServer.closeAllConnections();
+    await new Promise(resolve => this.httpServer.close(resolve));
+  }
+
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    this.sessions.delete(sessionId);
+    await session.server.close();
+  }
+
+  async closeIdleSessions(idleMs) {
+    const cutoff = Date.now() - idleMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastSeen < cutoff) {
+        this.log(`Closing idle MCP session ${sessionId} (${session.principal})`);
+        await this.closeSession(sessionId);
+      }
+    }
+  }
+
+  // The name of the token in the Authorization header, or null
+  authenticate(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const presented = digest(match[1]);
+    const entry = this.tokens.find(token => crypto.timingSafeEqual(token.digest, presented));
+    return entry ? entry.name : null;
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    // Health checks need no token and say nothing about the org
+    if (pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, {
+        status: 'ok',
+        transport: 'streamable-http',
+        sessions: this.sessions.size,
+        uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+      });
+      return;
+    }
+
+    if (pathname !== this.settings.path) {
+      sendJson(res, 404, { error: `Not found: ${pathname}` });
+      return;
+    }
+
+    const principal = this.authenticate(req);
+    if (!principal) {
+      sendRpcError(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer realm="salesforce-verifier"' });
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      // A session is only usable with the token that opened it
+      if (!session || session.principal !== principal) {
+        sendRpcError(res, 404, 'Session not found');
+        return;
+      }
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendRpcError(res, 400, 'Missing Mcp-Session-Id header; initialize a session first');
+      return;
+    }
+
+    const body = await readBody(req);
+    if (!isInitializeRequest(body)) {
+      sendRpcError(res, 400, 'Missing Mcp-Session-Id header; initialize a session first');
+      return;
+    }
+    if (this.sessions.size >= this.settings.maxSessions) {
+      sendRpcError(res, 503, `Too many open sessions (limit ${this.settings.maxSessions})`);
+      return;
+    }
+
+    const server = this.createSession({ principal });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: id => {
+        this.sessions.set(id, { transport, server, principal, lastSeen: Date.now() });
+        this.log(`MCP session ${id} opened (${principal})`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        this.log(`MCP session ${transport.sessionId} closed (${principal})`);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+}
+
+module.exports = {
+  DEFAULT_HTTP_SETTINGS,
+  McpHttpServer,
+  httpSettings
+};
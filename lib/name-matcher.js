@@ -0,0 +1,279 @@
+// Compare person names from different sources (CRM record, email signature,
+// professional network profile) and explain why they do or do not match.
+
+const HONORIFICS = [
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'professor', 'sir', 'dame',
+  'rev', 'fr', 'hon', 'capt', 'col', 'gen', 'lt', 'sgt', 'herr', 'frau',
+  'sr', 'sra', 'srta', 'mme', 'mlle'
+];
+
+// Generational and professional suffixes ("sr" is ambiguous with the Spanish
+// honorific; as a trailing token it is treated as a suffix)
+const SUFFIXES = [
+  'jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'dds', 'esq', 'cpa', 'mba',
+  'pe', 'rn', 'jd', 'dvm', 'obe', 'mbe', 'cbe', 'pmp'
+];
+
+// Groups of given names that commonly refer to the same person
+const NICKNAME_GROUPS = [
+  ['robert', 'rob', 'robbie', 'bob', 'bobby', 'bert'],
+  ['william', 'will', 'bill', 'billy', 'willie', 'liam'],
+  ['richard', 'rick', 'ricky', 'rich', 'dick'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['john', 'johnny', 'jack', 'jon'],
+  ['jonathan', 'jon', 'jonny'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['thomas', 'tom', 'tommy'],
+  ['joseph', 'joe', 'joey'],
+  ['charles', 'charlie', 'chuck', 'chas'],
+  ['christopher', 'chris', 'kit'],
+  ['christine', 'christina', 'chris', 'chrissy', 'tina'],
+  ['daniel', 'dan', 'danny'],
+  ['david', 'dave', 'davey'],
+  ['edward', 'ed', 'eddie', 'ted', 'ned'],
+  ['anthony', 'tony'],
+  ['andrew', 'andy', 'drew'],
+  ['alexander', 'alex', 'al', 'sandy', 'xander'],
+  ['alexandra', 'alex', 'alexa', 'sandra', 'sandy', 'lexi'],
+  ['benjamin', 'ben', 'benny'],
+  ['matthew', 'matt', 'matty'],
+  ['nicholas', 'nick', 'nicky'],
+  ['steven', 'stephen', 'steve'],
+  ['timothy', 'tim', 'timmy'],
+  ['kenneth', 'ken', 'kenny'],
+  ['ronald', 'ron', 'ronnie'],
+  ['donald', 'don', 'donnie'],
+  ['gregory', 'greg'],
+  ['jeffrey', 'geoffrey', 'jeff', 'geoff'],
+  ['patrick', 'pat', 'paddy'],
+  ['patricia', 'pat', 'patty', 'trish', 'tricia'],
+  ['peter', 'pete'],
+  ['samuel', 'sam', 'sammy'],
+  ['samantha', 'sam', 'sammy'],
+  ['raymond', 'ray'],
+  ['lawrence', 'laurence', 'larry'],
+  ['frederick', 'fred', 'freddie'],
+  ['francis', 'frank', 'frankie'],
+  ['gerald', 'gerry', 'jerry'],
+  ['henry', 'hank', 'harry'],
+  ['harold', 'harry', 'hal'],
+  ['leonard', 'leo', 'len', 'lenny'],
+  ['philip', 'phillip', 'phil'],
+  ['zachary', 'zach', 'zack'],
+  ['elizabeth', 'liz', 'lizzie', 'beth', 'betty', 'eliza', 'libby'],
+  ['margaret', 'maggie', 'meg', 'peggy', 'marge'],
+  ['katherine', 'catherine', 'kathryn', 'kate', 'katie', 'kathy', 'cathy', 'kat'],
+  ['jennifer', 'jen', 'jenny'],
+  ['jessica', 'jess', 'jessie'],
+  ['rebecca', 'becky', 'becca'],
+  ['deborah', 'debra', 'deb', 'debbie'],
+  ['susan', 'sue', 'susie'],
+  ['suzanne', 'sue', 'suzy'],
+  ['victoria', 'vicky', 'tori'],
+  ['abigail', 'abby'],
+  ['kimberly', 'kim'],
+  ['pamela', 'pam'],
+  ['cynthia', 'cindy'],
+  ['judith', 'judy'],
+  ['dorothy', 'dot', 'dottie'],
+  ['barbara', 'barb', 'babs'],
+  ['theresa', 'teresa', 'terry', 'tess'],
+  ['valerie', 'val'],
+  ['nathaniel', 'nathan', 'nate'],
+  ['vincent', 'vince', 'vinny'],
+  ['douglas', 'doug'],
+  ['walter', 'walt', 'wally'],
+  ['eugene', 'gene'],
+  ['terence', 'terrence', 'terry']
+];
+
+const NICKNAMES = new Map();
+NICKNAME_GROUPS.forEach((group, index) => {
+  group.forEach(name => {
+    if (!NICKNAMES.has(name)) NICKNAMES.set(name, new Set());
+    NICKNAMES.get(name).add(index);
+  });
+});
+
+// Letters NFD does not decompose into a base letter plus accent
+const SPECIAL_LETTERS = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i'
+};
+
+function foldDiacritics(value) {
+  return value
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, letter => SPECIAL_LETTERS[letter])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+// Split a name into given, middle and family parts. Handles "Last, First",
+// honorifics, suffixes, initials ("J. Smith") and hyphenated/apostrophe names.
+function parseName(name) {
+  const parsed = { given: null, middle: [], family: null, honorifics: [], suffixes: [], reversed: false };
+  if (!name || typeof name !== 'string') return parsed;
+
+  const tokenize = part => part
+    .replace(/[.]/g, ' ')
+    .split(/\s+/)
+    // Letters of any script are kept, with the marks some scripts need
+    .map(token => token.replace(/[^\p{L}\p{M}'-]/gu, '').replace(/^['-]+|['-]+$/g, ''))
+    .filter(Boolean);
+  const isSuffixPart = part => tokenize(part).every(token => SUFFIXES.includes(token));
+
+  const commaParts = foldDiacritics(name).split(',').map(part => part.trim()).filter(Boolean);
+
+  // "John Smith, Jr." - trailing comma parts made only of suffixes
+  while (commaParts.length > 1 && isSuffixPart(commaParts[commaParts.length - 1])) {
+    parsed.suffixes.unshift(...tokenize(commaParts.pop()));
+  }
+
+  // "Smith, John" - anything left after a comma is the given name
+  let text = commaParts.join(' ');
+  if (commaParts.length >= 2) {
+    parsed.reversed = true;
+    text = `${commaParts.slice(1).join(' ')} ${commaParts[0]}`;
+  }
+
+  const tokens = tokenize(text);
+
+  while (tokens.length > 1 && HONORIFICS.includes(tokens[0])) {
+    parsed.honorifics.push(tokens.shift());
+  }
+  while (tokens.length > 1 && SUFFIXES.includes(tokens[tokens.length - 1])) {
+    parsed.suffixes.unshift(tokens.pop());
+  }
+
+  if (tokens.length === 1) {
+    parsed.family = tokens[0];
+  } else if (tokens.length > 1) {
+    parsed.given = tokens[0];
+    parsed.family = tokens[tokens.length - 1];
+    parsed.middle = tokens.slice(1, -1);
+  }
+
+  return parsed;
+}
+
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 0;
+
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return 1 - previous[b.length] / longest;
+}
+
+function areNicknames(a, b) {
+  const groupsA = NICKNAMES.get(a);
+  const groupsB = NICKNAMES.get(b);
+  if (!groupsA || !groupsB) return false;
+  return [...groupsA].some(group => groupsB.has(group));
+}
+
+// Score two given names: exact, nickname, initial, or close spelling
+function compareGiven(a, b) {
+  if (!a || !b) return { score: null, reason: null };
+  if (a === b) return { score: 1, reason: 'same first name' };
+  if (areNicknames(a, b)) return { score: 0.95, reason: `"${a}" and "${b}" are nickname equivalents` };
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) {
+    return { score: 0.8, reason: `initial "${a.length === 1 ? a : b}" matches first name` };
+  }
+
+  const similarity = stringSimilarity(a, b);
+  if (similarity >= 0.8) {
+    return { score: similarity, reason: `first names "${a}" and "${b}" are spelled similarly` };
+  }
+  return { score: similarity * 0.5, reason: `first names "${a}" and "${b}" differ` };
+}
+
+function compareFamily(a, b) {
+  if (!a || !b) return { score: 0, reason: 'last name missing' };
+  if (a === b) return { score: 1, reason: 'same last name' };
+
+  // Hyphenated or double-barrelled names: "garcia-lopez" vs "garcia"
+  const partsA = a.split(/[-']/);
+  const partsB = b.split(/[-']/);
+  if (partsA.some(part => partsB.includes(part)) && (partsA.length > 1 || partsB.length > 1)) {
+    return { score: 0.85, reason: `last names "${a}" and "${b}" share a part` };
+  }
+
+  const similarity = stringSimilarity(a.replace(/[-']/g, ''), b.replace(/[-']/g, ''));
+  if (similarity >= 0.8) {
+    return { score: similarity, reason: `last names "${a}" and "${b}" are spelled similarly` };
+  }
+  return { score: similarity * 0.5, reason: `last names "${a}" and "${b}" differ` };
+}
+
+function compareParsed(a, b) {
+  const family = compareFamily(a.family, b.family);
+  const given = compareGiven(a.given, b.given);
+  const reasons = [family.reason];
+
+  let score;
+  if (given.score === null) {
+    // One side is a single token; the family name carries the match
+    score = family.score * 0.75;
+    reasons.push('first name missing on one side');
+  } else {
+    score = 0.55 * family.score + 0.45 * given.score;
+    reasons.push(given.reason);
+  }
+
+  // Conflicting middle initials ("John A. Smith" vs "John B. Smith")
+  if (a.middle.length > 0 && b.middle.length > 0 && a.middle[0][0] !== b.middle[0][0]) {
+    score -= 0.1;
+    reasons.push('middle names differ');
+  }
+
+  return { score, reasons };
+}
+
+// Compare two full names. Returns { score, reasons, explanation } where score
+// is between 0 and 1 and reasons lists what contributed to it.
+function matchNames(name1, name2) {
+  const a = parseName(name1);
+  const b = parseName(name2);
+
+  if (!a.family || !b.family) {
+    return { score: 0, reasons: ['name missing'], explanation: 'name missing' };
+  }
+
+  let best = compareParsed(a, b);
+
+  // "Smith John" vs "John Smith": try the other order when it scores better
+  if (b.given) {
+    const swapped = compareParsed(a, { ...b, given: b.family, family: b.given });
+    if (swapped.score - 0.05 > best.score && compareFamily(a.family, b.given).score >= 0.8) {
+      best = { score: swapped.score - 0.05, reasons: [...swapped.reasons, 'first and last name order reversed'] };
+    }
+  }
+
+  if (a.reversed || b.reversed) {
+    best.reasons.push('"Last, First" format normalized');
+  }
+  if (a.suffixes.length > 0 && b.suffixes.length > 0 && a.suffixes.join(' ') !== b.suffixes.join(' ')) {
+    best.score -= 0.15;
+    best.reasons.push(`suffixes differ (${a.suffixes.join(' ')} vs ${b.suffixes.join(' ')})`);
+  }
+
+  const score = Math.round(Math.max(0, Math.min(1, best.score)) * 1000) / 1000;
+  return { score, reasons: best.reasons, explanation: best.reasons.join('; ') };
+}
+
+module.exports = {
+  foldDiacritics,
+  parseName,
+  matchNames,
+  NICKNAME_GROUPS
+};
@@ -0,0 +1,104 @@
+// The sObjects the verifier can work on. Each profile lists the standard
+// fields to query and maps the logical fields rules use (name, company,
+// email, ...) to the object's own field paths: a Contact's company is its
+// Account's name, a Lead's is the Company text field. The verification
+// fields themselves are configurable, see lib/field-mapping.js.
+
+const OBJECT_PROFILES = {
+  Contact: {
+    name: 'Contact',
+    label: 'contact',
+    plural: 'contacts',
+    fields: {
+      name: 'Name',
+      firstName: 'FirstName',
+      lastName: 'LastName',
+      company: 'Account.Name',
+      country: 'Account.BillingCountry',
+      title: 'Title',
+      email: 'Email',
+      phone: 'Phone'
+    },
+    select: [
+      'Id', 'Name', 'FirstName', 'LastName', 'AccountId', 'Account.Name', 'Account.BillingCountry', 'Title', 'Email', 'Phone',
+      'LastModifiedDate', 'CreatedDate'
+    ],
+    // Field that ties a record to its Account, used by --account
+    accountField: 'AccountId',
+    leadSourceField: 'LeadSource'
+  },
+  Lead: {
+    name: 'Lead',
+    label: 'lead',
+    plural: 'leads',
+    fields: {
+      name: 'Name',
+      firstName: 'FirstName',
+      lastName: 'LastName',
+      company: 'Company',
+      country: 'Country',
+      title: 'Title',
+      email: 'Email',
+      phone: 'Phone'
+    },
+    select: [
+      'Id', 'Name', 'FirstName', 'LastName', 'Company', 'Title', 'Email', 'Phone', 'Country', 'LeadSource', 'Status',
+      'LastModifiedDate', 'CreatedDate'
+    ],
+    accountField: null,
+    leadSourceField: 'LeadSource',
+    // Converted leads are read-only history
+    baseConditions: [['IsConverted', '=', false]]
+  },
+  Account: {
+    name: 'Account',
+    label: 'account',
+    plural: 'accounts',
+    fields: {
+      name: 'Name',
+      company: 'Name',
+      country: 'BillingCountry',
+      phone: 'Phone',
+      website: 'Website',
+      street: 'BillingStreet',
+      city: 'BillingCity',
+      state: 'BillingState',
+      postalCode: 'BillingPostalCode'
+    },
+    select: [
+      'Id', 'Name', 'Website', 'Phone', 'BillingStreet', 'BillingCity', 'BillingState', 'BillingPostalCode',
+      'BillingCountry', 'LastModifiedDate', 'CreatedDate'
+    ],
+    accountField: 'Id',
+    leadSourceField: 'AccountSource'
+  }
+};
+
+const SUPPORTED_OBJECTS = Object.keys(OBJECT_PROFILES);
+
+function getObjectProfile(objectName = 'Contact') {
+  const key = SUPPORTED_OBJECTS.find(name => name.toLowerCase() === String(objectName).toLowerCase());
+  if (!key) {
+    throw new Error(`Unsupported object "${objectName}" (expected ${SUPPORTED_OBJECTS.join(', ')})`);
+  }
+  return OBJECT_PROFILES[key];
+}
+
+// Read a dotted field path ("Account.Name") off a record
+function readPath(record, path) {
+  return path.split('.').reduce((value, part) => (value == null ? null : value[part]), record) ?? null;
+}
+
+// Read a logical field ("company") off a record of the given profile
+function readField(profile, record, logicalName) {
+  const path = profile.fields[logicalName];
+  return path ? readPath(record, path) : null;
+}
+
+module.exports = {
+  OBJECT_PROFILES,
+  SUPPORTED_OBJECTS,
+  getObjectProfile,
+  readPath,
+  readField
+};
@@ -0,0 +1,147 @@
+const { parsePhoneNumberFromString, getCountries, getCountryCallingCode } = require('libphonenumber-js/max');
+
+// Billing country values seen in the wild that Intl.DisplayNames does not produce
+const COUNTRY_ALIASES = {
+  'usa': 'US',
+  'u.s.': 'US',
+  'u.s.a.': 'US',
+  'united states of america': 'US',
+  'america': 'US',
+  'uk': 'GB',
+  'u.k.': 'GB',
+  'great britain': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'northern ireland': 'GB',
+  'deutschland': 'DE',
+  'holland': 'NL',
+  'the netherlands': 'NL',
+  'españa': 'ES',
+  'south korea': 'KR',
+  'korea': 'KR',
+  'russia': 'RU',
+  'uae': 'AE'
+};
+
+const TYPE_LABELS = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'landline or mobile',
+  TOLL_FREE: 'toll-free',
+  PREMIUM_RATE: 'premium rate',
+  SHARED_COST: 'shared cost',
+  VOIP: 'VoIP',
+  PERSONAL_NUMBER: 'personal number',
+  PAGER: 'pager',
+  UAN: 'UAN',
+  VOICEMAIL: 'voicemail'
+};
+
+let countryNameIndex;
+
+function buildCountryNameIndex() {
+  const displayNames = new Intl.DisplayNames(['en'], { type: 'region' });
+  const index = { ...COUNTRY_ALIASES };
+
+  getCountries().forEach(code => {
+    const name = displayNames.of(code);
+    if (name) {
+      index[name.toLowerCase()] = code;
+    }
+  });
+
+  return index;
+}
+
+// Map a free-text billing country ("United States", "UK", "de") to an
+// ISO 3166-1 alpha-2 code supported by the numbering plan metadata.
+function resolveCountry(country) {
+  if (!country || typeof country !== 'string') return null;
+
+  const value = country.trim();
+  // Aliases first: "UK" looks like an ISO code but is not one
+  const alias = COUNTRY_ALIASES[value.toLowerCase()];
+  if (alias) return alias;
+
+  if (/^[a-z]{2}$/i.test(value)) {
+    const code = value.toUpperCase();
+    return getCountries().includes(code) ? code : null;
+  }
+
+  countryNameIndex = countryNameIndex || buildCountryNameIndex();
+  return countryNameIndex[value.toLowerCase()] || null;
+}
+
+// Numbers people type in when they do not have the real one
+function isPlaceholder(digits) {
+  if (/^0+$/.test(digits)) return true;
+  if (/^(\d)\1+$/.test(digits)) return true;
+  return digits.length >= 7 && ('01234567890'.includes(digits) || '9876543210'.includes(digits));
+}
+
+// NANP reserves 555-0100 through 555-0199 for fictional use
+function isFictionalNanp(nationalNumber) {
+  return /^(?:\d{3})?55501\d\d$/.test(nationalNumber);
+}
+
+// Parse and classify a phone number. `defaultCountry` is used for numbers
+// written without an international prefix.
+function analyzePhone(raw, { defaultCountry } = {}) {
+  const input = typeof raw === 'string' ? raw.trim() : '';
+  const country = resolveCountry(defaultCountry);
+  const analysis = {
+    input,
+    country,
+    valid: false,
+    placeholder: false,
+    e164: null,
+    type: null,
+    reason: null
+  };
+
+  const digits = input.replace(/\D/g, '');
+  if (!digits) {
+    analysis.reason = 'No digits found';
+    return analysis;
+  }
+
+  const nanpInput = !country || getCountryCallingCode(country) === '1';
+  if (isPlaceholder(digits) || (nanpInput && isFictionalNanp(digits.replace(/^1(?=\d{10}$)/, '')))) {
+    analysis.placeholder = true;
+    analysis.reason = 'Placeholder number';
+    return analysis;
+  }
+
+  const parsed = parsePhoneNumberFromString(input, country || undefined);
+  if (!parsed) {
+    analysis.reason = country ? `Cannot be parsed as a ${country} number` : 'Cannot be parsed without a country code';
+    return analysis;
+  }
+
+  analysis.country = parsed.country || country;
+  if (isPlaceholder(parsed.nationalNumber) ||
+      (parsed.countryCallingCode === '1' && isFictionalNanp(parsed.nationalNumber))) {
+    analysis.placeholder = true;
+    analysis.reason = 'Placeholder number';
+    return analysis;
+  }
+
+  if (!parsed.isValid()) {
+    analysis.reason = `Not a valid number for ${analysis.country || 'any known numbering plan'}`;
+    return analysis;
+  }
+
+  const type = parsed.getType();
+  analysis.valid = true;
+  analysis.e164 = parsed.number;
+  analysis.type = TYPE_LABELS[type] || 'unknown';
+  return analysis;
+}
+
+module.exports = {
+  analyzePhone,
+  resolveCountry,
+  isPlaceholder,
+  isFictionalNanp
+};
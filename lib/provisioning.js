@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const { FIELD_SPECS, REQUIRED_STATUS_VALUES, OPTIONAL_STATUS_VALUES } = require('./field-mapping');
+const { RunJournal } = require('./journal');
+
+const DEFAULT_MANIFEST_DIR = '.field-setup';
+
+// Settings of the `setup` section of config.json
+const DEFAULT_SETUP_OPTIONS = {
+  permissionSet: 'Verification_Fields',
+  permissionSetLabel: 'Verification Fields',
+  // Usernames to assign the permission set to; empty means the connected user
+  assignTo: [],
+  // Page layouts to add the fields to, by object; false skips layouts
+  layouts: {},
+  layoutSection: 'Verification',
+  manifestDir: DEFAULT_MANIFEST_DIR
+};
+
+// Every value the verifier may write to the status field
+const STATUS_VALUES = [...REQUIRED_STATUS_VALUES, ...OPTIONAL_STATUS_VALUES];
+
+// describe() type of each CustomField metadata type the mapping accepts
+const METADATA_FIELD_TYPES = {
+  Date: 'date',
+  DateTime: 'datetime',
+  Picklist: 'picklist',
+  Text: 'string',
+  TextArea: 'textarea',
+  LongTextArea: 'textarea',
+  Url: 'url'
+};
+
+// Keyed by fieldMapping name; created under the mapped API name
+const FIELD_DEFINITIONS = {
+  lastVerified: {
+    type: 'Date',
+    description: 'Date when the record was last verified through the automated system'
+  },
+  status: {
+    type: 'Picklist',
+    description: 'Current verification status of the record',
+    picklistValues: [
+      { fullName: 'New', default: true },
+      { fullName: 'CONFIRMED', default: false },
+      { fullName: 'NEEDS_REVIEW', default: false },
+      { fullName: 'OUTDATED', default: false },
+      { fullName: 'UNKNOWN', default: false },
+      { fullName: 'ERROR', default: false }
+    ]
+  },
+  notes: {
+    type: 'LongTextArea',
+    description: 'Detailed notes about the verification process and results',
+    length: 5000,
+    visibleLines: 5
+  },
+  sourceUrl: {
+    type: 'Url',
+    description: 'URL of the source where the record information was verified'
+  }
+};
+
+function resolveSetupOptions(config = {}) {
+  const options = { ...DEFAULT_SETUP_OPTIONS, ...config?.setup };
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(options.permissionSet || '')) {
+    throw new Error(`setup.permissionSet must be an API name (got ${JSON.stringify(options.permissionSet)})`);
+  }
+  options.assignTo = [].concat(options.assignTo || []);
+  return options;
+}
+
+// Layouts to add the fields of `object` to. Salesforce names the layout an
+// object starts with "<Object>-<Object> Layout".
+function layoutsFor(options, object) {
+  if (options.layouts === false) return [];
+  const configured = options.layouts?.[object];
+  if (configured === false) return [];
+  return configured ? [].concat(configured) : [`${object}-${object} Layout`];
+}
+
+// CustomField metadata for a new field
+function buildFieldMetadata(object, key, apiName) {
+  const definition = FIELD_DEFINITIONS[key];
+  const metadata = {
+    fullName: `${object}.${apiName}`,
+    label: FIELD_SPECS[key].label,
+    type: definition.type,
+    description: definition.description
+  };
+
+  if (definition.picklistValues) {
+    metadata.valueSet = {
+      valueSetDefinition: {
+        sorted: false,
+        value: definition.picklistValues.map(value => ({ ...value, label: value.fullName }))
+      }
+    };
+  }
+  if (definition.length) {
+    metadata.length = definition.length;
+    metadata.visibleLines = definition.visibleLines;
+  }
+  return metadata;
+}
+
+// Compare the mapped fields with describe(). Each entry says what provisioning
+// would do with the field: create it, add picklist values, nothing, or (for
+// a field of an unusable type) leave it for an admin to sort out.
+function planFields(describeResult, mapping, object = describeResult.name) {
+  const fields = new Map(describeResult.fields.map(field => [field.name.toLowerCase(), field]));
+  return Object.keys(FIELD_SPECS).map(key => planField(object, key, mapping[key], fields.get(mapping[key].toLowerCase())));
+}
+
+function planField(object, key, apiName, field) {
+  const entry = { key, apiName, fullName: `${object}.${apiName}` };
+
+  if (!field) {
+    return { ...entry, action: 'create' };
+  }
+  if (!FIELD_SPECS[key].types.includes(field.type)) {
+    return { ...entry, action: 'conflict', problem: `is a ${field.type} field; expected ${FIELD_SPECS[key].types.join(' or ')}` };
+  }
+  if (key === 'status' && field.type === 'picklist') {
+    const values = (field.picklistValues || []).filter(value => value.active !== false).map(value => value.value);
+    const missing = STATUS_VALUES.filter(value => !values.includes(value));
+    if (missing.length > 0) {
+      return { ...entry, action: 'update', addValues: missing };
+    }
+  }
+  return { ...entry, action: 'none' };
+}
+
+// describe() leaves out fields the user has no access to, which is exactly
+// the state of fields created without field-level security. Plan such a
+// field from its CustomField metadata instead of creating it again.
+function planHiddenField(entry, metadata) {
+  const field = {
+    type: METADATA_FIELD_TYPES[metadata.type] || String(metadata.type).toLowerCase(),
+    picklistValues: [].concat(metadata.valueSet?.valueSetDefinition?.value || [])
+      .map(value => ({ value: value.fullName, active: String(value.isActive) !== 'false' }))
+  };
+  return { ...planField(entry.fullName.split('.')[0], entry.key, entry.apiName, field), hidden: true };
+}
+
+// Add picklist values to CustomField metadata read from the org. Values that
+// exist but were deactivated are switched back on.
+function addPicklistValues(metadata, values) {
+  const updated = JSON.parse(JSON.stringify(metadata));
+  const definition = updated.valueSet?.valueSetDefinition;
+  if (!definition) {
+    throw new Error(`${metadata.fullName} has no picklist value set of its own (global value sets are not supported)`);
+  }
+
+  const existing = [].concat(definition.value || []);
+  values.forEach(value => {
+    const current = existing.find(item => item.fullName === value);
+    if (current) {
+      current.isActive = true;
+    } else {
+      existing.push({ fullName: value, default: false, label: value });
+    }
+  });
+  definition.value = existing;
+  return updated;
+}
+
+// Field permissions `permissionSet` lacks to read and edit `fullNames`
+function missingFieldPermissions(permissionSet, fullNames) {
+  const granted = new Map([].concat(permissionSet?.fieldPermissions || [])
+    .map(permission => [permission.field, permission]));
+
+  return fullNames.filter(fullName => {
+    const permission = granted.get(fullName);
+    return !permission || String(permission.readable) !== 'true' || String(permission.editable) !== 'true';
+  });
+}
+
+function grantFieldPermissions(permissionSet, fullNames) {
+  const updated = JSON.parse(JSON.stringify(permissionSet));
+  const permissions = [].concat(updated.fieldPermissions || [])
+    .filter(permission => !fullNames.includes(permission.field));
+
+  fullNames.forEach(field => permissions.push({ field, readable: true, editable: true }));
+  updated.fieldPermissions = permissions;
+  return updated;
+}
+
+// Custom objects `permissionSet` does not let its users read and create
+// records of
+function missingObjectPermissions(permissionSet, objects) {
+  const granted = new Map([].concat(permissionSet?.objectPermissions || [])
+    .map(permission => [permission.object, permission]));
+
+  return objects.filter(object => {
+    const permission = granted.get(object);
+    return !permission || String(permission.allowRead) !== 'true' || String(permission.allowCreate) !== 'true';
+  });
+}
+
+function grantObjectPermissions(permissionSet, objects) {
+  const updated = JSON.parse(JSON.stringify(permissionSet));
+  const permissions = [].concat(updated.objectPermissions || [])
+    .filter(permission => !objects.includes(permission.object));
+
+  objects.forEach(object => permissions.push({
+    object,
+    allowCreate: true,
+    allowRead: true,
+    allowEdit: false,
+    allowDelete: false,
+    modifyAllRecords: false,
+    viewAllRecords: false
+  }));
+  updated.objectPermissions = permissions;
+  return updated;
+}
+
+function layoutFields(layout) {
+  return [].concat(layout.layoutSections || [])
+    .flatMap(section => [].concat(section.layoutColumns || []))
+    .flatMap(column => [].concat(column.layoutItems || []))
+    .map(item => item.field)
+    .filter(Boolean);
+}
+
+// API names of `apiNames` not placed anywhere on the layout
+function missingLayoutFields(layout, apiNames) {
+  const placed = layoutFields(layout);
+  return apiNames.filter(apiName => !placed.includes(apiName));
+}
+
+// Place fields in the named section, which is added at the end of the layout
+// if it does not exist yet
+function addLayoutFields(layout, apiNames, sectionLabel) {
+  const updated = JSON.parse(JSON.stringify(layout));
+  const sections = [].concat(updated.layoutSections || []);
+  let section = sections.find(item => item.label === sectionLabel);
+
+  if (!section) {
+    section = { customLabel: true, detailHeading: true, editHeading: true, label: sectionLabel, style: 'OneColumn', layoutColumns: [{ layoutItems: [] }] };
+    sections.push(section);
+  }
+
+  const columns = [].concat(section.layoutColumns || []);
+  if (columns.length === 0) columns.push({ layoutItems: [] });
+  const column = columns[0];
+  column.layoutItems = [
+    ...[].concat(column.layoutItems || []),
+    ...apiNames.map(field => ({ behavior: 'Edit', field }))
+  ];
+  section.layoutColumns = columns;
+  updated.layoutSections = sections;
+  return updated;
+}
+
+function hasRelatedList(layout, relatedList) {
+  return [].concat(layout.relatedLists || []).some(item => item.relatedList === relatedList);
+}
+
+// Add a related list, e.g. the history records of a Contact, at the top of
+// the layout's related lists
+function addRelatedList(layout, relatedList) {
+  const updated = JSON.parse(JSON.stringify(layout));
+  updated.relatedLists = [relatedList, ...[].concat(updated.relatedLists || [])];
+  return updated;
+}
+
+// Record of what one provisioning run changed, with the metadata as it was
+// before, so that `--rollback` can put the org back. Saved as JSON after
+// every step so an interrupted run can still be rolled back.
+//
+// Step types:
+//   { type: 'createObject', fullName }
+//   { type: 'createField', fullName }
+//   { type: 'updateField', fullName, before }
+//   { type: 'permissionSet', fullName, before }   before is null if created
+//   { type: 'assignment', id, username }
+//   { type: 'layout', fullName, before }
+class SetupManifest {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  get steps() {
+    return this.data.steps;
+  }
+
+  static create(dir = DEFAULT_MANIFEST_DIR, { objects = [] } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const runId = RunJournal.generateRunId();
+    const manifest = new SetupManifest(path.join(dir, `${runId}.json`), {
+      runId,
+      startedAt: new Date().toISOString(),
+      objects,
+      steps: [],
+      rolledBackAt: null
+    });
+    manifest.save();
+    return manifest;
+  }
+
+  // The given run, or the latest one not rolled back yet
+  static load(dir = DEFAULT_MANIFEST_DIR, runId = null) {
+    if (runId) {
+      if (!/^[\w-]+$/.test(runId)) {
+        throw new Error(`Invalid run ID: ${runId}`);
+      }
+      const filePath = path.join(dir, `${runId}.json`);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`No field setup run ${runId} found in ${dir}`);
+      }
+      return new SetupManifest(filePath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().reverse() : [];
+    for (const file of files) {
+      const manifest = new SetupManifest(path.join(dir, file), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      if (!manifest.data.rolledBackAt && manifest.steps.length > 0) {
+        return manifest;
+      }
+    }
+    throw new Error(`No field setup run to roll back in ${dir}`);
+  }
+
+  record(step) {
+    this.data.steps.push({ at: new Date().toISOString(), ...step });
+    this.save();
+  }
+
+  // A run that changed nothing leaves nothing to roll back
+  discard() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+
+  markRolledBack() {
+    this.data.rolledBackAt = new Date().toISOString();
+    this.save();
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, `${JSON.stringify(this.data, null, 2)}\n`);
+  }
+}
+
+// Error messages of a Metadata API SaveResult/UpsertResult, or null if it succeeded
+function metadataError(result) {
+  if (result?.success === true || result?.success === 'true') return null;
+  return [].concat(result?.errors || []).map(error => error.message).join('; ') || 'Unknown error';
+}
+
+// readMetadata returns an empty record for components that do not exist
+function exists(metadata) {
+  return Boolean(metadata && metadata.fullName);
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_DIR,
+  DEFAULT_SETUP_OPTIONS,
+  STATUS_VALUES,
+  FIELD_DEFINITIONS,
+  resolveSetupOptions,
+  layoutsFor,
+  buildFieldMetadata,
+  planFields,
+  planHiddenField,
+  addPicklistValues,
+  missingFieldPermissions,
+  grantFieldPermissions,
+  missingObjectPermissions,
+  grantObjectPermissions,
+  missingLayoutFields,
+  addLayoutFields,
+  hasRelatedList,
+  addRelatedList,
+  SetupManifest,
+  metadataError,
+  exists
+};
@@ -0,0 +1,239 @@
+// Build SOQL from validated parts. Values are always rendered as escaped
+// literals; field names and ORDER BY clauses are checked against a strict
+// pattern; the one free-form input (a WHERE fragment from the user's own
+// config or command line) is checked so it cannot escape its parentheses.
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z][A-Za-z0-9_]*)*$/;
+const DATE_LITERAL_PATTERN = /^(?:\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2}))?|[A-Z_]+(?::\d+)?)$/;
+
+// Clauses a WHERE fragment must not contain outside string literals
+const FORBIDDEN_IN_WHERE = /\b(?:SELECT|FROM|LIMIT|OFFSET|ORDER\s+BY|GROUP\s+BY|HAVING|FOR\s+(?:UPDATE|VIEW|REFERENCE)|WITH\s+SECURITY_ENFORCED)\b/i;
+
+function assertSalesforceId(id) {
+  if (typeof id !== 'string' || !SALESFORCE_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid Salesforce ID: ${id}`);
+  }
+  return id;
+}
+
+function assertField(field) {
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+  return field;
+}
+
+// Escape a value for use inside a single-quoted SOQL string literal
+function escapeSoqlString(value) {
+  return String(value).replace(/[\\']/g, '\\$&');
+}
+
+function toPositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer (got ${value})`);
+  }
+  return number;
+}
+
+// Render a JavaScript value as a SOQL literal
+function literal(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid number in query: ${value}`);
+    return String(value);
+  }
+  if (value instanceof Date) return value.toISOString();
+  return `'${escapeSoqlString(value)}'`;
+}
+
+// Date literals (TODAY, LAST_N_MONTHS:6, 2024-01-31) are unquoted in SOQL
+function dateLiteral(value) {
+  if (typeof value !== 'string' || !DATE_LITERAL_PATTERN.test(value)) {
+    throw new Error(`Invalid date literal: ${value}`);
+  }
+  return value;
+}
+
+// Remove string literals so the structure of a fragment can be checked
+function stripStrings(fragment) {
+  const stripped = fragment.replace(/'(?:[^'\\]|\\.)*'/g, '?');
+  if (stripped.includes("'")) {
+    throw new Error('Unterminated string literal in WHERE fragment');
+  }
+  return stripped;
+}
+
+function assertWhereFragment(fragment) {
+  if (typeof fragment !== 'string' || !fragment.trim()) {
+    throw new Error('WHERE fragment must be a non-empty string');
+  }
+
+  const structure = stripStrings(fragment);
+  let depth = 0;
+  for (const char of structure) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) {
+    throw new Error(`Unbalanced parentheses in WHERE fragment: ${fragment}`);
+  }
+  if (FORBIDDEN_IN_WHERE.test(structure)) {
+    throw new Error(`WHERE fragment may only contain conditions: ${fragment}`);
+  }
+  return fragment.trim();
+}
+
+// Parse "Field [ASC|DESC] [NULLS FIRST|LAST], ..." into validated parts
+function parseOrderBy(orderBy) {
+  const items = Array.isArray(orderBy) ? orderBy : String(orderBy).split(',');
+
+  return items.map(item => {
+    if (typeof item === 'object') {
+      return {
+        field: assertField(item.field),
+        direction: (item.direction || 'ASC').toUpperCase(),
+        nulls: item.nulls ? item.nulls.toUpperCase() : null
+      };
+    }
+
+    const match = item.trim().match(/^(\S+)(?:\s+(ASC|DESC))?(?:\s+NULLS\s+(FIRST|LAST))?$/i);
+    if (!match) {
+      throw new Error(`Invalid ORDER BY clause: ${item.trim()}`);
+    }
+    return {
+      field: assertField(match[1]),
+      direction: (match[2] || 'ASC').toUpperCase(),
+      nulls: match[3] ? match[3].toUpperCase() : null
+    };
+  }).map(order => {
+    if (!['ASC', 'DESC'].includes(order.direction) || (order.nulls && !['FIRST', 'LAST'].includes(order.nulls))) {
+      throw new Error(`Invalid ORDER BY clause for ${order.field}`);
+    }
+    return order;
+  });
+}
+
+class QueryBuilder {
+  constructor(object) {
+    this.object = assertField(object);
+    this.fields = [];
+    this.conditions = [];
+    this.ordering = [];
+    this.rowLimit = null;
+  }
+
+  select(fields) {
+    this.fields.push(...[].concat(fields).map(assertField));
+    return this;
+  }
+
+  // Compare a field with a value: where('Name', '!=', null)
+  where(field, operator, value) {
+    if (!['=', '!=', '<', '<=', '>', '>=', 'LIKE'].includes(operator)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    this.conditions.push(`${assertField(field)} ${operator} ${literal(value)}`);
+    return this;
+  }
+
+  // Compare a date field with a date literal: whereDate('Last_Verified__c', '<', 'LAST_N_MONTHS:6')
+  whereDate(field, operator, value) {
+    if (!['=', '!=', '<', '<=', '>', '>='].includes(operator)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    this.conditions.push(`${assertField(field)} ${operator} ${dateLiteral(value)}`);
+    return this;
+  }
+
+  whereIn(field, values, { not = false } = {}) {
+    const list = [].concat(values);
+    if (list.length === 0) {
+      throw new Error(`No values given for ${field} IN (...)`);
+    }
+    this.conditions.push(`${assertField(field)} ${not ? 'NOT IN' : 'IN'} (${list.map(literal).join(', ')})`);
+    return this;
+  }
+
+  // Any of the given builders' conditions: anyOf(q => q.where(...), q => q.where(...))
+  anyOf(...branches) {
+    const parts = branches.map(branch => {
+      const nested = new QueryBuilder(this.object);
+      branch(nested);
+      return nested.conditions.join(' AND ');
+    }).filter(Boolean);
+
+    if (parts.length > 0) {
+      this.conditions.push(`(${parts.map(part => `(${part})`).join(' OR ')})`);
+    }
+    return this;
+  }
+
+  // A free-form condition, e.g. from config; kept inside its own parentheses
+  whereRaw(fragment) {
+    this.conditions.push(`(${assertWhereFragment(fragment)})`);
+    return this;
+  }
+
+  orderBy(orderBy) {
+    this.ordering.push(...parseOrderBy(orderBy));
+    return this;
+  }
+
+  limit(limit) {
+    this.rowLimit = toPositiveInteger(limit, 'limit');
+    return this;
+  }
+
+  toSoql() {
+    if (this.fields.length === 0) {
+      throw new Error('Query has no fields');
+    }
+
+    const lines = [`SELECT ${this.fields.join(', ')}`, `FROM ${this.object}`];
+    if (this.conditions.length > 0) {
+      lines.push(`WHERE ${this.conditions.join('\n  AND ')}`);
+    }
+    if (this.ordering.length > 0) {
+      lines.push(`ORDER BY ${this.ordering.map(({ field, direction, nulls }) =>
+        `${field} ${direction}${nulls ? ` NULLS ${nulls}` : ''}`).join(', ')}`);
+    }
+    if (this.rowLimit !== null) {
+      lines.push(`LIMIT ${this.rowLimit}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Run a query and follow nextRecordsUrl until `limit` records (or all of
+// them) have been read. Salesforce returns at most 2000 rows per page.
+// Every page is a request of its own, made through `request(send)` so the
+// caller can count and throttle it.
+async function queryAll(conn, soql, { limit = Infinity, request = send => send() } = {}) {
+  let result = await request(() => conn.query(soql));
+  const records = [...result.records];
+
+  while (!result.done && result.nextRecordsUrl && records.length < limit) {
+    const { nextRecordsUrl } = result;
+    result = await request(() => conn.queryMore(nextRecordsUrl));
+    records.push(...result.records);
+  }
+
+  return records.slice(0, limit);
+}
+
+module.exports = {
+  QueryBuilder,
+  queryAll,
+  literal,
+  parseOrderBy,
+  assertField,
+  assertWhereFragment,
+  assertSalesforceId,
+  escapeSoqlString,
+  toPositiveInteger,
+  SALESFORCE_ID_PATTERN
+};
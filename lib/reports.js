@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { formatCsv } = require('./contact-file');
+
+const REPORT_FORMATS = ['json', 'csv', 'html', 'markdown', 'junit'];
+
+const DEFAULT_REPORT_DIR = '.';
+
+const REPORT_FILE_PATTERN = /^verification-report-(\d+)\.json$/;
+
+const EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  html: 'html',
+  markdown: 'md',
+  junit: 'xml'
+};
+
+// Sections of the HTML and Markdown reports, worst first
+const STATUS_ORDER = ['OUTDATED', 'ERROR', 'NEEDS_REVIEW', 'CONFIRMED'];
+
+const CSV_COLUMNS = [
+  'Id', 'Object', 'Name', 'Company', 'Status', 'Previous Status', 'Confidence',
+  'Issues', 'Recommendations', 'Proposed Corrections', 'Notes'
+];
+
+// Formats from --report-format or `reports.format` in config.json: one
+// name, a comma-separated list or an array
+function parseReportFormats(value = 'json') {
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map(format => String(format).trim().toLowerCase())
+    .filter(Boolean)
+    .map(format => (format === 'md' ? 'markdown' : format));
+
+  const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format "${unknown.join(', ')}" (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  return formats.length > 0 ? [...new Set(formats)] : ['json'];
+}
+
+// OUTDATED threshold as a count ("5") or share of the records ("10%")
+function parseOutdatedLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(String(value).trim());
+  if (!match || (!match[2] && !Number.isInteger(Number(match[1])))) {
+    throw new Error(`Invalid OUTDATED threshold "${value}" - use a number of records or a percentage like 10%`);
+  }
+  return match[2] ? { percent: Number(match[1]) } : { count: Number(match[1]) };
+}
+
+function describeLimit(limit) {
+  return limit.percent !== undefined ? `${limit.percent}%` : `${limit.count}`;
+}
+
+// Whether the OUTDATED records of a report stay within the threshold
+function checkOutdated(report, limit) {
+  const outdated = report.summary.OUTDATED || 0;
+  if (!limit) {
+    return { outdated, limit: null, exceeded: false };
+  }
+
+  const allowed = limit.percent !== undefined ?
+    report.totalProcessed * limit.percent / 100 :
+    limit.count;
+  return { outdated, limit: describeLimit(limit), exceeded: outdated > allowed };
+}
+
+// The report data shared by every format
+function buildReport(results, { object = 'Contact', duplicateClusters, apiUsage, timestamp = new Date() } = {}) {
+  const report = {
+    timestamp: timestamp.toISOString(),
+    object,
+    summary: results.reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1;
+      return acc;
+    }, {}),
+    totalProcessed: results.length,
+    statusChanges: results.filter(r => r.previousStatus && r.previousStatus !== r.status).length,
+    proposedCorrections: results.reduce((sum, r) => sum + (r.proposals?.length || 0), 0),
+    averageConfidence: results.length > 0 ? results.reduce((sum, r) => sum + r.confidence, 0) / results.length : 0,
+    details: results
+  };
+
+  if (duplicateClusters) {
+    report.duplicateClusters = duplicateClusters;
+  }
+  if (apiUsage) {
+    report.apiUsage = apiUsage;
+  }
+  return report;
+}
+
+function percent(value) {
+  return `${((value || 0) * 100).toFixed(0)}%`;
+}
+
+function formatProposals(result) {
+  return (result.proposals || []).map(p => `${p.field}: ${p.before ?? ''} → ${p.after ?? ''}`);
+}
+
+function statusesOf(report) {
+  return [
+    ...STATUS_ORDER.filter(status => report.summary[status]),
+    ...Object.keys(report.summary).filter(status => !STATUS_ORDER.includes(status)).sort()
+  ];
+}
+
+// Results of one status grouped by company, companies in alphabetical order
+function byCompany(results) {
+  const groups = new Map();
+  [...results]
+    .sort((a, b) => (a.company || '').localeCompare(b.company || '') || (a.name || '').localeCompare(b.name || ''))
+    .forEach(result => {
+      const company = result.company || 'Unknown Company';
+      if (!groups.has(company)) groups.set(company, []);
+      groups.get(company).push(result);
+    });
+  return groups;
+}
+
+function renderJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+// One row per record, lists joined with "; "
+function renderCsv(report) {
+  return formatCsv([
+    CSV_COLUMNS,
+    ...report.details.map(result => [
+      result.id,
+      result.object || report.object,
+      result.name,
+      result.company,
+      result.status,
+      result.previousStatus,
+      (result.confidence || 0).toFixed(2),
+      (result.issues || []).join('; '),
+      (result.recommendations || []).join('; '),
+      formatProposals(result).join('; '),
+      result.notes
+    ])
+  ]);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Click a column header to sort its table; numbers sort by data-sort
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach((th, column) => {
+  th.addEventListener('click', () => {
+    const table = th.closest('table');
+    const body = table.tBodies[0];
+    const ascending = th.dataset.order !== 'asc';
+    table.querySelectorAll('th').forEach(other => delete other.dataset.order);
+    th.dataset.order = ascending ? 'asc' : 'desc';
+    const key = row => {
+      const cell = row.cells[th.cellIndex];
+      return cell.dataset.sort !== undefined ? Number(cell.dataset.sort) : cell.textContent.trim().toLowerCase();
+    };
+    [...body.rows]
+      .sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * (ascending ? 1 : -1))
+      .forEach(row => body.appendChild(row));
+  });
+});`;
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+table.sortable th { cursor: pointer; background: #f4f4f4; }
+table.sortable th[data-order="asc"]::after { content: " ▲"; }
+table.sortable th[data-order="desc"]::after { content: " ▼"; }
+ul { margin: 0; padding-left: 1.2em; }
+.OUTDATED, .ERROR { color: #b00020; }
+.NEEDS_REVIEW { color: #a66300; }
+.CONFIRMED { color: #1b7f37; }`;
+
+function htmlList(items) {
+  return items.length > 0 ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+}
+
+// Standalone page with one section per status and one sortable table per
+// company within it
+function renderHtml(report) {
+  const title = `${report.object} verification report`;
+  const summaryRows = statusesOf(report).map(status =>
+    `<tr><td class="${escapeHtml(status)}">${escapeHtml(status)}</td><td data-sort="${report.summary[status]}">${report.summary[status]}</td></tr>`
+  );
+
+  const sections = statusesOf(report).map(status => {
+    const tables = [...byCompany(report.details.filter(r => r.status === status))].map(([company, results]) => `
+<h3>${escapeHtml(company)} (${results.length})</h3>
+<table class="sortable">
+<thead><tr><th>Name</th><th>Id</th><th>Confidence</th><th>Previous Status</th><th>Issues</th><th>Recommendations</th><th>Proposed Corrections</th></tr></thead>
+<tbody>
+${results.map(result => `<tr><td>${escapeHtml(result.name)}</td><td>${escapeHtml(result.id)}</td><td data-sort="${result.confidence || 0}">${percent(result.confidence)}</td><td>${escapeHtml(result.previousStatus || '')}</td><td>${htmlList(result.issues || [])}</td><td>${htmlList(result.recommendations || [])}</td><td>${htmlList(formatProposals(result))}</td></tr>`).join('\n')}
+</tbody>
+</table>`).join('\n');
+    return `<h2 class="${escapeHtml(status)}">${escapeHtml(status)} (${report.summary[status]})</h2>\n${tables}`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(report.timestamp)} · ${report.totalProcessed} records · average confidence ${percent(report.averageConfidence)} · ${report.statusChanges} status changes · ${report.proposedCorrections} proposed corrections</p>
+<table class="sortable">
+<thead><tr><th>Status</th><th>Records</th></tr></thead>
+<tbody>
+${summaryRows.join('\n')}
+</tbody>
+</table>
+${sections.join('\n')}
+<script>${SORT_SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `# ${report.object} verification report`,
+    '',
+    `${report.timestamp} · ${report.totalProcessed} records · average confidence ${percent(report.averageConfidence)} · ${report.statusChanges} status changes · ${report.proposedCorrections} proposed corrections`,
+    '',
+    '| Status | Records |',
+    '| --- | ---: |',
+    ...statusesOf(report).map(status => `| ${status} | ${report.summary[status]} |`)
+  ];
+
+  statusesOf(report).forEach(status => {
+    lines.push('', `## ${status} (${report.summary[status]})`);
+    byCompany(report.details.filter(r => r.status === status)).forEach((results, company) => {
+      lines.push(
+        '',
+        `### ${escapeMarkdown(company)}`,
+        '',
+        '| Name | Id | Confidence | Issues | Proposed Corrections |',
+        '| --- | --- | ---: | --- | --- |',
+        ...results.map(result => `| ${[
+          result.name,
+          result.id,
+          percent(result.confidence),
+          (result.issues || []).join('; '),
+          formatProposals(result).join('; ')
+        ].map(escapeMarkdown).join(' | ')} |`)
+      );
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeXml(value) {
+  return escapeHtml(value).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// One test case per record, in one suite per company. OUTDATED records fail,
+// unless an OUTDATED threshold is given and the run stays within it; then
+// they are reported as skipped. Records that could not be verified are
+// errors.
+function renderJunit(report, { maxOutdated = null } = {}) {
+  const { exceeded } = checkOutdated(report, maxOutdated);
+  const failOutdated = !maxOutdated || exceeded;
+
+  let failures = 0;
+  let errors = 0;
+  let skipped = 0;
+  const suites = [...byCompany(report.details)].map(([company, results]) => {
+    const counts = { failures: 0, errors: 0, skipped: 0 };
+    const cases = results.map(result => {
+      const name = `${result.name || result.id} (${result.id})`;
+      const message = (result.issues || []).join('; ') || result.status;
+      const details = [
+        `Status: ${result.status} (${percent(result.confidence)} confidence)`,
+        ...(result.issues || []).map(issue => `Issue: ${issue}`),
+        ...(result.recommendations || []).map(recommendation => `Recommendation: ${recommendation}`),
+        ...formatProposals(result).map(proposal => `Proposed: ${proposal}`)
+      ].join('\n');
+
+      let outcome = '';
+      if (result.status === 'ERROR') {
+        counts.errors++;
+        outcome = `<error type="ERROR" message="${escapeXml(message)}">${escapeXml(details)}</error>`;
+      } else if (result.status === 'OUTDATED' && failOutdated) {
+        counts.failures++;
+        outcome = `<failure type="OUTDATED" message="${escapeXml(message)}">${escapeXml(details)}</failure>`;
+      } else if (result.status === 'OUTDATED') {
+        counts.skipped++;
+        outcome = `<skipped message="OUTDATED, within the threshold of ${escapeXml(describeLimit(maxOutdated))}"/>`;
+      }
+
+      return `    <testcase classname="${escapeXml(`${report.object}.${company}`)}" name="${escapeXml(name)}">` +
+        `${outcome}<system-out>${escapeXml(details)}</system-out></testcase>`;
+    });
+
+    failures += counts.failures;
+    errors += counts.errors;
+    skipped += counts.skipped;
+    return `  <testsuite name="${escapeXml(company)}" tests="${results.length}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" timestamp="${report.timestamp}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(`${report.object} verification`)}" tests="${report.totalProcessed}" failures="${failures}" errors="${errors}" skipped="${skipped}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+const RENDERERS = {
+  json: renderJson,
+  csv: renderCsv,
+  html: renderHtml,
+  markdown: renderMarkdown,
+  junit: renderJunit
+};
+
+// Report folder from the `reports` section of config.json
+function reportDir(config) {
+  return config?.reports?.dir || DEFAULT_REPORT_DIR;
+}
+
+// Saved JSON reports in `dir`, newest first: [{ name, filePath, savedAt }]
+function listReports(dir = DEFAULT_REPORT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(file => REPORT_FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, time]) => ({
+      name: path.basename(file, '.json'),
+      filePath: path.join(dir, file),
+      savedAt: new Date(Number(time)).toISOString()
+    }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+function readReport(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write the report in each format to `dir`. Returns the file paths by format.
+function writeReports(report, { formats = ['json'], dir = '.', maxOutdated = null, baseName } = {}) {
+  const name = baseName || `verification-report-${Date.parse(report.timestamp)}`;
+  fs.mkdirSync(dir || DEFAULT_REPORT_DIR, { recursive: true });
+
+  return Object.fromEntries(formats.map(format => {
+    const filePath = path.join(dir, `${name}.${EXTENSIONS[format]}`);
+    fs.writeFileSync(filePath, RENDERERS[format](report, { maxOutdated }));
+    return [format, filePath];
+  }));
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  DEFAULT_REPORT_DIR,
+  reportDir,
+  listReports,
+  readReport,
+  parseReportFormats,
+  parseOutdatedLimit,
+  checkOutdated,
+  buildReport,
+  renderJson,
+  renderCsv,
+  renderHtml,
+  renderMarkdown,
+  renderJunit,
+  writeReports
+};
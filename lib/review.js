@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { assertSalesforceId } = require('./query-builder');
+const { getObjectProfile } = require('./objects');
+const { formatErrors, MAX_COLLECTION_SIZE } = require('./writeback');
+const { readFieldValues, sameValue } = require('./audit');
+
+const DEFAULT_REVIEW_FILE = '.verification-review.json';
+const REVIEW_FILE_VERSION = 1;
+
+// pending → accepted/rejected by a reviewer → applied, failed or stale
+// (the field changed in Salesforce after it was proposed) once applied.
+// A later verification that proposes another value supersedes an open one.
+const REVIEW_STATUSES = ['pending', 'accepted', 'rejected', 'applied', 'failed', 'stale', 'superseded'];
+
+// Proposals that can still be applied
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+// Review file from the `review` section of config.json
+function reviewFile(config) {
+  return config?.review?.file || DEFAULT_REVIEW_FILE;
+}
+
+// Field corrections proposed by verification rules, kept in a JSON file
+// until someone accepts or rejects them. Each proposal:
+//
+//   { id, object, recordId, recordName, field, before, after, reason, ruleId,
+//     runId, status, proposedAt, decidedAt, appliedAt, error, current }
+//
+// `before` is the value the rule saw; a proposal is only applied while the
+// record still holds it.
+class ReviewQueue {
+  constructor(filePath = DEFAULT_REVIEW_FILE, proposals = []) {
+    this.filePath = filePath;
+    this.proposals = proposals;
+  }
+
+  static load(filePath = DEFAULT_REVIEW_FILE) {
+    if (!fs.existsSync(filePath)) {
+      return new ReviewQueue(filePath);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Corrupt review file ${filePath}: ${error.message}`);
+    }
+    if (data.version !== REVIEW_FILE_VERSION || !Array.isArray(data.proposals)) {
+      throw new Error(`Unsupported review file ${filePath}`);
+    }
+    return new ReviewQueue(filePath, data.proposals);
+  }
+
+  // Queue the proposals of verification results. An open proposal for the
+  // same field of the same record is replaced when the new one differs, so
+  // reviewers only see the latest suggestion. Returns the number queued.
+  add(results, { runId = null } = {}) {
+    let added = 0;
+
+    results.forEach(result => {
+      const object = getObjectProfile(result.object || 'Contact').name;
+
+      (result.proposals || []).forEach(proposal => {
+        const existing = this.proposals.find(entry => OPEN_STATUSES.includes(entry.status) &&
+          entry.object === object && entry.recordId === result.id && entry.field === proposal.field);
+
+        if (existing && sameValue(existing.before, proposal.before) && sameValue(existing.after, proposal.after)) {
+          return;
+        }
+        if (existing) {
+          existing.status = 'superseded';
+        }
+
+        this.proposals.push({
+          id: crypto.randomBytes(4).toString('hex'),
+          object,
+          recordId: assertSalesforceId(result.id),
+          recordName: result.name || null,
+          field: proposal.field,
+          before: proposal.before ?? null,
+          after: proposal.after,
+          reason: proposal.reason,
+          ruleId: proposal.ruleId,
+          runId,
+          status: 'pending',
+          proposedAt: new Date().toISOString(),
+          decidedAt: null,
+          appliedAt: null,
+          error: null
+        });
+        added++;
+      });
+    });
+
+    return added;
+  }
+
+  get(id) {
+    return this.proposals.find(proposal => proposal.id === id) || null;
+  }
+
+  // Proposals with the given status(es), optionally of one object
+  list({ status, object } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const profile = object ? getObjectProfile(object) : null;
+    return this.proposals.filter(proposal =>
+      (!statuses || statuses.includes(proposal.status)) && (!profile || proposal.object === profile.name));
+  }
+
+  // Accept or reject a proposal that has not been applied yet; a decision
+  // can be changed until then
+  decide(id, decision) {
+    if (!['accepted', 'rejected', 'pending'].includes(decision)) {
+      throw new Error(`Unknown decision "${decision}" (expected accepted, rejected or pending)`);
+    }
+    const proposal = this.get(id);
+    if (!proposal) {
+      throw new Error(`No proposal ${id} in ${this.filePath}`);
+    }
+    if (![...OPEN_STATUSES, 'rejected'].includes(proposal.status)) {
+      throw new Error(`Proposal ${id} is already ${proposal.status}`);
+    }
+
+    proposal.status = decision;
+    proposal.decidedAt = new Date().toISOString();
+    return proposal;
+  }
+
+  // Store the outcomes of applyProposals
+  recordOutcomes(outcomes) {
+    outcomes.forEach(({ proposal, status, error = null, current }) => {
+      proposal.status = status;
+      proposal.error = error;
+      if (status === 'applied') {
+        proposal.appliedAt = new Date().toISOString();
+      }
+      if (status === 'stale') {
+        proposal.current = current ?? null;
+      }
+    });
+  }
+
+  // Write to a temporary file first so an interrupted save cannot truncate
+  // decisions already made
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify({ version: REVIEW_FILE_VERSION, proposals: this.proposals }, null, 2)}\n`);
+    fs.renameSync(temporary, this.filePath);
+  }
+}
+
+// Write accepted proposals to Salesforce. Each record is read again first:
+// a proposal whose field no longer holds `before` is stale and skipped, so a
+// change made in Salesforce since verification is never overwritten. The
+// remaining proposals of a record are written together, up to 200 records
+// per request. With `audit` ({ log, runId, actor, source }) every write is
+// logged with the values it replaced. Resolves to
+//   { apiCalls, outcomes: [{ proposal, status, error, current }] }
+async function applyProposals(conn, proposals, { request = send => send(), collectionSize = MAX_COLLECTION_SIZE, audit = null } = {}) {
+  const outcomes = [];
+  let apiCalls = 0;
+  const size = Math.min(collectionSize, MAX_COLLECTION_SIZE);
+  const counted = send => {
+    apiCalls++;
+    return request(send);
+  };
+
+  const byObject = new Map();
+  proposals.forEach(proposal => {
+    const object = getObjectProfile(proposal.object).name;
+    byObject.set(object, [...(byObject.get(object) || []), proposal]);
+  });
+
+  for (const [object, objectProposals] of byObject) {
+    let current;
+    try {
+      current = await readFieldValues(conn, object, objectProposals.map(proposal => proposal.recordId), objectProposals.map(proposal => proposal.field), counted);
+    } catch (error) {
+      objectProposals.forEach(proposal => outcomes.push({ proposal, status: 'failed', error: error.message }));
+      continue;
+    }
+
+    const updates = new Map();
+    objectProposals.forEach(proposal => {
+      const record = current.get(proposal.recordId);
+      if (!record) {
+        outcomes.push({ proposal, status: 'failed', error: `${object} ${proposal.recordId} no longer exists or is not visible` });
+      } else if (!sameValue(record[proposal.field], proposal.before)) {
+        outcomes.push({ proposal, status: 'stale', error: `${proposal.field} changed in Salesforce since it was proposed`, current: record[proposal.field] });
+      } else {
+        updates.set(proposal.recordId, [...(updates.get(proposal.recordId) || []), proposal]);
+      }
+    });
+
+    const recordIds = [...updates.keys()];
+    for (let i = 0; i < recordIds.length; i += size) {
+      const chunk = recordIds.slice(i, i + size);
+      const payloads = chunk.map(id => Object.fromEntries([['Id', id], ...updates.get(id).map(proposal => [proposal.field, proposal.after])]));
+
+      let responses;
+      try {
+        responses = [].concat(await counted(() => conn.sobject(object).update(payloads, { allOrNone: false })));
+      } catch (error) {
+        responses = chunk.map(() => ({ success: false, errors: [{ message: error.message }] }));
+      }
+
+      const writes = chunk.map((id, index) => {
+        const response = responses[index];
+        const error = response && response.success ? null : formatErrors(response?.errors);
+        updates.get(id).forEach(proposal => outcomes.push({ proposal, status: error ? 'failed' : 'applied', error }));
+        return { update: payloads[index], before: current.get(id), success: !error, error };
+      });
+      audit?.log.recordWrites(object, writes, audit);
+    }
+  }
+
+  return { apiCalls, outcomes };
+}
+
+module.exports = {
+  DEFAULT_REVIEW_FILE,
+  REVIEW_STATUSES,
+  reviewFile,
+  ReviewQueue,
+  applyProposals
+};
@@ -0,0 +1,303 @@
+// Built-in verification rules. Each rule returns nothing when the record
+// passes, or an object with an `issue` and/or `recommendation` describing
+// what was found. Weight, severity and options can be overridden per rule
+// id in the `verification.rules` section of config.json.
+//
+// `objects` lists the sObjects a rule applies to. Rules read fields through
+// context.field('company'), which maps to Account.Name on a Contact and to
+// Company on a Lead (see lib/objects.js).
+//
+// A rule may also return `proposals`, corrected field values
+// ({ field, value, reason }) that go to the review queue (review.js) and are
+// only written once someone accepts them.
+
+const { analyzePhone } = require('../phone');
+const { FREE_MAIL_DOMAINS } = require('../email');
+const { websiteDomain, baseDomain } = require('../website');
+
+const ALL_OBJECTS = ['Contact', 'Lead', 'Account'];
+const PEOPLE = ['Contact', 'Lead'];
+
+const MONTH_MS = 1000 * 60 * 60 * 24 * 30;
+
+// Trim and collapse runs of whitespace
+function tidyWhitespace(value) {
+  return value.trim().replace(/\s+/g, ' ');
+}
+
+// Capitalize names typed in all upper or all lower case ("MARY-ANN O'NEIL"
+// → "Mary-Ann O'Neil"). Mixed case is left alone, since "McDonald" or
+// "van der Berg" are deliberate.
+function formatPersonName(value) {
+  const name = tidyWhitespace(value);
+  if (name !== name.toUpperCase() && name !== name.toLowerCase()) {
+    return name;
+  }
+  return name.toLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Proposal for a field whose formatted value differs from the stored one
+function formatProposal(context, field, format, label) {
+  const value = context.field(field);
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const formatted = format(value);
+  if (formatted === value) return null;
+
+  const changes = [];
+  if (tidyWhitespace(value) !== value) changes.push('extra spaces');
+  if (tidyWhitespace(value) !== formatted) changes.push('capitalization');
+  return { field, value: formatted, reason: `Fix ${changes.join(' and ')} in ${label}` };
+}
+
+// Email outcomes that count against the contact even as secondary findings
+const BLOCKING_EMAIL_CODES = [
+  'INVALID_SYNTAX', 'DOMAIN_TYPO', 'DISPOSABLE_DOMAIN', 'ROLE_ACCOUNT',
+  'DOMAIN_NOT_FOUND', 'NO_MAIL_SERVER', 'MAILBOX_REJECTED'
+];
+
+module.exports = [
+  {
+    id: 'name-present',
+    description: 'Name is present and at least two characters long',
+    objects: ALL_OBJECTS,
+    severity: 'high',
+    weight: 0.3,
+    evaluate(record, context) {
+      const name = context.field('name');
+      if (!name || name.trim().length < 2) {
+        return { issue: 'Name is missing or too short' };
+      }
+    }
+  },
+  {
+    id: 'name-format',
+    description: 'Names have no stray spaces and person names are not all upper or lower case',
+    objects: ALL_OBJECTS,
+    severity: 'low',
+    // Formatting does not make a record less trustworthy; it only proposes fixes
+    weight: 0,
+    evaluate(record, context) {
+      const proposals = context.object === 'Account' ?
+        [formatProposal(context, 'name', tidyWhitespace, 'the name')] :
+        [
+          formatProposal(context, 'firstName', formatPersonName, 'the first name'),
+          formatProposal(context, 'lastName', formatPersonName, 'the last name')
+        ];
+
+      if (proposals.some(Boolean)) {
+        return { proposals: proposals.filter(Boolean) };
+      }
+    }
+  },
+  {
+    id: 'company-present',
+    description: 'Contact is linked to an Account with a name, or the lead has a company',
+    objects: PEOPLE,
+    severity: 'medium',
+    weight: 0.2,
+    evaluate(record, context) {
+      if (!context.field('company')) {
+        return { issue: 'No company information available' };
+      }
+    }
+  },
+  {
+    id: 'title-present',
+    description: 'Contact or lead has a job title',
+    objects: PEOPLE,
+    severity: 'low',
+    weight: 0.1,
+    evaluate(record, context) {
+      if (!context.field('title')) {
+        return {
+          issue: 'Job title is missing',
+          recommendation: 'Add job title for better identification'
+        };
+      }
+    }
+  },
+  {
+    id: 'email-domain',
+    description: 'Email address is well formed, personal, and its domain accepts mail',
+    objects: PEOPLE,
+    severity: 'medium',
+    weight: 0.2,
+    async evaluate(record, context) {
+      const address = context.field('email');
+      if (!address) {
+        return { recommendation: 'Consider adding email address' };
+      }
+
+      const email = await context.validateEmail(address);
+      if (email.valid === null) {
+        // Without a DNS answer a near-miss of a webmail domain may just as
+        // well be a real company domain (ge.com, aon.com), so propose nothing
+        return { details: email };
+      }
+
+      // Blocking problems become issues; warnings only become recommendations.
+      // A typo is why its domain takes no mail, so that is not a second issue.
+      const causedByTypo = code => Boolean(email.suggestion) && ['DOMAIN_NOT_FOUND', 'NO_MAIL_SERVER'].includes(code);
+      const problems = email.valid === false ?
+        [email, ...email.warnings.filter(w => BLOCKING_EMAIL_CODES.includes(w.code) && !causedByTypo(w.code))] :
+        [];
+      const outcomes = problems.map(problem => ({
+        issue: `Email issue: ${problem.reason}`,
+        code: problem.code,
+        ...(problem.suggestion ? {
+          recommendation: `Check email address; did you mean ${problem.suggestion}?`,
+          proposals: [{ field: 'email', value: problem.suggestion, reason: `Email domain looks like a typo of ${problem.suggestion.split('@').pop()}` }]
+        } : {})
+      }));
+
+      email.warnings
+        .filter(w => !BLOCKING_EMAIL_CODES.includes(w.code))
+        .forEach(w => outcomes.push({ recommendation: w.reason }));
+
+      if (email.valid === true) {
+        outcomes.push({ recommendation: 'Email domain appears valid' });
+      }
+
+      outcomes.push({ details: email });
+      return outcomes;
+    }
+  },
+  {
+    id: 'phone-number',
+    description: 'Phone number is a real, dialable number (country inferred from the billing or lead country)',
+    objects: ALL_OBJECTS,
+    severity: 'low',
+    weight: 0.1,
+    options: { writeBackE164: false },
+    evaluate(record, context, options) {
+      const number = context.field('phone');
+      if (!number) return;
+
+      const phone = analyzePhone(number, { defaultCountry: context.field('country') });
+      if (phone.placeholder) {
+        return { issue: `Phone number ${phone.input} appears to be a placeholder`, details: phone };
+      }
+      if (!phone.valid) {
+        return { issue: `Phone number is invalid: ${phone.reason}`, details: phone };
+      }
+      if (phone.e164 === phone.input) {
+        return { details: phone };
+      }
+
+      // Valid but not stored in E.164 form. Without writeBackE164 the
+      // normalized number waits in the review queue instead.
+      return {
+        recommendation: `Normalize phone number to ${phone.e164}`,
+        details: phone,
+        fieldUpdates: options.writeBackE164 ? { Phone: phone.e164 } : undefined,
+        proposals: options.writeBackE164 ? undefined : [{ field: 'phone', value: phone.e164, reason: 'Store the phone number in E.164 format' }]
+      };
+    }
+  },
+  {
+    id: 'stale-record',
+    description: 'Record has been modified recently',
+    objects: ALL_OBJECTS,
+    severity: 'low',
+    weight: 0.1,
+    options: { maxMonths: 12 },
+    evaluate(record, context, options) {
+      if (!record.LastModifiedDate) return;
+
+      const monthsOld = (context.now - new Date(record.LastModifiedDate)) / MONTH_MS;
+      if (monthsOld > options.maxMonths) {
+        return {
+          issue: `${context.object} not updated in ${Math.floor(monthsOld)} months`,
+          recommendation: 'Consider reaching out to verify current information'
+        };
+      }
+    }
+  },
+  {
+    id: 'website-domain',
+    description: 'Account website is a well-formed domain that still resolves (DNS check with --test-website)',
+    objects: ['Account'],
+    severity: 'medium',
+    weight: 0.2,
+    async evaluate(record, context) {
+      const website = context.field('website');
+      if (!website) {
+        return { recommendation: 'Add the company website' };
+      }
+
+      const domain = websiteDomain(website);
+      if (!domain) {
+        return { issue: `Website "${website}" is not a valid domain` };
+      }
+      if (!context.resolveWebsite) {
+        return { details: { domain, resolves: null } };
+      }
+
+      const lookup = await context.resolveWebsite(domain);
+      if (lookup.resolves === false) {
+        return { issue: `Website domain ${domain} does not resolve`, details: { domain, ...lookup } };
+      }
+      if (lookup.resolves === null) {
+        return { recommendation: `Could not check website domain ${domain} (${lookup.error})`, details: { domain, ...lookup } };
+      }
+      return { details: { domain, ...lookup } };
+    }
+  },
+  {
+    id: 'billing-address',
+    description: 'Account billing address has a street, city, postal code and country',
+    objects: ['Account'],
+    severity: 'medium',
+    weight: 0.2,
+    options: { requiredParts: ['street', 'city', 'postalCode', 'country'] },
+    evaluate(record, context, options) {
+      const labels = { street: 'street', city: 'city', state: 'state', postalCode: 'postal code', country: 'country' };
+      const missing = options.requiredParts.filter(part => !context.field(part));
+
+      if (missing.length === options.requiredParts.length) {
+        return { issue: 'Billing address is missing' };
+      }
+      if (missing.length > 0) {
+        return { issue: `Billing address is incomplete: no ${missing.map(part => labels[part] || part).join(', ')}` };
+      }
+    }
+  },
+  {
+    id: 'contact-email-domains',
+    description: "Business email addresses of the Account's contacts match its website domain",
+    objects: ['Account'],
+    severity: 'low',
+    weight: 0.1,
+    // Share of contact addresses that may use another domain before it is an issue
+    options: { maxMismatchRatio: 0.5 },
+    evaluate(record, context, options) {
+      const domain = websiteDomain(context.field('website'));
+      const emails = (context.relatedEmails || []).filter(Boolean);
+      if (!domain || emails.length === 0) return;
+
+      // Personal webmail addresses say nothing about the company domain
+      const business = emails
+        .map(email => String(email).split('@').pop().toLowerCase())
+        .filter(emailDomain => !FREE_MAIL_DOMAINS.includes(emailDomain));
+      if (business.length === 0) return;
+
+      const expected = baseDomain(domain);
+      const others = business.filter(emailDomain => baseDomain(emailDomain) !== expected);
+      const otherDomains = [...new Set(others)];
+      const details = { domain, checked: business.length, mismatched: others.length, otherDomains };
+
+      if (others.length / business.length > options.maxMismatchRatio) {
+        return {
+          issue: `Contact email domains (${otherDomains.join(', ')}) do not match website ${domain}`,
+          recommendation: 'Check whether the website or the contacts are out of date',
+          details
+        };
+      }
+      if (others.length > 0) {
+        return { recommendation: `Some contacts use other email domains: ${otherDomains.join(', ')}`, details };
+      }
+      return { details };
+    }
+  }
+];
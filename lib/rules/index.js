@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const builtinRules = require('./builtin');
+const { SUPPORTED_OBJECTS, getObjectProfile, readPath, readField } = require('../objects');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Data quality reported for the worst failing rule severity
+const SEVERITY_QUALITY = {
+  low: 'GOOD',
+  medium: 'FAIR',
+  high: 'POOR'
+};
+
+const DEFAULT_THRESHOLDS = {
+  baseConfidence: 0.8,
+  // CONFIRMED requires no more issues than this
+  confirmedMaxIssues: 0,
+  // NEEDS_REVIEW requires no more issues than this and a confidence above
+  // needsReviewMinConfidence; anything worse is OUTDATED
+  needsReviewMaxIssues: 2,
+  needsReviewMinConfidence: 0.5
+};
+
+function normalizeRule(definition, overrides = {}, source = 'builtin') {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error(`Verification rule from ${source} is missing an id`);
+  }
+  if (typeof definition.evaluate !== 'function') {
+    throw new Error(`Verification rule "${definition.id}" from ${source} has no evaluate() function`);
+  }
+
+  const rule = {
+    description: '',
+    severity: 'medium',
+    weight: 0.1,
+    enabled: true,
+    version: 1,
+    // Rules written before Leads and Accounts were supported check contacts
+    objects: ['Contact'],
+    ...definition,
+    ...overrides,
+    options: { ...(definition.options || {}), ...(overrides.options || {}) },
+    evaluate: definition.evaluate,
+    source
+  };
+
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Verification rule "${rule.id}" has unknown severity "${rule.severity}" (expected ${SEVERITIES.join(', ')})`);
+  }
+  if (typeof rule.weight !== 'number' || rule.weight < 0) {
+    throw new Error(`Verification rule "${rule.id}" must have a non-negative numeric weight`);
+  }
+  const unsupported = [].concat(rule.objects).filter(object => !SUPPORTED_OBJECTS.includes(object));
+  if (unsupported.length > 0) {
+    throw new Error(`Verification rule "${rule.id}" targets unsupported objects: ${unsupported.join(', ')}`);
+  }
+  rule.objects = [].concat(rule.objects);
+
+  return rule;
+}
+
+// Load every .js module in `dir`. A module may export a single rule or an
+// array of rules.
+function loadRuleModules(dir) {
+  const resolved = path.resolve(dir);
+
+  return fs.readdirSync(resolved)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .flatMap(file => {
+      const exported = require(path.join(resolved, file));
+      return (Array.isArray(exported) ? exported : [exported])
+        .map(definition => ({ definition, source: path.join(dir, file) }));
+    });
+}
+
+class RuleEngine {
+  constructor({ rules = [], thresholds = {}, object = 'Contact' } = {}) {
+    this.rules = [];
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.profile = getObjectProfile(object);
+    this.object = this.profile.name;
+    rules.forEach(rule => this.register(rule));
+  }
+
+  register(definition, overrides = {}, source) {
+    const rule = normalizeRule(definition, overrides, source);
+    const existing = this.rules.findIndex(r => r.id === rule.id);
+
+    // Registering an existing id replaces it, so custom modules can swap
+    // out a built-in rule
+    if (existing >= 0) {
+      this.rules[existing] = rule;
+    } else {
+      this.rules.push(rule);
+    }
+    return rule;
+  }
+
+  getRule(id) {
+    return this.rules.find(rule => rule.id === id);
+  }
+
+  // Enabled rules that apply to the engine's object
+  get enabledRules() {
+    return this.rules.filter(rule => rule.enabled && rule.objects.includes(this.object));
+  }
+
+  // Run every enabled rule against the record and fold the findings into
+  // issues, recommendations, a confidence score and a status.
+  async evaluate(record, context = {}) {
+    const evaluation = {
+      dataQuality: 'GOOD',
+      issues: [],
+      recommendations: [],
+      findings: [],
+      details: {},
+      fieldUpdates: {},
+      proposals: [],
+      confidence: this.thresholds.baseConfidence
+    };
+    const ruleContext = {
+      now: Date.now(),
+      object: this.object,
+      field: name => readField(this.profile, record, name),
+      ...context
+    };
+
+    for (const rule of this.enabledRules) {
+      // A rule may report nothing, one outcome or several
+      const outcomes = [].concat(await rule.evaluate(record, ruleContext, rule.options) || []);
+      let failed = false;
+
+      for (const outcome of outcomes) {
+        const recommendations = [].concat(outcome.recommendation || []);
+        evaluation.recommendations.push(...recommendations);
+
+        // Structured data a rule wants to surface in notes and reports
+        if (outcome.details) {
+          evaluation.details[rule.id] = outcome.details;
+        }
+
+        // Field values a rule proposes to write back alongside the status
+        if (outcome.fieldUpdates) {
+          Object.assign(evaluation.fieldUpdates, outcome.fieldUpdates);
+        }
+
+        // Corrections that wait for a person to accept them (see lib/review.js)
+        [].concat(outcome.proposals || []).forEach(proposal => this.addProposal(evaluation, record, rule, proposal));
+
+        if (outcome.issue) {
+          failed = true;
+          evaluation.issues.push(outcome.issue);
+          evaluation.findings.push({
+            ruleId: rule.id,
+            code: outcome.code || rule.id,
+            severity: rule.severity,
+            weight: rule.weight,
+            issue: outcome.issue
+          });
+        }
+      }
+
+      // Each failing rule costs its weight once, however many issues it raised
+      if (failed) {
+        evaluation.confidence -= rule.weight;
+
+        const quality = SEVERITY_QUALITY[rule.severity];
+        if (qualityRank(quality) > qualityRank(evaluation.dataQuality)) {
+          evaluation.dataQuality = quality;
+        }
+      }
+    }
+
+    evaluation.status = this.classify(evaluation.issues.length, evaluation.confidence);
+    return evaluation;
+  }
+
+  // Record a proposed field value with the value it replaces. Proposals
+  // name a logical field ("phone") or an API name; fields of related records
+  // cannot be written through this record and are dropped, as are values
+  // that would not change anything. The first rule to propose a field wins.
+  addProposal(evaluation, record, rule, { field, value, reason }) {
+    const path = this.profile.fields[field] || field;
+    const before = readPath(record, path);
+    if (path.includes('.') || value === before || evaluation.proposals.some(proposal => proposal.field === path)) {
+      return;
+    }
+    evaluation.proposals.push({ ruleId: rule.id, field: path, before, after: value, reason: reason || rule.description });
+  }
+
+  classify(issueCount, confidence) {
+    const { confirmedMaxIssues, needsReviewMaxIssues, needsReviewMinConfidence } = this.thresholds;
+
+    if (issueCount <= confirmedMaxIssues) {
+      return 'CONFIRMED';
+    }
+    if (issueCount <= needsReviewMaxIssues && confidence > needsReviewMinConfidence) {
+      return 'NEEDS_REVIEW';
+    }
+    return 'OUTDATED';
+  }
+
+  // Rule ids and versions that produced a result, for audit purposes
+  describe() {
+    return this.enabledRules.map(({ id, version, severity, weight, source }) => ({ id, version, severity, weight, source }));
+  }
+
+  // Thresholds and every rule for the object, enabled or not, with its
+  // options; for showing the configuration in effect
+  settings() {
+    return {
+      object: this.object,
+      thresholds: this.thresholds,
+      rules: this.rules
+        .filter(rule => rule.objects.includes(this.object))
+        .map(({ id, description, version, enabled, severity, weight, options, source }) => ({
+          id, description, version, enabled, severity, weight, options, source
+        }))
+    };
+  }
+}
+
+function qualityRank(quality) {
+  return ['GOOD', 'FAIR', 'POOR'].indexOf(quality);
+}
+
+// Build a rule engine from the `verification` section of config.json:
+//
+//   "verification": {
+//     "thresholds": { "baseConfidence": 0.8, "needsReviewMaxIssues": 2 },
+//     "rules": { "title-present": { "enabled": false } },
+//     "customRulesDir": "./rules",
+//     "objects": { "Account": { "rules": { "billing-address": { "severity": "low" } } } }
+//   }
+//
+// Settings under `objects.<Object>` override the shared ones for that object.
+function createRuleEngine(verificationConfig = {}, { object = 'Contact' } = {}) {
+  const profile = getObjectProfile(object);
+  const objectConfig = verificationConfig.objects?.[profile.name] || {};
+  const thresholds = { ...verificationConfig.thresholds, ...objectConfig.thresholds };
+  const { customRulesDir } = verificationConfig;
+
+  // Per-object overrides are merged into the shared ones rule by rule
+  const overrides = { ...verificationConfig.rules };
+  Object.entries(objectConfig.rules || {}).forEach(([id, override]) => {
+    overrides[id] = {
+      ...overrides[id],
+      ...override,
+      options: { ...overrides[id]?.options, ...override.options }
+    };
+  });
+
+  const engine = new RuleEngine({ thresholds, object: profile.name });
+
+  builtinRules.forEach(rule => engine.register(rule, overrides[rule.id]));
+
+  if (customRulesDir) {
+    loadRuleModules(customRulesDir).forEach(({ definition, source }) => {
+      engine.register(definition, overrides[definition.id], source);
+    });
+  }
+
+  const unknown = Object.keys(overrides).filter(id => !engine.getRule(id));
+  if (unknown.length > 0) {
+    throw new Error(`Configuration references unknown verification rules: ${unknown.join(', ')}`);
+  }
+
+  return engine;
+}
+
+module.exports = {
+  RuleEngine,
+  createRuleEngine,
+  loadRuleModules,
+  builtinRules,
+  DEFAULT_THRESHOLDS
+};
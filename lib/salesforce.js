@@ -0,0 +1,234 @@
+const {
+  QueryBuilder,
+  queryAll,
+  assertSalesforceId,
+  escapeSoqlString,
+  toPositiveInteger,
+  SALESFORCE_ID_PATTERN
+} = require('./query-builder');
+const { getObjectProfile } = require('./objects');
+const { DEFAULT_FIELD_MAPPING, selectFields } = require('./field-mapping');
+const { readFieldValues } = require('./audit');
+// Connections are created and signed in by lib/auth.js
+const { createConnection, getSalesforceConnection } = require('./auth');
+
+const CONTACT_FIELDS = selectFields('Contact');
+
+const DEFAULT_RECORD_ORDER = 'LastModifiedDate DESC';
+
+// Split selection values into IDs and names, e.g. owner IDs and usernames
+function partitionIds(values) {
+  const list = [].concat(values || []).map(value => String(value).trim()).filter(Boolean);
+  return {
+    ids: list.filter(value => SALESFORCE_ID_PATTERN.test(value)),
+    names: list.filter(value => !SALESFORCE_ID_PATTERN.test(value))
+  };
+}
+
+// Build the SOQL for records of `object` (Contact, Lead or Account) due for
+// verification. Options:
+//   ids          exactly these records (every other filter is skipped)
+//   months       not verified in this many months; 0 selects any age
+//   accountIds   only these Accounts (accountId is accepted for one);
+//                contacts without an Account are never selected
+//   owners       owner IDs, usernames or full names
+//   recordTypes  record type IDs or developer names
+//   leadSources  LeadSource values (AccountSource on Accounts)
+//   statuses     verification status values, e.g. ['NEEDS_REVIEW']
+//   where        an extra SOQL condition, e.g. "MailingCountry = 'US'"
+//   orderBy      e.g. "Last_Verified__c ASC NULLS FIRST, LastModifiedDate DESC"
+//   fieldMapping API names of the verification fields (lib/field-mapping.js)
+function buildRecordQuery(object, options = {}) {
+  const {
+    limit = 10, months = 6, ids, accountId, accountIds = [], owners, recordTypes, leadSources = [], statuses = [], where, orderBy,
+    fieldMapping = DEFAULT_FIELD_MAPPING
+  } = options;
+  const profile = getObjectProfile(object);
+  const query = new QueryBuilder(profile.name).select(selectFields(profile.name, fieldMapping));
+
+  if (ids && ids.length > 0) {
+    query.whereIn('Id', ids.map(assertSalesforceId));
+  } else {
+    if (months !== null && months !== undefined && Number(months) !== 0) {
+      const n = toPositiveInteger(months, 'months');
+      query.anyOf(
+        q => q.whereDate(fieldMapping.lastVerified, '<', `LAST_N_MONTHS:${n}`),
+        q => q.where(fieldMapping.lastVerified, '=', null)
+      );
+    }
+
+    const accounts = [...[].concat(accountIds || []), ...(accountId ? [accountId] : [])];
+    if (accounts.length > 0) {
+      if (!profile.accountField) {
+        throw new Error(`${profile.name} records cannot be selected by Account`);
+      }
+      query.whereIn(profile.accountField, accounts.map(assertSalesforceId));
+    } else if (profile.name === 'Contact') {
+      query.where('AccountId', '!=', null);
+    }
+
+    (profile.baseConditions || []).forEach(([field, operator, value]) => query.where(field, operator, value));
+
+    const owner = partitionIds(owners);
+    const ownerUsernames = owner.names.filter(name => name.includes('@'));
+    const ownerNames = owner.names.filter(name => !name.includes('@'));
+    query.anyOf(
+      ...(owner.ids.length > 0 ? [q => q.whereIn('OwnerId', owner.ids)] : []),
+      ...(ownerUsernames.length > 0 ? [q => q.whereIn('Owner.Username', ownerUsernames)] : []),
+      ...(ownerNames.length > 0 ? [q => q.whereIn('Owner.Name', ownerNames)] : [])
+    );
+
+    const recordType = partitionIds(recordTypes);
+    query.anyOf(
+      ...(recordType.ids.length > 0 ? [q => q.whereIn('RecordTypeId', recordType.ids)] : []),
+      ...(recordType.names.length > 0 ? [q => q.whereIn('RecordType.DeveloperName', recordType.names)] : [])
+    );
+
+    if ([].concat(leadSources).length > 0) {
+      query.whereIn(profile.leadSourceField, leadSources);
+    }
+    if ([].concat(statuses).length > 0) {
+      query.whereIn(fieldMapping.status, statuses);
+    }
+    if (where) {
+      query.whereRaw(where);
+    }
+  }
+
+  query.where('Name', '!=', null);
+  query.where('IsDeleted', '=', false);
+
+  return query
+    .orderBy(orderBy || DEFAULT_RECORD_ORDER)
+    .limit(limit)
+    .toSoql();
+}
+
+function buildContactQuery(options = {}) {
+  return buildRecordQuery('Contact', options);
+}
+
+// Fetch records that are due for verification (see buildRecordQuery for
+// the options). Pages past 2000 rows are fetched with queryMore, each
+// through `options.request` (see queryAll).
+async function getRecords(conn, object, options = {}) {
+  const { limit = 10, request } = options;
+  return queryAll(conn, buildRecordQuery(object, options), { limit: toPositiveInteger(limit, 'limit'), request });
+}
+
+async function getRecordById(conn, object, recordId, { fieldMapping } = {}) {
+  const [record] = await getRecords(conn, object, { ids: [recordId], limit: 1, fieldMapping });
+  if (!record) {
+    throw new Error(`${getObjectProfile(object).name} ${recordId} not found`);
+  }
+  return record;
+}
+
+function getContacts(conn, options = {}) {
+  return getRecords(conn, 'Contact', options);
+}
+
+function getContactById(conn, contactId) {
+  return getRecordById(conn, 'Contact', contactId);
+}
+
+// Email addresses of the contacts of each Account, for comparing against the
+// Account website: Map of AccountId -> [email]
+async function getAccountContactEmails(conn, accountIds, { limit = 2000, request } = {}) {
+  const emailsByAccount = new Map(accountIds.map(id => [id, []]));
+  if (accountIds.length === 0) return emailsByAccount;
+
+  const query = new QueryBuilder('Contact')
+    .select(['AccountId', 'Email'])
+    .whereIn('AccountId', accountIds.map(assertSalesforceId))
+    .where('Email', '!=', null)
+    .where('IsDeleted', '=', false)
+    .limit(limit);
+
+  const records = await queryAll(conn, query.toSoql(), { limit: toPositiveInteger(limit, 'limit'), request });
+  records.forEach(record => emailsByAccount.get(record.AccountId)?.push(record.Email));
+  return emailsByAccount;
+}
+
+// Every record that could be a duplicate of the given ones: for contacts, all
+// contacts in the same Accounts; for contacts and leads, any record sharing
+// one of the email addresses.
+async function getDuplicateCandidates(conn, {
+  object = 'Contact', accountIds = [], emails = [], limit = 2000, fieldMapping = DEFAULT_FIELD_MAPPING, request
+} = {}) {
+  const profile = getObjectProfile(object);
+  const byAccount = profile.name === 'Contact' ? accountIds : [];
+  if (byAccount.length === 0 && emails.length === 0) return [];
+
+  const query = new QueryBuilder(profile.name)
+    .select(selectFields(profile.name, fieldMapping))
+    .anyOf(
+      ...(byAccount.length > 0 ? [q => q.whereIn('AccountId', byAccount.map(assertSalesforceId))] : []),
+      ...(emails.length > 0 ? [q => q.whereIn('Email', emails)] : [])
+    )
+    .where('IsDeleted', '=', false)
+    .orderBy(profile.name === 'Contact' ? 'AccountId, Name' : 'Name')
+    .limit(limit);
+
+  return queryAll(conn, query.toSoql(), { limit: toPositiveInteger(limit, 'limit'), request });
+}
+
+function buildVerificationUpdate(result, verifiedOn = new Date(), fieldMapping = DEFAULT_FIELD_MAPPING) {
+  const update = {
+    Id: assertSalesforceId(result.id),
+    [fieldMapping.status]: result.status,
+    [fieldMapping.lastVerified]: verifiedOn.toISOString().split('T')[0]
+  };
+
+  if (result.notes !== undefined) {
+    update[fieldMapping.notes] = result.notes;
+  }
+
+  // Normalized values proposed by verification rules (e.g. E.164 phone)
+  if (result.fieldUpdates) {
+    Object.assign(update, result.fieldUpdates);
+  }
+
+  return update;
+}
+
+// Write a single verification result back to its record (a Contact unless
+// the result says otherwise). With `audit` ({ log, runId, actor, source })
+// the write is logged with the values it replaced, see lib/audit.js.
+// `request` wraps each API call, e.g. to retry it with an ApiLimitGuard.
+async function writeVerificationResult(conn, result, { fieldMapping, audit, request = send => send() } = {}) {
+  const object = result.object || 'Contact';
+  const update = buildVerificationUpdate(result, undefined, fieldMapping);
+  const before = audit ? (await readFieldValues(conn, object, [update.Id], Object.keys(update), request)).get(update.Id) : null;
+
+  const response = await request(() => conn.sobject(object).update(update));
+  const failed = response && response.success === false;
+  const message = failed ? (response.errors || []).map(e => e.message || e).join('; ') || 'Unknown error' : null;
+
+  if (audit) {
+    audit.log.recordWrites(object, [{ update, before, success: !failed, error: message }], audit);
+  }
+  if (failed) {
+    throw new Error(message);
+  }
+
+  return response;
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  createConnection,
+  getSalesforceConnection,
+  assertSalesforceId,
+  buildRecordQuery,
+  buildContactQuery,
+  getRecords,
+  getRecordById,
+  getContacts,
+  getContactById,
+  getAccountContactEmails,
+  getDuplicateCandidates,
+  escapeSoqlString,
+  buildVerificationUpdate,
+  writeVerificationResult
+};
@@ -0,0 +1,157 @@
+const net = require('net');
+const crypto = require('crypto');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Minimal SMTP conversation over a plain socket: send a command, wait for the
+// complete (possibly multi-line) reply and resolve with { code, text }.
+class SmtpSession {
+  constructor(host, { port = 25, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+    this.buffer = '';
+    this.pending = null;
+    this.closed = false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket.setEncoding('utf8');
+      this.socket.setTimeout(this.timeout, () => {
+        this.fail(new Error(`SMTP timeout after ${this.timeout}ms`));
+      });
+      this.socket.on('error', error => this.fail(error));
+      this.socket.on('data', chunk => this.onData(chunk));
+      // A server that hangs up mid-dialogue answers nothing more; closing
+      // also clears the socket timeout, so reject here
+      const closed = () => {
+        this.closed = true;
+        this.fail(new Error('SMTP connection closed'));
+      };
+      this.socket.on('end', closed);
+      this.socket.on('close', closed);
+
+      // The greeting is the first reply
+      this.pending = { resolve, reject };
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    // The final element is an incomplete line (or empty) until CRLF arrives
+    const lines = this.buffer.split('\r\n').slice(0, -1);
+    const lastLine = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (lastLine < 0 || !this.pending) return;
+
+    const reply = lines.slice(0, lastLine + 1);
+    this.buffer = this.buffer.split('\r\n').slice(lastLine + 1).join('\r\n');
+
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve({
+      code: Number(reply[reply.length - 1].slice(0, 3)),
+      text: reply.map(line => line.slice(4)).join(' ').trim()
+    });
+  }
+
+  fail(error) {
+    if (this.pending) {
+      const { reject } = this.pending;
+      this.pending = null;
+      reject(error);
+    }
+    this.close();
+  }
+
+  send(command) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        reject(new Error('SMTP connection closed'));
+        return;
+      }
+      this.pending = { resolve, reject };
+      this.socket.write(`${command}\r\n`);
+    });
+  }
+
+  close() {
+    if (this.socket && !this.socket.destroyed) {
+      // Let the server close the connection, but never keep the process alive for it
+      this.socket.end('QUIT\r\n');
+      this.socket.unref();
+    }
+  }
+}
+
+function isAccepted(code) {
+  return code === 250 || code === 251;
+}
+
+// Ask the domain's mail server whether it would accept `email` without
+// sending a message (RCPT TO probe), then probe a random address on the same
+// domain to detect catch-all servers. Resolves to
+//   { status: 'accepted' | 'rejected' | 'catch-all' | 'unknown', host, response }
+async function probeMailbox(email, mailHosts, {
+  heloHost = os.hostname(),
+  mailFrom = `verify@${heloHost}`,
+  timeout = DEFAULT_TIMEOUT_MS,
+  port = 25
+} = {}) {
+  const domain = email.split('@').pop();
+  let lastResponse = null;
+
+  for (const host of mailHosts) {
+    const session = new SmtpSession(host, { port, timeout });
+
+    try {
+      const greeting = await session.connect();
+      if (greeting.code !== 220) {
+        lastResponse = greeting.text;
+        continue;
+      }
+
+      const ehlo = await session.send(`EHLO ${heloHost}`);
+      if (ehlo.code !== 250 && (await session.send(`HELO ${heloHost}`)).code !== 250) {
+        lastResponse = ehlo.text;
+        continue;
+      }
+
+      const from = await session.send(`MAIL FROM:<${mailFrom}>`);
+      if (!isAccepted(from.code)) {
+        return { status: 'unknown', host, response: from.text };
+      }
+
+      const rcpt = await session.send(`RCPT TO:<${email}>`);
+      if (rcpt.code >= 500) {
+        return { status: 'rejected', host, response: `${rcpt.code} ${rcpt.text}` };
+      }
+      if (!isAccepted(rcpt.code)) {
+        // 4xx: greylisting or temporary failure, cannot conclude
+        return { status: 'unknown', host, response: `${rcpt.code} ${rcpt.text}` };
+      }
+
+      const random = `${crypto.randomBytes(12).toString('hex')}@${domain}`;
+      const control = await session.send(`RCPT TO:<${random}>`);
+      return {
+        status: isAccepted(control.code) ? 'catch-all' : 'accepted',
+        host,
+        response: `${rcpt.code} ${rcpt.text}`
+      };
+    } catch (error) {
+      // Port 25 is often blocked outbound; try the next host
+      lastResponse = error.message;
+    } finally {
+      session.close();
+    }
+  }
+
+  return { status: 'unknown', host: null, response: lastResponse };
+}
+
+module.exports = {
+  SmtpSession,
+  probeMailbox
+};
@@ -0,0 +1,107 @@
+const { RunJournal } = require('./journal');
+const { readFieldValues, cliActor, sameValue } = require('./audit');
+const { formatErrors, MAX_COLLECTION_SIZE } = require('./writeback');
+
+// What undoing the successful writes of `entries` means for each field:
+// restore the value from before the first write, as long as the field still
+// holds the value of the last one. Resolves to
+//   [{ object, recordId, field, restore, expected }]
+function planUndo(entries) {
+  const fields = new Map();
+
+  entries.filter(entry => entry.type === 'write' && entry.success).forEach(entry => {
+    Object.entries(entry.changes).forEach(([field, { before, after }]) => {
+      const key = `${entry.object}.${entry.recordId}.${field}`;
+      if (!fields.has(key)) {
+        fields.set(key, { object: entry.object, recordId: entry.recordId, field, restore: before, expected: after });
+      }
+      fields.get(key).expected = after;
+    });
+  });
+
+  return [...fields.values()].filter(change => !sameValue(change.restore, change.expected));
+}
+
+// Restore the values a run overwrote. Each record is read again first: a
+// field that already holds its old value is left alone, and one changed by
+// someone else since the run is a conflict that is only overwritten with
+// `force`. Restoring writes are logged like any other, under a new run ID.
+// Resolves to
+//   { runId, apiCalls, outcomes: [{ object, recordId, field, restore, current, status, error }] }
+// where status is restored, unchanged, conflict, failed (or would-restore
+// with `dryRun`).
+async function undoWrites(conn, changes, {
+  log = null,
+  undoOf,
+  actor = cliActor(),
+  force = false,
+  dryRun = false,
+  request = send => send(),
+  collectionSize = MAX_COLLECTION_SIZE
+} = {}) {
+  const runId = RunJournal.generateRunId();
+  const outcomes = [];
+  let apiCalls = 0;
+  const size = Math.min(collectionSize, MAX_COLLECTION_SIZE);
+  const counted = send => {
+    apiCalls++;
+    return request(send);
+  };
+
+  const byObject = new Map();
+  changes.forEach(change => byObject.set(change.object, [...(byObject.get(change.object) || []), change]));
+
+  for (const [object, objectChanges] of byObject) {
+    let current;
+    try {
+      current = await readFieldValues(conn, object, objectChanges.map(change => change.recordId), objectChanges.map(change => change.field), counted);
+    } catch (error) {
+      objectChanges.forEach(change => outcomes.push({ ...change, current: null, status: 'failed', error: error.message }));
+      continue;
+    }
+
+    const updates = new Map();
+    objectChanges.forEach(change => {
+      const record = current.get(change.recordId);
+      const value = record ? record[change.field] ?? null : null;
+      if (!record) {
+        outcomes.push({ ...change, current: null, status: 'failed', error: `${object} ${change.recordId} no longer exists or is not visible` });
+      } else if (sameValue(value, change.restore)) {
+        outcomes.push({ ...change, current: value, status: 'unchanged', error: null });
+      } else if (!sameValue(value, change.expected) && !force) {
+        outcomes.push({ ...change, current: value, status: 'conflict', error: `${change.field} changed since the run` });
+      } else if (dryRun) {
+        outcomes.push({ ...change, current: value, status: 'would-restore', error: null });
+      } else {
+        updates.set(change.recordId, [...(updates.get(change.recordId) || []), { ...change, current: value }]);
+      }
+    });
+
+    const recordIds = [...updates.keys()];
+    for (let i = 0; i < recordIds.length; i += size) {
+      const chunk = recordIds.slice(i, i + size);
+      const payloads = chunk.map(id => Object.fromEntries([['Id', id], ...updates.get(id).map(change => [change.field, change.restore])]));
+      let responses;
+      try {
+        responses = [].concat(await counted(() => conn.sobject(object).update(payloads, { allOrNone: false })));
+      } catch (error) {
+        responses = chunk.map(() => ({ success: false, errors: [{ message: error.message }] }));
+      }
+
+      const writes = chunk.map((id, index) => {
+        const response = responses[index];
+        const error = response && response.success ? null : formatErrors(response?.errors);
+        updates.get(id).forEach(change => outcomes.push({ ...change, status: error ? 'failed' : 'restored', error }));
+        return { update: payloads[index], before: current.get(id), success: !error, error };
+      });
+      log?.recordWrites(object, writes, { runId, actor, source: 'undo', undoOf });
+    }
+  }
+
+  return { runId, apiCalls, outcomes };
+}
+
+module.exports = {
+  planUndo,
+  undoWrites
+};
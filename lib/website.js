@@ -0,0 +1,55 @@
+// Account website checks: pull the domain out of whatever was typed into the
+// Website field, and see whether that domain still resolves.
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// "https://www.Acme.example/about" -> "acme.example". Returns null when the
+// value does not contain a usable host name.
+function websiteDomain(website) {
+  if (!website || typeof website !== 'string') return null;
+
+  const value = website.trim();
+  let host;
+  try {
+    host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  const domain = host.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  return DOMAIN_PATTERN.test(domain) ? domain : null;
+}
+
+// The registrable part of an email or website domain, good enough to compare
+// "mail.acme.example" with "acme.example"
+function baseDomain(domain) {
+  const labels = domain.toLowerCase().split('.');
+  // Second-level country domains such as co.uk and com.au keep three labels
+  const keep = labels.length > 2 && labels[labels.length - 2].length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+// Resolve { resolves: true|false|null, addresses, error }. null means the
+// lookup itself failed (timeout, SERVFAIL) and says nothing about the site.
+async function resolveWebsite(domain, resolver = require('dns').promises) {
+  for (const method of ['resolve4', 'resolve6']) {
+    try {
+      const addresses = await resolver[method](domain);
+      if (addresses && addresses.length > 0) {
+        return { resolves: true, addresses };
+      }
+    } catch (error) {
+      if (!['ENODATA', 'ENOTFOUND', 'NXDOMAIN'].includes(error.code)) {
+        return { resolves: null, addresses: [], error: error.code || error.message };
+      }
+    }
+  }
+
+  return { resolves: false, addresses: [] };
+}
+
+module.exports = {
+  websiteDomain,
+  baseDomain,
+  resolveWebsite
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+// Limits on what MCP clients may write, from `mcp.writes` in config.json
+const DEFAULT_WRITE_POLICY = {
+  readOnly: false,
+  maxWritesPerSession: 50,
+  writableStatuses: ['CONFIRMED', 'NEEDS_REVIEW', 'OUTDATED'],
+  // API names or field mapping keys; null allows the mapped verification fields
+  writableFields: null,
+  requireConfirmation: true,
+  confirmationTtlSeconds: 600,
+  cooldownHours: 24
+};
+
+class WritePolicyError extends Error {
+  constructor(errorCode, message, details = {}) {
+    super(message);
+    this.name = 'WritePolicyError';
+    this.errorCode = errorCode;
+    this.details = details;
+  }
+}
+
+function fingerprint(action, subject) {
+  return crypto.createHash('sha256').update(JSON.stringify([action, subject])).digest('hex');
+}
+
+// The write rules of one MCP session: read-only mode, a cap on record
+// writes, allow-lists of fields and statuses, a cooldown after the last
+// verification and single-use confirmation tokens handed out by previews.
+// Sessions that pass the same `budget` ({ writes }) share one write cap.
+class WritePolicy {
+  constructor(settings = {}, { now = () => Date.now(), budget = { writes: 0 } } = {}) {
+    this.settings = { ...DEFAULT_WRITE_POLICY, ...settings };
+    this.now = now;
+    this.budget = budget;
+    // Outstanding confirmation tokens: token -> { fingerprint, expiresAt }
+    this.tokens = new Map();
+  }
+
+  static fromConfig(config, options) {
+    return new WritePolicy(config?.mcp?.writes, options);
+  }
+
+  get writes() {
+    return this.budget.writes;
+  }
+
+  // Record writes left in this session, or null without a cap
+  remaining() {
+    const max = this.settings.maxWritesPerSession;
+    return max === null || max === undefined ? null : Math.max(0, max - this.writes);
+  }
+
+  checkWritable() {
+    if (this.settings.readOnly) {
+      throw new WritePolicyError('READ_ONLY', 'The MCP server is in read-only mode; writes to Salesforce are disabled');
+    }
+  }
+
+  // Throws unless `count` more record writes fit in the session's cap
+  checkBudget(count = 1) {
+    const remaining = this.remaining();
+    if (remaining !== null && count > remaining) {
+      throw new WritePolicyError(
+        'WRITE_LIMIT_REACHED',
+        `This MCP client may write ${remaining} more records (limit ${this.settings.maxWritesPerSession})`,
+        { remaining, limit: this.settings.maxWritesPerSession }
+      );
+    }
+  }
+
+  writableFields(fieldMapping) {
+    const fields = this.settings.writableFields || ['status', 'lastVerified', 'notes'];
+    return fields.map(field => fieldMapping[field] || field);
+  }
+
+  // Throws if an sObject update payload writes a field or status that is
+  // not on the allow-lists
+  checkUpdate(update, fieldMapping) {
+    const allowed = this.writableFields(fieldMapping);
+    const denied = Object.keys(update).filter(field => field !== 'Id' && !allowed.includes(field));
+    if (denied.length > 0) {
+      throw new WritePolicyError(
+        'FIELD_NOT_WRITABLE',
+        `${denied.join(', ')} may not be written by MCP clients (allowed: ${allowed.join(', ')})`,
+        { fields: denied, allowed }
+      );
+    }
+
+    const status = update[fieldMapping.status];
+    if (status !== undefined && !this.settings.writableStatuses.includes(status)) {
+      throw new WritePolicyError(
+        'STATUS_NOT_WRITABLE',
+        `Status ${status} may not be written by MCP clients (allowed: ${this.settings.writableStatuses.join(', ')})`,
+        { status, allowed: this.settings.writableStatuses }
+      );
+    }
+  }
+
+  // Throws if the record was verified less than `cooldownHours` ago.
+  // `lastVerified` is the record's date or date/time value.
+  checkCooldown(recordId, lastVerified) {
+    const hours = this.settings.cooldownHours;
+    if (!hours || !lastVerified) return;
+
+    const verifiedAt = Date.parse(lastVerified);
+    if (Number.isNaN(verifiedAt)) return;
+
+    const availableAt = verifiedAt + hours * 3600 * 1000;
+    if (this.now() < availableAt) {
+      throw new WritePolicyError(
+        'COOLDOWN_ACTIVE',
+        `${recordId} was verified on ${lastVerified}; it can be written again after ${new Date(availableAt).toISOString()}`,
+        { recordId, lastVerified, availableAt: new Date(availableAt).toISOString() }
+      );
+    }
+  }
+
+  // A token that allows one write of exactly `subject` by `action`, or null
+  // when confirmation is off
+  issueToken(action, subject) {
+    if (!this.settings.requireConfirmation) return null;
+
+    const now = this.now();
+    this.tokens.forEach((entry, token) => {
+      if (entry.expiresAt <= now) this.tokens.delete(token);
+    });
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + this.settings.confirmationTtlSeconds * 1000;
+    this.tokens.set(token, { fingerprint: fingerprint(action, subject), expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Use up the token a preview handed out for this write. Throws if it is
+  // missing, unknown, expired or was issued for a different write.
+  redeemToken(token, action, subject) {
+    if (!this.settings.requireConfirmation) return;
+
+    if (!token) {
+      throw new WritePolicyError(
+        'CONFIRMATION_REQUIRED',
+        `Writes need confirmation: preview this ${action} call first and pass the confirmationToken it returns`
+      );
+    }
+
+    const entry = this.tokens.get(token);
+    if (!entry || entry.expiresAt <= this.now()) {
+      this.tokens.delete(token);
+      throw new WritePolicyError('CONFIRMATION_INVALID', 'The confirmation token is unknown, already used or expired; preview the write again');
+    }
+    if (entry.fingerprint !== fingerprint(action, subject)) {
+      throw new WritePolicyError('CONFIRMATION_INVALID', 'The confirmation token was issued for a different write; preview this write first');
+    }
+    this.tokens.delete(token);
+  }
+
+  recordWrites(count) {
+    this.budget.writes += count;
+  }
+}
+
+module.exports = {
+  DEFAULT_WRITE_POLICY,
+  WritePolicy,
+  WritePolicyError
+};
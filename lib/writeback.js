@@ -0,0 +1,195 @@
+const { buildVerificationUpdate } = require('./salesforce');
+const { RETRYABLE_ERROR_CODES } = require('./api-limits');
+const { readFieldValues, updatedFields } = require('./audit');
+
+// sObject Collections accepts at most 200 records per request
+const MAX_COLLECTION_SIZE = 200;
+
+const DEFAULT_WRITEBACK_OPTIONS = {
+  // sObject the results belong to
+  object: 'Contact',
+  collectionSize: MAX_COLLECTION_SIZE,
+  // Above this many records, switch to a Bulk API 2.0 ingest job
+  bulkThreshold: 2000,
+  pollIntervalMs: 2000,
+  pollTimeoutMs: 10 * 60 * 1000,
+  // Records rejected with a retryable status (UNABLE_TO_LOCK_ROW) are resent
+  // this many times
+  maxRecordRetries: 3
+};
+
+function formatErrors(errors) {
+  return (errors || [])
+    .map(error => (error.statusCode ? `${error.statusCode}: ${error.message}` : error.message || String(error)))
+    .join('; ') || 'Unknown error';
+}
+
+// Write results with sObject Collections, one PATCH per chunk of up to 200
+// records. Failures are per record (allOrNone is off); records that failed on
+// a row lock are resent after a pause.
+async function writeWithCollections(conn, results, { object, fieldMapping, collectionSize, request, maxRecordRetries, retryDelay }) {
+  const outcomes = [];
+  let apiCalls = 0;
+  const size = Math.min(collectionSize, MAX_COLLECTION_SIZE);
+
+  for (let i = 0; i < results.length; i += size) {
+    let pending = results.slice(i, i + size);
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay(attempt - 1)));
+      }
+
+      const chunk = pending;
+      pending = [];
+      apiCalls++;
+
+      try {
+        const responses = await request(() => conn.sobject(object).update(
+          chunk.map(result => buildVerificationUpdate(result, undefined, fieldMapping)),
+          { allOrNone: false }
+        ));
+
+        // Responses come back in request order
+        chunk.forEach((result, index) => {
+          const response = [].concat(responses)[index];
+          if (response && response.success) {
+            outcomes.push({ result, success: true, error: null });
+          } else if (attempt < maxRecordRetries &&
+            (response?.errors || []).some(error => RETRYABLE_ERROR_CODES.includes(error.statusCode))) {
+            pending.push(result);
+          } else {
+            outcomes.push({ result, success: false, error: formatErrors(response?.errors) });
+          }
+        });
+      } catch (error) {
+        // The whole request failed (auth, limits, network)
+        chunk.forEach(result => outcomes.push({ result, success: false, error: error.message }));
+      }
+    }
+  }
+
+  return { outcomes, apiCalls };
+}
+
+// Write results with a Bulk API 2.0 update job, driving each step ourselves
+// so every request is counted.
+async function writeWithBulk(conn, results, { object, fieldMapping, request, pollIntervalMs, pollTimeoutMs }) {
+  let apiCalls = 0;
+  const call = send => {
+    apiCalls++;
+    return request(send);
+  };
+
+  const job = conn.bulk2.createJob({ object, operation: 'update' });
+  const byId = new Map(results.map(result => [result.id, result]));
+
+  try {
+    await call(() => job.open());
+    await call(() => job.uploadData(results.map(result => buildVerificationUpdate(result, undefined, fieldMapping))));
+    await call(() => job.close());
+
+    const deadline = Date.now() + pollTimeoutMs;
+    let jobInfo = await call(() => job.check());
+    while (['UploadComplete', 'InProgress'].includes(jobInfo.state)) {
+      if (Date.now() > deadline) {
+        throw new Error(`Bulk job ${jobInfo.id} did not finish within ${pollTimeoutMs}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      jobInfo = await call(() => job.check());
+    }
+
+    if (jobInfo.state !== 'JobComplete') {
+      throw new Error(`Bulk job ${jobInfo.id} ended in state ${jobInfo.state}${jobInfo.errorMessage ? `: ${jobInfo.errorMessage}` : ''}`);
+    }
+
+    const successful = await call(() => job.getSuccessfulResults());
+    const failed = await call(() => job.getFailedResults());
+    const unprocessed = await call(() => job.getUnprocessedRecords());
+
+    const outcomes = [];
+    const seen = new Set();
+    const record = (id, success, error) => {
+      const result = byId.get(id);
+      if (!result || seen.has(id)) return;
+      seen.add(id);
+      outcomes.push({ result, success, error });
+    };
+
+    successful.forEach(row => record(row.sf__Id || row.Id, true, null));
+    failed.forEach(row => record(row.Id || row.sf__Id, false, row.sf__Error || 'Unknown error'));
+    unprocessed.forEach(row => record(row.Id, false, 'Record was not processed by the bulk job'));
+
+    // Anything the job did not report on is treated as failed so it is retried
+    results.forEach(result => record(result.id, false, 'No result returned by the bulk job'));
+
+    return { outcomes, apiCalls, jobId: jobInfo.id };
+  } catch (error) {
+    return {
+      outcomes: results.map(result => ({ result, success: false, error: error.message })),
+      apiCalls,
+      jobId: job.jobInfo?.id || null
+    };
+  }
+}
+
+// Write verification results back to Salesforce, choosing sObject Collections
+// or Bulk API 2.0 by volume. Resolves to
+//   { mode, apiCalls, outcomes: [{ result, success, error }] }
+// Every API request is made through `request(send)`, which lets the caller
+// throttle and retry it; `retryDelay(attempt)` spaces out record retries.
+// `fieldMapping` names the fields written (lib/field-mapping.js).
+// With `audit` ({ log, runId, actor, source }) the values each write replaces
+// are read first and every write is logged with them (lib/audit.js); nothing
+// is written if they cannot be read.
+async function writeVerificationResults(conn, results, options = {}) {
+  const settings = { ...DEFAULT_WRITEBACK_OPTIONS, ...options };
+  const request = settings.request || (send => send());
+  const retryDelay = settings.retryDelay || (attempt => 1000 * 2 ** attempt);
+
+  if (results.length === 0) {
+    return { mode: 'none', apiCalls: 0, outcomes: [] };
+  }
+
+  const { audit } = settings;
+  let before = null;
+  let auditCalls = 0;
+  if (audit) {
+    const updates = results.map(result => buildVerificationUpdate(result, undefined, settings.fieldMapping));
+    try {
+      before = await readFieldValues(conn, settings.object, results.map(result => result.id), updatedFields(updates), send => {
+        auditCalls++;
+        return request(send);
+      });
+    } catch (error) {
+      return {
+        mode: 'none',
+        apiCalls: auditCalls,
+        outcomes: results.map(result => ({ result, success: false, error: `Could not read the current values for the audit log: ${error.message}` }))
+      };
+    }
+  }
+
+  const mode = results.length > settings.bulkThreshold ? 'bulk' : 'collections';
+  const written = mode === 'bulk' ?
+    await writeWithBulk(conn, results, { ...settings, request, retryDelay }) :
+    await writeWithCollections(conn, results, { ...settings, request, retryDelay });
+
+  if (audit) {
+    audit.log.recordWrites(settings.object, written.outcomes.map(({ result, success, error }) => ({
+      update: buildVerificationUpdate(result, undefined, settings.fieldMapping),
+      before: before.get(result.id),
+      success,
+      error
+    })), audit);
+  }
+
+  return { mode, ...written, apiCalls: written.apiCalls + auditCalls };
+}
+
+module.exports = {
+  MAX_COLLECTION_SIZE,
+  DEFAULT_WRITEBACK_OPTIONS,
+  formatErrors,
+  writeVerificationResults
+};
@@ -0,0 +1,119 @@
+const { Command } = require('commander');
+const colors = require('colors');
+const ora = require('ora');
+const { loadConfig, DEFAULT_CONFIG_PATH } = require('./lib/config');
+const {
+  FLOW_LABELS,
+  TokenStore,
+  authFlow,
+  tokenAccount,
+  getSalesforceConnection,
+  webServerLogin,
+  logout
+} = require('./lib/auth');
+
+// Sign in to Salesforce with the browser (OAuth web server flow) and keep
+// the refresh token in the encrypted token file that the CLI and the MCP
+// server use afterwards (lib/auth.js).
+class SalesforceLogin {
+  constructor(config, { tokenStore = TokenStore.fromConfig(config) } = {}) {
+    this.config = config;
+    this.tokenStore = tokenStore;
+  }
+
+  async login({ timeoutMs } = {}) {
+    console.log('🔑 Salesforce Contact Verification - Login'.bold.blue);
+    console.log('==========================================\n');
+
+    const flow = authFlow(this.config);
+    if (flow !== 'web_server') {
+      console.log(`ℹ️ config.json uses the ${FLOW_LABELS[flow]}, which needs no browser login. Checking the connection instead.`.yellow);
+      return this.check();
+    }
+
+    let spinner = null;
+    try {
+      const tokens = await webServerLogin(this.config, {
+        tokenStore: this.tokenStore,
+        timeoutMs,
+        openUrl: url => {
+          console.log('Open this URL in your browser and log in to Salesforce:\n');
+          console.log(`  ${url}\n`.cyan);
+          spinner = ora(`Waiting for the login callback on ${this.config.salesforce.redirectUri || 'http://localhost:3000/callback'}...`).start();
+        }
+      });
+      spinner.succeed(`Logged in to ${tokens.instance_url}`);
+      console.log(`🔒 Refresh token saved (encrypted) in ${this.tokenStore.filePath}`.green);
+      return true;
+    } catch (error) {
+      if (spinner) spinner.fail('Login failed');
+      console.error(`❌ ${error.message}`.red);
+      return false;
+    }
+  }
+
+  // Sign in with the configured flow and show who the connection is for
+  async check() {
+    const spinner = ora(`Connecting to Salesforce (${FLOW_LABELS[authFlow(this.config)]})...`).start();
+    try {
+      const conn = await getSalesforceConnection(this.config, { tokenStore: this.tokenStore });
+      const identity = await conn.identity();
+      spinner.succeed(`Connected to ${conn.instanceUrl} as ${identity.username}`);
+      return true;
+    } catch (error) {
+      spinner.fail('Failed to connect to Salesforce');
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+  }
+
+  async logout() {
+    try {
+      if (!(await logout(this.config, { tokenStore: this.tokenStore }))) {
+        console.log(`ℹ️ No saved login for ${tokenAccount(this.config)}`.yellow);
+        return true;
+      }
+      console.log('👋 Revoked the refresh token and removed it from the token file'.green);
+      return true;
+    } catch (error) {
+      console.error(`❌ Logout failed: ${error.message}`.red);
+      return false;
+    }
+  }
+}
+
+if (require.main === module) {
+  const options = new Command()
+    .option('--check', 'sign in with the configured flow and show the connected user')
+    .option('--logout', 'revoke the saved refresh token and remove it')
+    .option('--timeout <seconds>', 'how long to wait for the browser login', '300')
+    .parse(process.argv)
+    .opts();
+
+  let config;
+  try {
+    config = loadConfig(DEFAULT_CONFIG_PATH);
+  } catch (error) {
+    console.error('❌ Error loading config.json. Make sure you copied config.example.json to config.json and filled in your credentials.'.red);
+    process.exit(1);
+  }
+
+  const login = new SalesforceLogin(config);
+  let action;
+  if (options.logout) {
+    action = login.logout();
+  } else if (options.check) {
+    action = login.check();
+  } else {
+    action = login.login({ timeoutMs: Number(options.timeout) * 1000 });
+  }
+
+  action
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(`💥 Login failed: ${error.message}`.red);
+      process.exit(1);
+    });
+}
+
+module.exports = SalesforceLogin;
@@ -2,13 +2,210 @@
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { Command } = require('commander');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+const fs = require('fs');
 
-// Import your existing Salesforce logic
-const { getSalesforceConnection, verifyContact, getContacts } = require('./verify-contacts.js');
+// Shared verification library (no CLI side effects on import)
+const { loadConfig } = require('./lib/config');
+const { DnsCache } = require('./lib/dns-cache');
+const { getObjectProfile, readField, SUPPORTED_OBJECTS } = require('./lib/objects');
+const { resolveFieldMapping, validateFieldMapping } = require('./lib/field-mapping');
+const {
+  historyEnabled,
+  validateHistoryObject,
+  writeHistoryRecords,
+  getVerificationHistory,
+  statusTimeline
+} = require('./lib/history');
+const { ReviewQueue, reviewFile } = require('./lib/review');
+const { auditLogFor, readFieldValues, sameValue } = require('./lib/audit');
+const { ApiLimitGuard } = require('./lib/api-limits');
+const { RunJournal } = require('./lib/journal');
+const { toPositiveInteger, assertSalesforceId } = require('./lib/query-builder');
+const { createRuleEngine } = require('./lib/rules');
+const { reportDir, listReports, readReport } = require('./lib/reports');
+const { DEFAULT_WRITE_POLICY, WritePolicy, WritePolicyError } = require('./lib/write-policy');
+const { McpHttpServer, httpSettings } = require('./lib/mcp-http');
+const { getRecordById, buildVerificationUpdate } = require('./lib/salesforce');
+const {
+  ImprovedContactVerifier,
+  getSalesforceConnection,
+  verifyContact,
+  getRecords,
+  writeVerificationResult,
+  writeVerificationResults,
+  buildErrorResult
+} = require('./verify-contacts.js');
+
+// Every tool works on Contacts unless told otherwise
+const OBJECT_PROPERTY = {
+  type: 'string',
+  enum: SUPPORTED_OBJECTS,
+  description: 'Salesforce object the record belongs to',
+  default: 'Contact'
+};
+
+const VERIFICATION_STATUSES = ['CONFIRMED', 'NEEDS_REVIEW', 'OUTDATED', 'ERROR'];
+
+// Largest number of records one bulk_verify or list call may touch
+const MAX_TOOL_RECORDS = 200;
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// Criteria shared by the tools that select several records, named like the
+// `verification.selection` options in config.json
+const SELECTION_PROPERTIES = {
+  accountIds: { ...STRING_LIST, description: 'Only records of these Account IDs' },
+  owners: { ...STRING_LIST, description: 'Only records owned by these user IDs, usernames or names' },
+  recordTypes: { ...STRING_LIST, description: 'Only these record type IDs or developer names' },
+  leadSources: { ...STRING_LIST, description: 'Only records with these Lead Source values' },
+  where: { type: 'string', description: 'Extra SOQL condition, e.g. "MailingCountry = \'US\'"' },
+  orderBy: { type: 'string', description: 'Order of the records, e.g. "Last_Verified__c ASC NULLS FIRST"' }
+};
+
+function selectionFrom(args) {
+  return Object.fromEntries(
+    ['accountIds', 'owners', 'recordTypes', 'leadSources', 'statuses', 'where', 'orderBy']
+      .filter(key => args[key] !== undefined && args[key] !== null)
+      .map(key => [key, args[key]])
+  );
+}
+
+function toolLimit(value, name, fallback) {
+  const number = toPositiveInteger(value ?? fallback, name);
+  if (number > MAX_TOOL_RECORDS) {
+    throw new Error(`${name} must be at most ${MAX_TOOL_RECORDS} (got ${value})`);
+  }
+  return number;
+}
+
+// Tool results carry the formatted text for people and the same data as
+// structured content for agents
+function toolResult(text, structuredContent) {
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent
+  };
+}
+
+// Failed tool calls are flagged with isError and carry the error code as
+// structured content; write policy violations also explain what to change
+function toolError(error) {
+  const policy = error instanceof WritePolicyError;
+  return {
+    isError: true,
+    content: [{ type: 'text', text: policy ? `Write rejected (${error.errorCode}): ${error.message}` : `Error: ${error.message}` }],
+    structuredContent: {
+      error: {
+        code: error.errorCode || 'TOOL_ERROR',
+        message: error.message,
+        ...(policy ? error.details : {})
+      }
+    }
+  };
+}
+
+// Record summaries are addressed as contact://<id>, lead://<id> and
+// account://<id>
+const RECORD_SCHEMES = { contact: 'Contact', lead: 'Lead', account: 'Account' };
+
+// Newest saved reports searched for the latest result of a record
+const REPORTS_SEARCHED = 20;
+
+const PROMPTS = [
+  {
+    name: 'triage_outdated_contacts',
+    description: 'Work through the OUTDATED contacts of one account and recommend what to do with each',
+    arguments: [
+      { name: 'accountId', description: 'Salesforce ID of the Account', required: true },
+      { name: 'limit', description: 'Maximum number of contacts to triage (default 25)', required: false }
+    ]
+  },
+  {
+    name: 'summarize_last_run',
+    description: 'Summarize the latest saved verification report, or a named one',
+    arguments: [
+      { name: 'report', description: 'Report name such as verification-report-1735732800000 (default: the latest)', required: false }
+    ]
+  },
+  {
+    name: 'review_contact',
+    description: 'Assess one contact (or lead or account) from its latest verification and suggest next steps',
+    arguments: [
+      { name: 'contactId', description: 'Salesforce ID of the Contact (or Lead or Account)', required: true },
+      { name: 'object', description: `${SUPPORTED_OBJECTS.join(', ')} (default Contact)`, required: false }
+    ]
+  }
+];
+
+function invalidParams(message) {
+  return new McpError(ErrorCode.InvalidParams, message);
+}
+
+function jsonResource(uri, data) {
+  return { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+}
+
+function userMessage(content) {
+  return { role: 'user', content };
+}
+
+// The parts of a verification result a record summary shows
+function summaryFromResult(result, extra) {
+  return {
+    object: result.object || 'Contact',
+    id: result.id,
+    name: result.name,
+    company: result.company,
+    status: result.status,
+    confidence: result.confidence,
+    issues: result.issues || [],
+    recommendations: result.recommendations || [],
+    proposals: result.proposals || [],
+    notes: result.notes,
+    previousStatus: result.previousStatus || null,
+    ...extra
+  };
+}
+
+function formatProposals(proposals) {
+  return proposals.map(p => `• ${p.field}: ${p.before ?? '(empty)'} → ${p.after} (${p.reason})`).join('\n');
+}
 
 class SalesforceVerifierServer {
-  constructor() {
+  // Over HTTP every client session gets its own server; `connect` and
+  // `dnsCache` let them share one Salesforce connection and DNS cache, and
+  // `principal` names the bearer token the client authenticated with.
+  constructor({ config, conn, connect, dnsCache, principal, writeBudget } = {}) {
+    this.config = config || null;
+    this.conn = conn || null;
+    this.connect = connect || null;
+    this.dnsCache = dnsCache;
+    this.principal = principal || null;
+    // Over HTTP, the write cap is shared by every session of one token
+    this.writeBudget = writeBudget;
+    // Field mappings already checked against the org, by object
+    this.fieldMappings = new Map();
+    // Writes of this server session share one run ID in the audit log, so
+    // `npm run undo -- --run <id>` can undo them together
+    this.runId = RunJournal.generateRunId();
+    // Record summaries known to this session, by "Object:Id": results
+    // verified here and records read from Salesforce for a contact:// URI
+    this.recordSummaries = new Map();
+    // Records written in this session, whose saved reports are out of date
+    this.writtenRecords = new Set();
+
     this.server = new Server(
       {
         name: 'salesforce-verifier',
@@ -17,31 +214,121 @@ class SalesforceVerifierServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
+  }
+
+  // One DNS cache for the lifetime of the server, shared by all tool calls
+  getDnsCache() {
+    if (!this.dnsCache) {
+      this.dnsCache = new DnsCache(this.config?.verification?.dnsCache);
+    }
+    return this.dnsCache;
+  }
+
+  getConfig() {
+    if (!this.config) {
+      this.config = loadConfig();
+    }
+    return this.config;
+  }
+
+  // Connect lazily so the server can start (and list tools) before
+  // Salesforce credentials are exercised; the connection is reused afterwards.
+  async getConnection() {
+    if (!this.conn) {
+      this.getConfig();
+      this.conn = this.connect ?
+        await this.connect() :
+        await getSalesforceConnection(this.config, {
+          onWarning: message => console.error(`Warning: ${message}`)
+        });
+    }
+    return this.conn;
+  }
+
+  // Retries throttled requests and records locked by other integrations
+  // with backoff; used by the tools that write, once connected
+  getApiLimits() {
+    if (!this.apiLimits) {
+      this.apiLimits = new ApiLimitGuard(this.conn, this.config?.apiLimits);
+    }
+    return this.apiLimits;
+  }
+
+  // Audit settings for a write, or null when the audit log is off. The
+  // actor is the name the MCP client gave when it connected, and over HTTP
+  // the name of its token.
+  getAudit() {
+    if (this.auditLog === undefined) {
+      this.auditLog = auditLogFor(this.config);
+    }
+    if (!this.auditLog) return null;
+
+    const client = this.server.getClientVersion();
+    const actor = `mcp:${client?.name || 'unknown client'}${this.principal ? `@${this.principal}` : ''}`;
+    return { log: this.auditLog, runId: this.runId, actor, source: 'mcp-server' };
+  }
+
+  // Write rules for this session (lib/write-policy.js), read once the
+  // config is loaded
+  getWritePolicy() {
+    if (!this.writePolicy) {
+      this.writePolicy = WritePolicy.fromConfig(this.config, { budget: this.writeBudget });
+    }
+    return this.writePolicy;
+  }
+
+  // Statuses clients may write, offered as the status enum of the write
+  // tools. Tools can be listed before config.json is read.
+  writableStatuses() {
+    return (this.config ? this.getWritePolicy().settings : DEFAULT_WRITE_POLICY).writableStatuses;
+  }
+
+  // The verification fields of `object`, checked with describe() the first
+  // time the object is used so that a wrong mapping fails with a clear error
+  async getFieldMapping(object) {
+    const profile = getObjectProfile(object);
+    if (!this.fieldMappings.has(profile.name)) {
+      const conn = await this.getConnection();
+      const fieldMapping = resolveFieldMapping(this.config, profile.name);
+      const warnings = await validateFieldMapping(conn, profile.name, fieldMapping);
+      warnings.forEach(warning => console.error(`Warning: ${warning}`));
+      if (historyEnabled(this.config)) {
+        await validateHistoryObject(conn, profile.name);
+      }
+      this.fieldMappings.set(profile.name, fieldMapping);
+    }
+    return this.fieldMappings.get(profile.name);
   }
 
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const writableStatuses = this.writableStatuses();
       return {
         tools: [
           {
             name: 'get_contacts',
-            description: 'Retrieve contacts from Salesforce that need verification',
+            description: 'Retrieve contacts (or leads or accounts) from Salesforce that need verification',
             inputSchema: {
               type: 'object',
               properties: {
+                object: OBJECT_PROPERTY,
                 limit: {
                   type: 'number',
-                  description: 'Maximum number of contacts to retrieve',
+                  description: `Maximum number of records to retrieve (at most ${MAX_TOOL_RECORDS})`,
                   default: 10
                 },
                 months: {
                   type: 'number', 
-                  description: 'Contacts not verified in this many months',
+                  description: 'Records not verified in this many months',
                   default: 6
                 }
               }
@@ -49,14 +336,15 @@ class SalesforceVerifierServer {
           },
           {
             name: 'verify_contact',
-            description: 'Verify a single contact by searching professional networks',
+            description: 'Verify a single contact, lead or account against the configured rules',
             inputSchema: {
               type: 'object',
               properties: {
                 contactId: {
                   type: 'string',
-                  description: 'Salesforce Contact ID'
+                  description: 'Salesforce ID of the Contact (or Lead or Account)'
                 },
+                object: OBJECT_PROPERTY,
                 contactName: {
                   type: 'string',
                   description: 'Contact name for verification'
@@ -64,6 +352,16 @@ class SalesforceVerifierServer {
                 company: {
                   type: 'string',
                   description: 'Contact company for verification'
+                },
+                testEmail: {
+                  type: 'boolean',
+                  description: 'Include email domain validation',
+                  default: false
+                },
+                testWebsite: {
+                  type: 'boolean',
+                  description: 'For accounts, check that the website domain resolves',
+                  default: false
                 }
               },
               required: ['contactId']
@@ -71,22 +369,27 @@ class SalesforceVerifierServer {
           },
           {
             name: 'update_contact_verification',
-            description: 'Update contact verification status in Salesforce',
+            description: 'Update contact (or lead or account) verification status in Salesforce. Call preview_contact_update with the same status and notes first and pass its confirmationToken.',
             inputSchema: {
               type: 'object',
               properties: {
                 contactId: {
                   type: 'string',
-                  description: 'Salesforce Contact ID'
+                  description: 'Salesforce ID of the Contact (or Lead or Account)'
                 },
+                object: OBJECT_PROPERTY,
                 status: {
                   type: 'string',
-                  enum: ['CONFIRMED', 'OUTDATED', 'UNKNOWN'],
+                  enum: writableStatuses,
                   description: 'Verification status'
                 },
                 notes: {
                   type: 'string',
                   description: 'Verification notes'
+                },
+                confirmationToken: {
+                  type: 'string',
+                  description: 'Token returned by preview_contact_update for this exact update'
                 }
               },
               required: ['contactId', 'status']
@@ -94,10 +397,133 @@ class SalesforceVerifierServer {
           },
           {
             name: 'get_verification_stats',
-            description: 'Get statistics about contact verification',
+            description: 'Get statistics about contact (or lead or account) verification',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                object: OBJECT_PROPERTY
+              }
+            }
+          },
+          {
+            name: 'bulk_verify',
+            description: 'Verify the contacts (or leads or accounts) matching the given criteria in batches. To write the results, call it first without update and then again with update: true and the confirmationToken it returned.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                object: OBJECT_PROPERTY,
+                ...SELECTION_PROPERTIES,
+                statuses: {
+                  type: 'array',
+                  items: { type: 'string', enum: VERIFICATION_STATUSES },
+                  description: 'Only records with these verification statuses'
+                },
+                months: {
+                  type: 'number',
+                  description: 'Records not verified in this many months (0 for any age)',
+                  default: 6
+                },
+                limit: {
+                  type: 'number',
+                  description: `Maximum number of records to verify (at most ${MAX_TOOL_RECORDS})`,
+                  default: 25
+                },
+                batchSize: {
+                  type: 'number',
+                  description: 'Records verified and written per batch',
+                  default: 10
+                },
+                testEmail: {
+                  type: 'boolean',
+                  description: 'Include email domain validation',
+                  default: false
+                },
+                testWebsite: {
+                  type: 'boolean',
+                  description: 'For accounts, check that website domains resolve',
+                  default: false
+                },
+                update: {
+                  type: 'boolean',
+                  description: 'Write the results to Salesforce; otherwise only report them',
+                  default: false
+                },
+                confirmationToken: {
+                  type: 'string',
+                  description: 'With update, the token returned by the same call without update'
+                }
+              }
+            }
+          },
+          {
+            name: 'get_contact_details',
+            description: 'Get one contact (or lead or account) with its verification fields, verification history and pending corrections',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                contactId: {
+                  type: 'string',
+                  description: 'Salesforce ID of the Contact (or Lead or Account)'
+                },
+                object: OBJECT_PROPERTY,
+                historyLimit: {
+                  type: 'number',
+                  description: 'Maximum number of history entries, newest kept',
+                  default: 20
+                }
+              },
+              required: ['contactId']
+            }
+          },
+          {
+            name: 'list_contacts_by_status',
+            description: 'List contacts (or leads or accounts) with the given verification status, least recently verified first',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                object: OBJECT_PROPERTY,
+                status: {
+                  type: 'string',
+                  enum: VERIFICATION_STATUSES,
+                  description: 'Verification status'
+                },
+                ...SELECTION_PROPERTIES,
+                limit: {
+                  type: 'number',
+                  description: `Maximum number of records to list (at most ${MAX_TOOL_RECORDS})`,
+                  default: 25
+                }
+              },
+              required: ['status']
+            }
+          },
+          {
+            name: 'preview_contact_update',
+            description: 'Show which fields an update of a contact (or lead or account) would change, without writing anything. Without a status, previews writing a fresh verification result.',
             inputSchema: {
               type: 'object',
-              properties: {}
+              properties: {
+                contactId: {
+                  type: 'string',
+                  description: 'Salesforce ID of the Contact (or Lead or Account)'
+                },
+                object: OBJECT_PROPERTY,
+                status: {
+                  type: 'string',
+                  enum: writableStatuses,
+                  description: 'Verification status, as for update_contact_verification'
+                },
+                notes: {
+                  type: 'string',
+                  description: 'Verification notes'
+                },
+                testEmail: {
+                  type: 'boolean',
+                  description: 'Without a status, include email domain validation',
+                  default: false
+                }
+              },
+              required: ['contactId']
             }
           }
         ]
@@ -117,107 +543,752 @@ class SalesforceVerifierServer {
             return await this.updateContactVerification(args);
           case 'get_verification_stats':
             return await this.getVerificationStats(args);
+          case 'bulk_verify':
+            return await this.bulkVerify(args);
+          case 'get_contact_details':
+            return await this.getContactDetails(args);
+          case 'list_contacts_by_status':
+            return await this.listContactsByStatus(args);
+          case 'preview_contact_update':
+            return await this.previewContactUpdate(args);
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
       } catch (error) {
+        return toolError(error);
+      }
+    });
+  }
+
+  pendingProposals(object, recordId) {
+    return ReviewQueue.load(reviewFile(this.getConfig()))
+      .list({ status: 'pending', object })
+      .filter(proposal => proposal.recordId === recordId);
+  }
+
+  // Keep verification results of this session for contact:// resources
+  rememberResults(results) {
+    const verifiedAt = new Date().toISOString();
+    results.forEach(result => {
+      const key = `${result.object || 'Contact'}:${result.id}`;
+      this.recordSummaries.set(key, summaryFromResult(result, { source: 'session', runId: this.runId, verifiedAt }));
+    });
+  }
+
+  // Records whose values were just written: the next summary is read from
+  // Salesforce
+  forgetRecords(object, ids) {
+    ids.forEach(id => {
+      this.recordSummaries.delete(`${object}:${id}`);
+      this.writtenRecords.add(`${object}:${id}`);
+    });
+  }
+
+  // The latest result of a record in the newest saved reports
+  findInReports(object, recordId) {
+    for (const { name, filePath } of listReports(reportDir(this.getConfig())).slice(0, REPORTS_SEARCHED)) {
+      let report;
+      try {
+        report = readReport(filePath);
+      } catch (error) {
+        console.error(`Warning: skipping unreadable report ${filePath}: ${error.message}`);
+        continue;
+      }
+      if ((report.object || 'Contact') !== object) continue;
+
+      const result = (report.details || []).find(entry => entry.id === recordId);
+      if (result) {
+        return summaryFromResult({ object, ...result }, { source: 'report', report: name, verifiedAt: report.timestamp });
+      }
+    }
+    return null;
+  }
+
+  // Verification summary of one record: from this session, else from the
+  // newest saved report that has it, else from Salesforce (read once per
+  // session). Pending corrections are always current.
+  async recordSummary(object, id) {
+    const profile = getObjectProfile(object);
+    const recordId = assertSalesforceId(id);
+    const key = `${profile.name}:${recordId}`;
+
+    let summary = this.recordSummaries.get(key) ||
+      (this.writtenRecords.has(key) ? null : this.findInReports(profile.name, recordId));
+    if (!summary) {
+      const { pendingProposals, ...details } = await this.loadContactDetails(profile, recordId);
+      summary = { ...details, source: 'salesforce', readAt: new Date().toISOString() };
+      this.recordSummaries.set(key, summary);
+      this.writtenRecords.delete(key);
+    }
+
+    return {
+      uri: `${profile.label}://${recordId}`,
+      ...summary,
+      pendingProposals: this.pendingProposals(profile.name, recordId)
+    };
+  }
+
+  // report://<name> or report://latest
+  findReport(name = 'latest') {
+    const dir = reportDir(this.getConfig());
+    const reports = listReports(dir);
+    const report = name === 'latest' ? reports[0] : reports.find(entry => entry.name === name);
+    if (!report) {
+      throw invalidParams(name === 'latest' ? `No saved verification reports in ${dir}` : `Unknown report: ${name}`);
+    }
+    return report;
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const reports = listReports(reportDir(this.getConfig()));
+      return {
+        resources: [
+          ...(reports.length > 0 ? [{
+            uri: 'report://latest',
+            name: 'Latest verification report',
+            description: `Saved ${reports[0].savedAt}`,
+            mimeType: 'application/json'
+          }] : []),
+          ...reports.map(report => ({
+            uri: `report://${report.name}`,
+            name: report.name,
+            description: `Verification report saved ${report.savedAt}`,
+            mimeType: 'application/json'
+          })),
+          ...SUPPORTED_OBJECTS.map(object => ({
+            uri: `rules://${object}`,
+            name: `${object} verification rules`,
+            description: `Thresholds and rules in effect for ${getObjectProfile(object).plural}`,
+            mimeType: 'application/json'
+          })),
+          ...[...this.recordSummaries.values()].map(summary => ({
+            uri: `${getObjectProfile(summary.object).label}://${summary.id}`,
+            name: `${summary.name} (${summary.object})`,
+            description: summary.status ? `Verification status ${summary.status}` : 'Not verified',
+            mimeType: 'application/json'
+          }))
+        ]
+      };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: Object.entries(RECORD_SCHEMES).map(([scheme, object]) => ({
+        uriTemplate: `${scheme}://{recordId}`,
+        name: `${object} verification summary`,
+        description: `Latest verification of a ${getObjectProfile(object).label}, its status, issues and pending corrections`,
+        mimeType: 'application/json'
+      }))
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      return { contents: [await this.readResource(uri)] };
+    });
+  }
+
+  async readResource(uri) {
+    const [, scheme, name] = /^([a-z]+):\/\/(.+)$/.exec(uri) || [];
+
+    if (scheme === 'report') {
+      const { filePath } = this.findReport(name);
+      return { uri, mimeType: 'application/json', text: fs.readFileSync(filePath, 'utf8') };
+    }
+
+    if (scheme === 'rules' && SUPPORTED_OBJECTS.includes(name)) {
+      return jsonResource(uri, createRuleEngine(this.getConfig().verification, { object: name }).settings());
+    }
+
+    if (RECORD_SCHEMES[scheme]) {
+      try {
+        assertSalesforceId(name);
+      } catch (error) {
+        throw invalidParams(error.message);
+      }
+      return jsonResource(uri, await this.recordSummary(RECORD_SCHEMES[scheme], name));
+    }
+
+    throw invalidParams(`Unknown resource: ${uri}`);
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = PROMPTS.find(entry => entry.name === name);
+      if (!prompt) {
+        throw invalidParams(`Unknown prompt: ${name}`);
+      }
+      const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]);
+      if (missing.length > 0) {
+        throw invalidParams(`Prompt ${name} needs ${missing.map(arg => arg.name).join(', ')}`);
+      }
+      return this.getPrompt(name, args);
+    });
+  }
+
+  async getPrompt(name, args) {
+    switch (name) {
+      case 'triage_outdated_contacts': {
+        let accountId;
+        try {
+          accountId = assertSalesforceId(args.accountId);
+        } catch (error) {
+          throw invalidParams(error.message);
+        }
+        const limit = Number(args.limit) || 25;
+        return {
+          description: `Triage the OUTDATED contacts of Account ${accountId}`,
+          messages: [userMessage({
+            type: 'text',
+            text: [
+              `Triage the contacts of Account ${accountId} whose verification status is OUTDATED.`,
+              '',
+              `1. Call list_contacts_by_status with status "OUTDATED", accountIds ["${accountId}"] and limit ${limit}.`,
+              '2. For each contact, read the contact://<id> resource for its latest verification result and pending corrections. Only call get_contact_details when you need its full verification history.',
+              '3. Group the contacts by the likely cause: left the company, bad or mistyped email, invalid phone, or simply not checked for a long time.',
+              '4. For each group, recommend one of: re-verify with verify_contact, mark the contact with preview_contact_update and update_contact_verification, accept the pending corrections with `npm run review`, or leave it for the account owner.',
+              '',
+              'Present the triage as a table and do not write anything to Salesforce until I confirm.'
+            ].join('\n')
+          })]
+        };
+      }
+
+      case 'summarize_last_run': {
+        const report = this.findReport(args.report || 'latest');
+        const uri = `report://${report.name}`;
         return {
-          content: [
-            {
+          description: `Summarize verification report ${report.name}`,
+          messages: [
+            userMessage({
               type: 'text',
-              text: `Error: ${error.message}`
-            }
+              text: 'Summarize this verification run: how many records were checked and how they split by status, the most common issues, ' +
+                'records whose status changed, proposed corrections waiting for review, possible duplicates and API usage. ' +
+                'Finish with the three most useful next steps.'
+            }),
+            userMessage({ type: 'resource', resource: (await this.readResource(uri)) })
           ]
         };
       }
-    });
+
+      case 'review_contact': {
+        let object;
+        try {
+          object = getObjectProfile(args.object).name;
+          assertSalesforceId(args.contactId);
+        } catch (error) {
+          throw invalidParams(error.message);
+        }
+        const uri = `${getObjectProfile(object).label}://${args.contactId}`;
+        return {
+          description: `Review the verification of ${object} ${args.contactId}`,
+          messages: [
+            userMessage({
+              type: 'text',
+              text: `Review the verification of this ${getObjectProfile(object).label}. Explain its status and confidence, ` +
+                'which issues matter most, whether the pending corrections look right, and what to do next. ' +
+                'If the summary is older than a few months, suggest re-verifying it with verify_contact first.'
+            }),
+            userMessage({ type: 'resource', resource: (await this.readResource(uri)) })
+          ]
+        };
+      }
+
+      default:
+        throw invalidParams(`Unknown prompt: ${name}`);
+    }
   }
 
   async getContacts(args) {
-    const { limit = 10, months = 6 } = args;
-    // Use your existing getContacts logic
-    const contacts = await getContacts(limit, months);
+    const { months = 6 } = args;
+    const profile = getObjectProfile(args.object);
+    const limit = toolLimit(args.limit, 'limit', 10);
+    const fieldMapping = await this.getFieldMapping(profile.name);
+    const records = await getRecords(await this.getConnection(), profile.name, { limit, months, fieldMapping });
     
+    return toolResult(
+      `Found ${records.length} ${profile.plural} that need verification:\n` +
+        records.map(r => `• ${r.Name} (${readField(profile, r, 'company') || 'No Company'}) [${r.Id}]`).join('\n'),
+      { object: profile.name, records: records.map(record => this.summarizeRecord(profile, record, fieldMapping)) }
+    );
+  }
+
+  // The fields agents need to pick records, without the query's nesting
+  summarizeRecord(profile, record, fieldMapping) {
     return {
-      content: [
-        {
-          type: 'text',
-          text: `Found ${contacts.length} contacts that need verification:\n` +
-                contacts.map(c => `• ${c.Name} (${c.Company || 'No Company'})`).join('\n')
-        }
-      ]
+      id: record.Id,
+      name: record.Name,
+      company: readField(profile, record, 'company') || null,
+      email: readField(profile, record, 'email') || null,
+      status: record[fieldMapping.status] || null,
+      lastVerified: record[fieldMapping.lastVerified] || null
     };
   }
 
+  // Corrections are queued for a person to accept with review.js. Returns
+  // the number of new proposals.
+  queueProposals(results) {
+    if (!results.some(result => result.proposals?.length > 0)) return 0;
+
+    const queue = ReviewQueue.load(reviewFile(this.config));
+    const added = queue.add(results, { runId: this.runId });
+    queue.save();
+    return added;
+  }
+
   async verifyContact(args) {
-    const { contactId, contactName, company } = args;
-    // Use your existing verifyContact logic
-    const result = await verifyContact(contactId, contactName, company);
+    const { contactId, contactName, testEmail = false, testWebsite = false } = args;
+    const object = getObjectProfile(args.object).name;
+    await this.getFieldMapping(object);
+    const result = await verifyContact(await this.getConnection(), contactId, {
+      config: this.config,
+      object,
+      testEmail,
+      testWebsite,
+      dnsResolver: this.getDnsCache()
+    });
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Verification result for ${contactName}:\n` +
-                `Status: ${result.status}\n` +
-                `Notes: ${result.notes}\n` +
-                `Source: ${result.sourceUrl || 'N/A'}`
-        }
-      ]
-    };
+    const proposals = result.proposals || [];
+    this.queueProposals([result]);
+    this.rememberResults([result]);
+    
+    return toolResult(
+      `Verification result for ${result.name || contactName} (${result.company}):\n` +
+        `Status: ${result.status}\n` +
+        `Confidence: ${(result.confidence * 100).toFixed(0)}%\n` +
+        `Issues: ${result.issues.length > 0 ? result.issues.join(', ') : 'None'}\n` +
+        `Notes: ${result.notes}\n` +
+        `Source: ${result.sourceUrl || 'N/A'}` +
+        (proposals.length > 0 ? `\nProposed corrections (queued for review):\n${formatProposals(proposals)}` : ''),
+      { result }
+    );
+  }
+
+  // Check a manual status update against the write policy, given the
+  // record's current values. Throws a WritePolicyError.
+  checkManualUpdate(update, current, fieldMapping) {
+    const policy = this.getWritePolicy();
+    policy.checkWritable();
+    policy.checkBudget(1);
+    policy.checkUpdate(update, fieldMapping);
+    policy.checkCooldown(update.Id, current[fieldMapping.lastVerified]);
   }
 
   async updateContactVerification(args) {
-    const { contactId, status, notes } = args;
+    const { contactId, status, notes, confirmationToken } = args;
+    const profile = getObjectProfile(args.object);
+    const fieldMapping = await this.getFieldMapping(profile.name);
+    const conn = await this.getConnection();
+    const result = { id: contactId, object: profile.name, status, notes };
+    const update = buildVerificationUpdate(result, undefined, fieldMapping);
+
+    // Nothing is written without a preview of this exact update that
+    // passed the write policy
+    const policy = this.getWritePolicy();
+    policy.checkWritable();
+    const request = send => this.getApiLimits().call(send);
+    const current = (await readFieldValues(conn, profile.name, [update.Id], Object.keys(update), request)).get(update.Id);
+    if (!current) {
+      throw new Error(`${profile.name} ${contactId} not found`);
+    }
+    this.checkManualUpdate(update, current, fieldMapping);
+    policy.redeemToken(confirmationToken, 'update_contact_verification', { object: profile.name, id: update.Id, status, notes: notes ?? null });
+
     // Update Salesforce record
-    const conn = await getSalesforceConnection();
-    await conn.sobject('Contact').update({
-      Id: contactId,
-      Verification_Status__c: status,
-      Verification_Notes__c: notes,
-      Last_Verified__c: new Date().toISOString()
-    });
+    await writeVerificationResult(conn, result, { fieldMapping, audit: this.getAudit(), request });
+    policy.recordWrites(1);
+    this.forgetRecords(profile.name, [update.Id]);
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Successfully updated contact ${contactId} with status: ${status}`
-        }
-      ]
-    };
+    // Manual updates go into the verification history like any other result
+    if (historyEnabled(this.config)) {
+      const { outcomes } = await writeHistoryRecords(conn, [result], { source: 'mcp-server', runId: this.runId, request });
+      if (!outcomes[0].success) {
+        throw new Error(`Updated ${profile.label} ${contactId} but could not record its history: ${outcomes[0].error}`);
+      }
+    }
+
+    return toolResult(
+      `Successfully updated ${profile.label} ${contactId} with status: ${status}`,
+      { object: profile.name, id: contactId, status, updated: true, writesRemaining: policy.remaining() }
+    );
   }
 
-  async getVerificationStats() {
+  async getVerificationStats(args = {}) {
     // Get verification statistics
-    const conn = await getSalesforceConnection();
+    const profile = getObjectProfile(args.object);
+    const { status } = await this.getFieldMapping(profile.name);
+    const conn = await this.getConnection();
     const result = await conn.query(`
-      SELECT Verification_Status__c, COUNT(Id) count 
-      FROM Contact 
-      WHERE Verification_Status__c != null 
-      GROUP BY Verification_Status__c
+      SELECT ${status}, COUNT(Id) count 
+      FROM ${profile.name} 
+      WHERE ${status} != null 
+      GROUP BY ${status}
     `);
 
     const stats = result.records.map(r => 
-      `${r.Verification_Status__c}: ${r.count} contacts`
+      `${r[status]}: ${r.count} ${profile.plural}`
     ).join('\n');
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Contact Verification Statistics:\n${stats}`
+    return toolResult(
+      `${profile.name} Verification Statistics:\n${stats}`,
+      { object: profile.name, counts: Object.fromEntries(result.records.map(r => [r[status], r.count])) }
+    );
+  }
+
+  // Verify the records matching the criteria `batchSize` at a time. With
+  // `update`, each batch is written before the next one is verified, so a
+  // failure part-way keeps the work already done.
+  async bulkVerify(args = {}) {
+    const { months = 6, testEmail = false, testWebsite = false, update = false } = args;
+    const profile = getObjectProfile(args.object);
+    const limit = toolLimit(args.limit, 'limit', 25);
+    const batchSize = toolLimit(args.batchSize, 'batchSize', 10);
+    const fieldMapping = await this.getFieldMapping(profile.name);
+    const conn = await this.getConnection();
+
+    // Writing needs the token of a call without update for the same criteria
+    const policy = this.getWritePolicy();
+    const subject = { object: profile.name, ...selectionFrom(args), months, limit, batchSize, testEmail, testWebsite };
+    if (update) {
+      policy.checkWritable();
+      policy.checkBudget(1);
+      policy.redeemToken(args.confirmationToken, 'bulk_verify', subject);
+    }
+    const request = send => this.getApiLimits().call(send);
+
+    const records = await getRecords(conn, profile.name, { ...selectionFrom(args), limit, months, fieldMapping });
+    const verifier = new ImprovedContactVerifier(this.config, {
+      conn,
+      object: profile.name,
+      testEmail,
+      testWebsite,
+      dnsResolver: this.getDnsCache(),
+      runId: this.runId
+    });
+
+    const results = [];
+    const written = { updated: 0, failed: 0, errors: [], skipped: [], historyErrors: [] };
+    for (let i = 0; i < records.length; i += batchSize) {
+      const batch = records.slice(i, i + batchSize);
+      await verifier.loadRelatedEmails(batch);
+
+      const batchResults = [];
+      for (const record of batch) {
+        try {
+          batchResults.push(await verifier.verifyContactData(record));
+        } catch (error) {
+          batchResults.push(buildErrorResult(record, error, profile));
         }
-      ]
+      }
+      results.push(...batchResults);
+
+      if (update) {
+        // Records the policy does not allow writing are skipped, not failed
+        const writable = [];
+        batchResults.forEach((result, index) => {
+          try {
+            policy.checkUpdate(buildVerificationUpdate(result, undefined, fieldMapping), fieldMapping);
+            policy.checkCooldown(result.id, batch[index][fieldMapping.lastVerified]);
+            policy.checkBudget(writable.length + 1);
+            writable.push(result);
+          } catch (error) {
+            if (!(error instanceof WritePolicyError)) throw error;
+            written.skipped.push({ id: result.id, name: result.name, code: error.errorCode, message: error.message });
+          }
+        });
+        if (writable.length === 0) continue;
+
+        const { outcomes } = await writeVerificationResults(conn, writable, {
+          ...this.config?.writeBack,
+          object: profile.name,
+          fieldMapping,
+          audit: this.getAudit(),
+          request
+        });
+        const succeeded = outcomes.filter(outcome => outcome.success).map(outcome => outcome.result);
+        outcomes.filter(outcome => !outcome.success).forEach(({ result, error }) => {
+          written.errors.push({ id: result.id, name: result.name, error });
+        });
+        written.updated += succeeded.length;
+        written.failed += outcomes.length - succeeded.length;
+        policy.recordWrites(succeeded.length);
+
+        // A failed history insert does not undo the update of the record
+        if (historyEnabled(this.config) && succeeded.length > 0) {
+          const history = await writeHistoryRecords(conn, succeeded, {
+            source: 'mcp-server',
+            runId: this.runId,
+            rules: verifier.ruleEngine.describe(),
+            request
+          });
+          history.outcomes.filter(outcome => !outcome.success).forEach(({ result, error }) => {
+            written.historyErrors.push({ id: result.id, name: result.name, error });
+          });
+        }
+      }
+    }
+
+    verifier.saveDnsCache();
+    const queued = this.queueProposals(results);
+    this.rememberResults(results);
+    const summary = results.reduce((acc, result) => ({ ...acc, [result.status]: (acc[result.status] || 0) + 1 }), {});
+    const batches = Math.ceil(records.length / batchSize);
+
+    const lines = [
+      `Verified ${results.length} ${profile.plural} in ${batches} batches of up to ${batchSize}:`,
+      ...Object.entries(summary).map(([status, count]) => `${status}: ${count}`),
+      '',
+      ...results.map(r => `• ${r.name} (${r.company}) [${r.id}]: ${r.status}, ${(r.confidence * 100).toFixed(0)}%` +
+        (r.issues.length > 0 ? ` - ${r.issues.join(', ')}` : ''))
+    ];
+    const confirmation = !update && !policy.settings.readOnly ? policy.issueToken('bulk_verify', subject) : null;
+    if (update) {
+      lines.push('', `Updated ${written.updated} ${profile.plural} in Salesforce${written.failed > 0 ? `, ${written.failed} failed` : ''}` +
+        `${written.skipped.length > 0 ? `, ${written.skipped.length} skipped by the write policy` : ''}`);
+      written.errors.forEach(({ name, id, error }) => lines.push(`• Failed to update ${name} [${id}]: ${error}`));
+      written.skipped.forEach(({ name, id, code, message }) => lines.push(`• Skipped ${name} [${id}] (${code}): ${message}`));
+      written.historyErrors.forEach(({ name, id, error }) => lines.push(`• Updated ${name} [${id}] but could not record its history: ${error}`));
+    } else if (confirmation) {
+      lines.push('', `Nothing was written to Salesforce; to save the results, call again with the same arguments, update: true and confirmationToken: ${confirmation.token} (valid until ${confirmation.expiresAt})`);
+    } else if (policy.settings.readOnly) {
+      lines.push('', 'Nothing was written to Salesforce; the MCP server is in read-only mode');
+    } else {
+      lines.push('', 'Nothing was written to Salesforce; call again with update: true to save the results');
+    }
+    if (queued > 0) {
+      lines.push(`${queued} proposed corrections were queued for review`);
+    }
+
+    return toolResult(lines.join('\n'), {
+      object: profile.name,
+      runId: this.runId,
+      batchSize,
+      batches,
+      summary,
+      results,
+      updated: update ? written.updated : 0,
+      failed: update ? written.failed : 0,
+      errors: written.errors,
+      skipped: written.skipped,
+      historyErrors: written.historyErrors,
+      queuedProposals: queued,
+      writesRemaining: policy.remaining(),
+      ...(confirmation ? { confirmationToken: confirmation.token, confirmationExpiresAt: confirmation.expiresAt } : {})
+    });
+  }
+
+  // One record with everything known about its verification
+  async getContactDetails(args) {
+    const { contactId, historyLimit = 20 } = args;
+    const profile = getObjectProfile(args.object);
+    const details = await this.loadContactDetails(profile, contactId, { historyLimit });
+    const { history, pendingProposals } = details;
+
+    const lines = [
+      `${profile.name} ${details.name} (${details.company || 'No Company'}) [${details.id}]`,
+      `Status: ${details.status || 'Not verified'}`,
+      `Last verified: ${details.lastVerified || 'Never'}`,
+      `Notes: ${details.notes || 'None'}`
+    ];
+    if (history) {
+      lines.push('', history.length > 0 ? 'Verification history:' : 'No verification history');
+      history.forEach(entry => {
+        const change = entry.changed ? `${entry.previousStatus} → ${entry.status}` : entry.status;
+        const confidence = entry.confidence !== null ? ` (${(entry.confidence * 100).toFixed(0)}%)` : '';
+        lines.push(`• ${entry.verifiedAt}: ${change}${confidence}${entry.issues.length > 0 ? ` - ${entry.issues.join(', ')}` : ''}`);
+      });
+    }
+    if (pendingProposals.length > 0) {
+      lines.push('', `Proposed corrections waiting for review:\n${formatProposals(pendingProposals)}`);
+    }
+
+    return toolResult(lines.join('\n'), details);
+  }
+
+  // The record, its notes, verification history and pending corrections
+  async loadContactDetails(profile, contactId, { historyLimit = 20 } = {}) {
+    const fieldMapping = await this.getFieldMapping(profile.name);
+    const conn = await this.getConnection();
+
+    const record = await getRecordById(conn, profile.name, contactId, { fieldMapping });
+    const [notes] = [...(await readFieldValues(conn, profile.name, [record.Id], [fieldMapping.notes])).values()];
+    const history = historyEnabled(this.config) ?
+      statusTimeline(await getVerificationHistory(conn, profile.name, record.Id, { limit: toPositiveInteger(historyLimit, 'historyLimit') })) :
+      null;
+    const pendingProposals = this.pendingProposals(profile.name, record.Id);
+
+    const { attributes, ...fields } = record;
+    return {
+      ...this.summarizeRecord(profile, record, fieldMapping),
+      object: profile.name,
+      notes: notes?.[fieldMapping.notes] ?? null,
+      fields,
+      history,
+      pendingProposals
     };
   }
 
+  async listContactsByStatus(args) {
+    const { status } = args;
+    if (!VERIFICATION_STATUSES.includes(status)) {
+      throw new Error(`Unknown status "${status}" (expected ${VERIFICATION_STATUSES.join(', ')})`);
+    }
+    const profile = getObjectProfile(args.object);
+    const fieldMapping = await this.getFieldMapping(profile.name);
+    const records = await getRecords(await this.getConnection(), profile.name, {
+      orderBy: `${fieldMapping.lastVerified} ASC NULLS FIRST, LastModifiedDate DESC`,
+      ...selectionFrom(args),
+      statuses: [status],
+      months: 0,
+      limit: toolLimit(args.limit, 'limit', 25),
+      fieldMapping
+    });
+    const summaries = records.map(record => this.summarizeRecord(profile, record, fieldMapping));
+
+    return toolResult(
+      `Found ${records.length} ${profile.plural} with status ${status}:\n` +
+        summaries.map(r => `• ${r.name} (${r.company || 'No Company'}) [${r.id}], last verified ${r.lastVerified || 'never'}`).join('\n'),
+      { object: profile.name, status, records: summaries }
+    );
+  }
+
+  // What update_contact_verification (with a status) or writing a fresh
+  // verification result (without one) would change, read but not written
+  async previewContactUpdate(args) {
+    const { contactId, status, notes, testEmail = false } = args;
+    const profile = getObjectProfile(args.object);
+    const fieldMapping = await this.getFieldMapping(profile.name);
+    const conn = await this.getConnection();
+
+    const result = status ?
+      { id: contactId, object: profile.name, status, notes } :
+      await verifyContact(conn, contactId, { config: this.config, object: profile.name, testEmail, dnsResolver: this.getDnsCache() });
+    const update = buildVerificationUpdate(result, undefined, fieldMapping);
+    const fields = Object.keys(update).filter(field => field !== 'Id');
+    const current = (await readFieldValues(conn, profile.name, [update.Id], fields)).get(update.Id);
+    if (!current) {
+      throw new Error(`${profile.name} ${contactId} not found`);
+    }
+
+    const changes = Object.fromEntries(fields.map(field => [field, {
+      before: current[field] ?? null,
+      after: update[field] ?? null,
+      changed: !sameValue(current[field], update[field])
+    }]));
+    const changed = Object.entries(changes).filter(([, change]) => change.changed);
+
+    // A manual update that the write policy allows gets the token
+    // update_contact_verification needs
+    let confirmation = null;
+    let blocked = null;
+    if (status) {
+      try {
+        this.checkManualUpdate(update, current, fieldMapping);
+        confirmation = this.getWritePolicy().issueToken('update_contact_verification', { object: profile.name, id: update.Id, status, notes: notes ?? null });
+      } catch (error) {
+        if (!(error instanceof WritePolicyError)) throw error;
+        blocked = { code: error.errorCode, message: error.message };
+      }
+    }
+
+    const lines = [
+      `Preview of updating ${profile.label} ${update.Id} (nothing was written):`,
+      changed.length > 0 ?
+        changed.map(([field, change]) => `• ${field}: ${change.before ?? '(empty)'} → ${change.after ?? '(empty)'}`).join('\n') :
+        'No field would change'
+    ];
+    if (blocked) {
+      lines.push(`This update would be rejected (${blocked.code}): ${blocked.message}`);
+    } else if (confirmation) {
+      lines.push(`To apply it, call update_contact_verification with the same status and notes and confirmationToken: ${confirmation.token} (valid until ${confirmation.expiresAt})`);
+    }
+
+    return toolResult(lines.join('\n'), {
+      object: profile.name,
+      id: update.Id,
+      changes,
+      wouldChange: changed.length > 0,
+      ...(status ? {} : { result }),
+      ...(blocked ? { blocked } : {}),
+      ...(confirmation ? { confirmationToken: confirmation.token, confirmationExpiresAt: confirmation.expiresAt } : {})
+    });
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('Salesforce Verifier MCP server running on stdio');
   }
+
+  // Serve MCP over Streamable HTTP (lib/mcp-http.js). Sessions share the
+  // config, one Salesforce connection and the DNS cache; everything else
+  // (write budget, confirmation tokens, audit run ID, record summaries)
+  // belongs to the session.
+  static async runHttp({ config = loadConfig(), conn = null, host, port } = {}) {
+    const settings = httpSettings(config, { host, port });
+    let connecting = null;
+    const connect = () => {
+      if (conn) return Promise.resolve(conn);
+      if (!connecting) {
+        connecting = getSalesforceConnection(config, {
+          onWarning: message => console.error(`Warning: ${message}`)
+        }).then(
+          connection => (conn = connection),
+          error => {
+            // Let the next tool call try again
+            connecting = null;
+            throw error;
+          }
+        );
+      }
+      return connecting;
+    };
+    const dnsCache = new DnsCache(config.verification?.dnsCache);
+    // maxWritesPerSession applies per token, so opening another session does
+    // not start a fresh count
+    const writeBudgets = new Map();
+    const writeBudget = principal => {
+      if (!writeBudgets.has(principal)) {
+        writeBudgets.set(principal, { writes: 0 });
+      }
+      return writeBudgets.get(principal);
+    };
+
+    const httpServer = new McpHttpServer(
+      ({ principal }) => new SalesforceVerifierServer({ config, connect, dnsCache, principal, writeBudget: writeBudget(principal) }).server,
+      settings
+    );
+    const { url } = await httpServer.start();
+    console.error(`Salesforce Verifier MCP server listening on ${url}`);
+    return httpServer;
+  }
+}
+
+if (require.main === module) {
+  const options = new Command()
+    .option('--http', 'serve MCP over Streamable HTTP instead of stdio')
+    .option('--host <host>', 'with --http, the address to listen on (default mcp.http.host or 127.0.0.1)')
+    .option('--port <port>', 'with --http, the port to listen on (default mcp.http.port or 3333)')
+    .parse(process.argv)
+    .opts();
+
+  if (options.http) {
+    SalesforceVerifierServer.runHttp({ host: options.host, port: options.port })
+      .then(httpServer => {
+        const shutdown = () => httpServer.close().then(() => process.exit(0));
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+      })
+      .catch(error => {
+        console.error(`Failed to start the MCP HTTP server: ${error.message}`);
+        process.exit(1);
+      });
+  } else {
+    const server = new SalesforceVerifierServer();
+    server.run().catch(console.error);
+  }
 }
 
-const server = new SalesforceVerifierServer();
-server.run().catch(console.error);
+module.exports = SalesforceVerifierServer;
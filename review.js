@@ -0,0 +1,293 @@
+const { Command } = require('commander');
+const colors = require('colors');
+const ora = require('ora');
+const fs = require('fs');
+const readline = require('readline');
+const { loadConfig, DEFAULT_CONFIG_PATH } = require('./lib/config');
+const { getSalesforceConnection } = require('./lib/salesforce');
+const { getObjectProfile } = require('./lib/objects');
+const { ReviewQueue, REVIEW_STATUSES, reviewFile, applyProposals } = require('./lib/review');
+const { auditLogFor, cliActor } = require('./lib/audit');
+const { RunJournal } = require('./lib/journal');
+const { ApiLimitGuard } = require('./lib/api-limits');
+
+const STATUS_COLORS = {
+  pending: 'yellow',
+  accepted: 'cyan',
+  rejected: 'gray',
+  applied: 'green',
+  failed: 'red',
+  stale: 'red',
+  superseded: 'gray'
+};
+
+function show(value) {
+  return value === null || value === undefined || value === '' ? '(empty)' : JSON.stringify(value);
+}
+
+// Review the field corrections proposed by verification runs: accept or
+// reject each one, then write the accepted ones to Salesforce.
+class ProposalReview {
+  constructor(config, { conn, file, object, ask } = {}) {
+    this.config = config;
+    this.conn = conn || null;
+    this.queue = ReviewQueue.load(file || reviewFile(config));
+    // Applied corrections are logged with the values they replaced
+    this.auditLog = auditLogFor(config);
+    // Only proposals of this object, if given
+    this.object = object ? getObjectProfile(object).name : null;
+    // Prompt for an answer; tests pass their own
+    this.ask = ask || null;
+    this.rl = null;
+  }
+
+  async connectToSalesforce() {
+    if (this.conn) return true;
+
+    const spinner = ora('Connecting to Salesforce...').start();
+    try {
+      this.conn = await getSalesforceConnection(this.config);
+      spinner.succeed('Successfully connected to Salesforce!');
+      return true;
+    } catch (error) {
+      spinner.fail('Failed to connect to Salesforce');
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+  }
+
+  proposals(status) {
+    return this.queue.list({ status, object: this.object });
+  }
+
+  printProposal(proposal) {
+    console.log(`\n[${proposal.id}] ${proposal.object} ${proposal.recordName || ''} (${proposal.recordId})`.bold);
+    console.log(`   ${proposal.field}: ${show(proposal.before).red} → ${show(proposal.after).green}`);
+    console.log(`   ${proposal.reason} [${proposal.ruleId}]`.gray);
+    if (proposal.status !== 'pending') {
+      console.log(`   Status: ${proposal.status}${proposal.error ? ` - ${proposal.error}` : ''}`[STATUS_COLORS[proposal.status] || 'white']);
+    }
+  }
+
+  // --list: proposals with the given status ('all' for every status)
+  list(status = 'pending') {
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      console.error(`❌ Unknown status "${status}" (expected all, ${REVIEW_STATUSES.join(', ')})`.red);
+      return false;
+    }
+
+    const proposals = this.proposals(status === 'all' ? undefined : status);
+    if (proposals.length === 0) {
+      console.log(`ℹ️ No ${status === 'all' ? '' : `${status} `}proposals in ${this.queue.filePath}`.yellow);
+      return true;
+    }
+
+    proposals.forEach(proposal => this.printProposal(proposal));
+    console.log(`\n${proposals.length} proposals`.bold);
+    return true;
+  }
+
+  // --accept/--reject: decide on proposals by ID, or on every pending one
+  // with "all"
+  decide(ids, decision) {
+    const targets = ids.includes('all') ? this.proposals('pending').map(proposal => proposal.id) : ids;
+
+    let success = true;
+    targets.forEach(id => {
+      try {
+        const proposal = this.queue.decide(id, decision);
+        console.log(`${decision === 'accepted' ? '✅' : '🚫'} ${decision} ${id}: ${proposal.field} of ${proposal.recordName || proposal.recordId}`);
+      } catch (error) {
+        console.error(`❌ ${error.message}`.red);
+        success = false;
+      }
+    });
+
+    this.queue.save();
+    return success;
+  }
+
+  prompt(question) {
+    if (this.ask) {
+      return Promise.resolve(this.ask(question));
+    }
+
+    if (!this.rl) {
+      this.rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      // Ctrl+D ends the review like "quit"
+      this.rl.on('close', () => this.pendingAnswer?.('q'));
+    }
+    return new Promise(resolve => {
+      this.pendingAnswer = resolve;
+      this.rl.question(question, resolve);
+    });
+  }
+
+  // Go through the pending proposals one by one, then offer to apply the
+  // accepted ones. Every decision is saved right away, so quitting halfway
+  // loses nothing.
+  async interactive() {
+    try {
+      return await this.reviewPending();
+    } finally {
+      this.rl?.close();
+      this.rl = null;
+    }
+  }
+
+  async reviewPending() {
+    console.log('📝 Salesforce Contact Verification - Review Proposed Corrections'.bold.blue);
+    console.log('=================================================================');
+
+    const pending = this.proposals('pending');
+    if (pending.length === 0) {
+      console.log(`\nℹ️ No proposals waiting for review in ${this.queue.filePath}`.yellow);
+    } else {
+      console.log(`\n${pending.length} proposals waiting for review`);
+    }
+
+    for (const [index, proposal] of pending.entries()) {
+      this.printProposal(proposal);
+
+      let answer;
+      do {
+        answer = String(await this.prompt(`   (${index + 1}/${pending.length}) [a]ccept, [r]eject, [s]kip, [q]uit? `)).trim().toLowerCase();
+      } while (!['a', 'r', 's', 'q'].includes(answer));
+
+      if (answer === 'q') break;
+      if (answer === 's') continue;
+
+      this.queue.decide(proposal.id, answer === 'a' ? 'accepted' : 'rejected');
+      this.queue.save();
+    }
+
+    const accepted = this.proposals('accepted');
+    if (accepted.length === 0) {
+      return true;
+    }
+
+    const answer = String(await this.prompt(`\nApply ${accepted.length} accepted corrections to Salesforce now? [y/N] `)).trim().toLowerCase();
+    if (answer !== 'y' && answer !== 'yes') {
+      console.log('Accepted corrections are kept; apply them later with: npm run review -- --apply'.gray);
+      return true;
+    }
+    return this.apply();
+  }
+
+  // --apply: write the accepted proposals to Salesforce
+  async apply() {
+    const accepted = this.proposals('accepted');
+    if (accepted.length === 0) {
+      console.log('ℹ️ No accepted proposals to apply'.yellow);
+      return true;
+    }
+
+    if (!(await this.connectToSalesforce())) {
+      return false;
+    }
+
+    const runId = RunJournal.generateRunId();
+    const audit = this.auditLog && { log: this.auditLog, runId, actor: cliActor(), source: 'review' };
+    // Throttled requests and records locked by other integrations are retried
+    const apiLimits = new ApiLimitGuard(this.conn, this.config?.apiLimits);
+    const spinner = ora(`Applying ${accepted.length} accepted corrections...`).start();
+    let result;
+    try {
+      result = await applyProposals(this.conn, accepted, {
+        request: send => apiLimits.call(send),
+        collectionSize: this.config?.writeBack?.collectionSize,
+        audit
+      });
+    } catch (error) {
+      spinner.fail('Error applying corrections');
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+
+    this.queue.recordOutcomes(result.outcomes);
+    this.queue.save();
+
+    const counts = result.outcomes.reduce((acc, outcome) => ({ ...acc, [outcome.status]: (acc[outcome.status] || 0) + 1 }), {});
+    const summary = `Applied ${counts.applied || 0} of ${accepted.length} corrections (${result.apiCalls} API calls)`;
+    if (counts.applied === accepted.length) {
+      spinner.succeed(summary);
+    } else {
+      spinner.warn(summary);
+    }
+
+    result.outcomes.forEach(({ proposal, status, error, current }) => {
+      const label = `${proposal.recordName || proposal.recordId} ${proposal.field}`;
+      if (status === 'applied') {
+        console.log(`✅ ${label}: ${show(proposal.before)} → ${show(proposal.after)}`.green);
+      } else if (status === 'stale') {
+        console.log(`⚠️ ${label}: skipped, it is now ${show(current)} instead of ${show(proposal.before)}`.yellow);
+      } else {
+        console.log(`❌ ${label}: ${error}`.red);
+      }
+    });
+
+    if (audit && counts.applied > 0) {
+      console.log(`\n↩️ Undo these corrections with: npm run undo -- --run ${runId}`.gray);
+    }
+
+    return !counts.failed;
+  }
+}
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+if (require.main === module) {
+  const options = new Command()
+    .option('--list [status]', `list proposals: ${REVIEW_STATUSES.join(', ')} or all (default: pending)`)
+    .option('--accept <ids>', 'accept proposals by ID (comma-separated, or "all" pending)', parseList)
+    .option('--reject <ids>', 'reject proposals by ID (comma-separated, or "all" pending)', parseList)
+    .option('--apply', 'write accepted proposals to Salesforce')
+    .option('--object <name>', 'only proposals for Contact, Lead or Account records')
+    .option('--file <path>', 'review file (default: review.file in config.json or .verification-review.json)')
+    .parse(process.argv)
+    .opts();
+
+  // Listing and deciding work without Salesforce credentials
+  const needsSalesforce = Boolean(options.apply) || !(options.list || options.accept || options.reject);
+  let config;
+  try {
+    config = !needsSalesforce && !fs.existsSync(DEFAULT_CONFIG_PATH) ?
+      {} :
+      loadConfig(DEFAULT_CONFIG_PATH, { requireSalesforce: needsSalesforce });
+  } catch (error) {
+    console.error('❌ Error loading config.json. Make sure you copied config.example.json to config.json and filled in your credentials.'.red);
+    process.exit(1);
+  }
+
+  let review;
+  try {
+    review = new ProposalReview(config, { file: options.file, object: options.object });
+  } catch (error) {
+    console.error(`❌ ${error.message}`.red);
+    process.exit(1);
+  }
+
+  const run = async () => {
+    if (!(options.list || options.accept || options.reject || options.apply)) {
+      return review.interactive();
+    }
+
+    let success = true;
+    if (options.accept) success = review.decide(options.accept, 'accepted') && success;
+    if (options.reject) success = review.decide(options.reject, 'rejected') && success;
+    if (options.list) success = review.list(options.list === true ? 'pending' : options.list) && success;
+    if (options.apply) success = (await review.apply()) && success;
+    return success;
+  };
+
+  run()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(`💥 Review failed: ${error.message}`.red);
+      process.exit(1);
+    });
+}
+
+module.exports = ProposalReview;
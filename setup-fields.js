@@ -1,28 +1,64 @@
-const jsforce = require('jsforce');
+const { Command } = require('commander');
 const colors = require('colors');
 const ora = require('ora');
-
-// Load configuration
-let config;
-try {
-  config = require('./config.json');
-} catch (error) {
-  console.error('❌ Error loading config.json. Make sure you copied config.example.json to config.json and filled in your credentials.'.red);
-  process.exit(1);
-}
+const { loadConfig } = require('./lib/config');
+const { getSalesforceConnection } = require('./lib/salesforce');
+const { QueryBuilder } = require('./lib/query-builder');
+const { getObjectProfile, SUPPORTED_OBJECTS } = require('./lib/objects');
+const { resolveFieldMapping, validateFieldMapping } = require('./lib/field-mapping');
+const {
+  HISTORY_OBJECT,
+  HISTORY_FIELDS,
+  historyEnabled,
+  buildHistoryObjectMetadata,
+  buildHistoryFieldMetadata,
+  historyRelatedList,
+  validateHistoryObject
+} = require('./lib/history');
+const {
+  resolveSetupOptions,
+  layoutsFor,
+  buildFieldMetadata,
+  planFields,
+  planHiddenField,
+  addPicklistValues,
+  missingFieldPermissions,
+  grantFieldPermissions,
+  missingObjectPermissions,
+  grantObjectPermissions,
+  missingLayoutFields,
+  addLayoutFields,
+  hasRelatedList,
+  addRelatedList,
+  SetupManifest,
+  metadataError,
+  exists
+} = require('./lib/provisioning');
 
 class FieldSetup {
-  constructor() {
-    this.conn = new jsforce.Connection({
-      loginUrl: config.salesforce.instanceUrl
-    });
+  constructor(config, { conn, objects = ['Contact'], manifestDir } = {}) {
+    this.config = config;
+    this.conn = conn || null;
+    // Every object the verifier will run on needs its own copy of the fields
+    this.objects = [].concat(objects).map(object => getObjectProfile(object).name);
+    // Field API names come from fieldMapping in config.json
+    this.fieldMappings = new Map(this.objects.map(object => [object, resolveFieldMapping(config, object)]));
+    // Permission set, layouts and manifest directory from the setup section
+    this.options = resolveSetupOptions(config);
+    if (manifestDir) {
+      this.options.manifestDir = manifestDir;
+    }
+    // Verification history records go to an object of their own
+    this.history = historyEnabled(config);
+    // Changes made by the current run, for --rollback
+    this.manifest = null;
   }
 
   async connectToSalesforce() {
     const spinner = ora('Connecting to Salesforce...').start();
-    
+
     try {
-      await this.conn.login(config.salesforce.username, config.salesforce.password);
+      this.conn = await getSalesforceConnection(this.config, { conn: this.conn || undefined });
       spinner.succeed('Successfully connected to Salesforce!');
       return true;
     } catch (error) {
@@ -32,70 +68,690 @@ class FieldSetup {
     }
   }
 
-  async checkExistingFields() {
-    const spinner = ora('Checking existing fields...').start();
-    
+  // What the mapped fields of `object` need (see planFields), or null if the
+  // object could not be described
+  async planObjectFields(object = 'Contact') {
+    const spinner = ora(`Checking existing ${object} fields...`).start();
+
     try {
-      const contactMetadata = await this.conn.sobject('Contact').describe();
-      const existingFields = contactMetadata.fields.map(field => field.name);
-      
-      const requiredFields = [
-        'Last_Verified__c',
-        'Verification_Status__c', 
-        'Verification_Notes__c',
-        'Source_URL__c'
-      ];
-      
-      const missingFields = requiredFields.filter(field => !existingFields.includes(field));
-      
-      if (missingFields.length === 0) {
-        spinner.succeed('All required fields already exist!');
-        return [];
-      }
-      
-      spinner.succeed(`Found ${missingFields.length} fields that need to be created`);
-      return missingFields;
-      
+      const objectMetadata = await this.conn.sobject(object).describe();
+      const mapping = this.fieldMappings.get(object) || resolveFieldMapping(this.config, object);
+      const entries = [];
+      for (const entry of planFields(objectMetadata, mapping, object)) {
+        const metadata = entry.action === 'create' ? await this.conn.metadata.read('CustomField', entry.fullName) : null;
+        entries.push({ ...(exists(metadata) ? planHiddenField(entry, metadata) : entry), object });
+      }
+
+      const pending = entries.filter(entry => entry.action !== 'none');
+      if (pending.length === 0) {
+        spinner.succeed(`All required ${object} fields already exist!`);
+      } else {
+        spinner.succeed(`Found ${pending.length} ${object} fields that need to be created or changed`);
+      }
+      return entries;
+
     } catch (error) {
-      spinner.fail('Error checking existing fields');
+      spinner.fail(`Error checking existing ${object} fields`);
       console.error('Error details:', error.message.red);
       return null;
     }
   }
 
-  async createFields(missingFields) {
-    console.log('\n🔧 Creating custom fields...\n');
-    
-    const fieldDefinitions = {
-      'Last_Verified__c': {
-        type: 'Date',
-        label: 'Last Verified',
-        description: 'Date when the contact was last verified through the automated system'
-      },
-      'Verification_Status__c': {
-        type: 'Picklist',
-        label: 'Verification Status',
-        description: 'Current verification status of the contact',
-        picklistValues: [
-          { fullName: 'New', default: true },
-          { fullName: 'CONFIRMED', default: false },
-          { fullName: 'OUTDATED', default: false },
-          { fullName: 'UNKNOWN', default: false }
-        ]
-      },
-      'Verification_Notes__c': {
-        type: 'LongTextArea',
-        label: 'Verification Notes',
-        description: 'Detailed notes about the verification process and results',
-        length: 5000
-      },
-      'Source_URL__c': {
-        type: 'Url',
-        label: 'Source URL',
-        description: 'URL of the source where the contact information was verified'
-      }
-    };
+  async checkExistingFields(object = 'Contact') {
+    const entries = await this.planObjectFields(object);
+    return entries && entries.filter(entry => entry.action === 'create').map(entry => entry.apiName);
+  }
+
+  async createFields(missingFields, object = 'Contact') {
+    console.log(`\n🔧 Creating custom fields on ${object}...\n`);
+    const created = [];
+
+    const mapping = this.fieldMappings.get(object) || resolveFieldMapping(this.config, object);
+    const keyByApiName = new Map(Object.entries(mapping).map(([key, apiName]) => [apiName, key]));
 
     for (const fieldName of missingFields) {
-      const fieldDef = fieldDefinitions[fieldName];
-      const spinner = ora(`Creating field: ${fieldDef.label}`).start();
+      const spinner = ora(`Creating field: ${object}.${fieldName}`).start();
+
+      try {
+        const metadata = buildFieldMetadata(object, keyByApiName.get(fieldName), fieldName);
+        const result = await this.conn.metadata.create('CustomField', metadata);
+        const error = metadataError(result);
+
+        if (!error) {
+          spinner.succeed(`Created field: ${object}.${fieldName}`);
+          created.push(fieldName);
+          this.manifest?.record({ type: 'createField', fullName: metadata.fullName });
+        } else {
+          spinner.fail(`Failed to create field: ${object}.${fieldName}`);
+          console.error('Error details:', error.red);
+        }
+      } catch (error) {
+        spinner.fail(`Failed to create field: ${object}.${fieldName}`);
+        console.error('Error details:', error.message.red);
+      }
+    }
+
+    return created;
+  }
+
+  // Whether the history object exists and which of its fields are missing,
+  // or null if the org could not be read. Read through the Metadata API,
+  // since describe() fails for an object nobody has access to yet.
+  async planHistoryObject() {
+    const spinner = ora(`Checking verification history object ${HISTORY_OBJECT}...`).start();
+
+    try {
+      const object = await this.conn.metadata.read('CustomObject', HISTORY_OBJECT);
+      const names = Object.keys(HISTORY_FIELDS);
+      const found = [];
+      // readMetadata accepts at most 10 components per call
+      for (let i = 0; i < names.length; i += 10) {
+        const fields = await this.conn.metadata.read('CustomField', names.slice(i, i + 10).map(name => `${HISTORY_OBJECT}.${name}`));
+        found.push(...[].concat(fields).filter(exists).map(field => field.fullName));
+      }
+
+      const plan = { exists: exists(object), missing: names.filter(name => !found.includes(`${HISTORY_OBJECT}.${name}`)) };
+      if (plan.exists && plan.missing.length === 0) {
+        spinner.succeed(`${HISTORY_OBJECT} already exists!`);
+      } else {
+        spinner.succeed(plan.exists ?
+          `Found ${plan.missing.length} ${HISTORY_OBJECT} fields that need to be created` :
+          `${HISTORY_OBJECT} needs to be created`);
+      }
+      return plan;
+    } catch (error) {
+      spinner.fail(`Error checking ${HISTORY_OBJECT}`);
+      console.error('Error details:', error.message.red);
+      return null;
+    }
+  }
+
+  async createHistoryObject(plan) {
+    if (!plan.exists) {
+      const spinner = ora(`Creating object: ${HISTORY_OBJECT}`).start();
+      try {
+        const error = metadataError(await this.conn.metadata.create('CustomObject', buildHistoryObjectMetadata()));
+        if (error) {
+          throw new Error(error);
+        }
+        spinner.succeed(`Created object: ${HISTORY_OBJECT}`);
+        this.manifest?.record({ type: 'createObject', fullName: HISTORY_OBJECT });
+      } catch (error) {
+        spinner.fail(`Failed to create object: ${HISTORY_OBJECT}`);
+        console.error('Error details:', error.message.red);
+        return false;
+      }
+    }
+
+    let success = true;
+    for (const name of plan.missing) {
+      const metadata = buildHistoryFieldMetadata(name);
+      const spinner = ora(`Creating field: ${metadata.fullName}`).start();
+
+      try {
+        const error = metadataError(await this.conn.metadata.create('CustomField', metadata));
+        if (error) {
+          throw new Error(error);
+        }
+        spinner.succeed(`Created field: ${metadata.fullName}`);
+        this.manifest?.record({ type: 'createField', fullName: metadata.fullName });
+      } catch (error) {
+        spinner.fail(`Failed to create field: ${metadata.fullName}`);
+        console.error('Error details:', error.message.red);
+        success = false;
+      }
+    }
+    return success;
+  }
+
+  // Add the status values the verifier writes to existing picklist fields
+  async addPicklistValues(entries) {
+    let success = true;
+
+    for (const entry of entries) {
+      const spinner = ora(`Adding picklist values to ${entry.fullName}: ${entry.addValues.join(', ')}`).start();
+
+      try {
+        const before = await this.conn.metadata.read('CustomField', entry.fullName);
+        if (!exists(before)) {
+          throw new Error(`${entry.fullName} could not be read from the Metadata API`);
+        }
+
+        const error = metadataError(await this.conn.metadata.update('CustomField', addPicklistValues(before, entry.addValues)));
+        if (error) {
+          throw new Error(error);
+        }
+        spinner.succeed(`Added picklist values to ${entry.fullName}: ${entry.addValues.join(', ')}`);
+        this.manifest?.record({ type: 'updateField', fullName: entry.fullName, before });
+      } catch (error) {
+        spinner.fail(`Failed to update field: ${entry.fullName}`);
+        console.error('Error details:', error.message.red);
+        success = false;
+      }
+    }
+
+    return success;
+  }
+
+  // Fields created through the Metadata API are invisible to everyone until
+  // field-level security is granted, so read/edit access goes into a
+  // permission set of our own. `objects` are custom objects whose records
+  // the verifier creates.
+  async grantFieldAccess(fullNames, objects = []) {
+    const name = this.options.permissionSet;
+    const spinner = ora(`Granting field access through permission set ${name}...`).start();
+
+    try {
+      const before = await this.conn.metadata.read('PermissionSet', name);
+      const current = exists(before) ?
+        before :
+        { fullName: name, label: this.options.permissionSetLabel, description: 'Read and edit access to the contact verification fields' };
+      const missing = missingFieldPermissions(current, fullNames);
+      const missingObjects = missingObjectPermissions(current, objects);
+
+      if (exists(before) && missing.length === 0 && missingObjects.length === 0) {
+        spinner.succeed(`Permission set ${name} already grants access to all fields`);
+        return true;
+      }
+
+      const updated = grantObjectPermissions(grantFieldPermissions(current, missing), missingObjects);
+      const error = metadataError(await this.conn.metadata.upsert('PermissionSet', updated));
+      if (error) {
+        throw new Error(error);
+      }
+      spinner.succeed(`${exists(before) ? 'Updated' : 'Created'} permission set ${name} (${missing.length} fields)`);
+      this.manifest?.record({ type: 'permissionSet', fullName: name, before: exists(before) ? before : null });
+      return true;
+    } catch (error) {
+      spinner.fail(`Failed to grant field access through permission set ${name}`);
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+  }
+
+  // Users the permission set goes to: those listed in setup.assignTo, or the
+  // user the verifier connects as
+  async getAssignees() {
+    if (this.options.assignTo.length === 0) {
+      const identity = await this.conn.identity();
+      return [{ Id: identity.user_id, Username: identity.username }];
+    }
+
+    const soql = new QueryBuilder('User')
+      .select(['Id', 'Username'])
+      .whereIn('Username', this.options.assignTo)
+      .toSoql();
+    const users = (await this.conn.query(soql)).records;
+    const unknown = this.options.assignTo.filter(username => !users.some(user => user.Username === username));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown users in setup.assignTo: ${unknown.join(', ')}`);
+    }
+    return users;
+  }
+
+  // Assignees that do not have the permission set yet
+  async getUnassignedUsers() {
+    const users = await this.getAssignees();
+    const permissionSets = (await this.conn.query(new QueryBuilder('PermissionSet')
+      .select(['Id'])
+      .where('Name', '=', this.options.permissionSet)
+      .toSoql())).records;
+
+    if (permissionSets.length === 0) {
+      return { permissionSetId: null, users };
+    }
+
+    const permissionSetId = permissionSets[0].Id;
+    const assigned = (await this.conn.query(new QueryBuilder('PermissionSetAssignment')
+      .select(['AssigneeId'])
+      .where('PermissionSetId', '=', permissionSetId)
+      .whereIn('AssigneeId', users.map(user => user.Id))
+      .toSoql())).records.map(assignment => assignment.AssigneeId);
+    return { permissionSetId, users: users.filter(user => !assigned.includes(user.Id)) };
+  }
+
+  async assignPermissionSet() {
+    const name = this.options.permissionSet;
+    const spinner = ora(`Assigning permission set ${name}...`).start();
+
+    try {
+      const { permissionSetId, users } = await this.getUnassignedUsers();
+      if (!permissionSetId) {
+        throw new Error(`Permission set ${name} does not exist`);
+      }
+      if (users.length === 0) {
+        spinner.succeed(`Permission set ${name} is already assigned`);
+        return true;
+      }
+
+      for (const user of users) {
+        const result = await this.conn.sobject('PermissionSetAssignment').create({ AssigneeId: user.Id, PermissionSetId: permissionSetId });
+        if (!result.success) {
+          throw new Error(`${user.Username}: ${[].concat(result.errors || []).map(error => error.message).join('; ')}`);
+        }
+        this.manifest?.record({ type: 'assignment', id: result.id, username: user.Username });
+      }
+      spinner.succeed(`Assigned permission set ${name} to ${users.map(user => user.Username).join(', ')}`);
+      return true;
+    } catch (error) {
+      spinner.fail(`Failed to assign permission set ${name}`);
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+  }
+
+  // Add the fields, and with `relatedList` the history of the record, to the
+  // page layouts of `object`
+  async updateLayouts(object, apiNames, relatedList = null) {
+    let success = true;
+
+    for (const layoutName of layoutsFor(this.options, object)) {
+      const spinner = ora(`Adding fields to layout ${layoutName}...`).start();
+
+      try {
+        const before = await this.conn.metadata.read('Layout', layoutName);
+        if (!exists(before)) {
+          spinner.warn(`Layout ${layoutName} not found; set setup.layouts.${object} in config.json to the layouts to use`);
+          continue;
+        }
+
+        const missing = missingLayoutFields(before, apiNames);
+        const addList = Boolean(relatedList) && !hasRelatedList(before, relatedList.relatedList);
+        if (missing.length === 0 && !addList) {
+          spinner.succeed(`Layout ${layoutName} already shows all fields`);
+          continue;
+        }
+
+        let updated = missing.length > 0 ? addLayoutFields(before, missing, this.options.layoutSection) : before;
+        if (addList) {
+          updated = addRelatedList(updated, relatedList);
+        }
+        const error = metadataError(await this.conn.metadata.update('Layout', updated));
+        if (error) {
+          throw new Error(error);
+        }
+        spinner.succeed(`Added ${[missing.length > 0 && `${missing.length} fields`, addList && 'the verification history'].filter(Boolean).join(' and ')} to layout ${layoutName}`);
+        this.manifest?.record({ type: 'layout', fullName: layoutName, before });
+      } catch (error) {
+        spinner.fail(`Failed to update layout ${layoutName}`);
+        console.error('Error details:', error.message.red);
+        success = false;
+      }
+    }
+
+    return success;
+  }
+
+  async validateFields(object) {
+    const spinner = ora(`Validating ${object} field mapping...`).start();
+
+    try {
+      const warnings = await validateFieldMapping(this.conn, object, this.fieldMappings.get(object));
+      if (this.history) {
+        await validateHistoryObject(this.conn, object);
+      }
+      spinner.succeed(`${object} fields match the field mapping`);
+      warnings.forEach(warning => console.log(`⚠️ ${warning}`.yellow));
+      return true;
+    } catch (error) {
+      spinner.fail(`${object} fields do not match the field mapping`);
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+  }
+
+  // Everything provisioning would change, without changing it. Null if the
+  // org could not be read.
+  async plan() {
+    const fields = [];
+    for (const object of this.objects) {
+      const entries = await this.planObjectFields(object);
+      if (entries === null) {
+        return null;
+      }
+      fields.push(...entries);
+    }
+
+    const history = this.history ? await this.planHistoryObject() : null;
+    if (this.history && history === null) {
+      return null;
+    }
+
+    const spinner = ora('Checking field access and page layouts...').start();
+    try {
+      const usable = fields.filter(entry => entry.action !== 'conflict');
+      const permissionSet = await this.conn.metadata.read('PermissionSet', this.options.permissionSet);
+      const granted = exists(permissionSet) ? permissionSet : {};
+      const { users } = await this.getUnassignedUsers();
+
+      const layouts = [];
+      for (const object of this.objects) {
+        const apiNames = usable.filter(entry => entry.object === object).map(entry => entry.apiName);
+        for (const name of layoutsFor(this.options, object)) {
+          const layout = await this.conn.metadata.read('Layout', name);
+          layouts.push({
+            object,
+            name,
+            exists: exists(layout),
+            missing: exists(layout) ? missingLayoutFields(layout, apiNames) : [],
+            missingHistory: exists(layout) && this.history && !hasRelatedList(layout, historyRelatedList(object).relatedList)
+          });
+        }
+      }
+      spinner.succeed('Checked field access and page layouts');
+
+      return {
+        fields,
+        history,
+        permissionSet: {
+          name: this.options.permissionSet,
+          exists: exists(permissionSet),
+          missing: missingFieldPermissions(granted, [...usable.map(entry => entry.fullName), ...this.historyFieldNames()]),
+          missingObjects: missingObjectPermissions(granted, this.history ? [HISTORY_OBJECT] : [])
+        },
+        unassigned: users,
+        layouts
+      };
+    } catch (error) {
+      spinner.fail('Error checking field access and page layouts');
+      console.error('Error details:', error.message.red);
+      return null;
+    }
+  }
+
+  // History object fields the verifier writes, as permission set field names
+  historyFieldNames() {
+    return this.history ? Object.keys(HISTORY_FIELDS).map(name => `${HISTORY_OBJECT}.${name}`) : [];
+  }
+
+  // Print the plan; returns the number of changes it contains
+  printPlan(plan) {
+    const lines = [];
+
+    plan.fields.forEach(entry => {
+      if (entry.action === 'create') {
+        lines.push(`  + create field ${entry.fullName} (${buildFieldMetadata(entry.object, entry.key, entry.apiName).type})`.green);
+      } else if (entry.action === 'update') {
+        lines.push(`  ~ add picklist values to ${entry.fullName}: ${entry.addValues.join(', ')}`.yellow);
+      }
+    });
+    if (plan.history && !plan.history.exists) {
+      lines.push(`  + create object ${HISTORY_OBJECT}`.green);
+    }
+    (plan.history?.missing || []).forEach(name => {
+      lines.push(`  + create field ${HISTORY_OBJECT}.${name} (${HISTORY_FIELDS[name].type})`.green);
+    });
+    if (plan.permissionSet.missing.length > 0) {
+      lines.push(`  ${plan.permissionSet.exists ? '~' : '+'} grant read/edit on ${plan.permissionSet.missing.join(', ')} through permission set ${plan.permissionSet.name}`.green);
+    }
+    if (plan.permissionSet.missingObjects.length > 0) {
+      lines.push(`  ${plan.permissionSet.exists ? '~' : '+'} grant read/create on ${plan.permissionSet.missingObjects.join(', ')} through permission set ${plan.permissionSet.name}`.green);
+    }
+    if (plan.unassigned.length > 0) {
+      lines.push(`  + assign permission set ${plan.permissionSet.name} to ${plan.unassigned.map(user => user.Username).join(', ')}`.green);
+    }
+    plan.layouts.filter(layout => layout.missing.length > 0).forEach(layout => {
+      lines.push(`  ~ add ${layout.missing.join(', ')} to layout ${layout.name}`.yellow);
+    });
+    plan.layouts.filter(layout => layout.missingHistory).forEach(layout => {
+      lines.push(`  ~ add the verification history related list to layout ${layout.name}`.yellow);
+    });
+
+    const conflicts = plan.fields.filter(entry => entry.action === 'conflict');
+
+    if (lines.length === 0 && conflicts.length === 0) {
+      console.log('\n✅ The org matches the field mapping; nothing to change.'.green);
+    } else if (lines.length > 0) {
+      console.log(`\n📋 ${lines.length} changes needed:\n`.bold);
+      lines.forEach(line => console.log(line));
+    }
+    if (conflicts.length > 0) {
+      console.log('\n❌ Fields that must be fixed by hand:'.red);
+      conflicts.forEach(entry => console.log(`  ! ${entry.fullName} ${entry.problem}`.red));
+    }
+    plan.layouts.filter(layout => !layout.exists).forEach(layout => {
+      console.log(`⚠️ Layout ${layout.name} not found; set setup.layouts.${layout.object} in config.json to the layouts to use`.yellow);
+    });
+
+    return lines.length + conflicts.length;
+  }
+
+  // --check: show what run() would change. True when nothing needs changing.
+  async check() {
+    console.log('🛠️ Salesforce Contact Verification - Field Setup (check only)'.bold.blue);
+    console.log('==============================================================\n');
+
+    if (!(await this.connectToSalesforce())) {
+      return false;
+    }
+
+    const plan = await this.plan();
+    if (plan === null) {
+      return false;
+    }
+    return this.printPlan(plan) === 0;
+  }
+
+  async run() {
+    console.log('🛠️ Salesforce Contact Verification - Field Setup'.bold.blue);
+    console.log('================================================\n');
+
+    if (!(await this.connectToSalesforce())) {
+      return false;
+    }
+
+    this.manifest = SetupManifest.create(this.options.manifestDir, { objects: this.objects });
+
+    let success = true;
+    // Fields that exist once this run is through, by object
+    const ready = new Map();
+    for (const object of this.objects) {
+      const entries = await this.planObjectFields(object);
+      if (entries === null) {
+        success = false;
+        continue;
+      }
+
+      const conflicts = entries.filter(entry => entry.action === 'conflict');
+      conflicts.forEach(entry => console.error(`❌ ${entry.fullName} ${entry.problem}; change or remap it by hand`.red));
+
+      const missingFields = entries.filter(entry => entry.action === 'create').map(entry => entry.apiName);
+      let created = [];
+      if (missingFields.length > 0) {
+        created = await this.createFields(missingFields, object);
+        if (created.length < missingFields.length) {
+          console.log(`\n⚠️ Created ${created.length} of ${missingFields.length} ${object} fields`.yellow);
+        }
+      }
+
+      const updated = await this.addPicklistValues(entries.filter(entry => entry.action === 'update'));
+
+      if (conflicts.length > 0 || created.length < missingFields.length || !updated) {
+        success = false;
+      }
+      ready.set(object, entries.filter(entry => ['none', 'update'].includes(entry.action) || created.includes(entry.apiName)));
+    }
+
+    let historyReady = false;
+    if (this.history) {
+      const historyPlan = await this.planHistoryObject();
+      historyReady = historyPlan !== null && (await this.createHistoryObject(historyPlan));
+      if (!historyReady) {
+        success = false;
+      }
+    }
+
+    const fullNames = [...[...ready.values()].flat().map(entry => entry.fullName), ...(historyReady ? this.historyFieldNames() : [])];
+    if (fullNames.length > 0) {
+      if (!(await this.grantFieldAccess(fullNames, historyReady ? [HISTORY_OBJECT] : [])) || !(await this.assignPermissionSet())) {
+        success = false;
+      }
+    }
+
+    for (const [object, entries] of ready) {
+      if (!(await this.updateLayouts(object, entries.map(entry => entry.apiName), historyReady ? historyRelatedList(object) : null))) {
+        success = false;
+      }
+    }
+
+    // Fields that already existed may still have the wrong type or values
+    for (const object of ready.keys()) {
+      if (!(await this.validateFields(object))) {
+        success = false;
+      }
+    }
+
+    if (this.manifest.steps.length === 0) {
+      this.manifest.discard();
+    } else {
+      console.log(`\n📝 Changes recorded as run ${this.manifest.runId}; undo them with: npm run setup -- --rollback ${this.manifest.runId}`.gray);
+    }
+
+    if (!success) {
+      return false;
+    }
+
+    console.log('\n🎉 Field setup complete!'.green.bold);
+    return true;
+  }
+
+  async undoStep(step) {
+    const metadata = this.conn.metadata;
+    let result;
+
+    switch (step.type) {
+      case 'createObject':
+        result = await metadata.delete('CustomObject', step.fullName);
+        break;
+      case 'createField':
+        result = await metadata.delete('CustomField', step.fullName);
+        break;
+      case 'updateField':
+        result = await metadata.update('CustomField', step.before);
+        break;
+      case 'permissionSet':
+        result = step.before ?
+          await metadata.update('PermissionSet', step.before) :
+          await metadata.delete('PermissionSet', step.fullName);
+        break;
+      case 'assignment':
+        result = await this.conn.sobject('PermissionSetAssignment').destroy(step.id);
+        break;
+      case 'layout':
+        result = await metadata.update('Layout', step.before);
+        break;
+      default:
+        throw new Error(`Unknown setup step: ${step.type}`);
+    }
+
+    const error = metadataError(result);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  describeStep(step) {
+    switch (step.type) {
+      case 'createObject': return `delete object ${step.fullName}`;
+      case 'createField': return `delete field ${step.fullName}`;
+      case 'updateField': return `restore picklist values of ${step.fullName}`;
+      case 'permissionSet': return step.before ? `restore permission set ${step.fullName}` : `delete permission set ${step.fullName}`;
+      case 'assignment': return `remove permission set assignment of ${step.username}`;
+      case 'layout': return `restore layout ${step.fullName}`;
+      default: return step.type;
+    }
+  }
+
+  // --rollback: undo the changes of a run, last change first. Steps already
+  // undone are skipped, so a failed rollback can simply be run again.
+  async rollback(runId = null) {
+    console.log('🛠️ Salesforce Contact Verification - Field Setup Rollback'.bold.blue);
+    console.log('=========================================================\n');
+
+    let manifest;
+    try {
+      manifest = SetupManifest.load(this.options.manifestDir, runId);
+    } catch (error) {
+      console.error(`❌ ${error.message}`.red);
+      return false;
+    }
+
+    if (!(await this.connectToSalesforce())) {
+      return false;
+    }
+
+    console.log(`Rolling back field setup run ${manifest.runId} (${manifest.steps.length} changes)`);
+    if (manifest.steps.some(step => ['createField', 'createObject'].includes(step.type) && !step.undone)) {
+      console.log('⚠️ Deleting a field or object also deletes the data stored in it'.yellow);
+    }
+
+    let success = true;
+    for (const step of [...manifest.steps].reverse()) {
+      if (step.undone) continue;
+
+      const spinner = ora(this.describeStep(step)).start();
+      try {
+        await this.undoStep(step);
+        step.undone = true;
+        manifest.save();
+        spinner.succeed();
+      } catch (error) {
+        spinner.fail(`Failed to ${this.describeStep(step)}`);
+        console.error('Error details:', error.message.red);
+        success = false;
+      }
+    }
+
+    if (!success) {
+      console.log(`\n⚠️ Rollback incomplete; run it again to retry: npm run setup -- --rollback ${manifest.runId}`.yellow);
+      return false;
+    }
+
+    manifest.markRolledBack();
+    console.log(`\n✅ Rolled back field setup run ${manifest.runId}`.green.bold);
+    return true;
+  }
+}
+
+if (require.main === module) {
+  const options = new Command()
+    .option('--object <names>', `objects to create the fields on: ${SUPPORTED_OBJECTS.join(', ')} (comma-separated)`, 'Contact')
+    .option('--check', 'only show what would change; exits with 1 if anything would')
+    .option('--rollback [runId]', 'undo the changes of a setup run (default: the latest)')
+    .parse(process.argv)
+    .opts();
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error('❌ Error loading config.json. Make sure you copied config.example.json to config.json and filled in your credentials.'.red);
+    process.exit(1);
+  }
+
+  let setup;
+  try {
+    setup = new FieldSetup(config, { objects: options.object.split(',').map(name => name.trim()).filter(Boolean) });
+  } catch (error) {
+    console.error(`❌ ${error.message}`.red);
+    process.exit(1);
+  }
+
+  let action;
+  if (options.rollback) {
+    action = setup.rollback(options.rollback === true ? null : options.rollback);
+  } else if (options.check) {
+    action = setup.check();
+  } else {
+    action = setup.run();
+  }
+
+  action
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(`💥 Field setup failed: ${error.message}`.red);
+      process.exit(1);
+    });
+}
+
+module.exports = FieldSetup;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunUndo = require('../undo');
+const { ImprovedContactVerifier } = require('../verify-contacts');
+const { AuditLog } = require('../lib/audit');
+const { planUndo } = require('../lib/undo');
+const { createFakeConnection, testConfig } = require('./support/fixtures');
+
+describe('audit log and undo', () => {
+  let conn;
+  let dir;
+  let config;
+
+  beforeEach(() => {
+    conn = createFakeConnection();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    config = testConfig({ audit: { file: path.join(dir, 'audit.jsonl') } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function verifyRun(runId) {
+    const verifier = new ImprovedContactVerifier(config, { conn, runId });
+    verifier.minDelayMs = 0;
+    const results = [];
+    for (const contact of await verifier.getContactsToVerify()) {
+      results.push(await verifier.verifyContactData(contact));
+    }
+    return verifier.updateSalesforce(results);
+  }
+
+  test('logs every write of a run with the values it replaced', async () => {
+    conn.failUpdate('003000000000004AAA');
+
+    const summary = await verifyRun('run-a');
+    const entries = new AuditLog(config.audit.file).entries({ runId: 'run-a' });
+
+    // One query for the current values, one update request
+    expect(summary.apiCalls).toBe(2);
+    expect(entries).toHaveLength(4);
+    expect(entries.find(entry => entry.recordId === '003000000000002AAA')).toMatchObject({
+      type: 'write',
+      runId: 'run-a',
+      actor: expect.stringContaining('@'),
+      source: 'verify-contacts',
+      object: 'Contact',
+      success: true,
+      changes: {
+        Verification_Status__c: { before: 'OUTDATED', after: 'NEEDS_REVIEW' },
+        Last_Verified__c: { before: '2023-01-15', after: expect.any(String) },
+        Verification_Notes__c: { before: null, after: expect.stringContaining('Job title is missing') }
+      }
+    });
+    expect(entries.find(entry => entry.recordId === '003000000000004AAA')).toMatchObject({
+      success: false,
+      error: expect.stringContaining('FIELD_CUSTOM_VALIDATION_EXCEPTION')
+    });
+  });
+
+  test('planUndo restores the value from before the first write of a run', () => {
+    const write = (status, before, after) => ({
+      type: 'write', success: status, object: 'Contact', recordId: '003000000000001AAA',
+      changes: { Verification_Status__c: { before, after } }
+    });
+
+    expect(planUndo([write(true, null, 'OUTDATED'), write(false, 'OUTDATED', 'ERROR'), write(true, 'OUTDATED', 'CONFIRMED')])).toEqual([
+      { object: 'Contact', recordId: '003000000000001AAA', field: 'Verification_Status__c', restore: null, expected: 'CONFIRMED' }
+    ]);
+  });
+
+  test('undo restores a whole run and can be repeated safely', async () => {
+    await verifyRun('run-a');
+    const undo = new RunUndo(config, { conn });
+
+    expect(await undo.undo('run-a')).toBe(true);
+    expect(conn.records('Contact').get('003000000000002AAA')).toMatchObject({
+      Verification_Status__c: 'OUTDATED',
+      Last_Verified__c: '2023-01-15',
+      Verification_Notes__c: null
+    });
+    expect(conn.records('Contact').get('003000000000001AAA').Verification_Status__c).toBeNull();
+
+    const runs = new AuditLog(config.audit.file).runs();
+    expect(runs).toHaveLength(2);
+    expect(runs[0]).toMatchObject({ runId: 'run-a', records: 4, undoneBy: [runs[1].runId] });
+    expect(runs[1]).toMatchObject({ source: 'undo', undoOf: 'run-a', records: 4 });
+
+    conn.calls.length = 0;
+    expect(await undo.undo('run-a')).toBe(true);
+    expect(conn.callsOf('update')).toEqual([]);
+  });
+
+  test('undo of one record leaves fields changed since the run unless forced', async () => {
+    await verifyRun('run-a');
+    conn.records('Contact').get('003000000000002AAA').Verification_Status__c = 'CONFIRMED';
+    const undo = new RunUndo(config, { conn });
+
+    expect(await undo.undo('run-a', { recordId: '003000000000002AAA' })).toBe(false);
+    expect(conn.records('Contact').get('003000000000002AAA')).toMatchObject({
+      Verification_Status__c: 'CONFIRMED',
+      Last_Verified__c: '2023-01-15'
+    });
+    expect(conn.records('Contact').get('003000000000001AAA').Verification_Status__c).toBe('CONFIRMED');
+
+    expect(await undo.undo('run-a', { recordId: '003000000000002AAA', force: true })).toBe(true);
+    expect(conn.records('Contact').get('003000000000002AAA').Verification_Status__c).toBe('OUTDATED');
+  });
+
+  test('refuses unknown runs', async () => {
+    expect(await new RunUndo(config, { conn }).undo('no-such-run')).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('No writes of run no-such-run'));
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { AuthError, TokenStore, authFlow, tokenAccount, getSalesforceConnection, webServerLogin } = require('../lib/auth');
+const { FakeOAuthServer } = require('./support/fake-oauth-server');
+
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+describe('Salesforce authentication', () => {
+  let dir;
+  let sf;
+  let tokenStore;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    tokenStore = new TokenStore(path.join(dir, 'tokens'), { keyFile: path.join(dir, 'keys', 'token.key'), passphrase: null });
+  });
+
+  afterEach(async () => {
+    if (sf) await sf.close();
+    sf = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function configFor(settings) {
+    return { salesforce: { instanceUrl: sf.url, clientId: 'test-client-id', ...settings } };
+  }
+
+  test('picks the flow from salesforce.flow or the settings present', () => {
+    expect(authFlow({ salesforce: { accessToken: 'token' } })).toBe('access_token');
+    expect(authFlow({ salesforce: { privateKeyFile: 'server.key', username: 'a@b.c' } })).toBe('jwt');
+    expect(authFlow({ salesforce: { username: 'a@b.c', password: 'secret' } })).toBe('password');
+    expect(authFlow({ salesforce: { clientId: 'id' } })).toBe('web_server');
+    expect(authFlow({ salesforce: { flow: 'client_credentials', username: 'a@b.c', password: 'secret' } })).toBe('client_credentials');
+    expect(() => authFlow({ salesforce: { flow: 'saml' } })).toThrow('Unknown salesforce.flow "saml"');
+  });
+
+  test('the token file is encrypted and rejects other keys', () => {
+    tokenStore.set('org', { refreshToken: 'refresh-secret' });
+
+    expect(fs.readFileSync(tokenStore.filePath, 'utf8')).not.toContain('refresh-secret');
+    expect(fs.statSync(tokenStore.filePath).mode & 0o777).toBe(0o600);
+    expect(tokenStore.get('org')).toMatchObject({ refreshToken: 'refresh-secret', savedAt: expect.any(String) });
+
+    const withPassphrase = new TokenStore(tokenStore.filePath, { passphrase: 'correct horse battery staple' });
+    expect(() => withPassphrase.get('org')).toThrow(AuthError);
+    withPassphrase.writeAll({ org: { refreshToken: 'other' } });
+    expect(withPassphrase.get('org').refreshToken).toBe('other');
+    expect(() => new TokenStore(tokenStore.filePath, { passphrase: 'wrong' }).get('org')).toThrow('Unable to decrypt');
+  });
+
+  test('client credentials sessions are renewed on INVALID_SESSION_ID', async () => {
+    sf = new FakeOAuthServer();
+    await sf.start();
+    const conn = await getSalesforceConnection(configFor({ flow: 'client_credentials', clientSecret: 'test-client-secret' }), { tokenStore });
+
+    expect((await conn.query('SELECT Id FROM Contact')).totalSize).toBe(1);
+    sf.expireSessions();
+    const refreshed = jest.fn();
+    conn.on('refresh', refreshed);
+
+    expect((await conn.query('SELECT Id FROM Contact')).totalSize).toBe(1);
+    expect(refreshed).toHaveBeenCalledWith('access-2', expect.any(Object));
+    expect(sf.tokenRequests.map(params => params.grant_type)).toEqual(['client_credentials', 'client_credentials']);
+  });
+
+  test('the JWT bearer flow signs a new assertion when the session expires', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const keyFile = path.join(dir, 'server.key');
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    sf = new FakeOAuthServer({ publicKey });
+    await sf.start();
+
+    const conn = await getSalesforceConnection(configFor({ privateKeyFile: keyFile, username: 'verifier@example.com' }), { tokenStore });
+    sf.expireSessions();
+
+    expect((await conn.query('SELECT Id FROM Contact')).records[0].Name).toBe('Jane Smith');
+    expect(sf.tokenRequests).toHaveLength(2);
+    expect(JSON.parse(Buffer.from(sf.tokenRequests[1].assertion.split('.')[1], 'base64url').toString())).toMatchObject({
+      iss: 'test-client-id',
+      sub: 'verifier@example.com',
+      aud: 'https://login.salesforce.com'
+    });
+
+    await expect(getSalesforceConnection(configFor({ privateKeyFile: keyFile, username: 'someone@else.com' }), { tokenStore }))
+      .rejects.toThrow('authentication failure');
+  });
+
+  test('the browser login saves a refresh token that later runs use and keep current', async () => {
+    sf = new FakeOAuthServer();
+    await sf.start();
+    const config = configFor({ redirectUri: `http://localhost:${await freePort()}/callback` });
+
+    await expect(getSalesforceConnection(config, { tokenStore })).rejects.toMatchObject({ errorCode: 'LOGIN_REQUIRED' });
+
+    // Play the browser: Salesforce redirects to the local callback with a code
+    await webServerLogin(config, {
+      tokenStore,
+      timeoutMs: 5000,
+      openUrl: async url => {
+        const params = new URL(url).searchParams;
+        expect(params.get('redirect_uri')).toBe(config.salesforce.redirectUri);
+        const callback = new URL(params.get('redirect_uri'));
+        callback.searchParams.set('code', sf.issueCode(params.get('code_challenge')));
+        callback.searchParams.set('state', params.get('state'));
+        const response = await fetch(callback);
+        expect(await response.text()).toContain('Salesforce login complete');
+      }
+    });
+    const saved = tokenStore.get(tokenAccount(config));
+    expect(saved).toMatchObject({ accessToken: 'access-1', refreshToken: expect.stringMatching(/^refresh-/), instanceUrl: sf.url });
+
+    sf.expireSessions();
+    const conn = await getSalesforceConnection(config, { tokenStore });
+    expect((await conn.query('SELECT Id FROM Contact')).totalSize).toBe(1);
+    expect(sf.tokenRequests.map(params => params.grant_type)).toEqual(['authorization_code', 'refresh_token']);
+    expect(tokenStore.get(tokenAccount(config))).toMatchObject({ accessToken: 'access-2', refreshToken: saved.refreshToken });
+
+    sf.refreshTokens.clear();
+    sf.expireSessions();
+    await expect(getSalesforceConnection(config, { tokenStore })).rejects.toThrow('run "npm run login" again');
+  });
+});
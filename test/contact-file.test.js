@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, readContactsFile, writeResultsFile, RESULT_COLUMNS } = require('../lib/contact-file');
+const { DEFAULT_FIELD_MAPPING } = require('../lib/field-mapping');
+const { main } = require('../verify-contacts');
+
+// A Salesforce "Contacts & Accounts" report exported as CSV: field labels as
+// headers, a byte order mark and a quoted field with a comma and a newline
+const REPORT_CSV = '\uFEFF' + [
+  'First Name,Last Name,Title,Email,Phone,Mobile,Account Name,Billing Country',
+  'Jane,Smith,"VP, Sales",jane@acme.com,(415) 555-2671,,Acme Corporation,United States',
+  'Robert,Jones,,robert@acme.com,,,"Acme ""East""',
+  'Ltd",UK',
+  ''
+].join('\r\n');
+
+describe('contact files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function write(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  test('parses quoted fields, escaped quotes and newlines', () => {
+    expect(parseCsv('a,b\r\n"1,2","say ""hi"""\n"multi\nline",\n\n')).toEqual([
+      ['a', 'b'],
+      ['1,2', 'say "hi"'],
+      ['multi\nline', '']
+    ]);
+    expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted field');
+  });
+
+  test('maps report field labels to API field paths', () => {
+    const input = readContactsFile(write('report.csv', REPORT_CSV));
+
+    expect(input.format).toBe('csv');
+    expect(input.columns).toEqual(['First Name', 'Last Name', 'Title', 'Email', 'Phone', 'Mobile', 'Account Name', 'Billing Country']);
+    expect(input.contacts).toEqual([
+      {
+        Id: 'row-1',
+        Name: 'Jane Smith',
+        FirstName: 'Jane',
+        LastName: 'Smith',
+        Title: 'VP, Sales',
+        Email: 'jane@acme.com',
+        Phone: '(415) 555-2671',
+        MobilePhone: null,
+        Account: { Name: 'Acme Corporation', BillingCountry: 'United States' }
+      },
+      {
+        Id: 'row-2',
+        Name: 'Robert Jones',
+        FirstName: 'Robert',
+        LastName: 'Jones',
+        Title: null,
+        Email: 'robert@acme.com',
+        Phone: null,
+        MobilePhone: null,
+        Account: { Name: 'Acme "East"\r\nLtd', BillingCountry: 'UK' }
+      }
+    ]);
+  });
+
+  test('maps Data Loader API names and the labels of other objects', () => {
+    const loader = readContactsFile(write('loader.csv', 'ID,FIRSTNAME,ACCOUNT.NAME,LAST_VERIFIED__C\n003A,Ann,Acme,2024-01-31\n'));
+    expect(loader.contacts[0]).toEqual({ Id: '003A', FirstName: 'Ann', Name: 'Ann', Account: { Name: 'Acme' }, Last_Verified__c: '2024-01-31' });
+
+    const leads = readContactsFile(write('leads.csv', 'Lead ID,Company / Account,Country,Last Verified\n00QA,Acme,Germany,\n'), { object: 'Lead' });
+    expect(leads.contacts[0]).toEqual({ Id: '00QA', Company: 'Acme', Country: 'Germany', Last_Verified__c: null });
+
+    const accounts = readContactsFile(write('accounts.csv', 'Account Name,Billing Zip/Postal Code,Website\nAcme,94105,acme.com\n'), { object: 'Account' });
+    expect(accounts.contacts[0]).toEqual({ Id: 'row-1', Name: 'Acme', BillingPostalCode: '94105', Website: 'acme.com' });
+  });
+
+  test('maps the verification fields of a custom field mapping', () => {
+    const fieldMapping = { ...DEFAULT_FIELD_MAPPING, lastVerified: 'acme__Verified_On__c', status: 'acme__Status__c' };
+
+    const report = readContactsFile(write('report.csv', 'Contact ID,Last Verified,Verification Status\n003A,2024-01-31,CONFIRMED\n'), { fieldMapping });
+    expect(report.contacts[0]).toEqual({ Id: '003A', acme__Verified_On__c: '2024-01-31', acme__Status__c: 'CONFIRMED' });
+
+    const loader = readContactsFile(write('loader.csv', 'ID,ACME__VERIFIED_ON__C,ACME__STATUS__C\n003A,2024-01-31,OUTDATED\n'), { fieldMapping });
+    expect(loader.contacts[0]).toEqual({ Id: '003A', acme__Verified_On__c: '2024-01-31', acme__Status__c: 'OUTDATED' });
+  });
+
+  test('reads JSON exports and rejects other files', () => {
+    const json = write('contacts.json', JSON.stringify({
+      result: { records: [{ attributes: { type: 'Contact' }, Id: '003A', Name: 'Ann Lee', Account: { attributes: { type: 'Account' }, Name: 'Acme' } }] }
+    }));
+
+    expect(readContactsFile(json).contacts).toEqual([{ Id: '003A', Name: 'Ann Lee', Account: { Name: 'Acme' } }]);
+    expect(() => readContactsFile(write('contacts.xlsx', ''))).toThrow('Unsupported file type ".xlsx"');
+    expect(() => readContactsFile(write('empty.json', '{}'))).toThrow('does not contain an array of records');
+  });
+
+  test('writes results after the original CSV columns', () => {
+    const output = path.join(dir, 'results.csv');
+    const result = { status: 'NEEDS_REVIEW', confidence: 0.5, issues: ['Job title is missing', 'No phone'], notes: 'Checked, "twice"' };
+
+    writeResultsFile(output, [{ row: { 'First Name': 'Robert', Extra: { nested: true } }, result }], { columns: ['First Name', 'Extra'] });
+
+    const [header, row, ...rest] = parseCsv(fs.readFileSync(output, 'utf8'));
+    expect(header).toEqual(['First Name', 'Extra', ...RESULT_COLUMNS]);
+    expect(row).toEqual(['Robert', '{"nested":true}', 'NEEDS_REVIEW', '0.50', 'Job title is missing; No phone', 'Checked, "twice"']);
+    expect(rest).toEqual([]);
+  });
+
+  test('offline runs verify a report export and write the results next to it', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const input = write('report.csv', REPORT_CSV);
+    const output = path.join(dir, 'results.csv');
+
+    await main(['node', 'verify-contacts.js', '--input', input, '--output', output, '--report-dir', dir]);
+
+    const [header, ...rows] = parseCsv(fs.readFileSync(output, 'utf8'));
+    expect(header).toEqual(['First Name', 'Last Name', 'Title', 'Email', 'Phone', 'Mobile', 'Account Name', 'Billing Country', ...RESULT_COLUMNS]);
+    expect(rows.map(row => row.slice(0, 2))).toEqual([['Jane', 'Smith'], ['Robert', 'Jones']]);
+
+    const [jane, robert] = rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+    expect(jane['Verification Status']).toBe('CONFIRMED');
+    expect(robert['Verification Issues']).toContain('Job title is missing');
+    expect(fs.readdirSync(dir).filter(file => /^verification-report-.*\.json$/.test(file))).toHaveLength(1);
+    // Without Salesforce IDs there is nothing the review queue could apply
+    expect(fs.existsSync(path.join(dir, '.verification-review.json'))).toBe(false);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('field corrections were proposed for rows without a Salesforce ID'));
+  });
+
+  test('offline runs queue proposed corrections of rows with a Salesforce ID for review', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const input = write('export.csv', [
+      'Id,FirstName,LastName,Title,Account.Name,Account.BillingCountry',
+      '003000000000001AAA,JANE,smith,Buyer,Acme Corporation,United States',
+      ',ROBERT,jones,Buyer,Acme Corporation,United States'
+    ].join('\n'));
+
+    // The review queue lives in the working directory by default
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+      await main(['node', 'verify-contacts.js', '--input', input, '--report-dir', dir]);
+    } finally {
+      process.chdir(cwd);
+    }
+
+    const { proposals } = JSON.parse(fs.readFileSync(path.join(dir, '.verification-review.json'), 'utf8'));
+    expect(proposals.map(p => [p.recordId, p.field, p.after])).toEqual([
+      ['003000000000001AAA', 'FirstName', 'Jane'],
+      ['003000000000001AAA', 'LastName', 'Smith']
+    ]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('2 field corrections were proposed - accept or reject them with npm run review'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('2 field corrections were proposed for rows without a Salesforce ID'));
+  });
+});
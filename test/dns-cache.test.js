@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DnsCache } = require('../lib/dns-cache');
+
+const dnsError = (code, domain) => Object.assign(new Error(`query ${code} ${domain}`), { code });
+
+// A resolver that counts its queries. MX answers come from `mx`, A answers
+// (with TTLs) from `a`; other domains do not exist.
+function stubResolver({ mx = {}, a = {} } = {}) {
+  const resolver = {
+    queries: [],
+    resolveMx: jest.fn(async domain => {
+      resolver.queries.push(`MX ${domain}`);
+      if (!mx[domain]) throw dnsError('ENOTFOUND', domain);
+      return mx[domain];
+    }),
+    resolve4: jest.fn(async (domain, { ttl } = {}) => {
+      resolver.queries.push(`A ${domain}`);
+      if (!a[domain]) throw dnsError('ENODATA', domain);
+      return ttl ? a[domain] : a[domain].map(record => record.address);
+    }),
+    resolve6: jest.fn(async domain => {
+      resolver.queries.push(`AAAA ${domain}`);
+      throw dnsError('ENODATA', domain);
+    })
+  };
+  return resolver;
+}
+
+const ACME_MX = [{ exchange: 'mx.acme.com', priority: 10 }];
+
+describe('DnsCache', () => {
+  let clock;
+  const now = () => clock;
+  const advance = seconds => { clock += seconds * 1000; };
+
+  beforeEach(() => {
+    clock = Date.parse('2025-01-01T00:00:00Z');
+  });
+
+  test('keeps MX answers for the default TTL', async () => {
+    const resolver = stubResolver({ mx: { 'acme.com': ACME_MX } });
+    const cache = new DnsCache({ resolver, now, defaultTtlSeconds: 60 });
+
+    expect(await cache.resolveMx('acme.com')).toEqual(ACME_MX);
+    advance(59);
+    expect(await cache.resolveMx('ACME.com')).toEqual(ACME_MX);
+    expect(resolver.queries).toEqual(['MX acme.com']);
+
+    advance(2);
+    await cache.resolveMx('acme.com');
+    expect(resolver.queries).toEqual(['MX acme.com', 'MX acme.com']);
+    expect(cache.stats).toEqual({ hits: 1, misses: 2, coalesced: 0 });
+  });
+
+  test('keeps A answers for their own TTL, capped at maxTtlSeconds', async () => {
+    const resolver = stubResolver({
+      a: {
+        'short.example': [{ address: '192.0.2.1', ttl: 30 }, { address: '192.0.2.2', ttl: 10 }],
+        'long.example': [{ address: '192.0.2.3', ttl: 7 * 86400 }]
+      }
+    });
+    const cache = new DnsCache({ resolver, now, maxTtlSeconds: 3600 });
+
+    expect(await cache.resolve4('short.example')).toEqual(['192.0.2.1', '192.0.2.2']);
+    expect(await cache.resolve4('long.example')).toEqual(['192.0.2.3']);
+    advance(11);
+    await cache.resolve4('short.example');
+    advance(3600);
+    await cache.resolve4('long.example');
+
+    expect(resolver.queries).toEqual(['A short.example', 'A long.example', 'A short.example', 'A long.example']);
+  });
+
+  test('caches missing domains for the negative TTL but retries other errors', async () => {
+    const resolver = stubResolver();
+    const cache = new DnsCache({ resolver, now, negativeTtlSeconds: 300 });
+
+    await expect(cache.resolveMx('gmial.com')).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    advance(299);
+    await expect(cache.resolveMx('gmial.com')).rejects.toMatchObject({ code: 'ENOTFOUND', message: 'query ENOTFOUND gmial.com' });
+    expect(resolver.resolveMx).toHaveBeenCalledTimes(1);
+    advance(2);
+    await expect(cache.resolveMx('gmial.com')).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    expect(resolver.resolveMx).toHaveBeenCalledTimes(2);
+
+    resolver.resolveMx.mockRejectedValue(dnsError('ETIMEOUT', 'slow.example'));
+    await expect(cache.resolveMx('slow.example')).rejects.toMatchObject({ code: 'ETIMEOUT' });
+    await expect(cache.resolveMx('slow.example')).rejects.toMatchObject({ code: 'ETIMEOUT' });
+    expect(resolver.resolveMx).toHaveBeenCalledTimes(4);
+  });
+
+  test('concurrent lookups of one domain share a single query', async () => {
+    let answer;
+    const resolver = stubResolver();
+    resolver.resolveMx.mockImplementation(() => new Promise(resolve => { answer = resolve; }));
+    const cache = new DnsCache({ resolver, now });
+
+    const lookups = [cache.resolveMx('acme.com'), cache.resolveMx('acme.com'), cache.resolveMx('Acme.com')];
+    answer(ACME_MX);
+
+    expect(await Promise.all(lookups)).toEqual([ACME_MX, ACME_MX, ACME_MX]);
+    expect(resolver.resolveMx).toHaveBeenCalledTimes(1);
+    expect(cache.stats).toEqual({ hits: 0, misses: 1, coalesced: 2 });
+    expect(await cache.resolveMx('acme.com')).toEqual(ACME_MX);
+    expect(cache.stats.hits).toBe(1);
+  });
+
+  describe('cache file', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dns-cache-'));
+      file = path.join(dir, 'dns-cache.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves unexpired answers and loads them in the next run', async () => {
+      const resolver = stubResolver({ mx: { 'acme.com': ACME_MX } });
+      const first = new DnsCache({ resolver, now, file, defaultTtlSeconds: 3600, negativeTtlSeconds: 60 });
+      await first.resolveMx('acme.com');
+      await expect(first.resolveMx('gmial.com')).rejects.toThrow();
+      first.save();
+
+      // The negative answer expires between the runs
+      advance(120);
+      const second = new DnsCache({ resolver, now, file });
+      expect(await second.resolveMx('acme.com')).toEqual(ACME_MX);
+      await expect(second.resolveMx('gmial.com')).rejects.toThrow();
+      expect(resolver.queries).toEqual(['MX acme.com', 'MX gmial.com', 'MX gmial.com']);
+
+      second.save();
+      expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).entries)).toEqual(['MX:acme.com', 'MX:gmial.com']);
+      advance(3600);
+      expect(new DnsCache({ resolver, now, file }).entries.size).toBe(0);
+    });
+
+    test('starts empty with a corrupt or outdated file', () => {
+      fs.writeFileSync(file, '{ not json');
+      expect(new DnsCache({ now, file }).entries.size).toBe(0);
+
+      fs.writeFileSync(file, JSON.stringify({ version: 0, entries: { 'MX:acme.com': { value: ACME_MX, expires: clock + 1000 } } }));
+      expect(new DnsCache({ now, file }).entries.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { verifyEmail, suggestDomain } = require('../lib/email');
+
+// A DNS resolver over a fixed zone: { domain: { mx: [...], a: [...] } }.
+// Domains that are not in the zone do not exist.
+function stubResolver(zone) {
+  const lookup = (domain, type) => {
+    const records = zone[domain];
+    if (!records) throw Object.assign(new Error(`queryMx ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+    if (!records[type]) throw Object.assign(new Error(`query ENODATA ${domain}`), { code: 'ENODATA' });
+    return records[type];
+  };
+  return {
+    resolveMx: async domain => lookup(domain, 'mx'),
+    resolve4: async domain => lookup(domain, 'a'),
+    resolve6: async domain => lookup(domain, 'aaaa')
+  };
+}
+
+const mx = host => ({ mx: [{ exchange: host, priority: 10 }] });
+
+const resolver = stubResolver({
+  'gmail.com': mx('gmail-smtp-in.l.google.com'),
+  'ge.com': mx('mx.ge.com'),
+  'aon.com': mx('mx.aon.com'),
+  'gmc.com': mx('mx.gmc.com'),
+  'mmc.com': mx('mx.mmc.com'),
+  'lime.com': mx('mx.lime.com'),
+  'yahooo.com': { mx: [{ exchange: '.', priority: 0 }] },
+  'small-shop.example': { a: ['192.0.2.10'] }
+});
+
+describe('verifyEmail', () => {
+  test.each(['ge.com', 'aon.com', 'gmc.com', 'mmc.com', 'lime.com'])(
+    'a real domain one letter from a webmail domain (%s) is not a typo',
+    async domain => {
+      // Without DNS these all look like typos...
+      expect(suggestDomain(domain)).not.toBeNull();
+
+      // ...but they take mail, so the address is fine as it is
+      const result = await verifyEmail(`ann@${domain}`, { resolver });
+      expect(result).toMatchObject({ valid: true, code: 'MX_VALID', suggestion: null, warnings: [] });
+    }
+  );
+
+  test('suggests a fix when the misspelled domain takes no mail', async () => {
+    expect(await verifyEmail('jane@gmial.com', { resolver })).toMatchObject({
+      valid: false,
+      code: 'DOMAIN_TYPO',
+      suggestion: 'jane@gmail.com',
+      warnings: [expect.objectContaining({ code: 'DOMAIN_NOT_FOUND' })]
+    });
+    expect(await verifyEmail('jane@yahooo.com', { resolver })).toMatchObject({
+      valid: false,
+      code: 'DOMAIN_TYPO',
+      suggestion: 'jane@yahoo.com',
+      warnings: [expect.objectContaining({ code: 'NO_MAIL_SERVER' })]
+    });
+  });
+
+  test('no suggestion when the DNS lookup itself failed', async () => {
+    const failing = {
+      resolveMx: async () => { throw Object.assign(new Error('queryMx ETIMEOUT gmial.com'), { code: 'ETIMEOUT' }); }
+    };
+
+    expect(await verifyEmail('jane@gmial.com', { resolver: failing })).toMatchObject({
+      valid: null,
+      code: 'DNS_ERROR',
+      suggestion: null
+    });
+  });
+
+  test('a domain without MX records that accepts mail on its A record has its own code', async () => {
+    expect(await verifyEmail('owner@small-shop.example', { resolver })).toMatchObject({
+      valid: true,
+      code: 'A_RECORD_VALID',
+      mailHosts: ['small-shop.example'],
+      warnings: []
+    });
+    expect((await verifyEmail('jane@gmail.com', { resolver })).code).toBe('MX_VALID');
+  });
+});
@@ -0,0 +1,117 @@
+const { resolveFieldMapping, checkFieldMapping, DEFAULT_FIELD_MAPPING } = require('../lib/field-mapping');
+const { ImprovedContactVerifier } = require('../verify-contacts');
+const { createFakeConnection, testConfig } = require('./support/fixtures');
+
+const NAMESPACED = {
+  lastVerified: 'acme__Last_Verified__c',
+  status: 'acme__Verification_Status__c',
+  notes: 'acme__Verification_Notes__c',
+  sourceUrl: 'acme__Source_URL__c'
+};
+
+// Rename the verification fields of an object in a fake org, as a managed
+// package with a namespace prefix would have them
+function namespaceFields(conn, object) {
+  Object.entries(DEFAULT_FIELD_MAPPING).forEach(([key, name]) => {
+    conn.records(object).forEach(record => {
+      if (name in record) {
+        record[NAMESPACED[key]] = record[name];
+        delete record[name];
+      }
+    });
+    const field = conn.describeFields[object].find(f => f.name === name);
+    if (field) field.name = NAMESPACED[key];
+  });
+}
+
+describe('resolveFieldMapping', () => {
+  test('defaults to the fields created by setup-fields.js', () => {
+    expect(resolveFieldMapping({})).toEqual(DEFAULT_FIELD_MAPPING);
+  });
+
+  test('applies shared settings, then those of the object', () => {
+    const config = { fieldMapping: { ...NAMESPACED, Lead: { notes: 'Lead_Notes__c' } } };
+
+    expect(resolveFieldMapping(config, 'Contact')).toEqual(NAMESPACED);
+    expect(resolveFieldMapping(config, 'Lead')).toEqual({ ...NAMESPACED, notes: 'Lead_Notes__c' });
+  });
+
+  test('rejects unknown keys and malformed API names', () => {
+    expect(() => resolveFieldMapping({ fieldMapping: { lastVerifed: 'X__c' } })).toThrow('Unknown fieldMapping key "lastVerifed"');
+    expect(() => resolveFieldMapping({ fieldMapping: { status: 'Status__c, Id' } })).toThrow('must be a field API name');
+  });
+});
+
+describe('checkFieldMapping', () => {
+  const describeResult = fields => ({ name: 'Contact', fields });
+
+  test('accepts the fixture Contact fields, warning about the optional ones', () => {
+    const { errors, warnings } = checkFieldMapping(describeResult(createFakeConnection().describeFields.Contact), DEFAULT_FIELD_MAPPING);
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      'Contact.Verification_Status__c has no ERROR value; records that fail verification cannot be marked',
+      'Contact.Source_URL__c (Source URL) does not exist'
+    ]);
+  });
+
+  test('reports missing fields, wrong types and missing picklist values', () => {
+    const { errors } = checkFieldMapping(describeResult([
+      { name: 'Last_Verified__c', type: 'string' },
+      { name: 'Verification_Status__c', type: 'picklist', picklistValues: [{ value: 'CONFIRMED', active: true }, { value: 'OUTDATED', active: false }] }
+    ]), DEFAULT_FIELD_MAPPING);
+
+    expect(errors).toEqual([
+      'Contact.Last_Verified__c (Last Verified) is a string field; expected date or datetime',
+      'Contact.Verification_Status__c is missing picklist values: NEEDS_REVIEW, OUTDATED',
+      'Contact.Verification_Notes__c (Verification Notes) does not exist'
+    ]);
+  });
+});
+
+describe('verifier with a namespaced field mapping', () => {
+  let conn;
+
+  beforeEach(() => {
+    conn = createFakeConnection();
+    namespaceFields(conn, 'Contact');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createVerifier(config) {
+    const verifier = new ImprovedContactVerifier(config, { conn });
+    verifier.minDelayMs = 0;
+    return verifier;
+  }
+
+  test('selects and writes the mapped fields', async () => {
+    const verifier = createVerifier(testConfig({ fieldMapping: NAMESPACED }));
+
+    expect(await verifier.validateFieldMapping()).toBe(true);
+    const contacts = await verifier.getContactsToVerify();
+    const results = [];
+    for (const contact of contacts) {
+      results.push(await verifier.verifyContactData(contact));
+    }
+    await verifier.updateSalesforce(results);
+
+    expect(conn.callsOf('query')[0].soql).toContain('acme__Last_Verified__c < LAST_N_MONTHS:6');
+    expect(contacts.map(contact => contact.Name)).toEqual(['Jane Smith', 'Robert Jones', 'Bob Jones', 'Maria Müller']);
+    expect(conn.records('Contact').get('003000000000001AAA')).toMatchObject({
+      acme__Verification_Status__c: 'CONFIRMED',
+      acme__Verification_Notes__c: expect.stringContaining('Data quality assessment')
+    });
+  });
+
+  test('refuses to start when the mapping does not match the org', async () => {
+    const verifier = createVerifier(testConfig());
+
+    expect(await verifier.validateFieldMapping()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Error details:', expect.stringContaining('Contact.Last_Verified__c (Last Verified) does not exist'));
+  });
+});
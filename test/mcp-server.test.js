@@ -0,0 +1,547 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const SalesforceVerifierServer = require('../mcp-server');
+const { AuditLog } = require('../lib/audit');
+const { WritePolicy } = require('../lib/write-policy');
+const { buildReport, writeReports } = require('../lib/reports');
+const { createFakeConnection, testConfig } = require('./support/fixtures');
+
+async function connectClient(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await Promise.all([server.server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+function textOf(response) {
+  return response.content.map(item => item.text).join('\n');
+}
+
+// Preview a status update, then apply it with the confirmation token
+async function confirmedUpdate(client, args) {
+  const preview = await client.callTool({ name: 'preview_contact_update', arguments: args });
+  return client.callTool({
+    name: 'update_contact_verification',
+    arguments: { ...args, confirmationToken: preview.structuredContent.confirmationToken }
+  });
+}
+
+describe('SalesforceVerifierServer against a fake org', () => {
+  let conn;
+  let client;
+  let reviewDir;
+
+  beforeEach(async () => {
+    conn = createFakeConnection();
+    reviewDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-review-'));
+    const config = testConfig({
+      review: { file: path.join(reviewDir, 'review.json') },
+      audit: { file: path.join(reviewDir, 'audit.jsonl') }
+    });
+    client = await connectClient(new SalesforceVerifierServer({ config, conn }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await client.close();
+    fs.rmSync(reviewDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('lists its tools', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.map(tool => tool.name)).toEqual([
+      'get_contacts',
+      'verify_contact',
+      'update_contact_verification',
+      'get_verification_stats',
+      'bulk_verify',
+      'get_contact_details',
+      'list_contacts_by_status',
+      'preview_contact_update'
+    ]);
+  });
+
+  test('get_contacts lists contacts due for verification', async () => {
+    const text = textOf(await client.callTool({ name: 'get_contacts', arguments: { limit: 3 } }));
+
+    expect(text).toMatch(/^Found 3 contacts that need verification:/);
+    expect(text).toContain('• Jane Smith (Acme Corporation) [003000000000001AAA]');
+    expect(text).not.toContain('Recently Verified');
+  });
+
+  test('verify_contact runs the verification rules', async () => {
+    const response = await client.callTool({
+      name: 'verify_contact',
+      arguments: { contactId: '003000000000002AAA' }
+    });
+    const text = textOf(response);
+
+    expect(text).toContain('Verification result for Robert Jones (Acme Corporation)');
+    expect(text).toContain('Status: NEEDS_REVIEW');
+    expect(text).toContain('Issues: Job title is missing');
+    expect(text).toContain('• Phone: (415) 555-2671 → +14155552671 (Store the phone number in E.164 format)');
+    expect(response.structuredContent.result).toMatchObject({
+      id: '003000000000002AAA',
+      status: 'NEEDS_REVIEW',
+      confidence: expect.any(Number),
+      issues: expect.arrayContaining(['Job title is missing'])
+    });
+
+    const { proposals } = JSON.parse(fs.readFileSync(path.join(reviewDir, 'review.json'), 'utf8'));
+    expect(proposals).toEqual([
+      expect.objectContaining({ recordId: '003000000000002AAA', field: 'Phone', after: '+14155552671', status: 'pending' })
+    ]);
+    expect(conn.records('Contact').get('003000000000002AAA').Phone).toBe('(415) 555-2671');
+  });
+
+  test('update_contact_verification writes the status', async () => {
+    const text = textOf(await confirmedUpdate(client, { contactId: '003000000000003AAA', status: 'CONFIRMED', notes: 'Checked by phone' }));
+
+    expect(text).toBe('Successfully updated contact 003000000000003AAA with status: CONFIRMED');
+    expect(conn.records('Contact').get('003000000000003AAA')).toMatchObject({
+      Verification_Status__c: 'CONFIRMED',
+      Verification_Notes__c: 'Checked by phone'
+    });
+    expect([...conn.records('Contact_Verification__c').values()]).toEqual([
+      expect.objectContaining({ Contact__c: '003000000000003AAA', Status__c: 'CONFIRMED', Source__c: 'mcp-server', Notes__c: 'Checked by phone' })
+    ]);
+    expect(new AuditLog(path.join(reviewDir, 'audit.jsonl')).entries()).toEqual([
+      expect.objectContaining({
+        actor: 'mcp:test-client',
+        source: 'mcp-server',
+        recordId: '003000000000003AAA',
+        success: true,
+        changes: expect.objectContaining({ Verification_Status__c: { before: null, after: 'CONFIRMED' } })
+      })
+    ]);
+  });
+
+  test('update_contact_verification reports a rejected update', async () => {
+    conn.failUpdate('003000000000003AAA', 'FIELD_CUSTOM_VALIDATION_EXCEPTION', 'Title is required');
+
+    const response = await confirmedUpdate(client, { contactId: '003000000000003AAA', status: 'CONFIRMED' });
+
+    expect(response.isError).toBe(true);
+    expect(textOf(response)).toBe('Error: Title is required');
+  });
+
+  test('get_verification_stats aggregates contacts by status', async () => {
+    const text = textOf(await client.callTool({ name: 'get_verification_stats', arguments: {} }));
+
+    expect(conn.callsOf('query')[0].soql).toMatch(/GROUP BY Verification_Status__c/);
+    expect(text.split('\n')).toEqual(expect.arrayContaining([
+      'Contact Verification Statistics:',
+      'OUTDATED: 2 contacts',
+      'CONFIRMED: 1 contacts',
+      'NEEDS_REVIEW: 1 contacts'
+    ]));
+  });
+
+  test('bulk_verify verifies matching records in batches without writing by default', async () => {
+    const response = await client.callTool({
+      name: 'bulk_verify',
+      arguments: { months: 0, limit: 10, batchSize: 3 }
+    });
+
+    expect(response.structuredContent).toMatchObject({ object: 'Contact', batchSize: 3, batches: 2, updated: 0, queuedProposals: 3 });
+    expect(response.structuredContent.results).toHaveLength(5);
+    expect(textOf(response)).toContain('Nothing was written to Salesforce');
+    expect(conn.callsOf('update')).toEqual([]);
+  });
+
+  test('bulk_verify writes each batch with update', async () => {
+    conn.failUpdate('003000000000004AAA', 'FIELD_CUSTOM_VALIDATION_EXCEPTION', 'Phone is locked');
+
+    const criteria = { statuses: ['OUTDATED'], months: 0, batchSize: 1 };
+    const preview = await client.callTool({ name: 'bulk_verify', arguments: criteria });
+    const response = await client.callTool({
+      name: 'bulk_verify',
+      arguments: { ...criteria, update: true, confirmationToken: preview.structuredContent.confirmationToken }
+    });
+
+    expect(conn.callsOf('query')[0].soql).toContain("Verification_Status__c IN ('OUTDATED')");
+    expect(response.structuredContent).toMatchObject({
+      batches: 2,
+      summary: { NEEDS_REVIEW: 2 },
+      updated: 1,
+      failed: 1,
+      errors: [{ id: '003000000000004AAA', name: 'Maria Müller', error: expect.stringContaining('Phone is locked') }]
+    });
+    expect(conn.records('Contact').get('003000000000002AAA').Verification_Status__c).toBe('NEEDS_REVIEW');
+    expect([...conn.records('Contact_Verification__c').values()]).toEqual([
+      expect.objectContaining({ Contact__c: '003000000000002AAA', Source__c: 'mcp-server' })
+    ]);
+    expect(new AuditLog(path.join(reviewDir, 'audit.jsonl')).entries()).toHaveLength(2);
+  });
+
+  test('bulk_verify reports history records it could not write', async () => {
+    conn.rejectCalls('create', 'STORAGE_LIMIT_EXCEEDED', 'storage limit exceeded');
+
+    const criteria = { statuses: ['OUTDATED'], months: 0, limit: 1 };
+    const preview = await client.callTool({ name: 'bulk_verify', arguments: criteria });
+    const response = await client.callTool({
+      name: 'bulk_verify',
+      arguments: { ...criteria, update: true, confirmationToken: preview.structuredContent.confirmationToken }
+    });
+
+    expect(response.structuredContent).toMatchObject({
+      updated: 1,
+      failed: 0,
+      historyErrors: [{ id: '003000000000002AAA', name: 'Robert Jones', error: 'storage limit exceeded' }]
+    });
+    expect(textOf(response)).toContain('• Updated Robert Jones [003000000000002AAA] but could not record its history: storage limit exceeded');
+  });
+
+  test('bulk_verify and get_contacts reject oversized requests', async () => {
+    const text = textOf(await client.callTool({ name: 'bulk_verify', arguments: { limit: 5000 } }));
+    expect(text).toBe('Error: limit must be at most 200 (got 5000)');
+
+    const contacts = await client.callTool({ name: 'get_contacts', arguments: { limit: 100000 } });
+    expect(textOf(contacts)).toBe('Error: limit must be at most 200 (got 100000)');
+    expect(conn.callsOf('query')).toEqual([]);
+  });
+
+  test('get_contact_details includes the verification history', async () => {
+    await confirmedUpdate(client, { contactId: '003000000000002AAA', status: 'CONFIRMED', notes: 'Called reception' });
+
+    const response = await client.callTool({ name: 'get_contact_details', arguments: { contactId: '003000000000002AAA' } });
+
+    expect(response.structuredContent).toMatchObject({
+      id: '003000000000002AAA',
+      name: 'Robert Jones',
+      company: 'Acme Corporation',
+      status: 'CONFIRMED',
+      notes: 'Called reception',
+      fields: expect.objectContaining({ Phone: '(415) 555-2671' }),
+      history: [expect.objectContaining({ status: 'CONFIRMED', source: 'mcp-server', runId: expect.any(String) })],
+      pendingProposals: []
+    });
+    expect(textOf(response)).toContain('Verification history:\n• ');
+  });
+
+  test('list_contacts_by_status lists the least recently verified first', async () => {
+    const response = await client.callTool({ name: 'list_contacts_by_status', arguments: { status: 'OUTDATED' } });
+
+    expect(conn.callsOf('query')[0].soql).toContain('ORDER BY Last_Verified__c ASC NULLS FIRST, LastModifiedDate DESC');
+    expect(response.structuredContent.records.map(record => [record.id, record.lastVerified])).toEqual([
+      ['003000000000004AAA', '2022-02-01'],
+      ['003000000000002AAA', '2023-01-15']
+    ]);
+    expect(textOf(response)).toMatch(/^Found 2 contacts with status OUTDATED:/);
+  });
+
+  test('preview_contact_update shows the changes without writing', async () => {
+    const manual = await client.callTool({
+      name: 'preview_contact_update',
+      arguments: { contactId: '003000000000002AAA', status: 'CONFIRMED' }
+    });
+    const verified = await client.callTool({ name: 'preview_contact_update', arguments: { contactId: '003000000000002AAA' } });
+
+    expect(manual.structuredContent).toMatchObject({
+      id: '003000000000002AAA',
+      wouldChange: true,
+      changes: {
+        Verification_Status__c: { before: 'OUTDATED', after: 'CONFIRMED', changed: true },
+        Last_Verified__c: { before: '2023-01-15', changed: true }
+      }
+    });
+    expect(textOf(manual)).toContain('• Verification_Status__c: OUTDATED → CONFIRMED');
+    expect(verified.structuredContent.changes.Verification_Notes__c).toMatchObject({ before: null, changed: true });
+    expect(verified.structuredContent.result.status).toBe('NEEDS_REVIEW');
+    expect(conn.callsOf('update')).toEqual([]);
+  });
+
+  test('tools use the configured field mapping', async () => {
+    conn.describeFields.Contact.find(field => field.name === 'Verification_Status__c').name = 'acme__Status__c';
+    conn.records('Contact').forEach(record => {
+      record.acme__Status__c = record.Verification_Status__c;
+    });
+    const mapped = await connectClient(new SalesforceVerifierServer({
+      config: testConfig({ fieldMapping: { status: 'acme__Status__c' } }),
+      conn
+    }));
+
+    const stats = textOf(await mapped.callTool({ name: 'get_verification_stats', arguments: {} }));
+    const unmapped = textOf(await client.callTool({ name: 'get_verification_stats', arguments: {} }));
+    await mapped.close();
+
+    expect(stats).toContain('OUTDATED: 2 contacts');
+    expect(unmapped).toContain('Error: Field mapping for Contact does not match the org:');
+    expect(unmapped).toContain('Contact.Verification_Status__c (Verification Status) does not exist');
+  });
+
+  test('tools accept an object other than Contact', async () => {
+    const leads = textOf(await client.callTool({ name: 'get_contacts', arguments: { object: 'Lead' } }));
+    const account = textOf(await client.callTool({
+      name: 'verify_contact',
+      arguments: { contactId: '001000000000002AAA', object: 'Account' }
+    }));
+
+    expect(leads).toMatch(/^Found 2 leads that need verification:/);
+    expect(leads).toContain('• Lena Lead (Initech) [00Q000000000001AAA]');
+    expect(account).toContain('Verification result for Globex GmbH (Globex GmbH)');
+    expect(account).toContain('Billing address is incomplete');
+  });
+});
+
+describe('MCP write guardrails', () => {
+  let conn;
+  let dir;
+  let clients;
+
+  beforeEach(() => {
+    conn = createFakeConnection();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-policy-'));
+    clients = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  async function clientWith(writes) {
+    const config = testConfig({
+      review: { file: path.join(dir, 'review.json') },
+      audit: { file: path.join(dir, 'audit.jsonl') },
+      mcp: { writes }
+    });
+    const client = await connectClient(new SalesforceVerifierServer({ config, conn }));
+    clients.push(client);
+    return client;
+  }
+
+  const UPDATE = { contactId: '003000000000003AAA', status: 'CONFIRMED', notes: 'Checked by phone' };
+
+  test('updates need the token of a preview of the same update', async () => {
+    const client = await clientWith({ cooldownHours: 0 });
+
+    const unconfirmed = await client.callTool({ name: 'update_contact_verification', arguments: UPDATE });
+    const preview = await client.callTool({ name: 'preview_contact_update', arguments: UPDATE });
+    const { confirmationToken } = preview.structuredContent;
+    const mismatched = await client.callTool({
+      name: 'update_contact_verification',
+      arguments: { ...UPDATE, status: 'OUTDATED', confirmationToken }
+    });
+
+    expect(unconfirmed.isError).toBe(true);
+    expect(unconfirmed.structuredContent.error).toMatchObject({ code: 'CONFIRMATION_REQUIRED' });
+    expect(textOf(unconfirmed)).toMatch(/^Write rejected \(CONFIRMATION_REQUIRED\): /);
+    expect(textOf(preview)).toContain(`confirmationToken: ${confirmationToken}`);
+    expect(mismatched.structuredContent.error.code).toBe('CONFIRMATION_INVALID');
+
+    const applied = await client.callTool({ name: 'update_contact_verification', arguments: { ...UPDATE, confirmationToken } });
+    const reused = await client.callTool({ name: 'update_contact_verification', arguments: { ...UPDATE, confirmationToken } });
+
+    expect(applied.isError).toBeUndefined();
+    expect(reused.structuredContent.error.code).toBe('CONFIRMATION_INVALID');
+    expect(conn.callsOf('update')).toHaveLength(1);
+  });
+
+  test('read-only mode rejects every write', async () => {
+    const client = await clientWith({ readOnly: true });
+
+    const preview = await client.callTool({ name: 'preview_contact_update', arguments: UPDATE });
+    const update = await client.callTool({ name: 'update_contact_verification', arguments: UPDATE });
+    const bulk = await client.callTool({ name: 'bulk_verify', arguments: { update: true } });
+
+    expect(preview.structuredContent).toMatchObject({ blocked: { code: 'READ_ONLY' }, wouldChange: true });
+    expect(preview.structuredContent.confirmationToken).toBeUndefined();
+    expect(update.structuredContent.error.code).toBe('READ_ONLY');
+    expect(bulk.structuredContent.error.code).toBe('READ_ONLY');
+    expect(conn.callsOf('update')).toEqual([]);
+  });
+
+  test('only allow-listed fields and statuses are written', async () => {
+    const client = await clientWith({ writableFields: ['status', 'lastVerified'], writableStatuses: ['CONFIRMED'] });
+
+    const notes = await client.callTool({ name: 'preview_contact_update', arguments: UPDATE });
+    const status = await client.callTool({ name: 'preview_contact_update', arguments: { contactId: UPDATE.contactId, status: 'OUTDATED' } });
+    const allowed = await confirmedUpdate(client, { contactId: UPDATE.contactId, status: 'CONFIRMED' });
+
+    expect(notes.structuredContent.blocked).toEqual({
+      code: 'FIELD_NOT_WRITABLE',
+      message: 'Verification_Notes__c may not be written by MCP clients (allowed: Verification_Status__c, Last_Verified__c)'
+    });
+    expect(status.structuredContent.blocked.code).toBe('STATUS_NOT_WRITABLE');
+    expect(allowed.structuredContent).toMatchObject({ updated: true });
+  });
+
+  test('the status enum of the write tools follows writableStatuses', async () => {
+    const statusEnums = async client => Object.fromEntries((await client.listTools()).tools
+      .filter(tool => ['update_contact_verification', 'preview_contact_update'].includes(tool.name))
+      .map(tool => [tool.name, tool.inputSchema.properties.status.enum]));
+
+    expect(await statusEnums(await clientWith({}))).toEqual({
+      update_contact_verification: ['CONFIRMED', 'NEEDS_REVIEW', 'OUTDATED'],
+      preview_contact_update: ['CONFIRMED', 'NEEDS_REVIEW', 'OUTDATED']
+    });
+    expect(await statusEnums(await clientWith({ writableStatuses: ['CONFIRMED'] }))).toEqual({
+      update_contact_verification: ['CONFIRMED'],
+      preview_contact_update: ['CONFIRMED']
+    });
+  });
+
+  test('records verified within the cooldown are not written', async () => {
+    const client = await clientWith({ requireConfirmation: false });
+
+    const update = await client.callTool({
+      name: 'update_contact_verification',
+      arguments: { contactId: '003000000000005AAA', status: 'OUTDATED' }
+    });
+    const bulk = await client.callTool({ name: 'bulk_verify', arguments: { months: 0, update: true } });
+
+    expect(update.structuredContent.error).toMatchObject({ code: 'COOLDOWN_ACTIVE', recordId: '003000000000005AAA' });
+    expect(bulk.structuredContent.skipped).toEqual([
+      expect.objectContaining({ id: '003000000000005AAA', code: 'COOLDOWN_ACTIVE' })
+    ]);
+    expect(bulk.structuredContent.updated).toBe(4);
+    expect(conn.records('Contact').get('003000000000005AAA').Verification_Status__c).toBe('CONFIRMED');
+  });
+
+  test('writes stop at the session cap', async () => {
+    const client = await clientWith({ maxWritesPerSession: 2, requireConfirmation: false });
+
+    const bulk = await client.callTool({ name: 'bulk_verify', arguments: { statuses: ['OUTDATED'], months: 0, update: true, limit: 1 } });
+    const update = await client.callTool({ name: 'update_contact_verification', arguments: UPDATE });
+    const over = await client.callTool({ name: 'bulk_verify', arguments: { months: 0, update: true } });
+
+    expect(bulk.structuredContent).toMatchObject({ updated: 1, writesRemaining: 1 });
+    expect(update.structuredContent).toMatchObject({ updated: true, writesRemaining: 0 });
+    expect(over.structuredContent.error).toMatchObject({ code: 'WRITE_LIMIT_REACHED', remaining: 0, limit: 2 });
+    expect(conn.callsOf('update')).toHaveLength(2);
+  });
+
+  test('confirmation tokens expire', () => {
+    let now = Date.parse('2025-01-01T12:00:00Z');
+    const policy = new WritePolicy({ confirmationTtlSeconds: 60 }, { now: () => now });
+    const { token, expiresAt } = policy.issueToken('update_contact_verification', UPDATE);
+
+    expect(expiresAt).toBe('2025-01-01T12:01:00.000Z');
+    now += 61 * 1000;
+    expect(() => policy.redeemToken(token, 'update_contact_verification', UPDATE)).toThrow('unknown, already used or expired');
+  });
+});
+
+describe('MCP resources and prompts', () => {
+  let conn;
+  let dir;
+  let client;
+
+  const read = async (uri) => JSON.parse((await client.readResource({ uri })).contents[0].text);
+
+  beforeEach(async () => {
+    conn = createFakeConnection();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-resources-'));
+    const config = testConfig({
+      review: { file: path.join(dir, 'review.json') },
+      audit: { file: path.join(dir, 'audit.jsonl') },
+      reports: { dir }
+    });
+    writeReports(buildReport([{
+      id: '003000000000001AAA',
+      object: 'Contact',
+      name: 'Jane Smith',
+      company: 'Acme Corporation',
+      status: 'NEEDS_REVIEW',
+      confidence: 0.6,
+      issues: ['Job title is missing'],
+      recommendations: [],
+      proposals: [],
+      notes: 'Job title is missing'
+    }], { timestamp: new Date('2025-01-01T12:00:00Z') }), { dir });
+    client = await connectClient(new SalesforceVerifierServer({ config, conn }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await client.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('lists saved reports, rule settings and record templates', async () => {
+    const { resources } = await client.listResources();
+    const { resourceTemplates } = await client.listResourceTemplates();
+
+    expect(resources.map(resource => resource.uri)).toEqual([
+      'report://latest',
+      'report://verification-report-1735732800000',
+      'rules://Contact',
+      'rules://Lead',
+      'rules://Account'
+    ]);
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+      'contact://{recordId}',
+      'lead://{recordId}',
+      'account://{recordId}'
+    ]);
+  });
+
+  test('report://latest is the newest saved report', async () => {
+    expect(await read('report://latest')).toMatchObject({
+      object: 'Contact',
+      totalProcessed: 1,
+      summary: { NEEDS_REVIEW: 1 }
+    });
+  });
+
+  test('record summaries come from the session, then saved reports, then Salesforce', async () => {
+    expect(await read('contact://003000000000001AAA')).toMatchObject({
+      source: 'report',
+      report: 'verification-report-1735732800000',
+      status: 'NEEDS_REVIEW',
+      verifiedAt: '2025-01-01T12:00:00.000Z'
+    });
+    expect(conn.callsOf('query')).toEqual([]);
+
+    const fromOrg = await read('contact://003000000000002AAA');
+    expect(fromOrg).toMatchObject({ source: 'salesforce', name: 'Robert Jones', status: 'OUTDATED', lastVerified: '2023-01-15' });
+    const queries = conn.calls.length;
+    await read('contact://003000000000002AAA');
+    expect(conn.calls.length).toBe(queries);
+
+    await client.callTool({ name: 'verify_contact', arguments: { contactId: '003000000000002AAA' } });
+    const verified = await read('contact://003000000000002AAA');
+    expect(verified).toMatchObject({ source: 'session', status: 'NEEDS_REVIEW', previousStatus: 'OUTDATED' });
+    expect(verified.pendingProposals.map(proposal => proposal.field)).toContain('Phone');
+    expect((await client.listResources()).resources.map(resource => resource.uri)).toContain('contact://003000000000002AAA');
+  });
+
+  test('rules://Contact shows the thresholds and rules in effect', async () => {
+    const settings = await read('rules://Contact');
+
+    expect(settings).toMatchObject({ object: 'Contact', thresholds: expect.any(Object) });
+    expect(settings.rules.length).toBeGreaterThan(0);
+    expect(settings.rules[0]).toEqual(expect.objectContaining({ id: expect.any(String), enabled: expect.any(Boolean) }));
+  });
+
+  test('rejects unknown resources and malformed record IDs', async () => {
+    await expect(client.readResource({ uri: 'report://verification-report-1' })).rejects.toThrow('Unknown report');
+    await expect(client.readResource({ uri: 'contact://not-an-id' })).rejects.toThrow();
+    await expect(client.readResource({ uri: 'opportunity://006000000000001AAA' })).rejects.toThrow('Unknown resource');
+  });
+
+  test('prompts embed the report or record they are about', async () => {
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toEqual(['triage_outdated_contacts', 'summarize_last_run', 'review_contact']);
+
+    const triage = await client.getPrompt({ name: 'triage_outdated_contacts', arguments: { accountId: '001000000000001AAA' } });
+    expect(triage.messages[0].content.text).toContain('accountIds ["001000000000001AAA"]');
+
+    const summary = await client.getPrompt({ name: 'summarize_last_run', arguments: {} });
+    expect(summary.messages[1].content.resource).toMatchObject({ uri: 'report://verification-report-1735732800000', mimeType: 'application/json' });
+
+    const review = await client.getPrompt({ name: 'review_contact', arguments: { contactId: '003000000000001AAA' } });
+    expect(JSON.parse(review.messages[1].content.resource.text)).toMatchObject({ uri: 'contact://003000000000001AAA', status: 'NEEDS_REVIEW' });
+
+    await expect(client.getPrompt({ name: 'review_contact', arguments: {} })).rejects.toThrow('needs contactId');
+  });
+});
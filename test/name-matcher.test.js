@@ -0,0 +1,89 @@
+const { matchNames, parseName, foldDiacritics } = require('../lib/name-matcher');
+
+// Duplicate detection treats 0.8 and above as the same person
+const SAME_PERSON = 0.8;
+
+describe('matchNames', () => {
+  test.each([
+    // Nicknames
+    ['Robert Smith', 'Bob Smith', 'are nickname equivalents'],
+    ['Bill Gates', 'William Gates', 'are nickname equivalents'],
+    ['Joe Garcia', 'Joseph Garcia', 'are nickname equivalents'],
+    ['Kathy Brown', 'Katherine Brown', 'are nickname equivalents'],
+    // Accents and letters without a decomposed form
+    ['José Núñez', 'Jose Nunez', 'same first name'],
+    ['Müller, Jürgen', 'Jurgen Muller', 'same first name'],
+    ['Søren Kierkegaard', 'Soren Kierkegaard', 'same last name'],
+    ['Łukasz Nowak', 'Lukasz Nowak', 'same first name'],
+    // Names in other scripts
+    ['Петров, Иван', 'Иван Петров', '"Last, First" format normalized'],
+    ['Γιώργος Παπαδόπουλος', 'Γιωργος Παπαδοπουλος', 'same first name'],
+    ['王 小明', '王 小明', 'same first name'],
+    // "Last, First" and reversed order
+    ['Smith, Bob', 'Robert Smith', '"Last, First" format normalized'],
+    ['Smith John', 'John Smith', 'first and last name order reversed'],
+    // Initials
+    ['J. Smith', 'John Smith', 'initial "j" matches first name'],
+    ['John Q. Public', 'John Public', 'same first name'],
+    // Titles and suffixes
+    ['Dr. Jane Doe', 'Jane Doe', 'same first name'],
+    ['Mr. John Smith III', 'John Smith', 'same first name'],
+    ['Jane Doe, PhD', 'Prof. Jane Doe', 'same first name'],
+    ['Smith, Dr. John', 'John Smith, Jr.', '"Last, First" format normalized'],
+    // Spelling variants and double-barrelled family names
+    ['Jon Smith', 'John Smith', 'are nickname equivalents'],
+    ['Catherine Jonson', 'Catherine Johnson', 'are spelled similarly'],
+    ['Maria Garcia-Lopez', 'Maria Garcia', 'share a part']
+  ])('%s = %s', (name1, name2, reason) => {
+    const match = matchNames(name1, name2);
+
+    expect(match.score).toBeGreaterThanOrEqual(SAME_PERSON);
+    expect(match.explanation).toContain(reason);
+    // The comparison does not depend on argument order
+    expect(matchNames(name2, name1).score).toBeCloseTo(match.score, 2);
+  });
+
+  test.each([
+    // "José" is a name of its own, not a nickname of Joseph
+    ['Jose Garcia', 'Joseph Garcia', 'first names "jose" and "joseph" differ'],
+    ['Jane Smith', 'John Smith', 'first names "jane" and "john" differ'],
+    ['Jane Smith', 'Mary Jones', 'last names "smith" and "jones" differ'],
+    ['Иван Петров', 'Ольга Петрова', 'first names "иван" and "ольга" differ'],
+    ['Alexandra Smith', 'Alexander Smith', 'first names "alexandra" and "alexander" differ'],
+    ['John Smith, Jr.', 'John Smith Sr.', 'suffixes differ (jr vs sr)'],
+    ['John A. Smith', 'John B. Smith', 'middle names differ'],
+    ['', 'John Smith', 'name missing']
+  ])('%s ≠ %s', (name1, name2, reason) => {
+    const match = matchNames(name1, name2);
+
+    expect(match.explanation).toContain(reason);
+    expect(match.score).toBeLessThan(matchNames(name2, name2).score);
+  });
+
+  test('scores different people below the duplicate threshold', () => {
+    expect(matchNames('Jose Garcia', 'Joseph Garcia').score).toBeLessThan(SAME_PERSON);
+    expect(matchNames('Alexandra Smith', 'Alexander Smith').score).toBeLessThan(SAME_PERSON);
+    expect(matchNames('Jane Smith', 'John Smith').score).toBeLessThan(SAME_PERSON);
+    expect(matchNames('Jane Smith', 'Mary Jones').score).toBeLessThan(0.1);
+    expect(matchNames(null, 'John Smith')).toEqual({ score: 0, reasons: ['name missing'], explanation: 'name missing' });
+  });
+});
+
+describe('parseName', () => {
+  test.each([
+    ['John Smith', { given: 'john', middle: [], family: 'smith' }],
+    ['Smith, John Q.', { given: 'john', middle: ['q'], family: 'smith', reversed: true }],
+    ['Dr. Mary-Jane O\'Brien, MD', { given: 'mary-jane', family: 'o\'brien', honorifics: ['dr'], suffixes: ['md'] }],
+    ['Sra. María José García López', { given: 'maria', middle: ['jose', 'garcia'], family: 'lopez', honorifics: ['sra'] }],
+    ['Martin Luther King Jr', { given: 'martin', middle: ['luther'], family: 'king', suffixes: ['jr'] }],
+    ['Ива́н Петро́в', { given: 'иван', middle: [], family: 'петров' }],
+    ['Cher', { given: null, family: 'cher' }],
+    ['', { given: null, family: null }]
+  ])('%p', (name, parsed) => {
+    expect(parseName(name)).toMatchObject(parsed);
+  });
+
+  test('folds accents and special letters', () => {
+    expect(foldDiacritics('Ærøskøbing Straße Ørsted Dvořák')).toBe('aeroskobing strasse orsted dvorak');
+  });
+});
@@ -0,0 +1,54 @@
+const { analyzePhone, resolveCountry } = require('../lib/phone');
+
+describe('resolveCountry', () => {
+  test.each([
+    ['US', 'US'],
+    ['de', 'DE'],
+    [' gb ', 'GB'],
+    ['UK', 'GB'],
+    ['u.k.', 'GB'],
+    ['USA', 'US'],
+    ['United States', 'US'],
+    ['Germany', 'DE'],
+    ['Deutschland', 'DE'],
+    ['The Netherlands', 'NL'],
+    ['UAE', 'AE']
+  ])('%s → %s', (input, code) => {
+    expect(resolveCountry(input)).toBe(code);
+  });
+
+  test.each(['XX', 'Atlantis', '', null, 42])('%p is not a country', input => {
+    expect(resolveCountry(input)).toBeNull();
+  });
+});
+
+describe('analyzePhone', () => {
+  test('uses the billing country for numbers without an international prefix', () => {
+    expect(analyzePhone('020 7946 0958', { defaultCountry: 'UK' })).toMatchObject({
+      valid: true,
+      country: 'GB',
+      e164: '+442079460958',
+      type: 'landline'
+    });
+    expect(analyzePhone('(415) 555-2671', { defaultCountry: 'United States' })).toMatchObject({
+      valid: true,
+      e164: '+14155552671'
+    });
+  });
+
+  test('an international prefix wins over the billing country', () => {
+    expect(analyzePhone('+49 30 901820', { defaultCountry: 'US' })).toMatchObject({ valid: true, country: 'DE', e164: '+4930901820' });
+  });
+
+  test('flags placeholder and fictional numbers', () => {
+    expect(analyzePhone('000-000-0000', { defaultCountry: 'US' })).toMatchObject({ valid: false, placeholder: true });
+    expect(analyzePhone('123-456-7890', { defaultCountry: 'US' })).toMatchObject({ placeholder: true });
+    expect(analyzePhone('(212) 555-0142', { defaultCountry: 'US' })).toMatchObject({ placeholder: true, reason: 'Placeholder number' });
+  });
+
+  test('explains why a number is not valid', () => {
+    expect(analyzePhone('call reception')).toMatchObject({ valid: false, reason: 'No digits found' });
+    expect(analyzePhone('7946 0958')).toMatchObject({ valid: false, reason: 'Cannot be parsed without a country code' });
+    expect(analyzePhone('020 7946', { defaultCountry: 'UK' })).toMatchObject({ valid: false, reason: 'Not a valid number for GB' });
+  });
+});
@@ -0,0 +1,124 @@
+const { QueryBuilder, queryAll, literal, parseOrderBy, assertWhereFragment } = require('../lib/query-builder');
+const { buildContactQuery, buildRecordQuery, getContacts, getRecords } = require('../lib/salesforce');
+const { createFakeConnection } = require('./support/fixtures');
+
+describe('QueryBuilder', () => {
+  test('renders escaped literals', () => {
+    expect(literal("O'Brien \\ Sons")).toBe("'O\\'Brien \\\\ Sons'");
+    expect(literal(null)).toBe('null');
+    expect(literal(false)).toBe('false');
+    expect(literal(42)).toBe('42');
+  });
+
+  test('builds a query from validated parts', () => {
+    const soql = new QueryBuilder('Contact')
+      .select(['Id', 'Account.Name'])
+      .whereIn('LeadSource', ['Web', "Partner's Event"])
+      .whereDate('Last_Verified__c', '<', 'LAST_N_MONTHS:6')
+      .orderBy('Last_Verified__c ASC NULLS FIRST, Name')
+      .limit(50)
+      .toSoql();
+
+    expect(soql).toBe([
+      'SELECT Id, Account.Name',
+      'FROM Contact',
+      "WHERE LeadSource IN ('Web', 'Partner\\'s Event')",
+      '  AND Last_Verified__c < LAST_N_MONTHS:6',
+      'ORDER BY Last_Verified__c ASC NULLS FIRST, Name ASC',
+      'LIMIT 50'
+    ].join('\n'));
+  });
+
+  test('rejects invalid field names, ordering and limits', () => {
+    expect(() => new QueryBuilder('Contact').select('Id; DELETE')).toThrow('Invalid field name');
+    expect(() => parseOrderBy('Name DESC LIMIT 1')).toThrow('Invalid ORDER BY clause');
+    expect(() => new QueryBuilder('Contact').limit('10 OFFSET 5')).toThrow('limit must be a positive integer');
+    expect(() => new QueryBuilder('Contact').whereDate('CreatedDate', '<', "TODAY OR Name != ''")).toThrow('Invalid date literal');
+  });
+
+  test('keeps raw WHERE fragments inside their parentheses', () => {
+    expect(assertWhereFragment("MailingCountry = 'US' AND (Title LIKE '%VP%')")).toBe("MailingCountry = 'US' AND (Title LIKE '%VP%')");
+    expect(assertWhereFragment("Title = 'Head of (Sales'")).toBe("Title = 'Head of (Sales'");
+    expect(() => assertWhereFragment("Name != null) OR (Id != null")).toThrow('Unbalanced parentheses');
+    expect(() => assertWhereFragment('Name != null LIMIT 1')).toThrow('may only contain conditions');
+    expect(() => assertWhereFragment("Name = 'x")).toThrow('Unterminated string literal');
+  });
+});
+
+describe('contact selection', () => {
+  const namesFor = async (options, conn = createFakeConnection()) =>
+    (await getContacts(conn, { limit: 10, ...options })).map(contact => contact.Name);
+
+  test('defaults to stale contacts with an account', async () => {
+    expect(await namesFor({})).toEqual(['Jane Smith', 'Robert Jones', 'Bob Jones', 'Maria Müller']);
+  });
+
+  test('filters by verification status at any age', async () => {
+    expect(await namesFor({ statuses: ['OUTDATED', 'CONFIRMED'], months: 0 })).toEqual(
+      expect.arrayContaining(['Robert Jones', 'Maria Müller', 'Recently Verified'])
+    );
+    expect(await namesFor({ statuses: ['CONFIRMED'] })).toEqual([]);
+  });
+
+  test('filters by owner ID, username or name', async () => {
+    expect(await namesFor({ owners: ['sam.sales@example.com'] })).toEqual(['Robert Jones', 'Maria Müller']);
+    expect(await namesFor({ owners: ['Alex Admin', '005000000000002AAA'] })).toHaveLength(4);
+  });
+
+  test('filters by account, lead source and a raw condition', async () => {
+    expect(await namesFor({ accountIds: ['001000000000002AAA'], months: 0 })).toEqual(['Recently Verified', 'Maria Müller']);
+    expect(await namesFor({ leadSources: ['Web'] })).toEqual(['Jane Smith', 'Bob Jones']);
+    expect(await namesFor({ where: "Title LIKE '%Director%' OR Title = null" })).toEqual(['Robert Jones', 'Bob Jones']);
+  });
+
+  test('orders by priority fields', async () => {
+    expect(await namesFor({ orderBy: 'Last_Verified__c ASC NULLS FIRST, Name DESC' })).toEqual(
+      ['Jane Smith', 'Bob Jones', 'Maria Müller', 'Robert Jones']
+    );
+  });
+
+  test('selects record types by ID or developer name', () => {
+    const soql = buildContactQuery({ recordTypes: ['012000000000001AAA', 'Partner_Contact'] });
+
+    expect(soql).toContain("((RecordTypeId IN ('012000000000001AAA')) OR (RecordType.DeveloperName IN ('Partner_Contact')))");
+  });
+
+  test('selects leads and accounts with their own fields', async () => {
+    const conn = createFakeConnection();
+
+    expect((await getRecords(conn, 'Lead', { limit: 10 })).map(lead => lead.Company)).toEqual(['Initech', null]);
+    expect(buildRecordQuery('Account', { leadSources: ['Web'], accountIds: ['001000000000001AAA'], months: 0 })).toContain(
+      "WHERE Id IN ('001000000000001AAA')\n  AND AccountSource IN ('Web')"
+    );
+    expect(() => buildRecordQuery('Lead', { accountIds: ['001000000000001AAA'] })).toThrow('Lead records cannot be selected by Account');
+  });
+
+  test('follows queryMore past the first page', async () => {
+    const conn = createFakeConnection({ batchSize: 2 });
+
+    const contacts = await getContacts(conn, { limit: 3 });
+
+    expect(contacts).toHaveLength(3);
+    expect(conn.callsOf('queryMore')).toHaveLength(1);
+  });
+
+  test('reads every page when no limit is given', async () => {
+    const conn = createFakeConnection({ batchSize: 1 });
+
+    const records = await queryAll(conn, 'SELECT Id FROM Contact');
+
+    expect(records).toHaveLength(6);
+    expect(conn.callsOf('queryMore')).toHaveLength(5);
+  });
+
+  test('makes every page through the request wrapper', async () => {
+    const conn = createFakeConnection({ batchSize: 2 });
+    const request = jest.fn(send => send());
+
+    const records = await queryAll(conn, 'SELECT Id FROM Contact', { limit: 5, request });
+
+    expect(records).toHaveLength(5);
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(conn.calls.map(call => call.type)).toEqual(['query', 'queryMore', 'queryMore']);
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImprovedContactVerifier } = require('../verify-contacts');
+const { parseCsv } = require('../lib/contact-file');
+const {
+  parseReportFormats,
+  parseOutdatedLimit,
+  buildReport,
+  renderCsv,
+  renderHtml,
+  renderMarkdown,
+  renderJunit
+} = require('../lib/reports');
+const { testConfig } = require('./support/fixtures');
+
+function result(id, name, company, status, extra = {}) {
+  return {
+    id,
+    object: 'Contact',
+    name,
+    company,
+    status,
+    confidence: status === 'CONFIRMED' ? 0.9 : 0.4,
+    issues: [],
+    recommendations: [],
+    proposals: [],
+    notes: '',
+    previousStatus: null,
+    ...extra
+  };
+}
+
+const RESULTS = [
+  result('003000000000001AAA', 'John Smith', 'Acme Corporation', 'CONFIRMED'),
+  result('003000000000002AAA', 'Robert Jones', 'Acme Corporation', 'OUTDATED', {
+    issues: ['Job title is missing', 'Record is stale'],
+    proposals: [{ field: 'Phone', before: '(415) 555-2671', after: '+14155552671' }],
+    previousStatus: 'CONFIRMED'
+  }),
+  result('003000000000003AAA', '<b>Bob</b> "Jones"', 'Beta, Inc.', 'NEEDS_REVIEW', { issues: ['Email domain is a typo'] }),
+  result('003000000000004AAA', 'Maria Müller', 'Beta, Inc.', 'OUTDATED')
+];
+
+const report = buildReport(RESULTS, { timestamp: new Date('2025-01-01T12:00:00Z') });
+
+describe('report options', () => {
+  test('accept one or more formats and reject unknown ones', () => {
+    expect(parseReportFormats()).toEqual(['json']);
+    expect(parseReportFormats('html, junit,md')).toEqual(['html', 'junit', 'markdown']);
+    expect(parseReportFormats(['csv', 'csv'])).toEqual(['csv']);
+    expect(() => parseReportFormats('pdf')).toThrow('Unknown report format "pdf"');
+  });
+
+  test('read OUTDATED thresholds as counts or percentages', () => {
+    expect(parseOutdatedLimit(undefined)).toBeNull();
+    expect(parseOutdatedLimit('5')).toEqual({ count: 5 });
+    expect(parseOutdatedLimit(3)).toEqual({ count: 3 });
+    expect(parseOutdatedLimit('12.5%')).toEqual({ percent: 12.5 });
+    expect(() => parseOutdatedLimit('lots')).toThrow('Invalid OUTDATED threshold');
+    expect(() => parseOutdatedLimit('1.5')).toThrow('Invalid OUTDATED threshold');
+  });
+});
+
+describe('report formats', () => {
+  test('CSV has one row per record with lists flattened', () => {
+    const [header, ...rows] = parseCsv(renderCsv(report));
+
+    expect(header).toEqual(expect.arrayContaining(['Id', 'Status', 'Issues', 'Proposed Corrections']));
+    expect(rows).toHaveLength(4);
+    const robert = Object.fromEntries(header.map((column, i) => [column, rows[1][i]]));
+    expect(robert).toMatchObject({
+      Id: '003000000000002AAA',
+      Company: 'Acme Corporation',
+      Status: 'OUTDATED',
+      'Previous Status': 'CONFIRMED',
+      Confidence: '0.40',
+      Issues: 'Job title is missing; Record is stale',
+      'Proposed Corrections': 'Phone: (415) 555-2671 → +14155552671'
+    });
+  });
+
+  test('HTML groups records by status, worst first, then by company', () => {
+    const html = renderHtml(report);
+    const positions = ['<h2 class="OUTDATED">', '<h2 class="NEEDS_REVIEW">', '<h2 class="CONFIRMED">'].map(tag => html.indexOf(tag));
+
+    expect(positions.every(position => position >= 0)).toBe(true);
+    expect([...positions].sort((a, b) => a - b)).toEqual(positions);
+    // Both companies have OUTDATED records, so that section has two tables
+    const outdated = html.slice(positions[0], positions[1]);
+    expect(outdated.match(/<table class="sortable">/g)).toHaveLength(2);
+    expect(outdated.indexOf('<h3>Acme Corporation (1)</h3>')).toBeLessThan(outdated.indexOf('<h3>Beta, Inc. (1)</h3>'));
+    expect(html).toContain('&lt;b&gt;Bob&lt;/b&gt; &quot;Jones&quot;');
+    expect(html).not.toContain('<b>Bob</b>');
+    expect(html).toContain("addEventListener('click'");
+  });
+
+  test('Markdown has a summary table and escaped cells', () => {
+    const markdown = renderMarkdown(buildReport([result('003000000000005AAA', 'A | B', 'Gamma', 'CONFIRMED')]));
+
+    expect(markdown).toContain('| CONFIRMED | 1 |');
+    expect(markdown).toContain('### Gamma');
+    expect(markdown).toContain('| A \\| B | 003000000000005AAA | 90% |');
+  });
+
+  test('JUnit fails OUTDATED records unless they stay within the threshold', () => {
+    const strict = renderJunit(report);
+    expect(strict).toMatch(/<testsuites name="Contact verification" tests="4" failures="2" errors="0" skipped="0">/);
+    expect(strict).toContain('<testsuite name="Beta, Inc." tests="2" failures="1"');
+    expect(strict).toContain('<failure type="OUTDATED" message="Job title is missing; Record is stale">');
+
+    const within = renderJunit(report, { maxOutdated: parseOutdatedLimit('50%') });
+    expect(within).toContain('failures="0" errors="0" skipped="2"');
+    expect(within).toContain('<skipped message="OUTDATED, within the threshold of 50%"/>');
+
+    expect(renderJunit(report, { maxOutdated: parseOutdatedLimit('1') })).toContain('tests="4" failures="2"');
+  });
+});
+
+describe('saveReport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes each format to the report folder and checks the threshold', async () => {
+    const verifier = new ImprovedContactVerifier(testConfig({ reports: { maxOutdated: 1 } }), {
+      reportFormat: 'json,junit',
+      reportDir: path.join(dir, 'reports')
+    });
+
+    const { files, outdatedExceeded } = await verifier.saveReport(RESULTS);
+
+    expect(outdatedExceeded).toBe(true);
+    expect(Object.keys(files)).toEqual(['json', 'junit']);
+    expect(files.junit).toMatch(/reports[/\\]verification-report-\d+\.xml$/);
+    expect(JSON.parse(fs.readFileSync(files.json, 'utf8'))).toMatchObject({ totalProcessed: 4, summary: { OUTDATED: 2 } });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('more than the threshold of 1'));
+  });
+});
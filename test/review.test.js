@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProposalReview = require('../review');
+const { ImprovedContactVerifier } = require('../verify-contacts');
+const { ReviewQueue, applyProposals } = require('../lib/review');
+const { createRuleEngine } = require('../lib/rules');
+const { verifyEmail } = require('../lib/email');
+const { createFakeConnection, testConfig } = require('./support/fixtures');
+
+const NO_EMAIL_CHECK = { validateEmail: async () => ({ valid: null, warnings: [] }) };
+
+describe('rule proposals', () => {
+  test('propose E.164 phones and tidy names', async () => {
+    const engine = createRuleEngine({}, { object: 'Contact' });
+    const evaluation = await engine.evaluate({
+      Name: 'MARY-ANN O\'NEIL',
+      FirstName: ' MARY-ANN',
+      LastName: 'o\'neil',
+      Title: 'Buyer',
+      Email: 'mary@gmial.com',
+      Phone: '(415) 555-2671',
+      Account: { Name: 'Acme Corporation', BillingCountry: 'United States' }
+    }, NO_EMAIL_CHECK);
+
+    expect(evaluation.proposals).toEqual([
+      { ruleId: 'name-format', field: 'FirstName', before: ' MARY-ANN', after: 'Mary-Ann', reason: 'Fix extra spaces and capitalization in the first name' },
+      { ruleId: 'name-format', field: 'LastName', before: 'o\'neil', after: 'O\'Neil', reason: 'Fix capitalization in the last name' },
+      { ruleId: 'phone-number', field: 'Phone', before: '(415) 555-2671', after: '+14155552671', reason: 'Store the phone number in E.164 format' }
+    ]);
+    // Formatting alone does not lower confidence
+    expect(evaluation.status).toBe('CONFIRMED');
+  });
+
+  test('propose email domain typo fixes only for domains that take no mail', async () => {
+    // gmial.com does not exist; ge.com is one letter from me.com but is real
+    const resolver = {
+      resolveMx: async domain => {
+        if (domain === 'ge.com') return [{ exchange: 'mx.ge.com', priority: 10 }];
+        throw Object.assign(new Error(`queryMx ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+      }
+    };
+    const emailCheck = { validateEmail: address => verifyEmail(address, { resolver }) };
+    const engine = createRuleEngine({});
+
+    expect((await engine.evaluate({ Email: 'mary@gmial.com' }, emailCheck)).proposals).toEqual([
+      { ruleId: 'email-domain', field: 'Email', before: 'mary@gmial.com', after: 'mary@gmail.com', reason: 'Email domain looks like a typo of gmail.com' }
+    ]);
+    expect((await engine.evaluate({ Email: 'ann@ge.com' }, emailCheck)).proposals).toEqual([]);
+    // Nor when email validation is off and there is no DNS answer at all
+    expect((await engine.evaluate({ Email: 'ann@ge.com' }, NO_EMAIL_CHECK)).proposals).toEqual([]);
+    expect((await engine.evaluate({ Email: 'mary@gmial.com' }, NO_EMAIL_CHECK)).proposals).toEqual([]);
+  });
+
+  test('report a typo domain as one issue that carries the suggestion', async () => {
+    const resolver = {
+      resolveMx: async domain => {
+        throw Object.assign(new Error(`queryMx ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+      }
+    };
+    const engine = createRuleEngine({});
+
+    const evaluation = await engine.evaluate({ Email: 'mary@gmial.com' }, { validateEmail: address => verifyEmail(address, { resolver }) });
+
+    expect(evaluation.findings.filter(finding => finding.ruleId === 'email-domain')).toEqual([
+      expect.objectContaining({ code: 'DOMAIN_TYPO', issue: 'Email issue: Email domain looks like a typo: did you mean gmail.com?' })
+    ]);
+    expect(evaluation.issues.filter(issue => issue.startsWith('Email issue'))).toHaveLength(1);
+    expect(evaluation.recommendations).toContain('Check email address; did you mean mary@gmail.com?');
+    expect(evaluation.proposals.map(proposal => proposal.after)).toEqual(['mary@gmail.com']);
+  });
+
+  test('leave mixed-case names alone and only tidy spaces in account names', async () => {
+    const contact = await createRuleEngine({}).evaluate({ FirstName: 'Ronan', LastName: 'McDonald' }, NO_EMAIL_CHECK);
+    const account = await createRuleEngine({}, { object: 'Account' }).evaluate({ Name: ' ACME  Corp ' });
+
+    expect(contact.proposals).toEqual([]);
+    expect(account.proposals).toEqual([expect.objectContaining({ field: 'Name', after: 'ACME Corp' })]);
+  });
+
+  test('are not made for phones written back with the status', async () => {
+    const engine = createRuleEngine({ rules: { 'phone-number': { options: { writeBackE164: true } } } });
+    const evaluation = await engine.evaluate({ Phone: '(415) 555-2671', Account: { BillingCountry: 'United States' } }, NO_EMAIL_CHECK);
+
+    expect(evaluation.fieldUpdates).toEqual({ Phone: '+14155552671' });
+    expect(evaluation.proposals).toEqual([]);
+  });
+});
+
+describe('review queue', () => {
+  let conn;
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    conn = createFakeConnection();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-'));
+    file = path.join(dir, 'review.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function result(id, name, proposals) {
+    return { id, object: 'Contact', name, proposals };
+  }
+
+  const PHONE = { ruleId: 'phone-number', field: 'Phone', before: '(415) 555-2671', after: '+14155552671', reason: 'Store the phone number in E.164 format' };
+  const EMAIL = { ruleId: 'email-domain', field: 'Email', before: 'R.Jones@acme.example', after: 'r.jones@acme.example', reason: 'Lower case' };
+
+  function queueWith(...results) {
+    const queue = ReviewQueue.load(file);
+    queue.add(results, { runId: 'run-1' });
+    queue.save();
+    return ReviewQueue.load(file);
+  }
+
+  test('keeps one open proposal per record field', () => {
+    const queue = queueWith(result('003000000000002AAA', 'Robert Jones', [PHONE]));
+
+    expect(queue.add([result('003000000000002AAA', 'Robert Jones', [PHONE])])).toBe(0);
+    expect(queue.add([result('003000000000002AAA', 'Robert Jones', [{ ...PHONE, after: '+14155552672' }])])).toBe(1);
+    expect(queue.proposals.map(proposal => [proposal.after, proposal.status])).toEqual([
+      ['+14155552671', 'superseded'],
+      ['+14155552672', 'pending']
+    ]);
+    expect(queue.proposals[0]).toMatchObject({ recordName: 'Robert Jones', runId: 'run-1', object: 'Contact' });
+  });
+
+  test('applies accepted proposals and skips fields changed since', async () => {
+    const queue = queueWith(
+      result('003000000000002AAA', 'Robert Jones', [PHONE]),
+      result('003000000000003AAA', 'Bob Jones', [EMAIL])
+    );
+    queue.proposals.forEach(proposal => queue.decide(proposal.id, 'accepted'));
+    conn.records('Contact').get('003000000000003AAA').Email = 'bob@acme.example';
+
+    const { apiCalls, outcomes } = await applyProposals(conn, queue.list({ status: 'accepted' }));
+    queue.recordOutcomes(outcomes);
+
+    expect(apiCalls).toBe(2);
+    expect(conn.callsOf('query')[0].soql).toContain("WHERE Id IN ('003000000000002AAA', '003000000000003AAA')");
+    expect(conn.records('Contact').get('003000000000002AAA').Phone).toBe('+14155552671');
+    expect(conn.records('Contact').get('003000000000003AAA').Email).toBe('bob@acme.example');
+    expect(queue.proposals.map(proposal => proposal.status)).toEqual(['applied', 'stale']);
+    expect(queue.proposals[0]).toMatchObject({ before: '(415) 555-2671', after: '+14155552671', appliedAt: expect.any(String) });
+    expect(queue.proposals[1]).toMatchObject({ current: 'bob@acme.example' });
+  });
+
+  test('records rejected updates as failed', async () => {
+    const queue = queueWith(result('003000000000002AAA', 'Robert Jones', [PHONE]));
+    queue.decide(queue.proposals[0].id, 'accepted');
+    conn.failUpdate('003000000000002AAA', 'FIELD_CUSTOM_VALIDATION_EXCEPTION', 'Phone is locked');
+
+    const review = new ProposalReview(testConfig(), { conn, file });
+    review.queue = queue;
+
+    expect(await review.apply()).toBe(false);
+    expect(ReviewQueue.load(file).proposals[0]).toMatchObject({
+      status: 'failed',
+      error: 'FIELD_CUSTOM_VALIDATION_EXCEPTION: Phone is locked'
+    });
+    expect(() => queue.decide(queue.proposals[0].id, 'accepted')).toThrow('is already failed');
+  });
+
+  test('retries corrections that hit a record lock', async () => {
+    const queue = queueWith(result('003000000000002AAA', 'Robert Jones', [PHONE]));
+    queue.decide(queue.proposals[0].id, 'accepted');
+    conn.rejectCalls('update', 'UNABLE_TO_LOCK_ROW', 'unable to obtain exclusive access to this record', 2);
+
+    const review = new ProposalReview(testConfig(), { conn, file });
+    review.queue = queue;
+
+    expect(await review.apply()).toBe(true);
+    expect(conn.callsOf('update')).toHaveLength(3);
+    expect(conn.records('Contact').get('003000000000002AAA').Phone).toBe('+14155552671');
+    expect(ReviewQueue.load(file).proposals[0].status).toBe('applied');
+  });
+
+  test('interactive review applies only what was accepted', async () => {
+    queueWith(
+      result('003000000000002AAA', 'Robert Jones', [PHONE]),
+      result('003000000000003AAA', 'Bob Jones', [EMAIL])
+    );
+    const answers = ['x', 'a', 'r', 'y'];
+    const questions = [];
+    const review = new ProposalReview(testConfig(), {
+      conn,
+      file,
+      ask: question => {
+        questions.push(question);
+        return answers.shift();
+      }
+    });
+
+    expect(await review.interactive()).toBe(true);
+    expect(questions).toHaveLength(4);
+    expect(questions[3]).toContain('Apply 1 accepted corrections');
+    expect(conn.callsOf('update')).toEqual([expect.objectContaining({ ids: ['003000000000002AAA'] })]);
+    expect(conn.records('Contact').get('003000000000003AAA').Email).toBe('R.Jones@acme.example');
+    expect(ReviewQueue.load(file).proposals.map(proposal => proposal.status)).toEqual(['applied', 'rejected']);
+  });
+
+  test('verification runs queue their proposals without writing them', async () => {
+    const verifier = new ImprovedContactVerifier(testConfig(), { conn, reviewFile: file, runId: 'run-2' });
+    verifier.minDelayMs = 0;
+    const contacts = await verifier.getContactsToVerify();
+    const results = [];
+    for (const contact of contacts) {
+      results.push(await verifier.verifyContactData(contact));
+    }
+
+    expect(verifier.saveProposals(results)).toBe(2);
+    expect(verifier.saveProposals(results)).toBe(0);
+    expect(ReviewQueue.load(file).proposals).toEqual([
+      expect.objectContaining({ recordId: '003000000000002AAA', field: 'Phone', after: '+14155552671', runId: 'run-2', status: 'pending' }),
+      expect.objectContaining({ recordId: '003000000000004AAA', field: 'Phone', after: '+495550100', runId: 'run-2', status: 'pending' })
+    ]);
+    expect(conn.callsOf('update')).toEqual([]);
+  });
+});
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FieldSetup = require('../setup-fields');
+const { SetupManifest } = require('../lib/provisioning');
+const { createFakeConnection, testConfig } = require('./support/fixtures');
+
+describe('FieldSetup against a fake org', () => {
+  let conn;
+  let manifestDir;
+
+  beforeEach(() => {
+    conn = createFakeConnection();
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-setup-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  function createSetup(config = testConfig(), options = {}) {
+    return new FieldSetup(config, { conn, manifestDir, ...options });
+  }
+
+  test('connects with the configured access token', async () => {
+    const setup = createSetup();
+
+    expect(await setup.connectToSalesforce()).toBe(true);
+    expect(conn.accessToken).toBe('test-access-token');
+    expect(conn.callsOf('identity')).toHaveLength(1);
+  });
+
+  test('reports only the fields missing from Contact', async () => {
+    const setup = createSetup();
+
+    expect(await setup.checkExistingFields()).toEqual(['Source_URL__c']);
+  });
+
+  test('creates missing fields through the Metadata API', async () => {
+    const setup = createSetup();
+
+    expect(await setup.run()).toBe(true);
+    expect(conn.callsOf('metadata.create')).toEqual([
+      expect.objectContaining({ metadataType: 'CustomField', fullNames: ['Contact.Source_URL__c'] })
+    ]);
+    expect(await setup.checkExistingFields()).toEqual([]);
+  });
+
+  test('builds picklist value sets for picklist fields', async () => {
+    conn.describeFields.Contact = conn.describeFields.Contact.filter(field => field.name !== 'Verification_Status__c');
+    const setup = createSetup();
+
+    await setup.run();
+
+    const status = conn.describeFields.Contact.find(field => field.name === 'Verification_Status__c');
+    expect(status.picklistValues.map(value => value.value)).toEqual(expect.arrayContaining(['CONFIRMED', 'OUTDATED']));
+  });
+
+  test('creates the fields on every chosen object', async () => {
+    const setup = createSetup(testConfig(), { objects: ['Contact', 'lead', 'Account'] });
+
+    expect(await setup.run()).toBe(true);
+    expect(conn.callsOf('metadata.create').flatMap(call => call.fullNames)).toEqual([
+      'Contact.Source_URL__c',
+      'Lead.Source_URL__c',
+      'Account.Source_URL__c'
+    ]);
+  });
+
+  test('rejects objects the verifier does not support', () => {
+    expect(() => createSetup(testConfig(), { objects: ['Opportunity'] })).toThrow('Unsupported object "Opportunity"');
+  });
+
+  test('fails when a field cannot be created', async () => {
+    conn.metadataFailures.set('Contact.Source_URL__c', 'insufficient access rights on object');
+    const setup = createSetup();
+
+    expect(await setup.run()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Error details:', expect.stringContaining('insufficient access rights'));
+  });
+
+  test('adds the status values the verifier writes to an existing picklist', async () => {
+    const setup = createSetup();
+
+    expect(await setup.run()).toBe(true);
+
+    expect(conn.callsOf('metadata.update')).toContainEqual(expect.objectContaining({ metadataType: 'CustomField', fullNames: ['Contact.Verification_Status__c'] }));
+    const status = conn.describeFields.Contact.find(field => field.name === 'Verification_Status__c');
+    expect(status.picklistValues.map(value => value.value)).toEqual(expect.arrayContaining(['NEEDS_REVIEW', 'ERROR', 'New']));
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('has no ERROR value'));
+  });
+
+  test('grants field access through a permission set assigned to the connected user', async () => {
+    const setup = createSetup();
+
+    await setup.run();
+
+    const permissionSet = conn.components('PermissionSet').get('Verification_Fields');
+    expect(permissionSet.fieldPermissions).toEqual(expect.arrayContaining([
+      { field: 'Contact.Last_Verified__c', readable: true, editable: true },
+      { field: 'Contact.Verification_Status__c', readable: true, editable: true },
+      { field: 'Contact.Verification_Notes__c', readable: true, editable: true },
+      { field: 'Contact.Source_URL__c', readable: true, editable: true },
+      { field: 'Contact_Verification__c.Contact__c', readable: true, editable: true },
+      { field: 'Contact_Verification__c.Status__c', readable: true, editable: true }
+    ]));
+    expect(permissionSet.objectPermissions).toEqual([
+      expect.objectContaining({ object: 'Contact_Verification__c', allowRead: true, allowCreate: true, allowDelete: false })
+    ]);
+    const [assignment] = conn.records('PermissionSetAssignment').values();
+    expect(assignment).toMatchObject({ AssigneeId: '005000000000001AAA', PermissionSetId: conn.records('PermissionSet').keys().next().value });
+  });
+
+  test('adds the fields to the page layout in a section of their own', async () => {
+    const setup = createSetup();
+
+    await setup.run();
+
+    const layout = conn.components('Layout').get('Contact-Contact Layout');
+    expect(layout.layoutSections.map(section => section.label)).toEqual(['Contact Information', 'Verification']);
+    expect(layout.layoutSections[1].layoutColumns[0].layoutItems.map(item => item.field)).toEqual([
+      'Last_Verified__c', 'Verification_Status__c', 'Verification_Notes__c', 'Source_URL__c'
+    ]);
+  });
+
+  test('leaves a second run with nothing to do', async () => {
+    await createSetup().run();
+    conn.calls = [];
+
+    expect(await createSetup().run()).toBe(true);
+    expect(conn.calls.filter(call => /^metadata\.(create|update|upsert)$/.test(call.type))).toEqual([]);
+    expect(fs.readdirSync(manifestDir)).toHaveLength(1);
+  });
+
+  test('reuses a field that exists but is hidden from describe()', async () => {
+    const fields = conn.describeFields.Contact;
+    const hidden = fields.find(field => field.name === 'Verification_Notes__c');
+    conn.components('CustomField').set('Contact.Verification_Notes__c', { fullName: 'Contact.Verification_Notes__c', label: hidden.label, type: 'LongTextArea', length: 5000 });
+    conn.describeFields.Contact = fields.filter(field => field !== hidden);
+    const setup = createSetup();
+
+    await setup.run();
+
+    expect(conn.callsOf('metadata.create').flatMap(call => call.fullNames)).toEqual(['Contact.Source_URL__c']);
+    expect(conn.components('PermissionSet').get('Verification_Fields').fieldPermissions.map(permission => permission.field))
+      .toContain('Contact.Verification_Notes__c');
+  });
+
+  test('does not touch a field of the wrong type', async () => {
+    conn.describeFields.Contact.find(field => field.name === 'Last_Verified__c').type = 'string';
+    const setup = createSetup();
+
+    expect(await setup.run()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Contact.Last_Verified__c is a string field; expected date or datetime'));
+    expect(conn.callsOf('metadata.update').flatMap(call => call.fullNames)).not.toContain('Contact.Last_Verified__c');
+  });
+
+  test('creates the verification history object with its fields', async () => {
+    delete conn.describeFields.Contact_Verification__c;
+    const setup = createSetup();
+
+    expect(await setup.run()).toBe(true);
+
+    expect(conn.callsOf('metadata.create')[1]).toMatchObject({ metadataType: 'CustomObject', fullNames: ['Contact_Verification__c'] });
+    expect(conn.describeFields.Contact_Verification__c.map(field => field.name)).toEqual(expect.arrayContaining([
+      'Contact__c', 'Lead__c', 'Account__c', 'Status__c', 'Confidence__c', 'Rule_Versions__c', 'Run_Id__c', 'Verified_At__c'
+    ]));
+    const layout = conn.components('Layout').get('Contact-Contact Layout');
+    expect(layout.relatedLists).toEqual([expect.objectContaining({ relatedList: 'Contact_Verification__c.Contact__c', sortField: 'Verified_At__c' })]);
+
+    expect(await createSetup().rollback()).toBe(true);
+    expect(conn.describeFields.Contact_Verification__c).toBeUndefined();
+  });
+
+  test('skips the history object when history is disabled', async () => {
+    delete conn.describeFields.Contact_Verification__c;
+    const setup = createSetup(testConfig({ history: { enabled: false } }));
+
+    expect(await setup.run()).toBe(true);
+    expect(conn.callsOf('metadata.create').map(call => call.metadataType)).toEqual(['CustomField']);
+  });
+
+  describe('--check', () => {
+    test('lists the changes without making them', async () => {
+      const setup = createSetup();
+
+      expect(await setup.check()).toBe(false);
+
+      const output = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+      expect(output).toContain('+ create field Contact.Source_URL__c (Url)');
+      expect(output).toContain('~ add picklist values to Contact.Verification_Status__c: ERROR');
+      expect(output).toContain('through permission set Verification_Fields');
+      expect(output).toContain('+ assign permission set Verification_Fields to verifier@example.com');
+      expect(output).toContain('to layout Contact-Contact Layout');
+      expect(conn.calls.filter(call => /^metadata\.(create|update|upsert|delete)$/.test(call.type))).toEqual([]);
+      expect(conn.callsOf('create')).toEqual([]);
+      expect(fs.readdirSync(manifestDir)).toEqual([]);
+    });
+
+    test('passes once the org is provisioned', async () => {
+      await createSetup().run();
+
+      expect(await createSetup().check()).toBe(true);
+    });
+  });
+
+  describe('--rollback', () => {
+    test('undoes the latest run', async () => {
+      const layoutBefore = conn.readMetadata('Layout', 'Contact-Contact Layout');
+      const statusBefore = conn.describeFields.Contact.find(field => field.name === 'Verification_Status__c');
+      const setup = createSetup();
+      await setup.run();
+
+      expect(await createSetup().rollback()).toBe(true);
+
+      expect(conn.describeFields.Contact.map(field => field.name)).not.toContain('Source_URL__c');
+      expect(conn.describeFields.Contact.find(field => field.name === 'Verification_Status__c').picklistValues.map(value => value.value))
+        .toEqual(statusBefore.picklistValues.map(value => value.value));
+      expect(conn.readMetadata('PermissionSet', 'Verification_Fields')).toEqual({});
+      expect(conn.records('PermissionSetAssignment').size).toBe(0);
+      expect(conn.readMetadata('Layout', 'Contact-Contact Layout')).toEqual(layoutBefore);
+      expect(SetupManifest.load.bind(null, manifestDir)).toThrow('No field setup run to roll back');
+    });
+
+    test('can be retried after a failed step', async () => {
+      const setup = createSetup();
+      await setup.run();
+      conn.metadataFailures.set('Contact.Source_URL__c', 'field is referenced by a report');
+
+      expect(await createSetup().rollback(setup.manifest.runId)).toBe(false);
+      expect(conn.readMetadata('PermissionSet', 'Verification_Fields')).toEqual({});
+
+      conn.metadataFailures.clear();
+      conn.calls = [];
+      expect(await createSetup().rollback(setup.manifest.runId)).toBe(true);
+      expect(conn.calls.filter(call => call.type.startsWith('metadata.') && call.type !== 'metadata.read')).toEqual([
+        expect.objectContaining({ type: 'metadata.delete', fullNames: ['Contact.Source_URL__c'] })
+      ]);
+    });
+  });
+});
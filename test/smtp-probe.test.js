@@ -0,0 +1,66 @@
+const net = require('net');
+const { probeMailbox } = require('../lib/smtp-probe');
+
+// A local mail server that answers each command with `reply(command)`; a
+// null reply hangs up instead
+function startServer(reply) {
+  const server = net.createServer(socket => {
+    socket.setEncoding('utf8');
+    socket.write('220 mx.example.test ESMTP\r\n');
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const command = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const answer = command === 'QUIT' ? '221 Bye' : reply(command);
+        if (answer === null) {
+          socket.destroy();
+          return;
+        }
+        socket.write(`${answer}\r\n`);
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('probeMailbox', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  async function probe(reply, email = 'jane@example.test') {
+    server = await startServer(reply);
+    return probeMailbox(email, ['127.0.0.1'], { port: server.address().port, timeout: 500, heloHost: 'verifier.test' });
+  }
+
+  test('accepts a mailbox the server takes and a random one it refuses', async () => {
+    const result = await probe(command => {
+      if (command.startsWith('RCPT TO:<jane@')) return '250 2.1.5 OK';
+      if (command.startsWith('RCPT TO:')) return '550 5.1.1 No such user';
+      return '250 OK';
+    });
+
+    expect(result).toEqual({ status: 'accepted', host: '127.0.0.1', response: '250 2.1.5 OK' });
+  });
+
+  test('reports a rejected mailbox', async () => {
+    const result = await probe(command => (command.startsWith('RCPT TO:') ? '550 5.1.1 No such user' : '250 OK'));
+
+    expect(result).toMatchObject({ status: 'rejected', response: '550 5.1.1 No such user' });
+  });
+
+  test('gives up when the server closes the connection mid-dialogue', async () => {
+    const started = Date.now();
+    const result = await probe(command => (command.startsWith('EHLO') ? null : '250 OK'));
+
+    expect(result).toEqual({ status: 'unknown', host: null, response: 'SMTP connection closed' });
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+});
@@ -0,0 +1,552 @@
+const { parseSoql, matches, compare } = require('./soql');
+
+// Relationship names whose target object differs from the name
+const RELATIONSHIP_TARGETS = {
+  Owner: 'User',
+  CreatedBy: 'User',
+  LastModifiedBy: 'User'
+};
+
+const DEFAULT_DAILY_LIMIT = 15000;
+
+// describe() types of CustomField metadata types, and back
+const FIELD_TYPES = {
+  Date: 'date',
+  DateTime: 'datetime',
+  Picklist: 'picklist',
+  Text: 'string',
+  LongTextArea: 'textarea',
+  Url: 'url',
+  Percent: 'percent',
+  Lookup: 'reference'
+};
+const METADATA_TYPES = Object.fromEntries(Object.entries(FIELD_TYPES).map(([type, fieldType]) => [fieldType, type]));
+
+// Stand-in for the parts of a jsforce Connection used by the verifier, the
+// field setup script and the MCP server. Records live in memory, seeded from
+// fixtures; every API call is logged so tests can assert on traffic.
+class FakeConnection {
+  constructor({ records = {}, describe = {}, metadata = {}, dailyLimit = DEFAULT_DAILY_LIMIT, apiUsed = 0, batchSize = 2000 } = {}) {
+    this.instanceUrl = 'https://test.my.salesforce.com';
+    this.accessToken = null;
+    this.store = {};
+    Object.entries(records).forEach(([object, list]) => {
+      this.store[object] = new Map(list.map(record => [record.Id, { IsDeleted: false, ...JSON.parse(JSON.stringify(record)) }]));
+    });
+    this.describeFields = JSON.parse(JSON.stringify(describe));
+    // Metadata components by type and full name, e.g. Layout "Contact-Contact Layout"
+    this.metadataStore = {};
+    Object.entries(metadata).forEach(([type, list]) => {
+      this.metadataStore[type] = new Map(list.map(item => [item.fullName, JSON.parse(JSON.stringify(item))]));
+    });
+    this.batchSize = batchSize;
+    this.dailyLimit = dailyLimit;
+    this.apiUsed = apiUsed;
+    this.limitInfo = null;
+
+    this.calls = [];
+    this.failures = new Map();
+    this.rejections = new Map();
+    this.pendingCursors = new Map();
+    this.cursorCount = 0;
+    this.metadataFailures = new Map();
+    // Checks a Bulk API 2.0 job answers InProgress before it completes
+    this.bulkJobChecks = 1;
+    this.bulkJobs = [];
+  }
+
+  // Every call counts against the daily limit, as in a real org
+  track(type, detail) {
+    this.calls.push({ type, ...detail });
+    this.apiUsed++;
+    this.limitInfo = { apiUsage: { used: this.apiUsed, limit: this.dailyLimit } };
+
+    const rejection = this.rejections.get(type);
+    if (rejection && rejection.times > 0) {
+      rejection.times--;
+      throw Object.assign(new Error(rejection.message), { errorCode: rejection.errorCode });
+    }
+  }
+
+  callsOf(type) {
+    return this.calls.filter(call => call.type === type);
+  }
+
+  components(type) {
+    if (!this.metadataStore[type]) this.metadataStore[type] = new Map();
+    return this.metadataStore[type];
+  }
+
+  records(object) {
+    if (!this.store[object]) this.store[object] = new Map();
+    return this.store[object];
+  }
+
+  // Make every update of `id` fail with the given status code
+  failUpdate(id, statusCode = 'FIELD_CUSTOM_VALIDATION_EXCEPTION', message = 'Update rejected by validation rule') {
+    this.failures.set(id, { statusCode, message });
+  }
+
+  // Make the next `times` calls of `type` fail as a whole, e.g. on a lock
+  // Salesforce could not get within its own timeout
+  rejectCalls(type, errorCode, message, times = 1) {
+    this.rejections.set(type, { errorCode, message, times });
+  }
+
+  // Make Bulk API 2.0 jobs stay InProgress for this many checks; Infinity
+  // for jobs that never finish
+  delayBulkJobs(checks) {
+    this.bulkJobChecks = checks;
+  }
+
+  get bulk2() {
+    return {
+      createJob: options => {
+        const job = new FakeIngestJob(this, options);
+        this.bulkJobs.push(job);
+        return job;
+      }
+    };
+  }
+
+  async identity() {
+    this.track('identity');
+    return { user_id: '005000000000001AAA', organization_id: '00D000000000001AAA', username: 'verifier@example.com' };
+  }
+
+  async login(username) {
+    this.track('login', { username });
+    this.accessToken = 'fake-session';
+    return { id: '005000000000001AAA', organizationId: '00D000000000001AAA' };
+  }
+
+  async limits() {
+    this.track('limits');
+    return { DailyApiRequests: { Max: this.dailyLimit, Remaining: this.dailyLimit - this.apiUsed } };
+  }
+
+  // Read a field path such as "Account.Name" off a record, following
+  // parent relationships through their Id fields
+  read(object, record, path) {
+    const [head, ...rest] = path.split('.');
+    if (rest.length === 0) {
+      return record[head] === undefined ? null : record[head];
+    }
+
+    const parentId = record[`${head}Id`];
+    const parent = parentId ? this.records(RELATIONSHIP_TARGETS[head] || head).get(parentId) : null;
+    return parent ? this.read(RELATIONSHIP_TARGETS[head] || head, parent, rest.join('.')) : null;
+  }
+
+  project(object, record, fields) {
+    const row = { attributes: { type: object, url: `/services/data/v59.0/sobjects/${object}/${record.Id}` } };
+
+    fields.forEach(({ field }) => {
+      const parts = field.split('.');
+      if (parts.length === 1) {
+        row[field] = this.read(object, record, field);
+        return;
+      }
+
+      const [relationship, ...path] = parts;
+      const parentId = record[`${relationship}Id`];
+      if (!parentId) {
+        row[relationship] = null;
+        return;
+      }
+      if (!row[relationship]) {
+        const target = RELATIONSHIP_TARGETS[relationship] || relationship;
+        row[relationship] = { attributes: { type: target } };
+      }
+      row[relationship][path.join('.')] = this.read(object, record, field);
+    });
+
+    return row;
+  }
+
+  aggregate(object, records, query) {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = JSON.stringify(query.groupBy.map(field => this.read(object, record, field)));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+
+    let expression = 0;
+    return [...groups.values()].map(group => {
+      const row = { attributes: { type: 'AggregateResult' } };
+      query.fields.forEach(({ field, aggregate, alias }) => {
+        if (aggregate === 'COUNT') {
+          row[alias || `expr${expression++}`] = field ?
+            group.filter(record => this.read(object, record, field) !== null).length :
+            group.length;
+        } else {
+          row[field] = this.read(object, group[0], field);
+        }
+      });
+      return row;
+    });
+  }
+
+  async query(soql) {
+    this.track('query', { soql });
+    const query = parseSoql(soql);
+
+    let records = [...this.records(query.object).values()]
+      .filter(record => !record.IsDeleted)
+      .filter(record => !query.where || matches(query.where, field => this.read(query.object, record, field)));
+
+    if (query.groupBy.length > 0) {
+      const rows = this.aggregate(query.object, records, query);
+      return { totalSize: rows.length, done: true, records: rows };
+    }
+
+    if (query.fields.length === 1 && query.fields[0].aggregate === 'COUNT' && !query.fields[0].field) {
+      return { totalSize: records.length, done: true, records: [] };
+    }
+
+    query.orderBy.slice().reverse().forEach(({ field, descending, nullsLast }) => {
+      records = records.slice().sort((a, b) => {
+        const x = this.read(query.object, a, field);
+        const y = this.read(query.object, b, field);
+        if (x === null || y === null) {
+          if (x === y) return 0;
+          // Nulls sort first ascending and last descending unless specified
+          const nullFirst = nullsLast === null ? !descending : !nullsLast;
+          return (x === null) === nullFirst ? -1 : 1;
+        }
+        const order = compare(x, y);
+        return descending ? -order : order;
+      });
+    });
+
+    records = records.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+    const rows = records.map(record => this.project(query.object, record, query.fields));
+    return this.page(rows);
+  }
+
+  // Return results in batches, like the REST API does past 2000 rows
+  page(rows, offset = 0) {
+    const batch = rows.slice(offset, offset + this.batchSize);
+    const done = offset + batch.length >= rows.length;
+    const result = { totalSize: rows.length, done, records: batch };
+
+    if (!done) {
+      const locator = `/services/data/v59.0/query/01g${this.cursorCount++}-${offset + batch.length}`;
+      this.pendingCursors.set(locator, { rows, offset: offset + batch.length });
+      result.nextRecordsUrl = locator;
+    }
+    return result;
+  }
+
+  async queryMore(locator) {
+    this.track('queryMore', { locator });
+    const cursor = this.pendingCursors.get(locator);
+    if (!cursor) {
+      throw Object.assign(new Error('invalid query locator'), { errorCode: 'INVALID_QUERY_LOCATOR' });
+    }
+    this.pendingCursors.delete(locator);
+    return this.page(cursor.rows, cursor.offset);
+  }
+
+  applyUpdate(object, record) {
+    const existing = this.records(object).get(record.Id);
+    if (!existing) {
+      return { id: record.Id, success: false, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] }] };
+    }
+
+    const failure = this.failures.get(record.Id);
+    if (failure) {
+      return { id: record.Id, success: false, errors: [{ ...failure, fields: [] }] };
+    }
+
+    const fields = this.describeFields[object];
+    const unknown = fields ?
+      Object.keys(record).filter(name => name !== 'Id' && !fields.some(field => field.name === name)) :
+      [];
+    if (unknown.length > 0) {
+      return { id: record.Id, success: false, errors: [{ statusCode: 'INVALID_FIELD', message: `No such column '${unknown[0]}' on entity '${object}'`, fields: unknown }] };
+    }
+
+    Object.assign(existing, record);
+    return { id: record.Id, success: true, errors: [] };
+  }
+
+  sobject(object) {
+    return {
+      update: async (records, options = {}) => {
+        const list = [].concat(records);
+        this.track('update', { object, ids: list.map(record => record.Id), options });
+        const results = list.map(record => this.applyUpdate(object, record));
+        return Array.isArray(records) ? results : results[0];
+      },
+      create: async (records) => {
+        const list = [].concat(records);
+        this.track('create', { object, count: list.length });
+        const results = list.map(record => {
+          const id = `${object.slice(0, 3)}${String(this.records(object).size + 1).padStart(15, '0')}`;
+          this.records(object).set(id, { IsDeleted: false, ...record, Id: id });
+          return { id, success: true, errors: [] };
+        });
+        return Array.isArray(records) ? results : results[0];
+      },
+      destroy: async (ids) => {
+        const list = [].concat(ids);
+        this.track('destroy', { object, ids: list });
+        const results = list.map(id => {
+          if (!this.records(object).delete(id)) {
+            return { id, success: false, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] }] };
+          }
+          return { id, success: true, errors: [] };
+        });
+        return Array.isArray(ids) ? results : results[0];
+      },
+      retrieve: async (id) => {
+        this.track('retrieve', { object, id });
+        const record = this.records(object).get(id);
+        if (!record) {
+          throw Object.assign(new Error('The requested resource does not exist'), { errorCode: 'NOT_FOUND' });
+        }
+        return JSON.parse(JSON.stringify(record));
+      },
+      describe: async () => {
+        this.track('describe', { object });
+        if (!this.describeFields[object]) {
+          throw Object.assign(new Error(`The requested resource does not exist`), { errorCode: 'NOT_FOUND' });
+        }
+        return { name: object, fields: JSON.parse(JSON.stringify(this.describeFields[object] || [])) };
+      }
+    };
+  }
+
+  get metadata() {
+    const normalize = list => [].concat(list);
+    const run = (operation, type, items, apply) => {
+      this.track(`metadata.${operation}`, { metadataType: type, fullNames: items.map(item => item.fullName || item) });
+      return items.map(item => {
+        const fullName = item.fullName || item;
+        const failure = this.metadataFailures.get(fullName);
+        return failure ? { fullName, success: false, errors: { message: failure } } : apply(item);
+      });
+    };
+    const single = (input, results) => (Array.isArray(input) ? results : results[0]);
+
+    return {
+      create: async (type, metadata) => single(metadata, run('create', type, normalize(metadata), item => this.createMetadata(type, item))),
+      update: async (type, metadata) => single(metadata, run('update', type, normalize(metadata), item => this.updateMetadata(type, item))),
+      upsert: async (type, metadata) => single(metadata, run('upsert', type, normalize(metadata), item => {
+        const created = !this.readMetadata(type, item.fullName).fullName;
+        const result = created ? this.createMetadata(type, item) : this.updateMetadata(type, item);
+        return { ...result, created };
+      })),
+      delete: async (type, fullNames) => single(fullNames, run('delete', type, normalize(fullNames), fullName => this.deleteMetadata(type, fullName))),
+      read: async (type, fullNames) => {
+        this.track('metadata.read', { metadataType: type, fullNames: normalize(fullNames) });
+        return single(fullNames, normalize(fullNames).map(fullName => this.readMetadata(type, fullName)));
+      }
+    };
+  }
+
+  // Components that do not exist read as an empty record, as with jsforce
+  readMetadata(type, fullName) {
+    const stored = this.components(type).get(fullName);
+    if (stored) {
+      return JSON.parse(JSON.stringify(stored));
+    }
+
+    // Objects and custom fields seeded through describe fixtures have no
+    // stored metadata
+    if (type === 'CustomObject' && fullName.endsWith('__c') && this.describeFields[fullName]) {
+      return { fullName, label: fullName.replace(/__c$/, '').replace(/_/g, ' ') };
+    }
+    if (type === 'CustomField') {
+      const [object, name] = fullName.split('.');
+      const field = (this.describeFields[object] || []).find(item => item.name === name && item.custom !== false);
+      if (field) {
+        const metadata = { fullName, label: field.label, type: METADATA_TYPES[field.type] || 'Text' };
+        if (field.type === 'picklist') {
+          metadata.valueSet = {
+            valueSetDefinition: {
+              sorted: false,
+              value: (field.picklistValues || []).map(value => ({ fullName: value.value, default: false, label: value.label || value.value, isActive: value.active !== false }))
+            }
+          };
+        }
+        return metadata;
+      }
+    }
+    return {};
+  }
+
+  createMetadata(type, item) {
+    if (type === 'CustomField' && !this.describeFields[item.fullName.split('.')[0]]) {
+      return { fullName: item.fullName, success: false, errors: { message: `Cannot find object ${item.fullName.split('.')[0]}` } };
+    }
+    if (type === 'CustomField') {
+      const [object, name] = item.fullName.split('.');
+      const fields = this.describeFields[object];
+      if (fields.some(field => field.name === name)) {
+        return { fullName: item.fullName, success: false, errors: { message: `There is already a field named ${name} on ${object}.` } };
+      }
+      fields.push(this.describeField(item));
+    }
+    if (type === 'CustomObject') {
+      if (this.describeFields[item.fullName]) {
+        return { fullName: item.fullName, success: false, errors: { message: `There is already an object named ${item.fullName}.` } };
+      }
+      this.describeFields[item.fullName] = [
+        { name: 'Id', type: 'id', custom: false },
+        { name: 'Name', label: item.nameField?.label, type: 'string', custom: false, createable: item.nameField?.type !== 'AutoNumber' },
+        { name: 'CreatedDate', type: 'datetime', custom: false }
+      ];
+    }
+    if (type === 'PermissionSet') {
+      const id = `0PS${String(this.records('PermissionSet').size + 1).padStart(15, '0')}`;
+      this.records('PermissionSet').set(id, { IsDeleted: false, Id: id, Name: item.fullName, Label: item.label });
+    }
+    this.components(type).set(item.fullName, JSON.parse(JSON.stringify(item)));
+    return { fullName: item.fullName, success: true };
+  }
+
+  updateMetadata(type, item) {
+    if (!this.readMetadata(type, item.fullName).fullName) {
+      return { fullName: item.fullName, success: false, errors: { message: `In field: fullName - no ${type} named ${item.fullName} found` } };
+    }
+    if (type === 'CustomField') {
+      const [object, name] = item.fullName.split('.');
+      const fields = this.describeFields[object] || [];
+      const index = fields.findIndex(field => field.name === name);
+      if (index >= 0) {
+        fields[index] = { ...fields[index], ...this.describeField(item) };
+      }
+    }
+    this.components(type).set(item.fullName, JSON.parse(JSON.stringify(item)));
+    return { fullName: item.fullName, success: true };
+  }
+
+  deleteMetadata(type, fullName) {
+    if (!this.readMetadata(type, fullName).fullName) {
+      return { fullName, success: false, errors: { message: `${type} ${fullName} does not exist` } };
+    }
+    if (type === 'CustomField') {
+      const [object, name] = fullName.split('.');
+      this.describeFields[object] = (this.describeFields[object] || []).filter(field => field.name !== name);
+    }
+    if (type === 'CustomObject') {
+      delete this.describeFields[fullName];
+      delete this.store[fullName];
+      [...this.components('CustomField').keys()]
+        .filter(name => name.startsWith(`${fullName}.`))
+        .forEach(name => this.components('CustomField').delete(name));
+    }
+    if (type === 'PermissionSet') {
+      const permissionSet = [...this.records('PermissionSet').values()].find(record => record.Name === fullName);
+      if (permissionSet) {
+        this.records('PermissionSet').delete(permissionSet.Id);
+        [...this.records('PermissionSetAssignment').values()]
+          .filter(assignment => assignment.PermissionSetId === permissionSet.Id)
+          .forEach(assignment => this.records('PermissionSetAssignment').delete(assignment.Id));
+      }
+    }
+    this.components(type).delete(fullName);
+    return { fullName, success: true };
+  }
+
+  describeField(item) {
+    return {
+      name: item.fullName.split('.')[1],
+      label: item.label,
+      type: FIELD_TYPES[item.type] || item.type.toLowerCase(),
+      custom: true,
+      updateable: true,
+      picklistValues: [].concat(item.valueSet?.valueSetDefinition?.value || [])
+        .map(value => ({ value: value.fullName, label: value.label, active: value.isActive !== false }))
+    };
+  }
+}
+
+// Stand-in for a jsforce Bulk API 2.0 ingest job (IngestJobV2). Uploaded
+// rows are applied when the job completes, with the same per-record
+// failures as sobject().update(); each step is logged as "bulk2.<step>".
+class FakeIngestJob {
+  constructor(conn, { object, operation }) {
+    this.conn = conn;
+    this.object = object;
+    this.operation = operation;
+    this.jobInfo = null;
+    this.rows = [];
+    this.results = null;
+    this.checksLeft = conn.bulkJobChecks;
+  }
+
+  track(step, detail) {
+    this.conn.track(`bulk2.${step}`, { jobId: this.jobInfo?.id || null, ...detail });
+  }
+
+  requireState(state) {
+    if (this.jobInfo?.state !== state) {
+      throw Object.assign(new Error(`Job is in state ${this.jobInfo?.state || 'none'}, expected ${state}`), { errorCode: 'INVALIDJOBSTATE' });
+    }
+  }
+
+  async open() {
+    this.jobInfo = { id: `750${String(this.conn.bulkJobs.length).padStart(15, '0')}`, object: this.object, operation: this.operation, state: 'Open' };
+    this.track('open', { object: this.object, operation: this.operation });
+    return { ...this.jobInfo };
+  }
+
+  async uploadData(records) {
+    this.track('uploadData', { count: records.length });
+    this.requireState('Open');
+    this.rows.push(...records);
+  }
+
+  async close() {
+    this.track('close');
+    this.requireState('Open');
+    this.jobInfo.state = 'UploadComplete';
+    return { ...this.jobInfo };
+  }
+
+  async check() {
+    this.track('check');
+    if (['UploadComplete', 'InProgress'].includes(this.jobInfo.state)) {
+      if (this.checksLeft > 0) {
+        this.checksLeft--;
+        this.jobInfo.state = 'InProgress';
+      } else {
+        this.results = this.rows.map(row => ({ row, response: this.conn.applyUpdate(this.object, row) }));
+        this.jobInfo.state = 'JobComplete';
+      }
+    }
+    return { ...this.jobInfo };
+  }
+
+  async getSuccessfulResults() {
+    this.track('getSuccessfulResults');
+    this.requireState('JobComplete');
+    return this.results
+      .filter(({ response }) => response.success)
+      .map(({ row }) => ({ sf__Id: row.Id, sf__Created: 'false', ...row }));
+  }
+
+  async getFailedResults() {
+    this.track('getFailedResults');
+    this.requireState('JobComplete');
+    return this.results
+      .filter(({ response }) => !response.success)
+      .map(({ row, response }) => ({
+        sf__Id: row.Id,
+        sf__Error: response.errors.map(error => `${error.statusCode}:${error.message}`).join(';'),
+        ...row
+      }));
+  }
+
+  async getUnprocessedRecords() {
+    this.track('getUnprocessedRecords');
+    this.requireState('JobComplete');
+    return [];
+  }
+}
+
+module.exports = FakeConnection;
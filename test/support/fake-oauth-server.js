@@ -0,0 +1,125 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// A local stand-in for the Salesforce token endpoint and enough of the REST
+// API for jsforce to sign in, query and refresh an expired session. Tokens
+// it issued stay valid until expireSessions() is called.
+class FakeOAuthServer {
+  constructor({ clientId = 'test-client-id', clientSecret = 'test-client-secret', publicKey = null, username = 'verifier@example.com' } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.publicKey = publicKey;
+    this.username = username;
+    this.validTokens = new Set();
+    this.refreshTokens = new Set();
+    this.codes = new Map();
+    this.tokenRequests = [];
+    this.issued = 0;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  expireSessions() {
+    this.validTokens.clear();
+  }
+
+  // The authorization code the login page would hand out after a login
+  issueCode(codeChallenge) {
+    const code = `code-${crypto.randomBytes(4).toString('hex')}`;
+    this.codes.set(code, codeChallenge);
+    return code;
+  }
+
+  issue(extra = {}) {
+    const accessToken = `access-${++this.issued}`;
+    this.validTokens.add(accessToken);
+    return { access_token: accessToken, instance_url: this.url, id: `${this.url}/id/00D000000000001AAA/005000000000001AAA`, token_type: 'Bearer', ...extra };
+  }
+
+  tokenResponse(params) {
+    switch (params.grant_type) {
+      case 'client_credentials':
+        return params.client_id === this.clientId && params.client_secret === this.clientSecret ? this.issue() : null;
+
+      case 'urn:ietf:params:oauth:grant-type:jwt-bearer': {
+        const [header, claims, signature] = params.assertion.split('.');
+        const valid = crypto.verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), this.publicKey, Buffer.from(signature, 'base64url'));
+        const payload = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+        return valid && payload.iss === this.clientId && payload.sub === this.username && payload.exp > Date.now() / 1000 ?
+          this.issue() :
+          null;
+      }
+
+      case 'authorization_code': {
+        const challenge = this.codes.get(params.code);
+        const verified = challenge === crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+        this.codes.delete(params.code);
+        if (!verified || params.client_id !== this.clientId) return null;
+        const refreshToken = `refresh-${crypto.randomBytes(4).toString('hex')}`;
+        this.refreshTokens.add(refreshToken);
+        return this.issue({ refresh_token: refreshToken });
+      }
+
+      case 'refresh_token':
+        return this.refreshTokens.has(params.refresh_token) ? this.issue() : null;
+
+      default:
+        return null;
+    }
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/services/oauth2/token') {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        this.tokenRequests.push(params);
+        const tokens = this.tokenResponse(params);
+        if (tokens) send(200, tokens);
+        else send(400, { error: 'invalid_grant', error_description: 'authentication failure' });
+      });
+      return;
+    }
+
+    if (url.pathname === '/services/oauth2/revoke') {
+      req.resume();
+      req.on('end', () => send(200, {}));
+      return;
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '') || url.searchParams.get('oauth_token');
+    if (!this.validTokens.has(token)) {
+      send(401, [{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+      return;
+    }
+
+    if (url.pathname.startsWith('/id/')) {
+      send(200, { id: `${this.url}${url.pathname}`, user_id: '005000000000001AAA', organization_id: '00D000000000001AAA', username: this.username });
+    } else if (/^\/services\/data\/v[\d.]+\/?$/.test(url.pathname)) {
+      send(200, { identity: `${this.url}/id/00D000000000001AAA/005000000000001AAA` });
+    } else if (/\/query\/?$/.test(url.pathname)) {
+      send(200, { totalSize: 1, done: true, records: [{ attributes: { type: 'Contact' }, Id: '003000000000001AAA', Name: 'Jane Smith' }] });
+    } else {
+      send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    }
+  }
+}
+
+module.exports = { FakeOAuthServer };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const FakeConnection = require('./fake-connection');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'salesforce.json');
+
+// Fixture values "$now" and "$today" are replaced at load time so that
+// recency-based rules and filters do not drift as the fixtures age
+function loadFixtures() {
+  const now = new Date();
+  const placeholders = {
+    $now: now.toISOString(),
+    $today: now.toISOString().split('T')[0]
+  };
+
+  return JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'), (key, value) =>
+    (typeof value === 'string' && value in placeholders ? placeholders[value] : value));
+}
+
+function createFakeConnection(options = {}) {
+  const { records, describe, metadata } = loadFixtures();
+  return new FakeConnection({ records, describe, metadata, ...options });
+}
+
+// Configuration accepted by loadConfig/validateConfig; no real credentials
+function testConfig(overrides = {}) {
+  return {
+    salesforce: {
+      instanceUrl: 'https://test.my.salesforce.com',
+      clientId: 'test-client-id',
+      accessToken: 'test-access-token'
+    },
+    verification: {},
+    apiLimits: { backoffBaseMs: 1, backoffMaxMs: 5 },
+    // Tests that check the audit log turn it on with a temporary file
+    audit: { enabled: false },
+    ...overrides
+  };
+}
+
+module.exports = {
+  loadFixtures,
+  createFakeConnection,
+  testConfig
+};
@@ -0,0 +1,300 @@
+// Just enough SOQL to run the queries the verifier builds against in-memory
+// records: field lists with parent relationships, COUNT() with GROUP BY,
+// WHERE with AND/OR/NOT, comparisons, IN, LIKE, date literals, ORDER BY,
+// LIMIT and OFFSET.
+
+const TOKEN_PATTERN = /\s*(?:('(?:[^'\\]|\\.)*')|(\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2}))?)|(-?\d+(?:\.\d+)?)|(!=|<=|>=|=|<|>|\(|\)|,|:)|([A-Za-z_][\w.]*))/y;
+
+const KEYWORDS = ['SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'ORDER', 'LIMIT', 'OFFSET', 'AND', 'OR', 'NOT', 'IN',
+  'LIKE', 'NULL', 'TRUE', 'FALSE', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'INCLUDES'];
+
+function tokenize(soql) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let rest = soql.trim();
+
+  while (rest.length > 0) {
+    TOKEN_PATTERN.lastIndex = 0;
+    const match = TOKEN_PATTERN.exec(rest);
+    if (!match) {
+      throw new Error(`MALFORMED_QUERY: unexpected input near "${rest.slice(0, 20)}"`);
+    }
+    const [text, string, date, number, symbol, word] = match;
+    if (string !== undefined) {
+      tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (date !== undefined) {
+      tokens.push({ type: 'date', value: date });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'number', value: Number(number) });
+    } else if (symbol !== undefined) {
+      tokens.push({ type: 'symbol', value: symbol });
+    } else if (KEYWORDS.includes(word.toUpperCase())) {
+      tokens.push({ type: 'keyword', value: word.toUpperCase() });
+    } else {
+      tokens.push({ type: 'identifier', value: word });
+    }
+    rest = rest.slice(text.length).trimStart();
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token && token.type === type && (value === undefined || token.value === value)) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw new Error(`MALFORMED_QUERY: expected ${value || type} but found ${found ? found.value : 'end of query'}`);
+    }
+    return token;
+  }
+
+  parseQuery() {
+    this.expect('keyword', 'SELECT');
+    const fields = [];
+    do {
+      fields.push(this.parseSelectField());
+    } while (this.accept('symbol', ','));
+
+    this.expect('keyword', 'FROM');
+    const query = { fields, object: this.expect('identifier').value, where: null, groupBy: [], orderBy: [], limit: null, offset: 0 };
+
+    if (this.accept('keyword', 'WHERE')) {
+      query.where = this.parseOr();
+    }
+    if (this.accept('keyword', 'GROUP')) {
+      this.expect('keyword', 'BY');
+      do {
+        query.groupBy.push(this.expect('identifier').value);
+      } while (this.accept('symbol', ','));
+    }
+    if (this.accept('keyword', 'ORDER')) {
+      this.expect('keyword', 'BY');
+      do {
+        const order = { field: this.expect('identifier').value, descending: false, nullsLast: null };
+        if (this.accept('keyword', 'DESC')) order.descending = true;
+        else this.accept('keyword', 'ASC');
+        if (this.accept('keyword', 'NULLS')) {
+          order.nullsLast = Boolean(this.accept('keyword', 'LAST'));
+          if (!order.nullsLast) this.expect('keyword', 'FIRST');
+        }
+        query.orderBy.push(order);
+      } while (this.accept('symbol', ','));
+    }
+    if (this.accept('keyword', 'LIMIT')) {
+      query.limit = this.expect('number').value;
+    }
+    if (this.accept('keyword', 'OFFSET')) {
+      query.offset = this.expect('number').value;
+    }
+    if (this.peek()) {
+      throw new Error(`MALFORMED_QUERY: unexpected ${this.peek().value}`);
+    }
+    return query;
+  }
+
+  parseSelectField() {
+    const name = this.expect('identifier').value;
+    if (this.accept('symbol', '(')) {
+      const argument = this.peek().type === 'identifier' ? this.next().value : null;
+      this.expect('symbol', ')');
+      const alias = this.accept('identifier');
+      return { aggregate: name.toUpperCase(), field: argument, alias: alias ? alias.value : null };
+    }
+    return { field: name };
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('keyword', 'OR')) {
+      left = { op: 'OR', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('keyword', 'AND')) {
+      left = { op: 'AND', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'NOT')) {
+      return { op: 'NOT', operand: this.parseNot() };
+    }
+    if (this.accept('symbol', '(')) {
+      const inner = this.parseOr();
+      this.expect('symbol', ')');
+      return inner;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const field = this.expect('identifier').value;
+
+    const negated = Boolean(this.accept('keyword', 'NOT'));
+    if (this.accept('keyword', 'IN') || this.accept('keyword', 'INCLUDES')) {
+      this.expect('symbol', '(');
+      const values = [];
+      do {
+        values.push(this.parseValue());
+      } while (this.accept('symbol', ','));
+      this.expect('symbol', ')');
+      return { op: negated ? 'NOT IN' : 'IN', field, values };
+    }
+    if (negated) {
+      throw new Error('MALFORMED_QUERY: NOT must be followed by IN here');
+    }
+    if (this.accept('keyword', 'LIKE')) {
+      return { op: 'LIKE', field, value: this.expect('string').value };
+    }
+
+    const operator = this.expect('symbol').value;
+    if (!['=', '!=', '<', '>', '<=', '>='].includes(operator)) {
+      throw new Error(`MALFORMED_QUERY: unexpected operator ${operator}`);
+    }
+    return { op: operator, field, value: this.parseValue() };
+  }
+
+  parseValue() {
+    const token = this.next();
+    if (!token) throw new Error('MALFORMED_QUERY: missing value');
+
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type === 'date') return dateRange(token.value);
+    if (token.type === 'keyword') {
+      if (token.value === 'NULL') return null;
+      if (token.value === 'TRUE') return true;
+      if (token.value === 'FALSE') return false;
+    }
+    if (token.type === 'identifier') {
+      const amount = this.accept('symbol', ':') ? this.expect('number').value : null;
+      return dateLiteral(token.value.toUpperCase(), amount);
+    }
+    throw new Error(`MALFORMED_QUERY: unexpected value ${token.value}`);
+  }
+}
+
+// Date literals evaluate to a [start, end) range in UTC
+function dateRange(value) {
+  const start = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+  const end = value.length === 10 ? new Date(start.getTime() + 24 * 3600 * 1000) : new Date(start.getTime() + 1);
+  return { start, end };
+}
+
+function startOfMonth(now, monthsBack) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsBack, 1));
+}
+
+function startOfDay(now, daysBack) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysBack));
+}
+
+function dateLiteral(name, amount) {
+  const now = new Date();
+  switch (name) {
+    case 'TODAY':
+      return { start: startOfDay(now, 0), end: startOfDay(now, -1) };
+    case 'YESTERDAY':
+      return { start: startOfDay(now, 1), end: startOfDay(now, 0) };
+    case 'THIS_MONTH':
+      return { start: startOfMonth(now, 0), end: startOfMonth(now, -1) };
+    case 'LAST_N_DAYS':
+      return { start: startOfDay(now, amount), end: startOfDay(now, -1) };
+    case 'LAST_N_MONTHS':
+      // The n months before the current one
+      return { start: startOfMonth(now, amount), end: startOfMonth(now, 0) };
+    default:
+      throw new Error(`MALFORMED_QUERY: unsupported literal ${name}`);
+  }
+}
+
+function compare(actual, expected) {
+  if (expected && expected.start instanceof Date) {
+    const time = new Date(actual.length === 10 ? `${actual}T00:00:00Z` : actual).getTime();
+    if (time < expected.start.getTime()) return -1;
+    if (time >= expected.end.getTime()) return 1;
+    return 0;
+  }
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    const a = actual.toLowerCase();
+    const b = expected.toLowerCase();
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return actual < expected ? -1 : actual > expected ? 1 : 0;
+}
+
+function matches(condition, read) {
+  switch (condition.op) {
+    case 'AND':
+      return matches(condition.left, read) && matches(condition.right, read);
+    case 'OR':
+      return matches(condition.left, read) || matches(condition.right, read);
+    case 'NOT':
+      return !matches(condition.operand, read);
+  }
+
+  const actual = read(condition.field);
+  const isNull = actual === null || actual === undefined;
+
+  switch (condition.op) {
+    case 'IN':
+    case 'NOT IN': {
+      const found = !isNull && condition.values.some(value => value !== null && compare(actual, value) === 0);
+      return condition.op === 'IN' ? found : !found;
+    }
+    case 'LIKE': {
+      if (isNull) return false;
+      const pattern = condition.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+      return new RegExp(`^${pattern}$`, 'i').test(String(actual));
+    }
+    case '=':
+      return condition.value === null ? isNull : !isNull && compare(actual, condition.value) === 0;
+    case '!=':
+      return condition.value === null ? !isNull : isNull || compare(actual, condition.value) !== 0;
+    case '<':
+      return !isNull && compare(actual, condition.value) < 0;
+    case '>':
+      return !isNull && compare(actual, condition.value) > 0;
+    case '<=':
+      return !isNull && compare(actual, condition.value) <= 0;
+    case '>=':
+      return !isNull && compare(actual, condition.value) >= 0;
+  }
+  throw new Error(`Unsupported condition ${condition.op}`);
+}
+
+function parseSoql(soql) {
+  return new Parser(tokenize(soql)).parseQuery();
+}
+
+module.exports = {
+  parseSoql,
+  matches,
+  compare
+};
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImprovedContactVerifier, verifyContact, main } = require('../verify-contacts');
+const { loadConfig } = require('../lib/config');
+const { RunJournal } = require('../lib/journal');
+const { ApiLimitGuard } = require('../lib/api-limits');
+const { createFakeConnection, testConfig } = require('./support/fixtures');
+
+// main() reads config.json; the resume tests hand it a test config instead
+jest.mock('../lib/config', () => ({ ...jest.requireActual('../lib/config'), loadConfig: jest.fn() }));
+
+function createVerifier(conn, options = {}) {
+  const verifier = new ImprovedContactVerifier(testConfig(options.config), { conn, ...options });
+  verifier.minDelayMs = 0;
+  return verifier;
+}
+
+async function verifyAll(verifier, contacts) {
+  const results = [];
+  for (const contact of contacts) {
+    results.push(await verifier.verifyContactData(contact));
+  }
+  return results;
+}
+
+describe('ImprovedContactVerifier against a fake org', () => {
+  let conn;
+
+  beforeEach(() => {
+    conn = createFakeConnection();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('selects contacts due for verification that belong to an account', async () => {
+    const verifier = createVerifier(conn);
+    const contacts = await verifier.getContactsToVerify();
+
+    expect(contacts.map(contact => contact.Name)).toEqual(['Jane Smith', 'Robert Jones', 'Bob Jones', 'Maria Müller']);
+    expect(contacts[0].Account).toMatchObject({ Name: 'Acme Corporation', BillingCountry: 'United States' });
+  });
+
+  test('respects the contact limit', async () => {
+    const verifier = createVerifier(conn, { limit: 2 });
+    const contacts = await verifier.getContactsToVerify();
+
+    expect(contacts).toHaveLength(2);
+    expect(conn.callsOf('query')[0].soql).toMatch(/LIMIT 2\b/);
+  });
+
+  test('classifies contacts with the configured rules', async () => {
+    const verifier = createVerifier(conn);
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    expect(byName['Jane Smith']).toMatchObject({ status: 'CONFIRMED', company: 'Acme Corporation', issues: [] });
+    expect(byName['Robert Jones'].status).toBe('NEEDS_REVIEW');
+    expect(byName['Robert Jones'].issues).toContain('Job title is missing');
+    expect(byName['Maria Müller'].issues).toEqual(
+      expect.arrayContaining([expect.stringMatching(/^Contact not updated in \d+ months$/)])
+    );
+  });
+
+  test('dry run reports results without writing to Salesforce', async () => {
+    const verifier = createVerifier(conn, { dryRun: true });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    await verifier.updateSalesforce(results);
+
+    expect(conn.callsOf('update')).toHaveLength(0);
+    expect(conn.records('Contact').get('003000000000001AAA').Verification_Status__c).toBeNull();
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('DRY RUN'));
+  });
+
+  test('writes all results in one sObject Collections request', async () => {
+    const verifier = createVerifier(conn);
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    const summary = await verifier.updateSalesforce(results);
+
+    expect(summary).toMatchObject({ successCount: 4, errorCount: 0, apiCalls: 1 });
+    expect(conn.callsOf('update')).toEqual([
+      expect.objectContaining({ object: 'Contact', options: { allOrNone: false } })
+    ]);
+
+    const today = new Date().toISOString().split('T')[0];
+    expect(conn.records('Contact').get('003000000000002AAA')).toMatchObject({
+      Verification_Status__c: 'NEEDS_REVIEW',
+      Last_Verified__c: today,
+      Verification_Notes__c: expect.stringContaining('Job title is missing')
+    });
+  });
+
+  test('reports partial update failures per record', async () => {
+    conn.failUpdate('003000000000003AAA');
+    const verifier = createVerifier(conn);
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    const summary = await verifier.updateSalesforce(results);
+
+    expect(summary.successCount).toBe(3);
+    expect(summary.errorCount).toBe(1);
+    expect(summary.errors[0]).toBe(
+      'Failed to update Bob Jones: FIELD_CUSTOM_VALIDATION_EXCEPTION: Update rejected by validation rule'
+    );
+    expect(conn.records('Contact').get('003000000000003AAA').Verification_Status__c).toBeNull();
+    expect(conn.records('Contact').get('003000000000001AAA').Verification_Status__c).toBe('CONFIRMED');
+  });
+
+  test('retries records that failed on a row lock before giving up', async () => {
+    conn.failUpdate('003000000000001AAA', 'UNABLE_TO_LOCK_ROW', 'unable to obtain exclusive access to this record');
+    const verifier = createVerifier(conn);
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    const summary = await verifier.updateSalesforce(results);
+
+    // The first request plus three retries of the locked record
+    expect(conn.callsOf('update').map(call => call.ids.length)).toEqual([4, 1, 1, 1]);
+    expect(summary).toMatchObject({ successCount: 3, errorCount: 1 });
+  });
+
+  test('writes runs above bulkThreshold with a Bulk API 2.0 job', async () => {
+    conn.failUpdate('003000000000003AAA');
+    conn.delayBulkJobs(2);
+    const verifier = createVerifier(conn, { config: testConfig({ writeBack: { bulkThreshold: 3, pollIntervalMs: 1 } }) });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    const summary = await verifier.updateSalesforce(results);
+
+    expect(conn.callsOf('update')).toHaveLength(0);
+    expect(conn.calls.filter(call => call.type.startsWith('bulk2.')).map(call => call.type)).toEqual([
+      'bulk2.open',
+      'bulk2.uploadData',
+      'bulk2.close',
+      'bulk2.check',
+      'bulk2.check',
+      'bulk2.check',
+      'bulk2.getSuccessfulResults',
+      'bulk2.getFailedResults',
+      'bulk2.getUnprocessedRecords'
+    ]);
+    expect(conn.callsOf('bulk2.open')[0]).toMatchObject({ object: 'Contact', operation: 'update' });
+    expect(conn.callsOf('bulk2.uploadData')[0].count).toBe(4);
+    expect(summary).toMatchObject({ successCount: 3, errorCount: 1, apiCalls: 9 });
+    expect(summary.errors).toEqual(['Failed to update Bob Jones: FIELD_CUSTOM_VALIDATION_EXCEPTION:Update rejected by validation rule']);
+    expect(conn.records('Contact').get('003000000000002AAA').Verification_Status__c).toBe('NEEDS_REVIEW');
+    expect(conn.records('Contact').get('003000000000003AAA').Verification_Status__c).toBeNull();
+  });
+
+  test('fails every record of a Bulk API 2.0 job that does not finish in time', async () => {
+    conn.delayBulkJobs(Infinity);
+    const verifier = createVerifier(conn, { config: testConfig({ writeBack: { bulkThreshold: 3, pollIntervalMs: 1, pollTimeoutMs: 20 } }) });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    const summary = await verifier.updateSalesforce(results);
+
+    expect(summary).toMatchObject({ successCount: 0, errorCount: 4 });
+    expect(summary.errors[0]).toBe('Failed to update Jane Smith: Bulk job 750000000000000001 did not finish within 20ms');
+    expect(conn.callsOf('bulk2.check').length).toBeGreaterThan(1);
+    expect(conn.callsOf('bulk2.getSuccessfulResults')).toHaveLength(0);
+    expect(conn.records('Contact').get('003000000000001AAA').Verification_Status__c).toBeNull();
+  });
+
+  test('records the writes of a run in its journal', async () => {
+    conn.failUpdate('003000000000004AAA');
+    const journal = { recordUpdate: jest.fn(), recordHistory: jest.fn() };
+    const verifier = createVerifier(conn, { journal });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    await verifier.updateSalesforce(results);
+
+    expect(journal.recordUpdate).toHaveBeenCalledWith('003000000000001AAA', true, null);
+    expect(journal.recordUpdate).toHaveBeenCalledWith('003000000000004AAA', false, expect.stringContaining('FIELD_CUSTOM_VALIDATION_EXCEPTION'));
+    expect(journal.recordHistory).toHaveBeenCalledWith('003000000000001AAA', true, null);
+    expect(journal.recordHistory).not.toHaveBeenCalledWith('003000000000004AAA', expect.anything(), expect.anything());
+  });
+
+  test('keeps each written result as a verification history record', async () => {
+    conn.failUpdate('003000000000004AAA');
+    const verifier = createVerifier(conn, { runId: '20260101T000000-abc123' });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    const summary = await verifier.updateSalesforce(results);
+
+    expect(summary.history).toEqual({ recorded: 3, errorCount: 0 });
+    const history = [...conn.records('Contact_Verification__c').values()];
+    expect(history.map(record => record.Contact__c)).toEqual(['003000000000001AAA', '003000000000002AAA', '003000000000003AAA']);
+    expect(history[1]).toMatchObject({
+      Status__c: 'NEEDS_REVIEW',
+      Issues__c: expect.stringContaining('Job title is missing'),
+      Rule_Versions__c: expect.stringContaining('title-present@1'),
+      Run_Id__c: '20260101T000000-abc123',
+      Source__c: 'verify-contacts',
+      Verified_At__c: expect.any(String)
+    });
+    expect(history[1].Confidence__c).toBeGreaterThan(0);
+  });
+
+  test('shows how the status of a contact changed over time', async () => {
+    const history = conn.records('Contact_Verification__c');
+    [
+      ['2025-01-10T09:00:00.000Z', 'CONFIRMED', null],
+      ['2025-07-10T09:00:00.000Z', 'CONFIRMED', 'CONFIRMED'],
+      ['2026-01-10T09:00:00.000Z', 'OUTDATED', 'CONFIRMED']
+    ].forEach(([verifiedAt, status, previous], index) => {
+      const id = `a00${String(index + 1).padStart(15, '0')}`;
+      history.set(id, { Id: id, IsDeleted: false, Name: `VER-00000${index + 1}`, Contact__c: '003000000000002AAA', Verified_At__c: verifiedAt, Status__c: status, Previous_Status__c: previous });
+    });
+    const verifier = createVerifier(conn);
+
+    const timeline = await verifier.showHistory('003000000000002AAA');
+
+    expect(timeline.map(entry => [entry.status, entry.changed])).toEqual([['CONFIRMED', false], ['CONFIRMED', false], ['OUTDATED', true]]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('OUTDATED (was CONFIRMED)'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('3 verifications, 1 status changes'));
+  });
+
+  test('refuses to start without the history object unless history is disabled', async () => {
+    delete conn.describeFields.Contact_Verification__c;
+
+    expect(await createVerifier(conn).validateHistoryObject()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Error details:', expect.stringContaining('Contact_Verification__c does not exist'));
+    expect(await createVerifier(conn, { config: { history: { enabled: false } } }).validateHistoryObject()).toBe(true);
+  });
+
+  test('groups likely duplicates within an account', async () => {
+    const verifier = createVerifier(conn);
+    const contacts = await verifier.getContactsToVerify();
+    const results = await verifyAll(verifier, contacts);
+
+    const clusters = await verifier.detectDuplicates(contacts, results);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].contactIds).toEqual(['003000000000002AAA', '003000000000003AAA']);
+    expect(results.find(result => result.name === 'Bob Jones').duplicates[0].matches).toEqual([
+      { id: '003000000000002AAA', name: 'Robert Jones' }
+    ]);
+  });
+
+  test('verifies a single contact by ID', async () => {
+    const result = await verifyContact(conn, '003000000000004AAA', { config: testConfig() });
+
+    expect(result).toMatchObject({ id: '003000000000004AAA', company: 'Globex GmbH', status: 'NEEDS_REVIEW' });
+  });
+
+  test('stops before the API reserve is used up', async () => {
+    conn = createFakeConnection({ dailyLimit: 1000, apiUsed: 905 });
+    const verifier = createVerifier(conn);
+
+    expect(await verifier.checkApiLimits()).toBe(false);
+  });
+
+  test('counts every query page and stops paging at the API reserve', async () => {
+    const paged = createFakeConnection({ batchSize: 1 });
+    const verifier = createVerifier(paged);
+
+    expect(await verifier.getContactsToVerify()).toHaveLength(4);
+    expect(verifier.requestCount).toBe(4);
+
+    // 10% of 1000 is held back; two pages later only the reserve is left
+    const nearLimit = createFakeConnection({ batchSize: 1, dailyLimit: 1000, apiUsed: 897 });
+    const guarded = createVerifier(nearLimit);
+
+    expect(await guarded.getContactsToVerify()).toEqual([]);
+    expect(nearLimit.calls.map(call => call.type)).toEqual(['query', 'queryMore', 'queryMore']);
+    expect(console.error).toHaveBeenCalledWith('Error details:', expect.stringContaining('below the configured reserve of 100'));
+  });
+
+  test('verifies open leads with the lead field mapping', async () => {
+    const verifier = createVerifier(conn, { object: 'Lead' });
+    const leads = await verifier.getContactsToVerify();
+    const results = await verifyAll(verifier, leads);
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    expect(leads.map(lead => lead.Name).sort()).toEqual(['Lena Lead', 'Nora Nobody']);
+    expect(byName['Lena Lead']).toMatchObject({ object: 'Lead', company: 'Initech', status: 'CONFIRMED' });
+    expect(byName['Nora Nobody'].issues).toEqual(['No company information available', 'Job title is missing']);
+  });
+
+  test('checks account websites, billing addresses and contact email domains', async () => {
+    const dnsResolver = {
+      resolve4: async domain => {
+        if (domain === 'acme.example') return ['192.0.2.10'];
+        throw Object.assign(new Error(`queryA ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+      },
+      resolve6: async domain => {
+        throw Object.assign(new Error(`queryAaaa ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+      }
+    };
+    const verifier = createVerifier(conn, { object: 'Account', testWebsite: true, dnsResolver });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    expect(byName['Acme Corporation']).toMatchObject({ object: 'Account', status: 'CONFIRMED', issues: [] });
+    expect(byName['Globex GmbH'].issues).toEqual(expect.arrayContaining([
+      'Website domain globex-old.example does not resolve',
+      'Billing address is incomplete: no street, postal code',
+      'Contact email domains (globex.example) do not match website globex-old.example'
+    ]));
+  });
+
+  test('writes account results back to the Account object', async () => {
+    const verifier = createVerifier(conn, { object: 'Account' });
+    const results = await verifyAll(verifier, await verifier.getContactsToVerify());
+
+    await verifier.updateSalesforce(results);
+
+    expect(conn.callsOf('update')).toEqual([expect.objectContaining({ object: 'Account' })]);
+    expect(conn.records('Account').get('001000000000001AAA').Verification_Status__c).toBe('CONFIRMED');
+  });
+});
+
+describe('resuming a run', () => {
+  let dir;
+  let conn;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-'));
+    conn = createFakeConnection();
+    loadConfig.mockReturnValue(testConfig({
+      journal: { dir },
+      review: { file: path.join(dir, 'review.json') },
+      reports: { dir }
+    }));
+    jest.spyOn(ImprovedContactVerifier.prototype, 'connectToSalesforce').mockImplementation(async function () {
+      this.conn = conn;
+      this.apiLimits = new ApiLimitGuard(conn, this.config.apiLimits);
+      this.minDelayMs = 0;
+      return true;
+    });
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code})`);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function startRun(options) {
+    const journal = RunJournal.create(dir, {
+      options: { object: 'Contact', limit: '10', months: '6', selection: {}, dryRun: false, ...options }
+    });
+    journal.close();
+    return journal.runId;
+  }
+
+  test('keeps the selection and dry-run mode the run started with', async () => {
+    const runId = startRun({ limit: '2', selection: { statuses: ['NEEDS_REVIEW', 'OUTDATED'] }, dryRun: true });
+
+    await main(['node', 'verify-contacts.js', '--resume', runId]);
+
+    expect(conn.callsOf('query')[0].soql).toMatch(/Verification_Status__c IN \('NEEDS_REVIEW', 'OUTDATED'\)/);
+    expect(conn.callsOf('query')[0].soql).toMatch(/LIMIT 2\b/);
+    expect(conn.callsOf('update')).toHaveLength(0);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('The run started as a DRY RUN'));
+    expect(RunJournal.resume(dir, runId).completed).toBe(true);
+  });
+
+  test('refuses flags that change the run', async () => {
+    const runId = startRun({ limit: '2' });
+
+    await expect(main(['node', 'verify-contacts.js', '--resume', runId, '--limit', '50', '--dry-run', '--owner', 'Ann']))
+      .rejects.toThrow('process.exit(1)');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(`Run ${runId} was started with other options; resume it without --limit, --dry-run, --owner`));
+
+    // Repeating an option the run started with is fine
+    await main(['node', 'verify-contacts.js', '--resume', runId, '--limit', '2']);
+    expect(conn.callsOf('update')).not.toHaveLength(0);
+  });
+});
@@ -0,0 +1,186 @@
+const { Command } = require('commander');
+const colors = require('colors');
+const ora = require('ora');
+const fs = require('fs');
+const { loadConfig, DEFAULT_CONFIG_PATH } = require('./lib/config');
+const { getSalesforceConnection } = require('./lib/salesforce');
+const { assertSalesforceId } = require('./lib/query-builder');
+const { AuditLog, auditFile, auditLogFor, cliActor } = require('./lib/audit');
+const { planUndo, undoWrites } = require('./lib/undo');
+const { ApiLimitGuard } = require('./lib/api-limits');
+
+function show(value) {
+  return value === null || value === undefined || value === '' ? '(empty)' : JSON.stringify(value);
+}
+
+// Restore the values a verification run, review or MCP session overwrote,
+// using the audit log (lib/audit.js).
+class RunUndo {
+  constructor(config, { conn } = {}) {
+    this.config = config;
+    this.conn = conn || null;
+    // Read the log even when logging is off now; restoring writes are only
+    // logged when it is on
+    this.auditLog = new AuditLog(auditFile(config));
+    this.recordLog = auditLogFor(config);
+  }
+
+  async connectToSalesforce() {
+    if (this.conn) return true;
+
+    const spinner = ora('Connecting to Salesforce...').start();
+    try {
+      this.conn = await getSalesforceConnection(this.config);
+      spinner.succeed('Successfully connected to Salesforce!');
+      return true;
+    } catch (error) {
+      spinner.fail('Failed to connect to Salesforce');
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+  }
+
+  // --list: the runs in the audit log, newest last
+  list() {
+    const runs = this.auditLog.runs();
+    if (runs.length === 0) {
+      console.log(`ℹ️ No writes logged in ${this.auditLog.filePath}`.yellow);
+      return true;
+    }
+
+    runs.forEach(run => {
+      const notes = [
+        run.undoOf && `undo of ${run.undoOf}`,
+        run.undoneBy.length > 0 && `undone by ${run.undoneBy.join(', ')}`
+      ].filter(Boolean);
+      console.log(`${run.runId.bold}  ${run.source}, ${run.actor}, ${run.startedAt.replace('T', ' ').slice(0, 16)}`);
+      console.log(`    ${run.records} records written${run.failed > 0 ? `, ${run.failed} failed writes` : ''}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`.gray);
+    });
+    return true;
+  }
+
+  // --run: restore the values the run replaced, for every record or one
+  async undo(runId, { recordId = null, force = false, dryRun = false } = {}) {
+    console.log('↩️ Salesforce Contact Verification - Undo Run'.bold.blue);
+    console.log('=============================================\n');
+
+    let changes;
+    try {
+      if (!/^[\w-]+$/.test(runId || '')) {
+        throw new Error(`Invalid run ID: ${runId}`);
+      }
+      const entries = this.auditLog.entries({ runId, recordId: recordId && assertSalesforceId(recordId) });
+      if (entries.length === 0) {
+        throw new Error(`No writes of run ${runId}${recordId ? ` to ${recordId}` : ''} in ${this.auditLog.filePath}`);
+      }
+      changes = planUndo(entries);
+    } catch (error) {
+      console.error(`❌ ${error.message}`.red);
+      return false;
+    }
+
+    if (changes.length === 0) {
+      console.log(`ℹ️ Run ${runId} changed no field values; nothing to undo`.yellow);
+      return true;
+    }
+
+    if (!(await this.connectToSalesforce())) {
+      return false;
+    }
+
+    const records = new Set(changes.map(change => change.recordId)).size;
+    // Throttled requests and records locked by other integrations are retried
+    const apiLimits = new ApiLimitGuard(this.conn, this.config?.apiLimits);
+    const spinner = ora(`${dryRun ? 'Checking' : 'Restoring'} ${changes.length} field values on ${records} records...`).start();
+    let result;
+    try {
+      result = await undoWrites(this.conn, changes, {
+        log: this.recordLog,
+        undoOf: runId,
+        actor: cliActor(),
+        force,
+        dryRun,
+        request: send => apiLimits.call(send),
+        collectionSize: this.config?.writeBack?.collectionSize
+      });
+    } catch (error) {
+      spinner.fail('Error undoing run');
+      console.error('Error details:', error.message.red);
+      return false;
+    }
+
+    const counts = result.outcomes.reduce((acc, outcome) => ({ ...acc, [outcome.status]: (acc[outcome.status] || 0) + 1 }), {});
+    const summary = dryRun ?
+      `${counts['would-restore'] || 0} of ${changes.length} field values would be restored (${result.apiCalls} API calls)` :
+      `Restored ${counts.restored || 0} of ${changes.length} field values (${result.apiCalls} API calls)`;
+    if (counts.conflict || counts.failed) {
+      spinner.warn(summary);
+    } else {
+      spinner.succeed(summary);
+    }
+
+    result.outcomes.forEach(({ object, recordId, field, restore, expected, current, status, error }) => {
+      const label = `${object} ${recordId} ${field}`;
+      switch (status) {
+        case 'restored':
+        case 'would-restore':
+          console.log(`↩️ ${label}: ${show(current)} → ${show(restore)}`.green);
+          break;
+        case 'unchanged':
+          console.log(`   ${label}: already ${show(restore)}`.gray);
+          break;
+        case 'conflict':
+          console.log(`⚠️ ${label}: now ${show(current)}, not ${show(expected)} as the run left it; use --force to restore ${show(restore)}`.yellow);
+          break;
+        default:
+          console.log(`❌ ${label}: ${error}`.red);
+      }
+    });
+
+    if (!dryRun && counts.restored > 0 && this.recordLog) {
+      console.log(`\n📝 Logged as run ${result.runId}`.gray);
+    }
+    return !counts.conflict && !counts.failed;
+  }
+}
+
+if (require.main === module) {
+  const options = new Command()
+    .option('--run <runId>', 'run whose changes to undo (see --list)')
+    .option('--record <id>', 'with --run, only undo the changes to this record')
+    .option('--list', 'list the runs in the audit log')
+    .option('-d, --dry-run', 'show what would be restored without writing to Salesforce')
+    .option('--force', 'also restore fields that were changed again since the run')
+    .parse(process.argv)
+    .opts();
+
+  if (!options.list && !options.run) {
+    console.error('❌ Give the run to undo with --run <runId>, or --list the runs in the audit log'.red);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    // Listing runs works without Salesforce credentials
+    config = options.list && !fs.existsSync(DEFAULT_CONFIG_PATH) ?
+      {} :
+      loadConfig(DEFAULT_CONFIG_PATH, { requireSalesforce: !options.list });
+  } catch (error) {
+    console.error('❌ Error loading config.json. Make sure you copied config.example.json to config.json and filled in your credentials.'.red);
+    process.exit(1);
+  }
+
+  const undo = new RunUndo(config);
+  const action = options.list ?
+    Promise.resolve(undo.list()) :
+    undo.undo(options.run, { recordId: options.record, force: options.force, dryRun: options.dryRun });
+
+  action
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(`💥 Undo failed: ${error.message}`.red);
+      process.exit(1);
+    });
+}
+
+module.exports = RunUndo;
@@ -1,60 +1,108 @@
-const jsforce = require('jsforce');
-const { program } = require('commander');
+const { Command } = require('commander');
 const colors = require('colors');
 const ora = require('ora');
 const fs = require('fs');
-const path = require('path');
-const dns = require('dns').promises;
-const axios = require('axios');
-
-// Load configuration with better error handling
-let config;
-try {
-  config = require('./config.json');
-  
-  // Validate required configuration
-  if (!config.salesforce || !config.salesforce.instanceUrl || !config.salesforce.clientId) {
-    throw new Error('Missing required Salesforce configuration');
-  }
-} catch (error) {
-  console.error('❌ Configuration Error:'.red);
-  console.error('   Make sure config.json exists and contains all required fields.'.red);
-  console.error('   Copy config.example.json to config.json and fill in your credentials.'.red);
-  process.exit(1);
-}
-
-// Command line options
-program
-  .version('2.0.0')
-  .option('-l, --limit <number>', 'limit number of contacts to verify', '10')
-  .option('-m, --months <number>', 'verify contacts not checked in X months', '6')
-  .option('-d, --dry-run', 'run without updating Salesforce')
-  .option('-v, --verbose', 'verbose logging')
-  .option('-t, --test-email', 'include email validation')
-  .parse();
-
-const options = program.opts();
+const { loadConfig, DEFAULT_CONFIG_PATH } = require('./lib/config');
+const { createRuleEngine } = require('./lib/rules');
+const { verifyEmail, EMAIL_REASONS } = require('./lib/email');
+const { DnsCache } = require('./lib/dns-cache');
+const {
+  getSalesforceConnection,
+  getContacts,
+  getRecords,
+  buildRecordQuery,
+  getRecordById,
+  getAccountContactEmails,
+  getDuplicateCandidates,
+  writeVerificationResult
+} = require('./lib/salesforce');
+const { authFlow, FLOW_LABELS } = require('./lib/auth');
+const { writeVerificationResults } = require('./lib/writeback');
+const { findDuplicateClusters } = require('./lib/duplicates');
+const { matchNames } = require('./lib/name-matcher');
+const { RunJournal, DEFAULT_JOURNAL_DIR } = require('./lib/journal');
+const { ApiLimitGuard } = require('./lib/api-limits');
+const { readContactsFile, writeResultsFile } = require('./lib/contact-file');
+const { SALESFORCE_ID_PATTERN } = require('./lib/query-builder');
+const { getObjectProfile, readField, SUPPORTED_OBJECTS } = require('./lib/objects');
+const { resolveWebsite } = require('./lib/website');
+const { resolveFieldMapping, validateFieldMapping } = require('./lib/field-mapping');
+const {
+  historyEnabled,
+  validateHistoryObject,
+  writeHistoryRecords,
+  getVerificationHistory,
+  statusTimeline
+} = require('./lib/history');
+const { ReviewQueue, reviewFile } = require('./lib/review');
+const { auditLogFor, cliActor } = require('./lib/audit');
+const {
+  REPORT_FORMATS,
+  reportDir,
+  parseReportFormats,
+  parseOutdatedLimit,
+  checkOutdated,
+  buildReport,
+  writeReports
+} = require('./lib/reports');
 
 class ImprovedContactVerifier {
-  constructor() {
-    // Use OAuth connection instead of username/password
-    this.conn = new jsforce.Connection({
-      oauth2: {
-        loginUrl: config.salesforce.instanceUrl,
-        clientId: config.salesforce.clientId,
-        clientSecret: config.salesforce.clientSecret,
-        redirectUri: config.salesforce.redirectUri || 'http://localhost:3000/callback'
-      }
-    });
+  constructor(config, options = {}) {
+    this.config = config;
+    this.conn = options.conn || null;
+    this.journal = options.journal || null;
+    
+    this.dryRun = Boolean(options.dryRun);
+    this.verbose = Boolean(options.verbose);
+    this.testEmail = Boolean(options.testEmail);
+    this.testWebsite = Boolean(options.testWebsite);
+    this.smtpProbe = Boolean(options.smtpProbe ?? config?.verification?.email?.smtpProbe);
+    this.limit = options.limit || 10;
+    this.months = options.months ?? 6;
+    
+    // The sObject being verified: Contact, Lead or Account
+    this.profile = getObjectProfile(options.object || 'Contact');
+    
+    // API names of the verification fields on that object
+    this.fieldMapping = resolveFieldMapping(config, this.profile.name);
+    
+    // Which records to pick: config defaults, overridden by CLI flags
+    this.selection = { ...config?.verification?.selection, ...options.selection };
+    
+    // Verification checks come from the configured rule set for the object
+    this.ruleEngine = options.ruleEngine || createRuleEngine(config?.verification, { object: this.profile.name });
+    
+    // Each written result is also kept as a Contact_Verification__c record,
+    // tagged with the run that produced it
+    this.history = historyEnabled(config);
+    this.runId = options.runId || this.journal?.runId || RunJournal.generateRunId();
     
-    this.dryRun = options.dryRun;
-    this.verbose = options.verbose;
-    this.testEmail = options.testEmail;
+    // Every write is logged with the values it replaced, for undo.js
+    this.auditLog = options.auditLog !== undefined ? options.auditLog : auditLogFor(config);
+    
+    // Field corrections proposed by rules wait here for review.js
+    this.reviewFile = options.reviewFile || reviewFile(config);
+    
+    // Report formats and folder; with an OUTDATED threshold, runs that
+    // exceed it fail
+    this.reportFormats = parseReportFormats(options.reportFormat || config?.reports?.format);
+    this.reportDir = options.reportDir || reportDir(config);
+    this.maxOutdated = parseOutdatedLimit(options.maxOutdated ?? config?.reports?.maxOutdated);
+    
+    // Email addresses of each Account's contacts, fetched with the accounts
+    this.relatedEmails = new Map();
     
     // Rate limiting configuration
     this.requestCount = 0;
     this.lastRequestTime = 0;
     this.minDelayMs = 1000; // Minimum 1 second between operations
+    
+    // Daily API usage tracking; slows down and stops near the org's limit
+    this.apiLimits = this.conn ? new ApiLimitGuard(this.conn, config?.apiLimits) : null;
+    
+    // DNS lookups for email checks are cached per domain rather than rate
+    // limited, since they do not count against Salesforce API limits
+    this.dnsResolver = options.dnsResolver || new DnsCache(config?.verification?.dnsCache);
   }
 
   log(message, type = 'info') {
@@ -72,11 +120,16 @@ class ImprovedContactVerifier {
   }
 
   async enforceRateLimit() {
+    // Refuse to eat into the API reserve left for other integrations
+    this.apiLimits?.checkReserve();
+    
+    // Space requests out further as the daily limit gets close
+    const minDelayMs = this.minDelayMs * (this.apiLimits ? this.apiLimits.delayFactor() : 1);
     const now = Date.now();
     const timeSinceLastRequest = now - this.lastRequestTime;
     
-    if (timeSinceLastRequest < this.minDelayMs) {
-      const delay = this.minDelayMs - timeSinceLastRequest;
+    if (timeSinceLastRequest < minDelayMs) {
+      const delay = minDelayMs - timeSinceLastRequest;
       await new Promise(resolve => setTimeout(resolve, delay));
     }
     
@@ -84,32 +137,48 @@ class ImprovedContactVerifier {
     this.requestCount++;
   }
 
+  // Make one Salesforce API request: rate limited, and retried with backoff
+  // on REQUEST_LIMIT_EXCEEDED and UNABLE_TO_LOCK_ROW
+  async callApi(send) {
+    const attempt = async () => {
+      await this.enforceRateLimit();
+      return send();
+    };
+    return this.apiLimits ? this.apiLimits.call(attempt) : attempt();
+  }
+
+  // Returns false when the org is already inside the API reserve
+  async checkApiLimits() {
+    try {
+      const usage = await this.callApi(() => this.apiLimits.refresh());
+      if (usage) {
+        this.log(`Daily API requests: ${usage.used} of ${usage.max} used, reserve ${this.apiLimits.reserve}`);
+      }
+    } catch (error) {
+      // Usage is still picked up from response headers as the run goes
+      this.log(`Could not read API limits: ${error.message}`, 'warning');
+    }
+    
+    if (this.apiLimits.belowReserve()) {
+      this.log(`Only ${this.apiLimits.current.remaining} daily API requests remain (reserve ${this.apiLimits.reserve})`, 'error');
+      return false;
+    }
+    return true;
+  }
+
   async connectToSalesforce() {
     const spinner = ora('Connecting to Salesforce...').start();
     
     try {
-      // Try to use existing access token if available
-      if (config.salesforce.accessToken && config.salesforce.instanceUrl) {
-        this.conn.accessToken = config.salesforce.accessToken;
-        this.conn.instanceUrl = config.salesforce.instanceUrl;
-        
-        // Test the connection
-        await this.conn.identity();
-        spinner.succeed('Successfully connected to Salesforce with existing token!');
-        return true;
-      }
-      
-      // Fall back to username/password if no token (but warn about it)
-      if (config.salesforce.username && config.salesforce.password) {
-        this.log('Warning: Using username/password authentication. Consider switching to OAuth for better security.', 'warning');
-        await this.conn.login(config.salesforce.username, config.salesforce.password);
-        spinner.succeed('Successfully connected to Salesforce!');
-        return true;
-      }
-      
-      spinner.fail('No valid authentication method found');
-      console.error('Please configure either OAuth tokens or username/password in config.json'.red);
-      return false;
+      const flow = authFlow(this.config);
+      this.conn = await getSalesforceConnection(this.config, {
+        onWarning: message => this.log(`Warning: ${message}`, 'warning')
+      });
+      // Sessions that expire mid-run are refreshed by lib/auth.js
+      this.conn.on?.('refresh', () => this.log('Salesforce session expired; signed in again', 'info'));
+      this.apiLimits = new ApiLimitGuard(this.conn, this.config.apiLimits);
+      spinner.succeed(`Successfully connected to Salesforce (${FLOW_LABELS[flow]})!`);
+      return true;
       
     } catch (error) {
       spinner.fail('Failed to connect to Salesforce');
@@ -117,173 +186,155 @@ class ImprovedContactVerifier {
       
       if (error.message.includes('INVALID_LOGIN')) {
         console.error('Hint: Check your username, password, and security token'.yellow);
+      } else if (error.errorCode === 'LOGIN_REQUIRED') {
+        console.error('Hint: Run "npm run login" once to sign in with your browser'.yellow);
       }
       
       return false;
     }
   }
 
-  async getContactsToVerify() {
-    const spinner = ora('Getting contacts to verify...').start();
+  async getContactsToVerify({ ids } = {}) {
+    const { name: object, plural } = this.profile;
+    const spinner = ora(`Getting ${plural} to verify...`).start();
     
     try {
-      await this.enforceRateLimit();
+      // A resumed run re-fetches exactly the records it selected originally
+      const selection = ids ?
+        { ids, limit: Math.max(ids.length, 1), fieldMapping: this.fieldMapping } :
+        { ...this.selection, limit: this.limit, months: this.months, fieldMapping: this.fieldMapping };
+      this.log(`${object} query:\n${buildRecordQuery(object, selection)}`);
       
-      const query = `
-        SELECT Id, Name, Account.Name, Title, Email, Phone, Last_Verified__c, 
-               Verification_Status__c, LastModifiedDate, CreatedDate
-        FROM Contact 
-        WHERE (Last_Verified__c < LAST_N_MONTHS:${options.months} OR Last_Verified__c = null)
-        AND AccountId != null 
-        AND Name != null
-        AND IsDeleted = false
-        ORDER BY LastModifiedDate DESC
-        LIMIT ${options.limit}
-      `;
-      
-      const result = await this.conn.query(query);
-      spinner.succeed(`Found ${result.records.length} contacts to verify`);
+      const records = await getRecords(this.conn, object, { ...selection, request: send => this.callApi(send) });
+      spinner.succeed(`Found ${records.length} ${plural} to verify`);
       
       if (this.verbose) {
-        result.records.forEach((contact, index) => {
-          const company = contact.Account?.Name || 'Unknown Company';
-          const lastVerified = contact.Last_Verified__c ? 
-            new Date(contact.Last_Verified__c).toDateString() : 'Never';
-          console.log(`${index + 1}. ${contact.Name} (${company}) - Last verified: ${lastVerified}`.gray);
+        records.forEach((record, index) => {
+          const company = readField(this.profile, record, 'company') || 'Unknown Company';
+          const lastVerified = record[this.fieldMapping.lastVerified] ? 
+            new Date(record[this.fieldMapping.lastVerified]).toDateString() : 'Never';
+          console.log(`${index + 1}. ${record.Name} (${company}) - Last verified: ${lastVerified}`.gray);
         });
       }
       
-      return result.records;
+      await this.loadRelatedEmails(records);
+      return records;
     } catch (error) {
-      spinner.fail('Error getting contacts');
+      spinner.fail(`Error getting ${plural}`);
       console.error('Error details:', error.message.red);
       return [];
     }
   }
 
-  async validateEmail(email) {
-    if (!email || !this.testEmail) {
-      return { valid: null, reason: 'Email validation disabled' };
-    }
-
+  // Check that the mapped verification fields exist on the object with
+  // usable types and picklist values before anything is written
+  async validateFieldMapping() {
+    const fields = Object.values(this.fieldMapping).join(', ');
+    const spinner = ora(`Checking ${this.profile.name} verification fields...`).start();
+    
     try {
-      // Basic format validation
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return { valid: false, reason: 'Invalid email format' };
-      }
-
-      // Extract domain
-      const domain = email.split('@')[1];
-      
-      // DNS MX record check
-      await this.enforceRateLimit();
-      const mxRecords = await dns.resolveMx(domain);
-      
-      if (mxRecords && mxRecords.length > 0) {
-        return { valid: true, reason: 'Domain has valid MX records' };
-      } else {
-        return { valid: false, reason: 'No MX records found for domain' };
-      }
-      
+      const warnings = await this.callApi(() => validateFieldMapping(this.conn, this.profile.name, this.fieldMapping));
+      spinner.succeed(`Verification fields found on ${this.profile.name}`);
+      this.log(`Field mapping: ${fields}`);
+      warnings.forEach(warning => this.log(`Warning: ${warning}`, 'warning'));
+      return true;
     } catch (error) {
-      return { valid: false, reason: `DNS lookup failed: ${error.code}` };
+      spinner.fail(`Verification fields on ${this.profile.name} are not usable`);
+      console.error('Error details:', error.message.red);
+      if (error.name === 'FieldMappingError') {
+        console.error(`Hint: run "npm run setup -- --object ${this.profile.name}" or adjust fieldMapping in config.json`.yellow);
+      }
+      return false;
     }
   }
 
-  calculateNameSimilarity(name1, name2) {
-    if (!name1 || !name2) return 0;
+  // Check that history records can be written before anything is verified
+  async validateHistoryObject() {
+    if (!this.history) return true;
     
-    // Simple similarity scoring
-    const normalize = (str) => str.toLowerCase().trim().replace(/[^a-z\s]/g, '');
-    const n1 = normalize(name1);
-    const n2 = normalize(name2);
+    const spinner = ora('Checking verification history object...').start();
     
-    if (n1 === n2) return 1.0;
-    
-    // Check if all words in one name appear in the other
-    const words1 = n1.split(/\s+/).filter(w => w.length > 1);
-    const words2 = n2.split(/\s+/).filter(w => w.length > 1);
-    
-    if (words1.length === 0 || words2.length === 0) return 0;
-    
-    const matches = words1.filter(word => words2.some(w => w.includes(word) || word.includes(w)));
-    return matches.length / Math.max(words1.length, words2.length);
+    try {
+      await this.callApi(() => validateHistoryObject(this.conn, this.profile.name));
+      spinner.succeed('Verification history object found');
+      return true;
+    } catch (error) {
+      spinner.fail('Verification history object is not usable');
+      console.error('Error details:', error.message.red);
+      if (error.name === 'HistoryObjectError') {
+        console.error('Hint: run "npm run setup" or set history.enabled to false in config.json'.yellow);
+      }
+      return false;
+    }
   }
-
-  async verifyContactData(contact) {
-    const companyName = contact.Account?.Name || 'Unknown Company';
-    
-    this.log(`Verifying data quality for ${contact.Name}...`);
+  
+  // Accounts are checked against the email domains of their contacts
+  async loadRelatedEmails(records) {
+    if (this.profile.name !== 'Account' || !this.conn || records.length === 0) return;
     
-    let verificationStatus = {
-      dataQuality: 'GOOD',
-      issues: [],
-      recommendations: [],
-      confidence: 0.8
-    };
+    const accountIds = records.map(record => record.Id);
+    this.relatedEmails = await getAccountContactEmails(this.conn, accountIds, { request: send => this.callApi(send) });
+  }
 
-    // Check for missing critical data
-    if (!contact.Name || contact.Name.trim().length < 2) {
-      verificationStatus.issues.push('Name is missing or too short');
-      verificationStatus.dataQuality = 'POOR';
-      verificationStatus.confidence -= 0.3;
+  async validateEmail(email) {
+    if (!email || !this.testEmail) {
+      return { valid: null, code: 'VALIDATION_DISABLED', reason: EMAIL_REASONS.VALIDATION_DISABLED, warnings: [] };
     }
 
-    if (companyName === 'Unknown Company' || !contact.Account?.Name) {
-      verificationStatus.issues.push('No company information available');
-      verificationStatus.dataQuality = 'FAIR';
-      verificationStatus.confidence -= 0.2;
-    }
+    const emailConfig = this.config?.verification?.email || {};
+    
+    return verifyEmail(email, {
+      resolver: this.dnsResolver,
+      disposableDomains: emailConfig.disposableDomains,
+      freeMailDomains: emailConfig.freeMailDomains,
+      roleAccounts: emailConfig.roleAccounts,
+      smtpProbe: this.smtpProbe,
+      smtp: emailConfig.smtp
+    });
+  }
 
-    if (!contact.Title) {
-      verificationStatus.issues.push('Job title is missing');
-      verificationStatus.recommendations.push('Add job title for better identification');
-      verificationStatus.confidence -= 0.1;
+  saveDnsCache() {
+    if (typeof this.dnsResolver.save !== 'function') return;
+    
+    try {
+      this.dnsResolver.save();
+    } catch (error) {
+      this.log(`Failed to save DNS cache: ${error.message}`, 'warning');
     }
+  }
 
-    // Validate email if present and email testing is enabled
-    if (contact.Email) {
-      const emailValidation = await this.validateEmail(contact.Email);
-      if (emailValidation.valid === false) {
-        verificationStatus.issues.push(`Email issue: ${emailValidation.reason}`);
-        verificationStatus.dataQuality = 'FAIR';
-        verificationStatus.confidence -= 0.2;
-      } else if (emailValidation.valid === true) {
-        verificationStatus.recommendations.push('Email domain appears valid');
-      }
-    } else {
-      verificationStatus.recommendations.push('Consider adding email address');
-    }
+  // Score (0-1) how likely two names refer to the same person. See
+  // lib/name-matcher.js for the explanation of a match.
+  calculateNameSimilarity(name1, name2) {
+    return matchNames(name1, name2).score;
+  }
 
-    // Check for stale data
-    const lastModified = new Date(contact.LastModifiedDate);
-    const monthsOld = (Date.now() - lastModified) / (1000 * 60 * 60 * 24 * 30);
+  async verifyContactData(contact) {
+    const companyName = readField(this.profile, contact, 'company') || 'Unknown Company';
     
-    if (monthsOld > 12) {
-      verificationStatus.issues.push(`Contact not updated in ${Math.floor(monthsOld)} months`);
-      verificationStatus.recommendations.push('Consider reaching out to verify current information');
-      verificationStatus.confidence -= 0.1;
-    }
-
-    // Determine overall status
-    if (verificationStatus.issues.length === 0) {
-      verificationStatus.status = 'CONFIRMED';
-    } else if (verificationStatus.issues.length <= 2 && verificationStatus.confidence > 0.5) {
-      verificationStatus.status = 'NEEDS_REVIEW';
-    } else {
-      verificationStatus.status = 'OUTDATED';
-    }
+    this.log(`Verifying data quality for ${contact.Name}...`);
+    
+    const verificationStatus = await this.ruleEngine.evaluate(contact, {
+      validateEmail: email => this.validateEmail(email),
+      resolveWebsite: this.testWebsite ? domain => resolveWebsite(domain, this.dnsResolver) : null,
+      relatedEmails: this.relatedEmails.get(contact.Id) || []
+    });
 
     return {
       id: contact.Id,
+      object: this.profile.name,
       name: contact.Name,
       company: companyName,
       status: verificationStatus.status,
       confidence: Math.max(0, Math.min(1, verificationStatus.confidence)),
       issues: verificationStatus.issues,
       recommendations: verificationStatus.recommendations,
+      findings: verificationStatus.findings,
+      phone: verificationStatus.details['phone-number'] || null,
+      fieldUpdates: verificationStatus.fieldUpdates,
+      proposals: verificationStatus.proposals,
       notes: this.generateVerificationNotes(verificationStatus),
+      previousStatus: contact[this.fieldMapping.status] || null,
       lastModified: contact.LastModifiedDate
     };
   }
@@ -299,6 +350,13 @@ class ImprovedContactVerifier {
       notes.push(`Recommendations: ${verificationStatus.recommendations.join(', ')}.`);
     }
     
+    const phone = verificationStatus.details?.['phone-number'];
+    if (phone) {
+      notes.push(phone.valid ?
+        `Phone: ${phone.e164} (${phone.type}, ${phone.country || 'unknown country'}).` :
+        `Phone: ${phone.input} could not be verified.`);
+    }
+    
     notes.push(`Confidence score: ${(verificationStatus.confidence * 100).toFixed(0)}%.`);
     
     return notes.join(' ');
@@ -314,46 +372,38 @@ class ImprovedContactVerifier {
     const spinner = ora('Updating Salesforce records...').start();
     
     try {
-      let successCount = 0;
-      let errorCount = 0;
-      const errors = [];
-      
-      // Process updates in batches for better performance
-      const batchSize = 10;
+      const requestsBefore = this.requestCount;
+      const { mode, outcomes } = await writeVerificationResults(this.conn, verificationResults, {
+        ...this.config?.writeBack,
+        object: this.profile.name,
+        fieldMapping: this.fieldMapping,
+        audit: this.auditLog && { log: this.auditLog, runId: this.runId, actor: cliActor(), source: 'verify-contacts' },
+        request: send => this.callApi(send),
+        retryDelay: attempt => (this.apiLimits ? this.apiLimits.backoffDelay(attempt) : 1000)
+      });
+      const apiCalls = this.requestCount - requestsBefore;
       
-      for (let i = 0; i < verificationResults.length; i += batchSize) {
-        const batch = verificationResults.slice(i, i + batchSize);
-        
-        await this.enforceRateLimit();
-        
-        const updatePromises = batch.map(async (result) => {
-          try {
-            const updateData = {
-              Id: result.id,
-              Verification_Status__c: result.status,
-              Verification_Notes__c: result.notes,
-              Last_Verified__c: new Date().toISOString().split('T')[0]
-            };
-            
-            await this.conn.sobject('Contact').update(updateData);
-            successCount++;
-            this.log(`✅ Updated ${result.name}`);
-            
-          } catch (updateError) {
-            errorCount++;
-            const errorMsg = `Failed to update ${result.name}: ${updateError.message}`;
-            errors.push(errorMsg);
-            this.log(errorMsg, 'error');
-          }
-        });
+      const errors = [];
+      outcomes.forEach(({ result, success, error }) => {
+        this.journal?.recordUpdate(result.id, success, error);
         
-        await Promise.all(updatePromises);
-      }
+        if (success) {
+          this.log(`✅ Updated ${result.name}`);
+        } else {
+          const errorMsg = `Failed to update ${result.name}: ${error}`;
+          errors.push(errorMsg);
+          this.log(errorMsg, 'error');
+        }
+      });
       
-      if (errorCount === 0) {
-        spinner.succeed(`Successfully updated all ${successCount} contacts`);
+      const successCount = outcomes.length - errors.length;
+      const via = mode === 'bulk' ? 'Bulk API 2.0' : 'sObject Collections';
+      const historyResults = outcomes.filter(outcome => outcome.success).map(outcome => outcome.result);
+      
+      if (errors.length === 0) {
+        spinner.succeed(`Successfully updated all ${successCount} ${this.profile.plural} (${apiCalls} API calls via ${via})`);
       } else {
-        spinner.warn(`Updated ${successCount} contacts with ${errorCount} errors`);
+        spinner.warn(`Updated ${successCount} ${this.profile.plural} with ${errors.length} errors (${apiCalls} API calls via ${via})`);
         
         if (this.verbose && errors.length > 0) {
           console.log('\nDetailed Errors:'.red);
@@ -361,12 +411,127 @@ class ImprovedContactVerifier {
         }
       }
       
+      if (this.apiLimits?.belowReserve()) {
+        this.log('Stopped writing to Salesforce to keep the daily API reserve; resume the run once the limit resets', 'warning');
+      }
+      
+      if (this.auditLog && successCount > 0) {
+        console.log(`↩️ Changes logged to ${this.auditLog.filePath}; undo them with: npm run undo -- --run ${this.runId}`.gray);
+      }
+      
+      const history = await this.recordHistory(historyResults);
+      
+      return { successCount, errorCount: errors.length, errors, apiCalls, history };
+      
     } catch (error) {
       spinner.fail('Error during Salesforce update');
       this.log(`Batch update error: ${error.message}`, 'error');
     }
   }
 
+  // Add a history record for each result written to its record. Failures
+  // are reported but do not undo the update.
+  async recordHistory(results) {
+    if (!this.history || this.dryRun || results.length === 0) return null;
+    
+    const spinner = ora('Recording verification history...').start();
+    
+    try {
+      const { outcomes } = await writeHistoryRecords(this.conn, results, {
+        collectionSize: this.config?.writeBack?.collectionSize,
+        request: send => this.callApi(send),
+        runId: this.runId,
+        source: 'verify-contacts',
+        rules: this.ruleEngine.describe()
+      });
+      
+      const failed = outcomes.filter(outcome => !outcome.success);
+      outcomes.forEach(({ result, success, error }) => {
+        this.journal?.recordHistory(result.id, success, error);
+        if (!success) {
+          this.log(`Failed to record history of ${result.name}: ${error}`, 'error');
+        }
+      });
+      
+      if (failed.length === 0) {
+        spinner.succeed(`Recorded ${outcomes.length} verification history records`);
+      } else {
+        spinner.warn(`Recorded ${outcomes.length - failed.length} verification history records with ${failed.length} errors`);
+      }
+      return { recorded: outcomes.length - failed.length, errorCount: failed.length };
+      
+    } catch (error) {
+      spinner.fail('Error recording verification history');
+      this.log(`History error: ${error.message}`, 'error');
+      return null;
+    }
+  }
+  
+  // Print how the status of one record changed over its verifications
+  async showHistory(recordId) {
+    const spinner = ora(`Getting verification history of ${recordId}...`).start();
+    
+    let timeline;
+    try {
+      timeline = statusTimeline(await getVerificationHistory(this.conn, this.profile.name, recordId, { request: send => this.callApi(send) }));
+      spinner.succeed(`Found ${timeline.length} verifications of ${this.profile.label} ${recordId}`);
+    } catch (error) {
+      spinner.fail('Error getting verification history');
+      console.error('Error details:', error.message.red);
+      return null;
+    }
+    
+    if (timeline.length === 0) {
+      console.log(`ℹ️ ${this.profile.label} ${recordId} has not been verified yet`.yellow);
+      return timeline;
+    }
+    
+    const statusColor = status => ({ 'CONFIRMED': 'green', 'NEEDS_REVIEW': 'yellow', 'OUTDATED': 'red' }[status] || 'white');
+    
+    console.log(`
+📜 VERIFICATION HISTORY - ${this.profile.label} ${recordId}`.bold);
+    console.log('='.repeat(60));
+    timeline.forEach(entry => {
+      const when = entry.verifiedAt ? entry.verifiedAt.replace('T', ' ').slice(0, 16) : 'unknown date    ';
+      const change = entry.changed ? ` (was ${entry.previousStatus})` : '';
+      const confidence = entry.confidence !== null ? ` ${Number(entry.confidence).toFixed(0)}%` : '';
+      console.log(`${when}  ${`${entry.status}${change}`[statusColor(entry.status)]}${confidence}`);
+      if (entry.issues.length > 0) {
+        console.log(`    Issues: ${entry.issues.join(', ')}`.gray);
+      }
+      if (entry.runId || entry.source) {
+        console.log(`    ${[entry.source, entry.runId && `run ${entry.runId}`].filter(Boolean).join(', ')}`.gray);
+      }
+    });
+    
+    const changes = timeline.filter(entry => entry.changed).length;
+    console.log('='.repeat(60));
+    console.log(`${timeline.length} verifications, ${changes} status changes`.bold);
+    return timeline;
+  }
+
+  // Add the corrections proposed for `results` to the review queue. Returns
+  // the number of new proposals.
+  saveProposals(results) {
+    const proposed = results.filter(result => result.proposals && result.proposals.length > 0);
+    if (proposed.length === 0) return 0;
+    
+    try {
+      const queue = ReviewQueue.load(this.reviewFile);
+      const added = queue.add(proposed, { runId: this.runId });
+      queue.save();
+      
+      if (added > 0) {
+        console.log(`\n📝 ${added} proposed field corrections saved to ${this.reviewFile}`.cyan);
+        console.log('   Review and apply them with: npm run review'.gray);
+      }
+      return added;
+    } catch (error) {
+      this.log(`Failed to save proposed corrections: ${error.message}`, 'error');
+      return 0;
+    }
+  }
+
   displayResults(results) {
     if (this.dryRun) {
       console.log('\n📋 RESULTS PREVIEW (Dry Run)'.bold);
@@ -384,6 +549,16 @@ class ImprovedContactVerifier {
       console.log(`   Confidence: ${(result.confidence * 100).toFixed(0)}%`.gray);
       console.log(`   Notes: ${result.notes}`.gray);
       
+      if (result.fieldUpdates && Object.keys(result.fieldUpdates).length > 0) {
+        const changes = Object.entries(result.fieldUpdates).map(([field, value]) => `${field} → ${value}`);
+        console.log(`   Field updates: ${changes.join(', ')}`.cyan);
+      }
+      
+      if (result.proposals && result.proposals.length > 0) {
+        const changes = result.proposals.map(proposal => `${proposal.field}: ${proposal.before ?? '(empty)'} → ${proposal.after}`);
+        console.log(`   Proposed corrections: ${changes.join(', ')}`.cyan);
+      }
+      
       if (result.issues.length > 0) {
         console.log(`   Issues: ${result.issues.join(', ')}`.red);
       }
@@ -394,7 +569,74 @@ class ImprovedContactVerifier {
     });
   }
 
-  async generateReport(results) {
+  async detectDuplicates(contacts, results) {
+    const { name: object, plural } = this.profile;
+    if (object === 'Account') {
+      this.log('Duplicate detection compares people; skipping it for accounts', 'warning');
+      return [];
+    }
+    
+    const spinner = ora(`Looking for duplicate ${plural}...`).start();
+    const duplicateConfig = this.config?.verification?.duplicates || {};
+    
+    try {
+      const accountIds = [...new Set(contacts.map(c => c.AccountId).filter(Boolean))];
+      const emails = [...new Set(contacts.map(c => c.Email).filter(Boolean))];
+      
+      // Offline runs only compare the records in the input file
+      const candidates = this.conn ?
+        await getDuplicateCandidates(this.conn, { object, accountIds, emails, fieldMapping: this.fieldMapping, request: send => this.callApi(send) }) :
+        [];
+      
+      const byId = new Map([...contacts, ...candidates].map(c => [c.Id, c]));
+      const clusters = findDuplicateClusters([...byId.values()], {
+        nameSimilarity: (a, b) => this.calculateNameSimilarity(a, b),
+        threshold: duplicateConfig.threshold
+      });
+      
+      // Only report clusters that involve a contact from this run
+      const resultsById = new Map(results.map(r => [r.id, r]));
+      const relevant = clusters
+        .filter(cluster => cluster.contactIds.some(id => resultsById.has(id)))
+        .map(cluster => ({
+          ...cluster,
+          contacts: cluster.contactIds.map(id => ({
+            id,
+            name: byId.get(id).Name,
+            company: readField(this.profile, byId.get(id), 'company'),
+            email: byId.get(id).Email || null
+          }))
+        }));
+      
+      relevant.forEach(cluster => {
+        cluster.contactIds.filter(id => resultsById.has(id)).forEach(id => {
+          const result = resultsById.get(id);
+          const others = cluster.contacts.filter(c => c.id !== id);
+          
+          result.duplicates = [...(result.duplicates || []), {
+            clusterId: cluster.id,
+            score: cluster.score,
+            matches: others.map(({ id: otherId, name }) => ({ id: otherId, name }))
+          }];
+          
+          if (duplicateConfig.writeToNotes) {
+            const names = others.map(c => `${c.name} (${c.id})`).join(', ');
+            result.notes += ` Possible duplicate of ${names} - ${(cluster.score * 100).toFixed(0)}% match.`;
+          }
+        });
+      });
+      
+      spinner.succeed(`Found ${relevant.length} candidate duplicate clusters`);
+      return relevant;
+      
+    } catch (error) {
+      spinner.fail('Error detecting duplicates');
+      this.log(`Duplicate detection error: ${error.message}`, 'error');
+      return [];
+    }
+  }
+
+  async generateReport(results, { duplicateClusters = [] } = {}) {
     const summary = results.reduce((acc, result) => {
       acc[result.status] = (acc[result.status] || 0) + 1;
       acc.totalConfidence = (acc.totalConfidence || 0) + result.confidence;
@@ -416,7 +658,7 @@ class ImprovedContactVerifier {
         'OUTDATED': 'red'
       }[status] || 'white';
       
-      console.log(`${status.padEnd(15)}: ${count.toString().padStart(3)} contacts (${percentage.padStart(5)}%)`[statusColor]);
+      console.log(`${status.padEnd(15)}: ${count.toString().padStart(3)} ${this.profile.plural} (${percentage.padStart(5)}%)`[statusColor]);
     });
     
     console.log('='.repeat(60));
@@ -424,6 +666,19 @@ class ImprovedContactVerifier {
     console.log(`Average confidence: ${(avgConfidence * 100).toFixed(1)}%`.bold);
     console.log(`Processing rate: ${this.requestCount} API calls made`.gray);
     
+    const apiUsage = this.apiLimits?.summary();
+    if (apiUsage) {
+      console.log(`Daily API usage: ${apiUsage.startUsed} → ${apiUsage.endUsed} of ${apiUsage.max} (${apiUsage.consumed} consumed, ${apiUsage.remaining} remaining)`.gray);
+      if (apiUsage.retries > 0) {
+        console.log(`Retried ${apiUsage.retries} requests after limit or row lock errors`.gray);
+      }
+    }
+    
+    if (this.dnsResolver.stats) {
+      const { hits, misses, coalesced } = this.dnsResolver.stats;
+      console.log(`DNS cache: ${misses} lookups, ${hits + coalesced} answered from cache`.gray);
+    }
+    
     // Generate actionable insights
     console.log('\n💡 INSIGHTS & RECOMMENDATIONS'.bold);
     
@@ -431,52 +686,333 @@ class ImprovedContactVerifier {
     const outdated = results.filter(r => r.status === 'OUTDATED').length;
     
     if (needsReview > 0) {
-      console.log(`• ${needsReview} contacts need manual review for data quality issues`.yellow);
+      console.log(`• ${needsReview} ${this.profile.plural} need manual review for data quality issues`.yellow);
     }
     
     if (outdated > 0) {
-      console.log(`• ${outdated} contacts are likely outdated and may need outreach`.red);
+      console.log(`• ${outdated} ${this.profile.plural} are likely outdated and may need outreach`.red);
     }
     
     if (avgConfidence < 0.7) {
       console.log('• Overall data quality is below optimal - consider data enrichment services'.yellow);
     }
     
-    const emailIssues = results.filter(r => 
-      r.issues.some(issue => issue.toLowerCase().includes('email'))
+    if (this.apiLimits?.belowReserve()) {
+      console.log(`• Daily API requests are down to the reserve of ${this.apiLimits.reserve} - remaining updates were skipped`.red);
+    } else if (this.apiLimits?.delayFactor() > 1) {
+      console.log('• Daily API requests are running low - requests were slowed down'.yellow);
+    }
+    
+    // Group email problems by reason code
+    const emailIssues = {};
+    results.forEach(r => {
+      (r.findings || [])
+        .filter(finding => finding.ruleId === 'email-domain')
+        .forEach(finding => {
+          emailIssues[finding.code] = (emailIssues[finding.code] || 0) + 1;
+        });
+    });
+    
+    const emailIssueCount = results.filter(r =>
+      (r.findings || []).some(finding => finding.ruleId === 'email-domain')
     ).length;
     
-    if (emailIssues > 0) {
-      console.log(`• ${emailIssues} contacts have email-related issues`.yellow);
+    if (emailIssueCount > 0) {
+      console.log(`• ${emailIssueCount} ${this.profile.plural} have email-related issues:`.yellow);
+      Object.entries(emailIssues)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([code, count]) => {
+          console.log(`    - ${(EMAIL_REASONS[code] || code)} [${code}]: ${count}`.yellow);
+        });
+    }
+    
+    // Records whose status differs from what the previous run wrote
+    const changed = results.filter(r => r.previousStatus && r.previousStatus !== r.status);
+    if (changed.length > 0) {
+      console.log(`• ${changed.length} ${this.profile.plural} changed status since their last verification:`.cyan);
+      changed.forEach(r => {
+        console.log(`    - ${r.name}: ${r.previousStatus} → ${r.status}`.cyan);
+      });
+    }
+    
+    // Only records with a Salesforce ID go to the review queue; rows of an
+    // offline input file may not have one
+    const countProposals = list => list.reduce((sum, r) => sum + (r.proposals?.length || 0), 0);
+    const reviewable = countProposals(results.filter(r => SALESFORCE_ID_PATTERN.test(r.id)));
+    const unqueued = countProposals(results) - reviewable;
+    if (reviewable > 0) {
+      console.log(`• ${reviewable} field corrections were proposed - accept or reject them with npm run review`.cyan);
+    }
+    if (unqueued > 0) {
+      console.log(`• ${unqueued} field corrections were proposed for rows without a Salesforce ID - see the report`.cyan);
+    }
+    
+    if (duplicateClusters.length > 0) {
+      console.log(`• ${duplicateClusters.length} possible duplicate groups found:`.yellow);
+      duplicateClusters.forEach(cluster => {
+        const names = cluster.contacts.map(c => `${c.name} (${c.company || 'No Company'})`).join(' / ');
+        console.log(`    - ${cluster.id} ${(cluster.score * 100).toFixed(0)}%: ${names}`.yellow);
+      });
     }
   }
 
-  async saveReport(results) {
+  // Write the report in each configured format. Returns the files written
+  // and whether the OUTDATED threshold was exceeded.
+  async saveReport(results, { duplicateClusters } = {}) {
+    const report = buildReport(results, {
+      object: this.profile.name,
+      duplicateClusters,
+      apiUsage: this.apiLimits?.summary()
+    });
+    
+    let files = {};
     try {
-      const reportData = {
-        timestamp: new Date().toISOString(),
-        summary: results.reduce((acc, result) => {
-          acc[result.status] = (acc[result.status] || 0) + 1;
-          return acc;
-        }, {}),
-        totalProcessed: results.length,
-        averageConfidence: results.reduce((sum, r) => sum + r.confidence, 0) / results.length,
-        details: results
-      };
-      
-      const fileName = `verification-report-${Date.now()}.json`;
-      fs.writeFileSync(fileName, JSON.stringify(reportData, null, 2));
-      
-      console.log(`\n📄 Report saved to: ${fileName}`.green);
-      
+      files = writeReports(report, { formats: this.reportFormats, dir: this.reportDir, maxOutdated: this.maxOutdated });
+      Object.values(files).forEach((fileName, index) => {
+        console.log(`${index === 0 ? '\n' : ''}📄 Report saved to: ${fileName}`.green);
+      });
     } catch (error) {
       this.log(`Failed to save report: ${error.message}`, 'error');
     }
+    
+    const outdated = checkOutdated(report, this.maxOutdated);
+    if (outdated.exceeded) {
+      console.log(`\n🚨 ${outdated.outdated} ${this.profile.plural} are OUTDATED, more than the threshold of ${outdated.limit}`.red.bold);
+    }
+    return { files, outdatedExceeded: outdated.exceeded };
+  }
+}
+
+// Verify a single record by ID (a Contact unless options.object says
+// otherwise). Used by the MCP server and by callers that already hold an
+// authenticated connection.
+async function verifyContact(conn, contactId, { config, ...options } = {}) {
+  const verifier = new ImprovedContactVerifier(config, { ...options, conn });
+  const record = await getRecordById(conn, verifier.profile.name, contactId, { fieldMapping: verifier.fieldMapping });
+  await verifier.loadRelatedEmails([record]);
+  return verifier.verifyContactData(record);
+}
+
+function buildErrorResult(contact, error, profile = getObjectProfile('Contact')) {
+  return {
+    id: contact.Id,
+    object: profile.name,
+    name: contact.Name,
+    company: readField(profile, contact, 'company') || 'Unknown',
+    status: 'ERROR',
+    confidence: 0,
+    issues: ['Processing error occurred'],
+    recommendations: ['Manual review required'],
+    notes: `Error during verification: ${error.message}`,
+    lastModified: contact.LastModifiedDate
+  };
+}
+
+// Comma-separated CLI values: --status NEEDS_REVIEW,OUTDATED
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Record selection flags and the getRecords selection keys they set
+const SELECTION_FLAGS = {
+  account: 'accountIds',
+  owner: 'owners',
+  recordType: 'recordTypes',
+  leadSource: 'leadSources',
+  status: 'statuses',
+  where: 'where',
+  orderBy: 'orderBy'
+};
+
+// Flags that decide which records a run verifies and whether it writes
+const RUN_FLAGS = ['object', 'limit', 'months', 'dryRun', ...Object.keys(SELECTION_FLAGS)];
+
+// Record selection flags, in the shape getRecords accepts
+function selectionFromOptions(options) {
+  return Object.fromEntries(Object.entries(SELECTION_FLAGS)
+    .filter(([flag]) => options[flag] !== undefined)
+    .map(([flag, key]) => [key, options[flag]]));
+}
+
+// The options a run is started with, kept in its journal
+function runOptions(options) {
+  return {
+    object: options.object,
+    limit: options.limit,
+    months: options.months,
+    selection: selectionFromOptions(options),
+    dryRun: Boolean(options.dryRun)
+  };
+}
+
+// A resumed run selects and writes records the way it started. Flags that
+// would change that are refused rather than silently ignored.
+function resumeOptions(options, journal) {
+  const started = { object: 'Contact', selection: {}, dryRun: false, ...journal.header?.options };
+  const startedValue = flag => (flag in SELECTION_FLAGS ? started.selection[SELECTION_FLAGS[flag]] : started[flag]);
+  const conflicts = (options.given || []).filter(flag =>
+    RUN_FLAGS.includes(flag) && JSON.stringify(options[flag]) !== JSON.stringify(startedValue(flag)));
+  
+  if (conflicts.length > 0) {
+    const flags = conflicts.map(flag => `--${flag.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`);
+    throw new Error(`Run ${journal.runId} was started with other options; resume it without ${flags.join(', ')}`);
+  }
+  return started;
+}
+
+function parseArgs(argv = process.argv) {
+  const program = new Command()
+    .version('2.0.0')
+    .option('--object <name>', `sObject to verify: ${SUPPORTED_OBJECTS.join(', ')}`, 'Contact')
+    .option('-l, --limit <number>', 'limit number of contacts to verify', '10')
+    .option('-m, --months <number>', 'verify contacts not checked in X months (0 for any age)', '6')
+    .option('--account <ids>', 'only contacts of these Account IDs (comma-separated)', parseList)
+    .option('--owner <owners>', 'only contacts owned by these user IDs, usernames or names', parseList)
+    .option('--record-type <types>', 'only these record type IDs or developer names', parseList)
+    .option('--lead-source <sources>', 'only contacts with these Lead Source values', parseList)
+    .option('--status <statuses>', 'only contacts with these verification statuses, e.g. NEEDS_REVIEW', parseList)
+    .option('--where <condition>', 'extra SOQL condition, e.g. "MailingCountry = \'US\'"')
+    .option('--order-by <clause>', 'order contacts, e.g. "Last_Verified__c ASC NULLS FIRST"')
+    .option('-d, --dry-run', 'run without updating Salesforce')
+    .option('-v, --verbose', 'verbose logging')
+    .option('-t, --test-email', 'include email validation')
+    .option('--test-website', 'with --object Account, check that website domains resolve')
+    .option('-r, --resume <runId>', 'resume an interrupted run from its journal')
+    .option('--history <recordId>', 'show how the verification status of a record changed over time')
+    .option('--find-duplicates', 'group likely duplicate contacts within each account')
+    .option('--smtp-probe', 'with --test-email, probe mail servers with RCPT TO (opt-in, may be slow)')
+    .option('-i, --input <file>', 'verify contacts from a CSV or JSON export instead of Salesforce')
+    .option('-o, --output <file>', 'with --input, write results to a CSV or JSON file')
+    .option('--report-format <formats>', `report formats, comma-separated: ${REPORT_FORMATS.join(', ')} (default: json)`)
+    .option('--report-dir <dir>', 'folder to save reports in (default: current folder)')
+    .option('--max-outdated <limit>', 'fail the run when more records are OUTDATED, e.g. 5 or 10%')
+    .parse(argv);
+  
+  // Flags typed on the command line, as opposed to defaults
+  const options = program.opts();
+  options.given = Object.keys(options).filter(key => program.getOptionValueSource(key) === 'cli');
+  return options;
+}
+
+// Verify contacts one by one, printing progress. With a journal, contacts
+// already verified in the run are skipped and every result is recorded.
+async function verifyAll(verifier, contacts, journal = null) {
+  const results = [];
+  
+  for (let i = 0; i < contacts.length; i++) {
+    const contact = contacts[i];
+    
+    if (journal && journal.hasResult(contact.Id)) {
+      verifier.log(`[${i + 1}/${contacts.length}] Skipping ${contact.Name}: already verified in this run`);
+      results.push(journal.results.get(contact.Id));
+      continue;
+    }
+    
+    console.log(`\n[${i + 1}/${contacts.length}] Processing: ${contact.Name}`.bold);
+    
+    let result;
+    try {
+      result = await verifier.verifyContactData(contact);
+      
+      // Progress indicator
+      const statusEmoji = {
+        'CONFIRMED': '✅',
+        'NEEDS_REVIEW': '⚠️',
+        'OUTDATED': '❌'
+      }[result.status] || '❓';
+      
+      console.log(`${statusEmoji} ${result.status} (${(result.confidence * 100).toFixed(0)}% confidence)`.gray);
+      
+    } catch (error) {
+      verifier.log(`Error processing ${contact.Name}: ${error.message}`, 'error');
+      
+      // Add error result so we don't lose track
+      result = buildErrorResult(contact, error, verifier.profile);
+    }
+    
+    results.push(result);
+    journal?.recordResult(result);
+  }
+  
+  return results;
+}
+
+// Verify contacts from a CSV or JSON export without connecting to Salesforce
+async function runOffline(verifier, options) {
+  let input;
+  try {
+    input = readContactsFile(options.input, { object: verifier.profile.name, fieldMapping: verifier.fieldMapping });
+  } catch (error) {
+    console.error(`❌ Could not read ${options.input}: ${error.message}`.red);
+    process.exit(1);
+  }
+  
+  console.log(`📂 Offline mode: loaded ${input.contacts.length} ${verifier.profile.plural} from ${options.input}`.cyan);
+  if (input.contacts.length === 0) {
+    console.log(`ℹ️ No ${verifier.profile.plural} found in the input file`.yellow);
+    return;
+  }
+  
+  console.log('\n🔍 Starting verification process...\n');
+  const results = await verifyAll(verifier, input.contacts);
+  
+  verifier.saveDnsCache();
+  verifier.saveProposals(results.filter(result => SALESFORCE_ID_PATTERN.test(result.id)));
+  
+  const duplicateClusters = options.findDuplicates ?
+    await verifier.detectDuplicates(input.contacts, results) :
+    undefined;
+  
+  if (options.output) {
+    try {
+      writeResultsFile(options.output, input.rows.map((row, i) => ({ row, result: results[i] })), {
+        columns: input.columns
+      });
+      console.log(`\n💾 Results written to: ${options.output}`.green);
+    } catch (error) {
+      verifier.log(`Failed to write ${options.output}: ${error.message}`, 'error');
+    }
+  }
+  
+  await verifier.generateReport(results, { duplicateClusters });
+  const { outdatedExceeded } = await verifier.saveReport(results, { duplicateClusters });
+  if (outdatedExceeded) {
+    process.exitCode = 1;
   }
+  
+  console.log('\n🎉 Verification complete!'.green.bold);
 }
 
+// Journal of the run in progress, flushed by the SIGINT handler
+let activeJournal = null;
+
 // Main execution function
-async function main() {
+async function main(argv = process.argv) {
+  const options = parseArgs(argv);
+  
+  try {
+    options.object = getObjectProfile(options.object).name;
+    parseReportFormats(options.reportFormat);
+    parseOutdatedLimit(options.maxOutdated);
+  } catch (error) {
+    console.error(`❌ ${error.message}`.red);
+    process.exit(1);
+  }
+  
+  // Load configuration with better error handling
+  // Offline runs do not need Salesforce credentials, or a config file at all
+  let config;
+  try {
+    config = options.input && !fs.existsSync(DEFAULT_CONFIG_PATH) ?
+      {} :
+      loadConfig(DEFAULT_CONFIG_PATH, { requireSalesforce: !options.input });
+  } catch (error) {
+    console.error('❌ Configuration Error:'.red);
+    console.error('   Make sure config.json exists and contains all required fields.'.red);
+    console.error('   Copy config.example.json to config.json and fill in your credentials.'.red);
+    process.exit(1);
+  }
+  
   console.log('🚀 Improved Salesforce Contact Verification System v2.0'.bold.blue);
   console.log('========================================================\n');
   
@@ -488,97 +1024,186 @@ async function main() {
     console.log('📧 Email validation enabled'.cyan);
   }
   
-  const verifier = new ImprovedContactVerifier();
+  if (options.testEmail && options.smtpProbe) {
+    console.log('📮 SMTP mailbox probing enabled'.cyan);
+  }
+  
+  if (options.object !== 'Contact') {
+    console.log(`🗃️ Verifying ${options.object} records`.cyan);
+  }
+  
+  if (options.input) {
+    return runOffline(new ImprovedContactVerifier(config, options), options);
+  }
+  
+  if (options.output) {
+    console.log('⚠️ --output is only used with --input; ignoring it'.yellow);
+  }
+  
+  if (options.history) {
+    const verifier = new ImprovedContactVerifier(config, options);
+    if (!(await verifier.connectToSalesforce())) {
+      process.exit(1);
+    }
+    if ((await verifier.showHistory(options.history)) === null) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  // Every run keeps a journal so it can be resumed after a crash or Ctrl+C
+  const journalDir = config.journal?.dir || DEFAULT_JOURNAL_DIR;
+  let journal;
+  let run;
+  try {
+    journal = options.resume ?
+      RunJournal.resume(journalDir, options.resume) :
+      RunJournal.create(journalDir, { options: runOptions(options) });
+    // A resumed run keeps the object, selection and dry-run mode it started with
+    run = options.resume ? resumeOptions(options, journal) : runOptions(options);
+  } catch (error) {
+    journal?.close();
+    console.error(`❌ ${error.message}`.red);
+    process.exit(1);
+  }
+  activeJournal = journal;
+  
+  if (options.resume) {
+    console.log(`🗂️ Resuming run ${journal.runId}: ${journal.results.size} records already verified`.cyan);
+    if (run.dryRun && !options.dryRun) {
+      console.log('🧪 The run started as a DRY RUN - no changes will be made to Salesforce'.yellow);
+    }
+  } else {
+    console.log(`🗂️ Run ID: ${journal.runId}`.gray);
+  }
+  
+  const verifier = new ImprovedContactVerifier(config, {
+    ...options,
+    ...run,
+    journal
+  });
   
   // Connect to Salesforce
   const connected = await verifier.connectToSalesforce();
   if (!connected) {
     console.log('❌ Cannot continue without Salesforce connection'.red);
+    journal.close();
+    process.exit(1);
+  }
+  
+  // Leave the configured share of daily API requests to other integrations
+  if (!(await verifier.checkApiLimits())) {
+    console.log('❌ Not enough daily API requests left - try again after the limit resets'.red);
+    journal.close();
+    process.exit(1);
+  }
+  
+  // Fail before verifying anything if results could not be written back
+  if (!(await verifier.validateFieldMapping())) {
+    console.log('❌ Cannot continue until the verification fields match the org'.red);
+    journal.close();
+    process.exit(1);
+  }
+  
+  if (!(await verifier.validateHistoryObject())) {
+    console.log('❌ Cannot continue until verification history can be recorded'.red);
+    journal.close();
     process.exit(1);
   }
   
   // Get contacts to verify
-  const contacts = await verifier.getContactsToVerify();
+  const contacts = journal.contactIds ?
+    await verifier.getContactsToVerify({ ids: journal.contactIds }) :
+    await verifier.getContactsToVerify();
   if (contacts.length === 0) {
-    console.log('ℹ️ No contacts found that need verification'.yellow);
+    console.log(`ℹ️ No ${verifier.profile.plural} found that need verification`.yellow);
+    journal.recordComplete();
+    journal.close();
     return;
   }
+  if (!journal.contactIds) {
+    journal.recordContacts(contacts);
+  }
   
   // Verify each contact
   console.log('\n🔍 Starting verification process...\n');
-  const results = [];
+  const results = await verifyAll(verifier, contacts, journal);
   
-  for (let i = 0; i < contacts.length; i++) {
-    const contact = contacts[i];
-    console.log(`\n[${i + 1}/${contacts.length}] Processing: ${contact.Name}`.bold);
-    
-    try {
-      const result = await verifier.verifyContactData(contact);
-      results.push(result);
-      
-      // Progress indicator
-      const statusEmoji = {
-        'CONFIRMED': '✅',
-        'NEEDS_REVIEW': '⚠️',
-        'OUTDATED': '❌'
-      }[result.status] || '❓';
-      
-      console.log(`${statusEmoji} ${result.status} (${(result.confidence * 100).toFixed(0)}% confidence)`.gray);
-      
-    } catch (error) {
-      verifier.log(`Error processing ${contact.Name}: ${error.message}`, 'error');
-      
-      // Add error result so we don't lose track
-      results.push({
-        id: contact.Id,
-        name: contact.Name,
-        company: contact.Account?.Name || 'Unknown',
-        status: 'ERROR',
-        confidence: 0,
-        issues: ['Processing error occurred'],
-        recommendations: ['Manual review required'],
-        notes: `Error during verification: ${error.message}`,
-        lastModified: contact.LastModifiedDate
-      });
-    }
+  // Keep DNS answers for the next run when an on-disk cache is configured
+  verifier.saveDnsCache();
+  
+  // Proposed corrections are only written once someone accepts them
+  verifier.saveProposals(results);
+  
+  // Group likely duplicates before writing, so notes can mention them
+  const duplicateClusters = options.findDuplicates ?
+    await verifier.detectDuplicates(contacts, results) :
+    undefined;
+  
+  // Update Salesforce, skipping records a previous attempt already wrote
+  const pendingUpdates = results.filter(result => !journal.isUpdated(result.id));
+  if (pendingUpdates.length < results.length) {
+    console.log(`ℹ️ ${results.length - pendingUpdates.length} ${verifier.profile.plural} were already updated in this run`.cyan);
   }
+  await verifier.updateSalesforce(pendingUpdates);
   
-  // Update Salesforce
-  await verifier.updateSalesforce(results);
+  // A resumed run may have updated records before it could record their history
+  const attempted = new Set(pendingUpdates.map(result => result.id));
+  const missingHistory = journal.pendingHistory().filter(result => !attempted.has(result.id));
+  if (missingHistory.length > 0) {
+    await verifier.recordHistory(missingHistory);
+  }
   
   // Generate and display report
-  await verifier.generateReport(results);
+  await verifier.generateReport(results, { duplicateClusters });
   
-  // Save detailed report
-  await verifier.saveReport(results);
+  // Save detailed report; too many OUTDATED records fail the run
+  const { outdatedExceeded } = await verifier.saveReport(results, { duplicateClusters });
+  if (outdatedExceeded) {
+    process.exitCode = 1;
+  }
+  
+  journal.recordComplete();
+  journal.close();
+  activeJournal = null;
   
   console.log('\n🎉 Verification complete!'.green.bold);
   console.log('Check the generated report file for detailed results.'.gray);
 }
 
-// Improved error handling
-process.on('uncaughtException', (error) => {
-  console.error('💥 Unexpected error occurred:'.red);
-  console.error(`   ${error.message}`.red);
-  console.error('   The application will now exit safely.'.red);
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled promise rejection:'.red);
-  console.error(`   ${reason}`.red);
-  console.error('   The application will now exit safely.'.red);
-  process.exit(1);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n⏹️ Received interrupt signal. Shutting down gracefully...'.yellow);
-  process.exit(0);
-});
-
 // Run the program
 if (require.main === module) {
+  // Improved error handling
+  process.on('uncaughtException', (error) => {
+    console.error('💥 Unexpected error occurred:'.red);
+    console.error(`   ${error.message}`.red);
+    console.error('   The application will now exit safely.'.red);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('💥 Unhandled promise rejection:'.red);
+    console.error(`   ${reason}`.red);
+    console.error('   The application will now exit safely.'.red);
+    process.exit(1);
+  });
+
+  // Graceful shutdown: make sure the journal is on disk before exiting
+  process.on('SIGINT', () => {
+    console.log('\n⏹️ Received interrupt signal. Shutting down gracefully...'.yellow);
+    
+    if (activeJournal) {
+      try {
+        activeJournal.close();
+        console.log(`🗂️ Progress saved. Resume with: node verify-contacts.js --resume ${activeJournal.runId}`.yellow);
+      } catch (error) {
+        console.error(`   Failed to flush run journal: ${error.message}`.red);
+      }
+    }
+    
+    process.exit(130);
+  });
+
   main().catch(error => {
     console.error('💥 Fatal error during execution:'.red);
     console.error(`   ${error.message}`.red);
@@ -590,4 +1215,15 @@ if (require.main === module) {
   });
 }
 
-module.exports = ImprovedContactVerifier;
+module.exports = {
+  ImprovedContactVerifier,
+  getSalesforceConnection,
+  getContacts,
+  getRecords,
+  verifyContact,
+  writeVerificationResult,
+  writeVerificationResults,
+  buildErrorResult,
+  matchNames,
+  main
+};